@@ -1,8 +1,45 @@
+-- Generated from db/schema.js by `npm run db:generate`; do not edit by hand.
+
+-- Create table for Users
+-- Accounts are managed by the API server (see lib/auth.js); password_hash is
+-- a salted scrypt hash.
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  -- Totals and reports are shown in it
+  base_currency TEXT NOT NULL DEFAULT 'USD',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create table for Sessions
+-- A session token is only accepted while its row exists and has not expired.
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create table for Password Reset Tokens (only their SHA-256 is stored)
+CREATE TABLE password_reset_tokens (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Create table for Cost Centers
+-- A tree: totals for a cost center include those under it. Archived cost
+-- centers keep their transactions but are no longer offered for new ones.
+-- See lib/costCenters.js.
 CREATE TABLE cost_centers (
   id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
-  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
   name TEXT NOT NULL,
+  parent_id BIGINT REFERENCES cost_centers(id) ON DELETE SET NULL,
+  is_archived BOOLEAN NOT NULL DEFAULT FALSE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(user_id, name)
 );
@@ -10,39 +47,272 @@ CREATE TABLE cost_centers (
 -- Create table for Mapping Templates
 CREATE TABLE mapping_templates (
   id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
-  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
   name TEXT NOT NULL,
   file_type TEXT,
+  -- Column mapping, date format, delimiter, encoding etc. (see lib/mapping.js)
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Create table for Accounts
+-- Transactions refer to their account by name; a row here holds what is known
+-- about it. Imported rows without a currency of their own get the account's.
+-- Its balance is opening_balance plus all of its transactions.
+CREATE TABLE accounts (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  institution TEXT,
+  type TEXT NOT NULL DEFAULT 'checking' CHECK (type IN ('checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other')),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  opening_balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
+-- Create table for Statement Reconciliations
+-- A statement checked against the account: its closing balance and date, and
+-- the balance of the transactions marked as reconciled with it. Reconciled
+-- transactions are locked from edits until the reconciliation is undone.
+CREATE TABLE reconciliations (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  account_id BIGINT REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+  statement_date DATE NOT NULL,
+  statement_balance NUMERIC(12, 2) NOT NULL,
+  -- Opening balance plus every reconciled transaction
+  cleared_balance NUMERIC(12, 2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX reconciliations_account_id_idx ON reconciliations (account_id);
+
+-- Create table for Exchange Rates
+-- 1 from_currency = rate to_currency on rate_date (see lib/currency.js).
+CREATE TABLE exchange_rates (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  rate_date DATE NOT NULL,
+  from_currency TEXT NOT NULL,
+  to_currency TEXT NOT NULL,
+  rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, from_currency, to_currency, rate_date)
+);
+
+-- Create table for Import Batches
+-- One row per confirmed upload. The counts are from the file as read; a
+-- rollback deletes the batch's transactions and sets rolled_back_at.
+CREATE TABLE import_batches (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  file_size INTEGER NOT NULL,
+  -- SHA-256 of the file, to warn about re-imports
+  checksum TEXT NOT NULL,
+  mapping_id BIGINT REFERENCES mapping_templates(id) ON DELETE SET NULL,
+  -- The template as it was named at import time
+  mapping_name TEXT,
+  file_type TEXT,
+  new_count INTEGER NOT NULL DEFAULT 0,
+  -- Likely duplicates sent to the review queue
+  review_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  invalid_count INTEGER NOT NULL DEFAULT 0,
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  rolled_back_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX import_batches_user_id_checksum_idx ON import_batches (user_id, checksum);
+
+-- Create table for Watched Folder Runs
+-- One row per run of the watched-folder import (see lib/watchedFolder.js) that
+-- found files, and per run started by hand. files lists what happened to each.
+CREATE TABLE watch_folder_runs (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  triggered_by TEXT NOT NULL CHECK (triggered_by IN ('schedule', 'user')),
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL,
+  -- Per file: its outcome, template, import batch and counts
+  files JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+CREATE INDEX watch_folder_runs_user_id_started_at_idx ON watch_folder_runs (user_id, started_at);
+
 -- Create table for Transactions
 CREATE TABLE transactions (
   id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
-  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
   transaction_date DATE NOT NULL,
   merchant TEXT NOT NULL,
   amount NUMERIC(12, 2) NOT NULL,
-  cost_center_id BIGINT REFERENCES cost_centers(id),
+  -- amount is in this currency
+  currency TEXT NOT NULL DEFAULT 'USD',
+  cost_center_id BIGINT REFERENCES cost_centers(id) ON DELETE SET NULL,
   account TEXT,
   status TEXT NOT NULL DEFAULT 'Review Required',
   -- For preventing duplicates
-  transaction_hash TEXT NOT NULL UNIQUE,
+  transaction_hash TEXT NOT NULL,
+  import_batch_id BIGINT REFERENCES import_batches(id) ON DELETE SET NULL,
+  -- The other side of an internal transfer
+  transfer_id BIGINT REFERENCES transactions(id) ON DELETE SET NULL,
+  -- Suggested by lib/transfers.js or confirmed by the user
+  transfer_status TEXT CHECK (transfer_status IN ('suggested', 'confirmed')),
+  -- Set once reconciled; locks the transaction
+  reconciliation_id BIGINT REFERENCES reconciliations(id) ON DELETE SET NULL,
+  notes TEXT,
+  -- Array of tag names
+  tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Kept up to date with receipts, for filtering
+  receipt_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, transaction_hash)
+);
+CREATE INDEX transactions_user_id_transaction_date_idx ON transactions (user_id, transaction_date);
+CREATE INDEX transactions_import_batch_id_idx ON transactions (import_batch_id);
+
+-- Create table for Split Allocations
+-- Lines of a split transaction; their amounts always add up to the
+-- transaction amount. percentage is kept when the line was entered as one.
+CREATE TABLE transaction_splits (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  cost_center TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  percentage NUMERIC(5, 2),
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
+CREATE INDEX transaction_splits_transaction_id_idx ON transaction_splits (transaction_id);
 
--- Enable Row Level Security (RLS) for all tables
-ALTER TABLE cost_centers ENABLE ROW LEVEL SECURITY;
-ALTER TABLE mapping_templates ENABLE ROW LEVEL SECURITY;
-ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+-- Create table for Receipt Attachments
+-- Images and PDFs attached to a transaction. The file itself is on local
+-- disk (RECEIPTS_PATH) under storage_key.
+CREATE TABLE receipts (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  file_size INTEGER NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX receipts_transaction_id_idx ON receipts (transaction_id);
+
+-- Create table for Rejected Transfer Pairs
+-- Pairs of transactions the user unlinked, so transfer detection leaves them
+-- apart from then on.
+CREATE TABLE transfer_rejections (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  out_transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  in_transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(out_transaction_id, in_transaction_id)
+);
+CREATE INDEX transfer_rejections_user_id_idx ON transfer_rejections (user_id);
+
+-- Create table for Duplicate Review Queue
+-- Imported rows that look like an existing transaction (see lib/duplicates.js),
+-- held until they are merged into it, kept as a transaction of their own or
+-- discarded. incoming is the row as it would have been imported.
+CREATE TABLE duplicate_reviews (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  import_batch_id BIGINT REFERENCES import_batches(id) ON DELETE CASCADE,
+  -- The transaction it looks like
+  transaction_id BIGINT REFERENCES transactions(id) ON DELETE SET NULL,
+  incoming JSONB NOT NULL,
+  -- The incoming row's hash
+  transaction_hash TEXT NOT NULL,
+  similarity NUMERIC(4, 3) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'kept', 'discarded')),
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX duplicate_reviews_user_id_status_idx ON duplicate_reviews (user_id, status);
+CREATE INDEX duplicate_reviews_user_id_transaction_hash_idx ON duplicate_reviews (user_id, transaction_hash);
 
--- Create policies to ensure users can only access their own data
-CREATE POLICY "Users can manage their own cost centers" ON cost_centers FOR ALL
-USING (auth.uid() = user_id);
+-- Create table for Budgets
+-- recurrence is 'none' (only start_month), 'monthly' or 'annual'; months are
+-- stored as their first day. See lib/budgets.js.
+CREATE TABLE budgets (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  cost_center TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  recurrence TEXT NOT NULL DEFAULT 'monthly' CHECK (recurrence IN ('none', 'monthly', 'annual')),
+  start_month DATE NOT NULL,
+  end_month DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
 
-CREATE POLICY "Users can manage their own mapping templates" ON mapping_templates FOR ALL
-USING (auth.uid() = user_id);
+-- Create table for Categorization Rules
+-- Rules run in position order; the first whose conditions all match assigns
+-- its cost center (see lib/rules.js for the conditions format).
+CREATE TABLE categorization_rules (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  cost_center TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
 
-CREATE POLICY "Users can manage their own transactions" ON transactions FOR ALL
-USING (auth.uid() = user_id);
+-- Create table for Audit Log Operations
+-- One row per change made through the API (a single edit, a bulk edit, an
+-- import, an undo). Append-only: the repositories never update or delete
+-- audit rows. See lib/audit.js.
+CREATE TABLE audit_operations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  -- What was done, e.g. 'Bulk edit: setCostCenter'
+  source TEXT NOT NULL,
+  -- The operation an undo reverted
+  reverts UUID REFERENCES audit_operations(id),
+  entry_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX audit_operations_user_id_created_at_idx ON audit_operations (user_id, created_at);
+
+-- Create table for Audit Log Entries
+-- The state of one entity before and after an operation; null when it did not exist.
+CREATE TABLE audit_entries (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  operation_id UUID REFERENCES audit_operations(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('transaction', 'cost_center', 'mapping')),
+  entity_id TEXT NOT NULL,
+  before_state JSONB,
+  after_state JSONB
+);
+CREATE INDEX audit_entries_operation_id_idx ON audit_entries (operation_id);
+CREATE INDEX audit_entries_user_id_entity_type_entity_id_idx ON audit_entries (user_id, entity_type, entity_id);
 
+-- Enable Row Level Security (RLS) for all tables
+-- Only the API server reads and writes these tables, using the service key,
+-- and it scopes every query to the signed-in user's user_id. With RLS on and
+-- no policies, the public anon key can't read anything.
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cost_centers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mapping_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reconciliations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watch_folder_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE receipts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transfer_rejections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE duplicate_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_operations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_entries ENABLE ROW LEVEL SECURITY;
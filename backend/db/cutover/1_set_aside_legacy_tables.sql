@@ -0,0 +1,49 @@
+-- Written by hand: a one-off step, not a migration.
+-- Supabase projects set up before versioned migrations already have
+-- cost_centers, mapping_templates and transactions, in the shape of the old
+-- database_schema.sql or with the camelCase columns the first server wrote
+-- (date, hash, "costCenter", "fileType", "dateCreated"). 0001_initial.sql
+-- can't create its tables next to them, so run this first: it renames them
+-- to legacy_* (with their indexes and sequences) and drops their auth.uid()
+-- policies. Then apply the migrations, sign up and run
+-- 2_copy_legacy_data.sql. It does nothing once public.users exists.
+
+DO $$
+DECLARE
+  legacy_table TEXT;
+  policy RECORD;
+  relation RECORD;
+BEGIN
+  IF to_regclass('public.users') IS NOT NULL THEN
+    RAISE NOTICE 'The migrations have already been applied; nothing to set aside.';
+    RETURN;
+  END IF;
+
+  FOREACH legacy_table IN ARRAY ARRAY['transactions', 'mapping_templates', 'cost_centers'] LOOP
+    CONTINUE WHEN to_regclass('public.' || legacy_table) IS NULL;
+
+    FOR policy IN SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = legacy_table LOOP
+      EXECUTE format('DROP POLICY %I ON public.%I', policy.policyname, legacy_table);
+    END LOOP;
+
+    -- Index and sequence names are unique per schema, so they would clash
+    -- with the new tables' (this also renames primary key and unique constraints)
+    FOR relation IN
+      SELECT index_class.relname AS name, 'INDEX' AS kind
+      FROM pg_index
+      JOIN pg_class index_class ON index_class.oid = pg_index.indexrelid
+      WHERE pg_index.indrelid = ('public.' || legacy_table)::regclass
+      UNION ALL
+      SELECT sequence_class.relname, 'SEQUENCE'
+      FROM pg_depend
+      JOIN pg_class sequence_class ON sequence_class.oid = pg_depend.objid AND sequence_class.relkind = 'S'
+      WHERE pg_depend.refobjid = ('public.' || legacy_table)::regclass
+    LOOP
+      EXECUTE format('ALTER %s public.%I RENAME TO %I', relation.kind, relation.name, 'legacy_' || relation.name);
+    END LOOP;
+
+    EXECUTE format('ALTER TABLE public.%I RENAME TO %I', legacy_table, 'legacy_' || legacy_table);
+    RAISE NOTICE 'Renamed % to legacy_%', legacy_table, legacy_table;
+  END LOOP;
+END
+$$;
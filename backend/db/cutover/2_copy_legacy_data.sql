@@ -0,0 +1,110 @@
+-- Written by hand: a one-off step, not a migration.
+-- Copies what 1_set_aside_legacy_tables.sql put aside into the migrated
+-- tables. The old server had no sign-in, so everything goes to one account:
+-- sign up in the app, run this file, then
+--
+--   SELECT * FROM copy_legacy_data('you@example.com');
+--
+-- Cost centers are matched by name and transactions by hash, so running it
+-- again only copies what is missing. Once the numbers look right:
+--
+--   DROP TABLE legacy_transactions, legacy_mapping_templates, legacy_cost_centers;
+--   DROP FUNCTION copy_legacy_data(TEXT), legacy_column(TEXT, TEXT[]);
+
+-- The first of the given columns the legacy table has, as l.<column>, or NULL
+CREATE OR REPLACE FUNCTION legacy_column(p_table TEXT, p_names TEXT[])
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT format('l.%I', column_name)
+  FROM information_schema.columns
+  WHERE table_schema = 'public' AND table_name = p_table AND column_name = ANY(p_names)
+  ORDER BY array_position(p_names, column_name::TEXT)
+  LIMIT 1
+$$;
+
+CREATE OR REPLACE FUNCTION copy_legacy_data(p_owner_email TEXT)
+RETURNS TABLE (cost_centers BIGINT, mapping_templates BIGINT, transactions BIGINT)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  owner UUID;
+  created_at TEXT;
+  cost_center TEXT;
+  copied BIGINT;
+BEGIN
+  SELECT id INTO owner FROM users WHERE email = lower(trim(p_owner_email));
+  IF owner IS NULL THEN
+    RAISE EXCEPTION 'No account for %: sign up in the app first', p_owner_email;
+  END IF;
+  cost_centers := 0;
+  mapping_templates := 0;
+  transactions := 0;
+
+  IF to_regclass('public.legacy_cost_centers') IS NOT NULL THEN
+    created_at := COALESCE(legacy_column('legacy_cost_centers', ARRAY['created_at']) || '::timestamptz', 'NOW()');
+    EXECUTE format(
+      'INSERT INTO cost_centers (user_id, name, created_at)
+       SELECT $1, trim(l.name), MIN(%s) FROM legacy_cost_centers l
+       WHERE trim(l.name) <> %L GROUP BY trim(l.name)
+       ON CONFLICT (user_id, name) DO NOTHING',
+      created_at, '') USING owner;
+    GET DIAGNOSTICS copied = ROW_COUNT;
+    cost_centers := cost_centers + copied;
+  END IF;
+
+  IF to_regclass('public.legacy_mapping_templates') IS NOT NULL THEN
+    created_at := COALESCE(legacy_column('legacy_mapping_templates', ARRAY['created_at', 'dateCreated']) || '::timestamptz', 'NOW()');
+    EXECUTE format(
+      'INSERT INTO mapping_templates (user_id, name, file_type, created_at)
+       SELECT $1, l.name, %s, %s FROM legacy_mapping_templates l
+       WHERE NOT EXISTS (SELECT 1 FROM mapping_templates m WHERE m.user_id = $1 AND m.name = l.name)',
+      COALESCE(legacy_column('legacy_mapping_templates', ARRAY['file_type', 'fileType']), 'NULL'), created_at) USING owner;
+    GET DIAGNOSTICS copied = ROW_COUNT;
+    mapping_templates := copied;
+  END IF;
+
+  IF to_regclass('public.legacy_transactions') IS NOT NULL THEN
+    -- The cost center's name: the old server wrote it to "costCenter", the
+    -- old schema referred to cost_centers by id
+    cost_center := COALESCE(
+      'trim(' || legacy_column('legacy_transactions', ARRAY['costCenter', 'cost_center']) || ')',
+      CASE WHEN legacy_column('legacy_transactions', ARRAY['cost_center_id']) IS NOT NULL
+        AND to_regclass('public.legacy_cost_centers') IS NOT NULL
+        THEN '(SELECT trim(c.name) FROM legacy_cost_centers c WHERE c.id = l.cost_center_id)' END,
+      'NULL');
+    EXECUTE format(
+      'INSERT INTO cost_centers (user_id, name)
+       SELECT DISTINCT $1, %s FROM legacy_transactions l WHERE %1$s <> %L
+       ON CONFLICT (user_id, name) DO NOTHING',
+      cost_center, '') USING owner;
+    GET DIAGNOSTICS copied = ROW_COUNT;
+    cost_centers := cost_centers + copied;
+
+    created_at := COALESCE(legacy_column('legacy_transactions', ARRAY['created_at']) || '::timestamptz', 'NOW()');
+    EXECUTE format(
+      'INSERT INTO transactions (user_id, transaction_date, merchant, amount, cost_center_id, account, status, transaction_hash, created_at)
+       SELECT $1, %s::date, l.merchant, l.amount::numeric, c.id, l.account,
+         COALESCE(l.status, %L), COALESCE(%s, %L || l.id), %s
+       FROM legacy_transactions l
+       LEFT JOIN cost_centers c ON c.user_id = $1 AND c.name = %s
+       ON CONFLICT (user_id, transaction_hash) DO NOTHING',
+      legacy_column('legacy_transactions', ARRAY['transaction_date', 'date']),
+      'Review Required',
+      legacy_column('legacy_transactions', ARRAY['transaction_hash', 'hash']), 'legacy-',
+      created_at,
+      cost_center) USING owner;
+    GET DIAGNOSTICS copied = ROW_COUNT;
+    transactions := copied;
+
+    -- The app keeps an account row for every account name transactions use
+    INSERT INTO accounts (user_id, name)
+    SELECT DISTINCT owner, t.account FROM transactions t
+    WHERE t.user_id = owner AND t.account IS NOT NULL
+    ON CONFLICT (user_id, name) DO NOTHING;
+  END IF;
+
+  RETURN NEXT;
+END
+$$;
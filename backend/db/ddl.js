@@ -0,0 +1,177 @@
+// --- SQL Generation for the Schema in db/schema.js ---
+// Turns table definitions into Postgres or SQLite DDL and works out the
+// statements that take one version of the schema to the next.
+
+const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const TYPES = {
+    postgres: {
+        uuid: 'UUID',
+        text: 'TEXT',
+        integer: 'INTEGER',
+        bigint: 'BIGINT',
+        numeric: (column) => (column.precision ? `NUMERIC(${column.precision.join(', ')})` : 'NUMERIC'),
+        boolean: 'BOOLEAN',
+        date: 'DATE',
+        timestamp: 'TIMESTAMPTZ',
+        json: 'JSONB',
+    },
+    // SQLite keeps dates and timestamps as ISO text, booleans as 0/1 and JSON as text
+    sqlite: {
+        uuid: 'TEXT',
+        text: 'TEXT',
+        integer: 'INTEGER',
+        bigint: 'INTEGER',
+        numeric: () => 'NUMERIC',
+        boolean: 'INTEGER',
+        date: 'TEXT',
+        timestamp: 'TEXT',
+        json: 'TEXT',
+    },
+};
+
+const defaultSql = (column, dialect) => {
+    if (column.defaultNow) return dialect === 'postgres' ? 'NOW()' : "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+    const value = column.default;
+    if (typeof value === 'boolean') return dialect === 'postgres' ? String(value).toUpperCase() : String(Number(value));
+    if (typeof value === 'number') return String(value);
+    if (typeof value === 'object') return dialect === 'postgres' ? `${quote(JSON.stringify(value))}::jsonb` : quote(JSON.stringify(value));
+    return quote(value);
+};
+
+// --- One column definition, e.g. "amount NUMERIC(12, 2) NOT NULL" ---
+export const columnSql = (column, dialect) => {
+    if (column.type === 'id') {
+        return `${column.name} ${dialect === 'postgres' ? 'BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'}`;
+    }
+    const type = TYPES[dialect][column.type];
+    if (!type) throw new Error(`Unknown column type "${column.type}" for ${column.name}.`);
+
+    const parts = [column.name, typeof type === 'function' ? type(column) : type];
+    if (column.primaryKey) {
+        parts.push('PRIMARY KEY');
+        // SQLite has no UUID generator; the repositories pass the id in
+        if (column.type === 'uuid' && dialect === 'postgres') parts.push('DEFAULT gen_random_uuid()');
+    }
+    if (column.references) {
+        const [table, referenced] = column.references.split('.');
+        parts.push(`REFERENCES ${table}(${referenced})`);
+        if (column.onDelete) parts.push(`ON DELETE ${column.onDelete}`);
+    }
+    if (column.notNull) parts.push('NOT NULL');
+    if (column.unique) parts.push('UNIQUE');
+    if (column.defaultNow || column.default !== undefined) parts.push(`DEFAULT ${defaultSql(column, dialect)}`);
+    if (column.check) parts.push(`CHECK (${column.check})`);
+    return parts.join(' ');
+};
+
+const indexName = (table, columns) => `${table}_${columns.join('_')}_idx`;
+
+export const createIndexSql = (table, columns) => `CREATE INDEX ${indexName(table, columns)} ON ${table} (${columns.join(', ')});`;
+
+// --- CREATE TABLE with its comments and indexes ---
+export const createTableSql = (table, dialect) => {
+    const lines = [`-- Create table for ${table.title || table.name}`];
+    (table.comment || []).forEach(line => lines.push(`-- ${line}`));
+    lines.push(`CREATE TABLE ${table.name} (`);
+
+    const definitions = [];
+    table.columns.forEach(column => {
+        definitions.push([column.comment ? `  -- ${column.comment}` : null, `  ${columnSql(column, dialect)}`]);
+    });
+    (table.unique || []).forEach(columns => definitions.push([null, `  UNIQUE(${columns.join(', ')})`]));
+    definitions.forEach(([comment, definition], i) => {
+        if (comment) lines.push(comment);
+        lines.push(i < definitions.length - 1 ? `${definition},` : definition);
+    });
+    lines.push(');');
+
+    (table.indexes || []).forEach(columns => lines.push(createIndexSql(table.name, columns)));
+    return lines.join('\n');
+};
+
+const byName = (items) => Object.fromEntries(items.map(item => [item.name, item]));
+const sameDefinition = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// --- Changes from one schema version to the next ---
+// Only additions and removals are worked out; anything else (renames, type
+// changes, new constraints) throws so the migration gets written by hand.
+export const diffSchemas = (previous, current) => {
+    const changes = [];
+    const previousTables = byName(previous);
+    const currentTables = byName(current);
+
+    current.forEach(table => {
+        const before = previousTables[table.name];
+        if (!before) {
+            changes.push({ type: 'createTable', table });
+            return;
+        }
+        const beforeColumns = byName(before.columns);
+        const currentColumns = byName(table.columns);
+        table.columns.forEach(column => {
+            if (!beforeColumns[column.name]) changes.push({ type: 'addColumn', table: table.name, column });
+            else if (!sameDefinition(beforeColumns[column.name], column)) {
+                throw new Error(`Column ${table.name}.${column.name} changed; write this migration by hand.`);
+            }
+        });
+        before.columns.forEach(column => {
+            if (!currentColumns[column.name]) changes.push({ type: 'dropColumn', table: table.name, column: column.name });
+        });
+        if (!sameDefinition(before.unique || [], table.unique || [])) {
+            throw new Error(`Unique constraints of ${table.name} changed; write this migration by hand.`);
+        }
+
+        const beforeIndexes = (before.indexes || []).map(columns => columns.join(','));
+        const currentIndexes = (table.indexes || []).map(columns => columns.join(','));
+        (table.indexes || []).forEach(columns => {
+            if (!beforeIndexes.includes(columns.join(','))) changes.push({ type: 'createIndex', table: table.name, columns });
+        });
+        (before.indexes || []).forEach(columns => {
+            if (!currentIndexes.includes(columns.join(','))) changes.push({ type: 'dropIndex', table: table.name, columns });
+        });
+    });
+    // Drop in reverse order so referencing tables go first
+    [...previous].reverse().forEach(table => {
+        if (!currentTables[table.name]) changes.push({ type: 'dropTable', table: table.name });
+    });
+    return changes;
+};
+
+// --- SQL for one change ---
+export const changeSql = (change, dialect) => {
+    switch (change.type) {
+        case 'createTable': {
+            const sql = createTableSql(change.table, dialect);
+            return dialect === 'postgres' ? `${sql}\nALTER TABLE ${change.table.name} ENABLE ROW LEVEL SECURITY;` : sql;
+        }
+        case 'addColumn':
+            if (dialect === 'sqlite' && (change.column.primaryKey || change.column.unique || change.column.defaultNow)) {
+                throw new Error(`SQLite can't add ${change.table}.${change.column.name} as defined; write this migration by hand.`);
+            }
+            return `ALTER TABLE ${change.table} ADD COLUMN ${columnSql(change.column, dialect)};`;
+        case 'dropColumn':
+            return `ALTER TABLE ${change.table} DROP COLUMN ${change.column};`;
+        case 'createIndex':
+            return createIndexSql(change.table, change.columns);
+        case 'dropIndex':
+            return `DROP INDEX ${indexName(change.table, change.columns)};`;
+        case 'dropTable':
+            return `DROP TABLE ${change.table};`;
+        default:
+            throw new Error(`Unknown schema change "${change.type}".`);
+    }
+};
+
+// --- The whole schema as one Postgres script (database_schema.sql) ---
+export const fullSchemaSql = (tables) => [
+    '-- Generated from db/schema.js by `npm run db:generate`; do not edit by hand.',
+    ...tables.map(table => createTableSql(table, 'postgres')),
+    [
+        '-- Enable Row Level Security (RLS) for all tables',
+        '-- Only the API server reads and writes these tables, using the service key,',
+        "-- and it scopes every query to the signed-in user's user_id. With RLS on and",
+        "-- no policies, the public anon key can't read anything.",
+        ...tables.map(table => `ALTER TABLE ${table.name} ENABLE ROW LEVEL SECURITY;`),
+    ].join('\n'),
+].join('\n\n') + '\n';
@@ -0,0 +1,44 @@
+import { fileURLToPath } from 'node:url';
+
+// --- Storage Backend ---
+// STORAGE_BACKEND picks where data lives: 'supabase' (the default, using
+// SUPABASE_URL and SUPABASE_SERVICE_KEY) or 'sqlite' (a local file at
+// SQLITE_PATH, handy for offline development and tests).
+//
+// Both return the same repositories, one per entity. User data methods take
+// the owner's user id first and only ever touch that user's rows (the
+// exception, receipts.existingKeys, is for sweeping the receipt files):
+//   users             findByEmail, findById, create, updatePasswordHash, updateBaseCurrency
+//   sessions          create, isActive, remove, removeForUser
+//   resetTokens       create, findUserId, removeForUser
+//   costCenters       list, find, create, update, merge, remove
+//   accounts          list, find, upsert, ensure
+//   reconciliations   list, find, create, remove
+//   exchangeRates     list, upsertMany, remove
+//   mappings          list, find, create, update, remove
+//   transactions      list, page, totals, accounts, tags, find, findMany, existingHashes, insertMany, restore,
+//                     update, updateDetails, updateMany, bulkEdit, replaceSplits
+//   receipts          list, listForTransactions, existingKeys, find, create, remove
+//   transfers         link, confirm, unlink, rejected
+//   importBatches     list, find, findByChecksum, create, updateCounts, markRolledBack
+//   watchFolderRuns   list, create
+//   duplicateReviews  list, find, createMany, statusesByHash, resolve, removePendingForBatch
+//   rules             list, create, update, reorder, remove
+//   budgets           list, create, update, remove
+//   audit             append, listOperations, operation, entityHistory (append-only)
+
+const DEFAULT_SQLITE_PATH = fileURLToPath(new URL('../data/balanzia.db', import.meta.url));
+
+export const createRepositories = async (env = process.env) => {
+    const backend = env.STORAGE_BACKEND || 'supabase';
+    if (backend === 'sqlite') {
+        // Loaded on demand so Supabase deployments never need the native module
+        const { createSqliteRepositories } = await import('./sqlite.js');
+        return createSqliteRepositories(env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+    }
+    if (backend === 'supabase') {
+        const { createSupabaseRepositories } = await import('./supabase.js');
+        return createSupabaseRepositories(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+    }
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}"; use supabase or sqlite.`);
+};
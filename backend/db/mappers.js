@@ -0,0 +1,203 @@
+// --- Row ↔ Domain Object Conversion ---
+// Both storage backends return the same objects to the routes. Tables use
+// the column names in db/schema.js; the API keeps the names the client has
+// always used (date, costCenter, hash, fileType, dateCreated).
+
+const parseJson = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+export const userFromRow = (row) => row && {
+    id: row.id,
+    email: row.email,
+    passwordHash: row.password_hash,
+    baseCurrency: row.base_currency,
+};
+
+// `row.parent` is the name of the cost center behind parent_id, joined in
+// by the backend
+export const costCenterFromRow = (row) => row && {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id ?? null,
+    parent: row.parent ?? null,
+    archived: Boolean(row.is_archived),
+};
+
+export const accountFromRow = (row) => row && {
+    id: row.id,
+    name: row.name,
+    institution: row.institution ?? null,
+    type: row.type,
+    currency: row.currency,
+    openingBalance: Number(row.opening_balance),
+};
+
+export const reconciliationFromRow = (row) => row && {
+    id: row.id,
+    accountId: row.account_id,
+    statementDate: row.statement_date,
+    statementBalance: Number(row.statement_balance),
+    clearedBalance: Number(row.cleared_balance),
+    dateCreated: row.created_at,
+};
+
+export const exchangeRateFromRow = (row) => row && {
+    id: row.id,
+    date: row.rate_date,
+    from: row.from_currency,
+    to: row.to_currency,
+    rate: Number(row.rate),
+};
+
+export const mappingFromRow = (row) => row && {
+    id: row.id,
+    name: row.name,
+    fileType: row.file_type,
+    config: parseJson(row.config, {}),
+    dateCreated: row.created_at,
+};
+
+export const splitFromRow = (row) => ({
+    id: row.id,
+    costCenter: row.cost_center,
+    amount: Number(row.amount),
+    percentage: toNumber(row.percentage),
+});
+
+// `row.cost_center` is the name of the cost center behind cost_center_id,
+// joined in by the backend
+export const transactionFromRow = (row, splits = []) => row && {
+    id: row.id,
+    date: row.transaction_date,
+    merchant: row.merchant,
+    amount: Number(row.amount),
+    currency: row.currency,
+    account: row.account,
+    costCenter: row.cost_center || null,
+    status: row.status,
+    hash: row.transaction_hash,
+    importBatchId: row.import_batch_id ?? null,
+    // The other side of an internal transfer and whether the user confirmed it
+    transfer: row.transfer_id ? { transactionId: row.transfer_id, status: row.transfer_status } : null,
+    // Set once the transaction is reconciled with a statement, which locks it
+    reconciliationId: row.reconciliation_id ?? null,
+    notes: row.notes ?? null,
+    tags: parseJson(row.tags, []),
+    receiptCount: row.receipt_count ?? 0,
+    splits: splits.map(splitFromRow),
+};
+
+// A row of the transactions.totals aggregate: sums for one period and group
+// in one currency (and, outside the base currency, on one date)
+export const transactionTotalsFromRow = (row) => ({
+    period: row.period ?? null,
+    group: row.group_key ?? null,
+    currency: row.currency,
+    date: row.rate_date ?? null,
+    income: Number(row.income),
+    expenses: Number(row.expenses),
+    count: Number(row.transaction_count),
+});
+
+export const receiptFromRow = (row) => row && {
+    id: row.id,
+    transactionId: row.transaction_id,
+    fileName: row.file_name,
+    contentType: row.content_type,
+    fileSize: row.file_size,
+    storageKey: row.storage_key,
+    dateCreated: row.created_at,
+};
+
+export const ruleFromRow = (row) => row && {
+    id: row.id,
+    name: row.name,
+    position: row.position,
+    conditions: parseJson(row.conditions, {}),
+    cost_center: row.cost_center,
+    is_active: Boolean(row.is_active),
+};
+
+export const budgetFromRow = (row) => row && {
+    id: row.id,
+    cost_center: row.cost_center,
+    amount: Number(row.amount),
+    recurrence: row.recurrence,
+    start_month: row.start_month,
+    end_month: row.end_month,
+};
+
+// `row.transaction_count` is how many of the batch's transactions still exist,
+// counted by the backend
+export const importBatchFromRow = (row) => row && {
+    id: row.id,
+    fileName: row.file_name,
+    fileSize: row.file_size,
+    checksum: row.checksum,
+    mappingId: row.mapping_id,
+    mappingName: row.mapping_name,
+    fileType: row.file_type,
+    newCount: row.new_count,
+    reviewCount: row.review_count,
+    duplicateCount: row.duplicate_count,
+    invalidCount: row.invalid_count,
+    importedCount: row.imported_count,
+    transactionCount: Number(row.transaction_count ?? 0),
+    rolledBackAt: row.rolled_back_at,
+    createdAt: row.created_at,
+};
+
+export const watchFolderRunFromRow = (row) => row && {
+    id: row.id,
+    triggeredBy: row.triggered_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    files: parseJson(row.files, []),
+};
+
+export const duplicateReviewFromRow = (row) => row && {
+    id: row.id,
+    importBatchId: row.import_batch_id,
+    transactionId: row.transaction_id,
+    incoming: parseJson(row.incoming, {}),
+    hash: row.transaction_hash,
+    similarity: Number(row.similarity),
+    status: row.status,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at,
+};
+
+export const auditOperationFromRow = (row) => row && {
+    id: row.id,
+    actorId: row.actor_id,
+    source: row.source,
+    reverts: row.reverts,
+    entryCount: row.entry_count,
+    createdAt: row.created_at,
+};
+
+// Transaction states logged before split lines were camelCase name a line's
+// cost center `cost_center`; they are read like the newer ones
+const auditStateFromJson = (value) => {
+    const state = parseJson(value, null);
+    if (!state || !Array.isArray(state.splits)) return state;
+    return {
+        ...state,
+        splits: state.splits.map(({ cost_center: legacyCostCenter, ...split }) => (
+            legacyCostCenter === undefined ? split : { costCenter: legacyCostCenter, ...split }
+        )),
+    };
+};
+
+export const auditEntryFromRow = (row) => row && {
+    id: row.id,
+    operationId: row.operation_id,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: auditStateFromJson(row.before_state),
+    after: auditStateFromJson(row.after_state),
+};
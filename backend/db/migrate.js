@@ -0,0 +1,40 @@
+import { readdirSync, readFileSync } from 'node:fs';
+
+// --- Versioned Migrations ---
+// Migrations live in db/migrations/<dialect>/NNNN_name.sql and are generated
+// by `npm run db:generate`, or written by hand for what db/schema.js can't
+// describe (a dialect then only gets the files it needs). SQLite databases are
+// migrated on startup; the Postgres files are applied to Supabase in the same
+// order (SQL editor or psql). A Supabase project created before migrations
+// existed goes through db/cutover/ around them (see the notes in those files).
+
+export const MIGRATIONS_DIRECTORY = new URL('./migrations/', import.meta.url);
+
+export const listMigrations = (dialect) => {
+    const directory = new URL(`${dialect}/`, MIGRATIONS_DIRECTORY);
+    return readdirSync(directory)
+        .filter(file => /^\d{4}_[a-z0-9_]+\.sql$/.test(file))
+        .sort()
+        .map(file => ({ version: file.slice(0, 4), file, sql: readFileSync(new URL(file, directory), 'utf8') }));
+};
+
+// --- Apply every SQLite migration not yet recorded in schema_migrations ---
+export const migrateSqlite = (db) => {
+    db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`);
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    const pending = listMigrations('sqlite').filter(migration => !applied.has(migration.version));
+    pending.forEach(migration => {
+        db.transaction(() => {
+            db.exec(migration.sql);
+            record.run(migration.version, migration.file, new Date().toISOString());
+        })();
+        console.log(`Applied migration ${migration.file}`);
+    });
+    return pending.length;
+};
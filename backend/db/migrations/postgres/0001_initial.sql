@@ -0,0 +1,115 @@
+-- Create table for Users
+-- Accounts are managed by the API server (see lib/auth.js); password_hash is
+-- a salted scrypt hash.
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Sessions
+-- A session token is only accepted while its row exists and has not expired.
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Password Reset Tokens (only their SHA-256 is stored)
+CREATE TABLE password_reset_tokens (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Cost Centers
+CREATE TABLE cost_centers (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+ALTER TABLE cost_centers ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Mapping Templates
+CREATE TABLE mapping_templates (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  file_type TEXT,
+  -- Column mapping, date format, delimiter, encoding etc. (see lib/mapping.js)
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE mapping_templates ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Transactions
+CREATE TABLE transactions (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_date DATE NOT NULL,
+  merchant TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  cost_center_id BIGINT REFERENCES cost_centers(id) ON DELETE SET NULL,
+  account TEXT,
+  status TEXT NOT NULL DEFAULT 'Review Required',
+  -- For preventing duplicates
+  transaction_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, transaction_hash)
+);
+CREATE INDEX transactions_user_id_transaction_date_idx ON transactions (user_id, transaction_date);
+ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Split Allocations
+-- Lines of a split transaction; their amounts always add up to the
+-- transaction amount. percentage is kept when the line was entered as one.
+CREATE TABLE transaction_splits (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  cost_center TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  percentage NUMERIC(5, 2),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX transaction_splits_transaction_id_idx ON transaction_splits (transaction_id);
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Budgets
+-- recurrence is 'none' (only start_month), 'monthly' or 'annual'; months are
+-- stored as their first day. See lib/budgets.js.
+CREATE TABLE budgets (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  cost_center TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  recurrence TEXT NOT NULL DEFAULT 'monthly' CHECK (recurrence IN ('none', 'monthly', 'annual')),
+  start_month DATE NOT NULL,
+  end_month DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Categorization Rules
+-- Rules run in position order; the first whose conditions all match assigns
+-- its cost center (see lib/rules.js for the conditions format).
+CREATE TABLE categorization_rules (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  cost_center TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
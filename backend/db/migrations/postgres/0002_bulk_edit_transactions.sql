@@ -0,0 +1,37 @@
+-- Written by hand: functions are not described in db/schema.js.
+-- Bulk edits from POST /api/transactions/bulk (see lib/bulkEdit.js). The
+-- Supabase backend calls this through rpc() because PostgREST can't group
+-- several statements into one transaction; SQLite does the same in code.
+CREATE OR REPLACE FUNCTION bulk_edit_transactions(
+  p_user_id UUID,
+  p_ids BIGINT[],
+  p_action TEXT,
+  p_cost_center_id BIGINT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL
+) RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  affected INTEGER;
+BEGIN
+  IF p_action = 'delete' THEN
+    DELETE FROM transactions WHERE user_id = p_user_id AND id = ANY(p_ids);
+  ELSIF p_action = 'setStatus' THEN
+    UPDATE transactions SET status = p_status WHERE user_id = p_user_id AND id = ANY(p_ids);
+  ELSIF p_action = 'setCostCenter' THEN
+    -- A single cost center supersedes any split lines
+    DELETE FROM transaction_splits WHERE user_id = p_user_id AND transaction_id = ANY(p_ids);
+    UPDATE transactions
+    SET cost_center_id = p_cost_center_id,
+        status = CASE WHEN p_cost_center_id IS NULL THEN 'Review Required' ELSE 'Processed' END
+    WHERE user_id = p_user_id AND id = ANY(p_ids);
+  ELSE
+    RAISE EXCEPTION 'Unknown bulk action "%"', p_action;
+  END IF;
+  GET DIAGNOSTICS affected = ROW_COUNT;
+  RETURN affected;
+END;
+$$;
+
+-- Only the API server (service key) may call it
+REVOKE ALL ON FUNCTION bulk_edit_transactions(UUID, BIGINT[], TEXT, BIGINT, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,23 @@
+ALTER TABLE import_batches ADD COLUMN review_count INTEGER NOT NULL DEFAULT 0;
+
+-- Create table for Duplicate Review Queue
+-- Imported rows that look like an existing transaction (see lib/duplicates.js),
+-- held until they are merged into it, kept as a transaction of their own or
+-- discarded. incoming is the row as it would have been imported.
+CREATE TABLE duplicate_reviews (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  import_batch_id BIGINT REFERENCES import_batches(id) ON DELETE CASCADE,
+  -- The transaction it looks like
+  transaction_id BIGINT REFERENCES transactions(id) ON DELETE SET NULL,
+  incoming JSONB NOT NULL,
+  -- The incoming row's hash
+  transaction_hash TEXT NOT NULL,
+  similarity NUMERIC(4, 3) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'kept', 'discarded')),
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX duplicate_reviews_user_id_status_idx ON duplicate_reviews (user_id, status);
+CREATE INDEX duplicate_reviews_user_id_transaction_hash_idx ON duplicate_reviews (user_id, transaction_hash);
+ALTER TABLE duplicate_reviews ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,30 @@
+ALTER TABLE users ADD COLUMN base_currency TEXT NOT NULL DEFAULT 'USD';
+
+-- Create table for Accounts
+-- Transactions refer to their account by name; a row here holds what is known
+-- about it. Imported rows without a currency of their own get the account's.
+CREATE TABLE accounts (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
+
+-- Create table for Exchange Rates
+-- 1 from_currency = rate to_currency on rate_date (see lib/currency.js).
+CREATE TABLE exchange_rates (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  rate_date DATE NOT NULL,
+  from_currency TEXT NOT NULL,
+  to_currency TEXT NOT NULL,
+  rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, from_currency, to_currency, rate_date)
+);
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE transactions ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
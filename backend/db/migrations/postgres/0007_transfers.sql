@@ -0,0 +1,17 @@
+ALTER TABLE transactions ADD COLUMN transfer_id BIGINT REFERENCES transactions(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions ADD COLUMN transfer_status TEXT CHECK (transfer_status IN ('suggested', 'confirmed'));
+
+-- Create table for Rejected Transfer Pairs
+-- Pairs of transactions the user unlinked, so transfer detection leaves them
+-- apart from then on.
+CREATE TABLE transfer_rejections (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  out_transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  in_transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(out_transaction_id, in_transaction_id)
+);
+CREATE INDEX transfer_rejections_user_id_idx ON transfer_rejections (user_id);
+ALTER TABLE transfer_rejections ENABLE ROW LEVEL SECURITY;
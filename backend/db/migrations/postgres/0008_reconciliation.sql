@@ -0,0 +1,24 @@
+ALTER TABLE accounts ADD COLUMN institution TEXT;
+
+ALTER TABLE accounts ADD COLUMN type TEXT NOT NULL DEFAULT 'checking' CHECK (type IN ('checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other'));
+
+ALTER TABLE accounts ADD COLUMN opening_balance NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+-- Create table for Statement Reconciliations
+-- A statement checked against the account: its closing balance and date, and
+-- the balance of the transactions marked as reconciled with it. Reconciled
+-- transactions are locked from edits until the reconciliation is undone.
+CREATE TABLE reconciliations (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  account_id BIGINT REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+  statement_date DATE NOT NULL,
+  statement_balance NUMERIC(12, 2) NOT NULL,
+  -- Opening balance plus every reconciled transaction
+  cleared_balance NUMERIC(12, 2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX reconciliations_account_id_idx ON reconciliations (account_id);
+ALTER TABLE reconciliations ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE transactions ADD COLUMN reconciliation_id BIGINT REFERENCES reconciliations(id) ON DELETE SET NULL;
@@ -0,0 +1,21 @@
+ALTER TABLE transactions ADD COLUMN notes TEXT;
+
+ALTER TABLE transactions ADD COLUMN tags JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE transactions ADD COLUMN receipt_count INTEGER NOT NULL DEFAULT 0;
+
+-- Create table for Receipt Attachments
+-- Images and PDFs attached to a transaction. The file itself is on local
+-- disk (RECEIPTS_PATH) under storage_key.
+CREATE TABLE receipts (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id BIGINT REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  file_size INTEGER NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX receipts_transaction_id_idx ON receipts (transaction_id);
+ALTER TABLE receipts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,95 @@
+-- Written by hand: functions are not described in db/schema.js.
+-- Renaming and merging cost centers from the /api/cost-centers routes (see
+-- lib/costCenters.js). Split lines, budgets and rules refer to cost centers
+-- by name, so both change several tables; the Supabase backend calls these
+-- through rpc() to do that in one transaction. SQLite does the same in code.
+
+-- Rename, move and archive or restore a cost center
+CREATE OR REPLACE FUNCTION update_cost_center(
+  p_user_id UUID,
+  p_id BIGINT,
+  p_name TEXT,
+  p_parent_id BIGINT,
+  p_archived BOOLEAN
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  old_name TEXT;
+BEGIN
+  SELECT name INTO old_name FROM cost_centers WHERE user_id = p_user_id AND id = p_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Cost center % not found', p_id;
+  END IF;
+  UPDATE cost_centers
+  SET name = p_name, parent_id = p_parent_id, is_archived = p_archived
+  WHERE user_id = p_user_id AND id = p_id;
+  IF p_name <> old_name THEN
+    UPDATE transaction_splits SET cost_center = p_name WHERE user_id = p_user_id AND cost_center = old_name;
+    UPDATE budgets SET cost_center = p_name WHERE user_id = p_user_id AND cost_center = old_name;
+    UPDATE categorization_rules SET cost_center = p_name WHERE user_id = p_user_id AND cost_center = old_name;
+  END IF;
+END;
+$$;
+
+-- Move everything from one cost center to another and remove the first
+CREATE OR REPLACE FUNCTION merge_cost_centers(
+  p_user_id UUID,
+  p_source_id BIGINT,
+  p_target_id BIGINT
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  source_name TEXT;
+  target_name TEXT;
+BEGIN
+  SELECT name INTO source_name FROM cost_centers WHERE user_id = p_user_id AND id = p_source_id;
+  SELECT name INTO target_name FROM cost_centers WHERE user_id = p_user_id AND id = p_target_id;
+  IF source_name IS NULL OR target_name IS NULL THEN
+    RAISE EXCEPTION 'Cost center not found';
+  END IF;
+
+  UPDATE transactions SET cost_center_id = p_target_id WHERE user_id = p_user_id AND cost_center_id = p_source_id;
+
+  -- A transaction split between both keeps one line with the two amounts
+  UPDATE transaction_splits target_line
+  SET amount = target_line.amount + source_line.amount,
+      percentage = target_line.percentage + source_line.percentage
+  FROM transaction_splits source_line
+  WHERE target_line.user_id = p_user_id
+    AND source_line.user_id = p_user_id
+    AND source_line.transaction_id = target_line.transaction_id
+    AND target_line.cost_center = target_name
+    AND source_line.cost_center = source_name;
+  DELETE FROM transaction_splits source_line
+  WHERE source_line.user_id = p_user_id
+    AND source_line.cost_center = source_name
+    AND EXISTS (
+      SELECT 1 FROM transaction_splits target_line
+      WHERE target_line.transaction_id = source_line.transaction_id AND target_line.cost_center = target_name
+    );
+  UPDATE transaction_splits SET cost_center = target_name WHERE user_id = p_user_id AND cost_center = source_name;
+
+  -- A split left with a single line is assigned to the cost center outright
+  UPDATE transactions SET cost_center_id = p_target_id
+  WHERE user_id = p_user_id AND id IN (
+    SELECT transaction_id FROM transaction_splits WHERE user_id = p_user_id
+    GROUP BY transaction_id HAVING COUNT(*) = 1 AND MAX(cost_center) = target_name
+  );
+  DELETE FROM transaction_splits
+  WHERE user_id = p_user_id AND transaction_id IN (
+    SELECT transaction_id FROM transaction_splits WHERE user_id = p_user_id
+    GROUP BY transaction_id HAVING COUNT(*) = 1 AND MAX(cost_center) = target_name
+  );
+
+  UPDATE budgets SET cost_center = target_name WHERE user_id = p_user_id AND cost_center = source_name;
+  UPDATE categorization_rules SET cost_center = target_name WHERE user_id = p_user_id AND cost_center = source_name;
+  UPDATE cost_centers SET parent_id = p_target_id WHERE user_id = p_user_id AND parent_id = p_source_id;
+  DELETE FROM cost_centers WHERE user_id = p_user_id AND id = p_source_id;
+END;
+$$;
+
+-- Only the API server (service key) may call them
+REVOKE ALL ON FUNCTION update_cost_center(UUID, BIGINT, TEXT, BIGINT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION merge_cost_centers(UUID, BIGINT, BIGINT) FROM PUBLIC, anon, authenticated;
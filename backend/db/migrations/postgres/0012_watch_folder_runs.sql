@@ -0,0 +1,14 @@
+-- Create table for Watched Folder Runs
+-- One row per run of the watched-folder import (see lib/watchedFolder.js) that
+-- found files, and per run started by hand. files lists what happened to each.
+CREATE TABLE watch_folder_runs (
+  id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  triggered_by TEXT NOT NULL CHECK (triggered_by IN ('schedule', 'user')),
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL,
+  -- Per file: its outcome, template, import batch and counts
+  files JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+CREATE INDEX watch_folder_runs_user_id_started_at_idx ON watch_folder_runs (user_id, started_at);
+ALTER TABLE watch_folder_runs ENABLE ROW LEVEL SECURITY;
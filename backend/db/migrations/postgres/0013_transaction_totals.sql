@@ -0,0 +1,92 @@
+-- Written by hand: functions are not described in db/schema.js.
+-- Sums of the transactions matching the list filters, for the totals of
+-- GET /api/transactions, the reports and budget variance, so those don't load
+-- every transaction (see transactions.totals in db/sqlite.js, which runs the
+-- same query). p_filters holds the list filters, with the cost center filter
+-- already widened to the names in costCenters. Amounts are allocated per
+-- split line; a costCenter group includes the cost centers under it, and with
+-- p_scope only amounts allocated to those cost centers count. Rows in another
+-- currency than p_base_currency are split by date for converting.
+CREATE OR REPLACE FUNCTION transaction_totals(
+  p_user_id UUID,
+  p_filters JSONB,
+  p_scope TEXT[] DEFAULT NULL,
+  p_period TEXT DEFAULT NULL,
+  p_group_by TEXT DEFAULT NULL,
+  p_base_currency TEXT DEFAULT 'USD'
+) RETURNS TABLE (
+  period TEXT,
+  group_key TEXT,
+  currency TEXT,
+  rate_date DATE,
+  income NUMERIC,
+  expenses NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH RECURSIVE matching AS (
+    SELECT t.id, t.transaction_date, t.currency, t.account, t.merchant, t.amount, cc.name AS cost_center
+    FROM transactions t LEFT JOIN cost_centers cc ON cc.id = t.cost_center_id
+    WHERE t.user_id = p_user_id
+      AND (p_filters->>'status' IS NULL OR t.status = p_filters->>'status')
+      AND (p_filters->>'startDate' IS NULL OR t.transaction_date >= (p_filters->>'startDate')::DATE)
+      AND (p_filters->>'endDate' IS NULL OR t.transaction_date <= (p_filters->>'endDate')::DATE)
+      AND (NOT COALESCE((p_filters->>'categorized')::BOOLEAN, FALSE) OR t.cost_center_id IS NOT NULL)
+      AND (p_filters->>'merchant' IS NULL
+        OR t.merchant ILIKE '%' || replace(replace(replace(p_filters->>'merchant', '\', '\\'), '%', '\%'), '_', '\_') || '%')
+      AND (p_filters->>'account' IS NULL OR t.account = p_filters->>'account')
+      AND (p_filters->'costCenters' IS NULL
+        OR cc.name IN (SELECT jsonb_array_elements_text(p_filters->'costCenters'))
+        OR EXISTS (
+          SELECT 1 FROM transaction_splits s
+          WHERE s.transaction_id = t.id AND s.cost_center IN (SELECT jsonb_array_elements_text(p_filters->'costCenters'))))
+      AND (p_filters->>'minAmount' IS NULL OR t.amount >= (p_filters->>'minAmount')::NUMERIC)
+      AND (p_filters->>'maxAmount' IS NULL OR t.amount <= (p_filters->>'maxAmount')::NUMERIC)
+      AND (p_filters->>'importBatchId' IS NULL OR t.import_batch_id = (p_filters->>'importBatchId')::BIGINT)
+      AND (p_filters->>'transfer' IS NULL OR (t.transfer_id IS NOT NULL) = (p_filters->>'transfer')::BOOLEAN)
+      AND (p_filters->>'tag' IS NULL OR t.tags @> jsonb_build_array(p_filters->>'tag'))
+      AND (p_filters->>'receipt' IS NULL OR (t.receipt_count > 0) = (p_filters->>'receipt' = 'with'))
+  ),
+  allocations AS (
+    -- One row per split line, or the whole amount against its single cost center
+    SELECT m.id, m.transaction_date, m.currency, m.account, m.merchant,
+      COALESCE(s.cost_center, m.cost_center) AS cost_center, COALESCE(s.amount, m.amount) AS amount
+    FROM matching m LEFT JOIN transaction_splits s ON s.transaction_id = m.id
+  ),
+  above(name, ancestor, parent_id) AS (
+    SELECT name, name, parent_id FROM cost_centers WHERE user_id = p_user_id
+    UNION
+    SELECT above.name, p.name, p.parent_id FROM above JOIN cost_centers p ON p.id = above.parent_id
+  ),
+  grouped AS (
+    SELECT a.*, CASE WHEN p_group_by = 'costCenter' THEN ARRAY(
+      SELECT above.ancestor FROM above WHERE above.name = a.cost_center
+    ) END AS ancestors
+    FROM allocations a
+    WHERE p_scope IS NULL OR a.cost_center = ANY(p_scope)
+  )
+  SELECT
+    CASE p_period
+      WHEN 'month' THEN to_char(g.transaction_date, 'YYYY-MM')
+      WHEN 'quarter' THEN to_char(g.transaction_date, 'YYYY-"Q"Q')
+      WHEN 'year' THEN to_char(g.transaction_date, 'YYYY')
+    END AS period,
+    CASE p_group_by
+      WHEN 'costCenter' THEN key.ancestor
+      WHEN 'account' THEN g.account
+      WHEN 'merchant' THEN g.merchant
+    END AS group_key,
+    g.currency,
+    CASE WHEN g.currency = p_base_currency THEN NULL ELSE g.transaction_date END AS rate_date,
+    SUM(CASE WHEN g.amount > 0 THEN g.amount ELSE 0 END) AS income,
+    SUM(CASE WHEN g.amount < 0 THEN g.amount ELSE 0 END) AS expenses,
+    COUNT(DISTINCT g.id) AS transaction_count
+  FROM grouped g
+    -- A cost center group row for the allocation's cost center and each one
+    -- above it (the cost center's own name when it no longer exists)
+    LEFT JOIN LATERAL unnest(
+      CASE WHEN cardinality(g.ancestors) > 0 THEN g.ancestors ELSE ARRAY[g.cost_center] END
+    ) AS key(ancestor) ON TRUE
+  GROUP BY 1, 2, 3, 4
+$$;
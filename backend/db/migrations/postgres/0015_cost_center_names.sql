@@ -0,0 +1,18 @@
+-- Written by hand: functions are not described in db/schema.js.
+-- The cost center filter matches a split transaction when any of its lines
+-- goes to one of the cost centers. PostgREST treats a function of a
+-- transactions row as a computed column, so the Supabase client filters on
+-- cost_center_names rather than looking up the split transactions and
+-- sending their ids.
+
+-- The cost centers a transaction goes to: its own and those its split lines name
+CREATE OR REPLACE FUNCTION cost_center_names(t transactions)
+RETURNS TEXT[]
+LANGUAGE sql STABLE
+AS $$
+  SELECT ARRAY(
+    SELECT cc.name FROM cost_centers cc WHERE cc.id = t.cost_center_id
+    UNION
+    SELECT s.cost_center FROM transaction_splits s WHERE s.transaction_id = t.id
+  )
+$$;
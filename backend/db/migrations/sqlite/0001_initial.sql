@@ -0,0 +1,106 @@
+-- Create table for Users
+-- Accounts are managed by the API server (see lib/auth.js); password_hash is
+-- a salted scrypt hash.
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Create table for Sessions
+-- A session token is only accepted while its row exists and has not expired.
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Create table for Password Reset Tokens (only their SHA-256 is stored)
+CREATE TABLE password_reset_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Create table for Cost Centers
+CREATE TABLE cost_centers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(user_id, name)
+);
+
+-- Create table for Mapping Templates
+CREATE TABLE mapping_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  file_type TEXT,
+  -- Column mapping, date format, delimiter, encoding etc. (see lib/mapping.js)
+  config TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Create table for Transactions
+CREATE TABLE transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_date TEXT NOT NULL,
+  merchant TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  cost_center_id INTEGER REFERENCES cost_centers(id) ON DELETE SET NULL,
+  account TEXT,
+  status TEXT NOT NULL DEFAULT 'Review Required',
+  -- For preventing duplicates
+  transaction_hash TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(user_id, transaction_hash)
+);
+CREATE INDEX transactions_user_id_transaction_date_idx ON transactions (user_id, transaction_date);
+
+-- Create table for Split Allocations
+-- Lines of a split transaction; their amounts always add up to the
+-- transaction amount. percentage is kept when the line was entered as one.
+CREATE TABLE transaction_splits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  cost_center TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  percentage NUMERIC,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX transaction_splits_transaction_id_idx ON transaction_splits (transaction_id);
+
+-- Create table for Budgets
+-- recurrence is 'none' (only start_month), 'monthly' or 'annual'; months are
+-- stored as their first day. See lib/budgets.js.
+CREATE TABLE budgets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  cost_center TEXT NOT NULL,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  recurrence TEXT NOT NULL DEFAULT 'monthly' CHECK (recurrence IN ('none', 'monthly', 'annual')),
+  start_month TEXT NOT NULL,
+  end_month TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Create table for Categorization Rules
+-- Rules run in position order; the first whose conditions all match assigns
+-- its cost center (see lib/rules.js for the conditions format).
+CREATE TABLE categorization_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  conditions TEXT NOT NULL DEFAULT '{}',
+  cost_center TEXT NOT NULL,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,30 @@
+-- Create table for Audit Log Operations
+-- One row per change made through the API (a single edit, a bulk edit, an
+-- import, an undo). Append-only: the repositories never update or delete
+-- audit rows. See lib/audit.js.
+CREATE TABLE audit_operations (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  actor_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+  -- What was done, e.g. 'Bulk edit: setCostCenter'
+  source TEXT NOT NULL,
+  -- The operation an undo reverted
+  reverts TEXT REFERENCES audit_operations(id),
+  entry_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX audit_operations_user_id_created_at_idx ON audit_operations (user_id, created_at);
+
+-- Create table for Audit Log Entries
+-- The state of one entity before and after an operation; null when it did not exist.
+CREATE TABLE audit_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  operation_id TEXT REFERENCES audit_operations(id) ON DELETE CASCADE NOT NULL,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('transaction', 'cost_center', 'mapping')),
+  entity_id TEXT NOT NULL,
+  before_state TEXT,
+  after_state TEXT
+);
+CREATE INDEX audit_entries_operation_id_idx ON audit_entries (operation_id);
+CREATE INDEX audit_entries_user_id_entity_type_entity_id_idx ON audit_entries (user_id, entity_type, entity_id);
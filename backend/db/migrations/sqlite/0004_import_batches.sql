@@ -0,0 +1,26 @@
+-- Create table for Import Batches
+-- One row per confirmed upload. The counts are from the file as read; a
+-- rollback deletes the batch's transactions and sets rolled_back_at.
+CREATE TABLE import_batches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  file_size INTEGER NOT NULL,
+  -- SHA-256 of the file, to warn about re-imports
+  checksum TEXT NOT NULL,
+  mapping_id INTEGER REFERENCES mapping_templates(id) ON DELETE SET NULL,
+  -- The template as it was named at import time
+  mapping_name TEXT,
+  file_type TEXT,
+  new_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  invalid_count INTEGER NOT NULL DEFAULT 0,
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  rolled_back_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX import_batches_user_id_checksum_idx ON import_batches (user_id, checksum);
+
+ALTER TABLE transactions ADD COLUMN import_batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX transactions_import_batch_id_idx ON transactions (import_batch_id);
@@ -0,0 +1,22 @@
+ALTER TABLE import_batches ADD COLUMN review_count INTEGER NOT NULL DEFAULT 0;
+
+-- Create table for Duplicate Review Queue
+-- Imported rows that look like an existing transaction (see lib/duplicates.js),
+-- held until they are merged into it, kept as a transaction of their own or
+-- discarded. incoming is the row as it would have been imported.
+CREATE TABLE duplicate_reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  import_batch_id INTEGER REFERENCES import_batches(id) ON DELETE CASCADE,
+  -- The transaction it looks like
+  transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+  incoming TEXT NOT NULL,
+  -- The incoming row's hash
+  transaction_hash TEXT NOT NULL,
+  similarity NUMERIC NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'kept', 'discarded')),
+  resolved_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX duplicate_reviews_user_id_status_idx ON duplicate_reviews (user_id, status);
+CREATE INDEX duplicate_reviews_user_id_transaction_hash_idx ON duplicate_reviews (user_id, transaction_hash);
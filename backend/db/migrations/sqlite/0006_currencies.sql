@@ -0,0 +1,28 @@
+ALTER TABLE users ADD COLUMN base_currency TEXT NOT NULL DEFAULT 'USD';
+
+-- Create table for Accounts
+-- Transactions refer to their account by name; a row here holds what is known
+-- about it. Imported rows without a currency of their own get the account's.
+CREATE TABLE accounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(user_id, name)
+);
+
+-- Create table for Exchange Rates
+-- 1 from_currency = rate to_currency on rate_date (see lib/currency.js).
+CREATE TABLE exchange_rates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  rate_date TEXT NOT NULL,
+  from_currency TEXT NOT NULL,
+  to_currency TEXT NOT NULL,
+  rate NUMERIC NOT NULL CHECK (rate > 0),
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(user_id, from_currency, to_currency, rate_date)
+);
+
+ALTER TABLE transactions ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
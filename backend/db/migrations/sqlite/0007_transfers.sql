@@ -0,0 +1,16 @@
+ALTER TABLE transactions ADD COLUMN transfer_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions ADD COLUMN transfer_status TEXT CHECK (transfer_status IN ('suggested', 'confirmed'));
+
+-- Create table for Rejected Transfer Pairs
+-- Pairs of transactions the user unlinked, so transfer detection leaves them
+-- apart from then on.
+CREATE TABLE transfer_rejections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  out_transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  in_transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(out_transaction_id, in_transaction_id)
+);
+CREATE INDEX transfer_rejections_user_id_idx ON transfer_rejections (user_id);
@@ -0,0 +1,23 @@
+ALTER TABLE accounts ADD COLUMN institution TEXT;
+
+ALTER TABLE accounts ADD COLUMN type TEXT NOT NULL DEFAULT 'checking' CHECK (type IN ('checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other'));
+
+ALTER TABLE accounts ADD COLUMN opening_balance NUMERIC NOT NULL DEFAULT 0;
+
+-- Create table for Statement Reconciliations
+-- A statement checked against the account: its closing balance and date, and
+-- the balance of the transactions marked as reconciled with it. Reconciled
+-- transactions are locked from edits until the reconciliation is undone.
+CREATE TABLE reconciliations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE NOT NULL,
+  statement_date TEXT NOT NULL,
+  statement_balance NUMERIC NOT NULL,
+  -- Opening balance plus every reconciled transaction
+  cleared_balance NUMERIC NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX reconciliations_account_id_idx ON reconciliations (account_id);
+
+ALTER TABLE transactions ADD COLUMN reconciliation_id INTEGER REFERENCES reconciliations(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+ALTER TABLE transactions ADD COLUMN notes TEXT;
+
+ALTER TABLE transactions ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+
+ALTER TABLE transactions ADD COLUMN receipt_count INTEGER NOT NULL DEFAULT 0;
+
+-- Create table for Receipt Attachments
+-- Images and PDFs attached to a transaction. The file itself is on local
+-- disk (RECEIPTS_PATH) under storage_key.
+CREATE TABLE receipts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  file_size INTEGER NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX receipts_transaction_id_idx ON receipts (transaction_id);
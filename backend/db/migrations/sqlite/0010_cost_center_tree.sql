@@ -0,0 +1,3 @@
+ALTER TABLE cost_centers ADD COLUMN parent_id INTEGER REFERENCES cost_centers(id) ON DELETE SET NULL;
+
+ALTER TABLE cost_centers ADD COLUMN is_archived INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- Create table for Watched Folder Runs
+-- One row per run of the watched-folder import (see lib/watchedFolder.js) that
+-- found files, and per run started by hand. files lists what happened to each.
+CREATE TABLE watch_folder_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  triggered_by TEXT NOT NULL CHECK (triggered_by IN ('schedule', 'user')),
+  started_at TEXT NOT NULL,
+  finished_at TEXT NOT NULL,
+  -- Per file: its outcome, template, import batch and counts
+  files TEXT NOT NULL DEFAULT '[]'
+);
+CREATE INDEX watch_folder_runs_user_id_started_at_idx ON watch_folder_runs (user_id, started_at);
@@ -0,0 +1,386 @@
+// --- Database Schema ---
+// The single definition of every table. `npm run db:generate -- <name>`
+// compares it with the schema of the last migration and writes the next
+// Postgres and SQLite migrations plus database_schema.sql (see db/ddl.js).
+//
+// Column types: id (auto-increment primary key), uuid, text, integer, bigint,
+// numeric, boolean, date, timestamp and json. Options: primaryKey, notNull,
+// unique, default, defaultNow, references ('table.column'), onDelete, check,
+// precision ([digits, scale] for numeric) and comment.
+
+const id = { name: 'id', type: 'id' };
+const userId = { name: 'user_id', type: 'uuid', references: 'users.id', onDelete: 'CASCADE', notNull: true };
+const createdAt = { name: 'created_at', type: 'timestamp', defaultNow: true };
+
+export const TABLES = [
+    {
+        name: 'users',
+        title: 'Users',
+        comment: [
+            'Accounts are managed by the API server (see lib/auth.js); password_hash is',
+            'a salted scrypt hash.',
+        ],
+        columns: [
+            { name: 'id', type: 'uuid', primaryKey: true },
+            { name: 'email', type: 'text', notNull: true, unique: true },
+            { name: 'password_hash', type: 'text', notNull: true },
+            { name: 'base_currency', type: 'text', notNull: true, default: 'USD', comment: 'Totals and reports are shown in it' },
+            createdAt,
+        ],
+    },
+    {
+        name: 'sessions',
+        title: 'Sessions',
+        comment: ['A session token is only accepted while its row exists and has not expired.'],
+        columns: [
+            { name: 'id', type: 'uuid', primaryKey: true },
+            userId,
+            { name: 'expires_at', type: 'timestamp', notNull: true },
+            createdAt,
+        ],
+    },
+    {
+        name: 'password_reset_tokens',
+        title: 'Password Reset Tokens (only their SHA-256 is stored)',
+        columns: [
+            id,
+            userId,
+            { name: 'token_hash', type: 'text', notNull: true, unique: true },
+            { name: 'expires_at', type: 'timestamp', notNull: true },
+            createdAt,
+        ],
+    },
+    {
+        name: 'cost_centers',
+        title: 'Cost Centers',
+        comment: [
+            'A tree: totals for a cost center include those under it. Archived cost',
+            'centers keep their transactions but are no longer offered for new ones.',
+            'See lib/costCenters.js.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'name', type: 'text', notNull: true },
+            { name: 'parent_id', type: 'bigint', references: 'cost_centers.id', onDelete: 'SET NULL' },
+            { name: 'is_archived', type: 'boolean', notNull: true, default: false },
+            createdAt,
+        ],
+        unique: [['user_id', 'name']],
+    },
+    {
+        name: 'mapping_templates',
+        title: 'Mapping Templates',
+        columns: [
+            id,
+            userId,
+            { name: 'name', type: 'text', notNull: true },
+            { name: 'file_type', type: 'text' },
+            {
+                name: 'config',
+                type: 'json',
+                notNull: true,
+                default: {},
+                comment: 'Column mapping, date format, delimiter, encoding etc. (see lib/mapping.js)',
+            },
+            createdAt,
+        ],
+    },
+    {
+        name: 'accounts',
+        title: 'Accounts',
+        comment: [
+            'Transactions refer to their account by name; a row here holds what is known',
+            'about it. Imported rows without a currency of their own get the account\'s.',
+            'Its balance is opening_balance plus all of its transactions.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'name', type: 'text', notNull: true },
+            { name: 'institution', type: 'text' },
+            {
+                name: 'type',
+                type: 'text',
+                notNull: true,
+                default: 'checking',
+                check: "type IN ('checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other')",
+            },
+            { name: 'currency', type: 'text', notNull: true, default: 'USD' },
+            { name: 'opening_balance', type: 'numeric', precision: [12, 2], notNull: true, default: 0 },
+            createdAt,
+        ],
+        unique: [['user_id', 'name']],
+    },
+    {
+        name: 'reconciliations',
+        title: 'Statement Reconciliations',
+        comment: [
+            'A statement checked against the account: its closing balance and date, and',
+            'the balance of the transactions marked as reconciled with it. Reconciled',
+            'transactions are locked from edits until the reconciliation is undone.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'account_id', type: 'bigint', references: 'accounts.id', onDelete: 'CASCADE', notNull: true },
+            { name: 'statement_date', type: 'date', notNull: true },
+            { name: 'statement_balance', type: 'numeric', precision: [12, 2], notNull: true },
+            { name: 'cleared_balance', type: 'numeric', precision: [12, 2], notNull: true, comment: 'Opening balance plus every reconciled transaction' },
+            createdAt,
+        ],
+        indexes: [['account_id']],
+    },
+    {
+        name: 'exchange_rates',
+        title: 'Exchange Rates',
+        comment: ['1 from_currency = rate to_currency on rate_date (see lib/currency.js).'],
+        columns: [
+            id,
+            userId,
+            { name: 'rate_date', type: 'date', notNull: true },
+            { name: 'from_currency', type: 'text', notNull: true },
+            { name: 'to_currency', type: 'text', notNull: true },
+            { name: 'rate', type: 'numeric', precision: [18, 8], notNull: true, check: 'rate > 0' },
+            createdAt,
+        ],
+        unique: [['user_id', 'from_currency', 'to_currency', 'rate_date']],
+    },
+    {
+        name: 'import_batches',
+        title: 'Import Batches',
+        comment: [
+            'One row per confirmed upload. The counts are from the file as read; a',
+            'rollback deletes the batch\'s transactions and sets rolled_back_at.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'file_name', type: 'text', notNull: true },
+            { name: 'file_size', type: 'integer', notNull: true },
+            { name: 'checksum', type: 'text', notNull: true, comment: 'SHA-256 of the file, to warn about re-imports' },
+            { name: 'mapping_id', type: 'bigint', references: 'mapping_templates.id', onDelete: 'SET NULL' },
+            { name: 'mapping_name', type: 'text', comment: 'The template as it was named at import time' },
+            { name: 'file_type', type: 'text' },
+            { name: 'new_count', type: 'integer', notNull: true, default: 0 },
+            { name: 'review_count', type: 'integer', notNull: true, default: 0, comment: 'Likely duplicates sent to the review queue' },
+            { name: 'duplicate_count', type: 'integer', notNull: true, default: 0 },
+            { name: 'invalid_count', type: 'integer', notNull: true, default: 0 },
+            { name: 'imported_count', type: 'integer', notNull: true, default: 0 },
+            { name: 'rolled_back_at', type: 'timestamp' },
+            createdAt,
+        ],
+        indexes: [['user_id', 'checksum']],
+    },
+    {
+        name: 'watch_folder_runs',
+        title: 'Watched Folder Runs',
+        comment: [
+            'One row per run of the watched-folder import (see lib/watchedFolder.js) that',
+            'found files, and per run started by hand. files lists what happened to each.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'triggered_by', type: 'text', notNull: true, check: "triggered_by IN ('schedule', 'user')" },
+            { name: 'started_at', type: 'timestamp', notNull: true },
+            { name: 'finished_at', type: 'timestamp', notNull: true },
+            { name: 'files', type: 'json', notNull: true, default: [], comment: 'Per file: its outcome, template, import batch and counts' },
+        ],
+        indexes: [['user_id', 'started_at']],
+    },
+    {
+        name: 'transactions',
+        title: 'Transactions',
+        columns: [
+            id,
+            userId,
+            { name: 'transaction_date', type: 'date', notNull: true },
+            { name: 'merchant', type: 'text', notNull: true },
+            { name: 'amount', type: 'numeric', precision: [12, 2], notNull: true },
+            { name: 'currency', type: 'text', notNull: true, default: 'USD', comment: 'amount is in this currency' },
+            { name: 'cost_center_id', type: 'bigint', references: 'cost_centers.id', onDelete: 'SET NULL' },
+            { name: 'account', type: 'text' },
+            { name: 'status', type: 'text', notNull: true, default: 'Review Required' },
+            { name: 'transaction_hash', type: 'text', notNull: true, comment: 'For preventing duplicates' },
+            { name: 'import_batch_id', type: 'bigint', references: 'import_batches.id', onDelete: 'SET NULL' },
+            { name: 'transfer_id', type: 'bigint', references: 'transactions.id', onDelete: 'SET NULL', comment: 'The other side of an internal transfer' },
+            {
+                name: 'transfer_status',
+                type: 'text',
+                check: "transfer_status IN ('suggested', 'confirmed')",
+                comment: 'Suggested by lib/transfers.js or confirmed by the user',
+            },
+            { name: 'reconciliation_id', type: 'bigint', references: 'reconciliations.id', onDelete: 'SET NULL', comment: 'Set once reconciled; locks the transaction' },
+            { name: 'notes', type: 'text' },
+            { name: 'tags', type: 'json', notNull: true, default: [], comment: 'Array of tag names' },
+            { name: 'receipt_count', type: 'integer', notNull: true, default: 0, comment: 'Kept up to date with receipts, for filtering' },
+            createdAt,
+        ],
+        unique: [['user_id', 'transaction_hash']],
+        indexes: [['user_id', 'transaction_date'], ['import_batch_id']],
+    },
+    {
+        name: 'transaction_splits',
+        title: 'Split Allocations',
+        comment: [
+            'Lines of a split transaction; their amounts always add up to the',
+            'transaction amount. percentage is kept when the line was entered as one.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'transaction_id', type: 'bigint', references: 'transactions.id', onDelete: 'CASCADE', notNull: true },
+            { name: 'cost_center', type: 'text', notNull: true },
+            { name: 'amount', type: 'numeric', precision: [12, 2], notNull: true },
+            { name: 'percentage', type: 'numeric', precision: [5, 2] },
+            createdAt,
+        ],
+        indexes: [['transaction_id']],
+    },
+    {
+        name: 'receipts',
+        title: 'Receipt Attachments',
+        comment: [
+            'Images and PDFs attached to a transaction. The file itself is on local',
+            'disk (RECEIPTS_PATH) under storage_key.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'transaction_id', type: 'bigint', references: 'transactions.id', onDelete: 'CASCADE', notNull: true },
+            { name: 'file_name', type: 'text', notNull: true },
+            { name: 'content_type', type: 'text', notNull: true },
+            { name: 'file_size', type: 'integer', notNull: true },
+            { name: 'storage_key', type: 'text', notNull: true, unique: true },
+            createdAt,
+        ],
+        indexes: [['transaction_id']],
+    },
+    {
+        name: 'transfer_rejections',
+        title: 'Rejected Transfer Pairs',
+        comment: [
+            'Pairs of transactions the user unlinked, so transfer detection leaves them',
+            'apart from then on.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'out_transaction_id', type: 'bigint', references: 'transactions.id', onDelete: 'CASCADE', notNull: true },
+            { name: 'in_transaction_id', type: 'bigint', references: 'transactions.id', onDelete: 'CASCADE', notNull: true },
+            createdAt,
+        ],
+        unique: [['out_transaction_id', 'in_transaction_id']],
+        indexes: [['user_id']],
+    },
+    {
+        name: 'duplicate_reviews',
+        title: 'Duplicate Review Queue',
+        comment: [
+            'Imported rows that look like an existing transaction (see lib/duplicates.js),',
+            "held until they are merged into it, kept as a transaction of their own or",
+            'discarded. incoming is the row as it would have been imported.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'import_batch_id', type: 'bigint', references: 'import_batches.id', onDelete: 'CASCADE' },
+            { name: 'transaction_id', type: 'bigint', references: 'transactions.id', onDelete: 'SET NULL', comment: 'The transaction it looks like' },
+            { name: 'incoming', type: 'json', notNull: true },
+            { name: 'transaction_hash', type: 'text', notNull: true, comment: "The incoming row's hash" },
+            { name: 'similarity', type: 'numeric', precision: [4, 3], notNull: true },
+            {
+                name: 'status',
+                type: 'text',
+                notNull: true,
+                default: 'pending',
+                check: "status IN ('pending', 'merged', 'kept', 'discarded')",
+            },
+            { name: 'resolved_at', type: 'timestamp' },
+            createdAt,
+        ],
+        indexes: [['user_id', 'status'], ['user_id', 'transaction_hash']],
+    },
+    {
+        name: 'budgets',
+        title: 'Budgets',
+        comment: [
+            "recurrence is 'none' (only start_month), 'monthly' or 'annual'; months are",
+            'stored as their first day. See lib/budgets.js.',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'cost_center', type: 'text', notNull: true },
+            { name: 'amount', type: 'numeric', precision: [12, 2], notNull: true, check: 'amount > 0' },
+            {
+                name: 'recurrence',
+                type: 'text',
+                notNull: true,
+                default: 'monthly',
+                check: "recurrence IN ('none', 'monthly', 'annual')",
+            },
+            { name: 'start_month', type: 'date', notNull: true },
+            { name: 'end_month', type: 'date' },
+            createdAt,
+        ],
+    },
+    {
+        name: 'categorization_rules',
+        title: 'Categorization Rules',
+        comment: [
+            'Rules run in position order; the first whose conditions all match assigns',
+            'its cost center (see lib/rules.js for the conditions format).',
+        ],
+        columns: [
+            id,
+            userId,
+            { name: 'name', type: 'text', notNull: true },
+            { name: 'position', type: 'integer', notNull: true, default: 0 },
+            { name: 'conditions', type: 'json', notNull: true, default: {} },
+            { name: 'cost_center', type: 'text', notNull: true },
+            { name: 'is_active', type: 'boolean', notNull: true, default: true },
+            createdAt,
+        ],
+    },
+    {
+        name: 'audit_operations',
+        title: 'Audit Log Operations',
+        comment: [
+            'One row per change made through the API (a single edit, a bulk edit, an',
+            'import, an undo). Append-only: the repositories never update or delete',
+            'audit rows. See lib/audit.js.',
+        ],
+        columns: [
+            { name: 'id', type: 'uuid', primaryKey: true },
+            userId,
+            { name: 'actor_id', type: 'uuid', references: 'users.id', onDelete: 'SET NULL' },
+            { name: 'source', type: 'text', notNull: true, comment: "What was done, e.g. 'Bulk edit: setCostCenter'" },
+            { name: 'reverts', type: 'uuid', references: 'audit_operations.id', comment: 'The operation an undo reverted' },
+            { name: 'entry_count', type: 'integer', notNull: true, default: 0 },
+            createdAt,
+        ],
+        indexes: [['user_id', 'created_at']],
+    },
+    {
+        name: 'audit_entries',
+        title: 'Audit Log Entries',
+        comment: ['The state of one entity before and after an operation; null when it did not exist.'],
+        columns: [
+            id,
+            { name: 'operation_id', type: 'uuid', references: 'audit_operations.id', onDelete: 'CASCADE', notNull: true },
+            userId,
+            {
+                name: 'entity_type',
+                type: 'text',
+                notNull: true,
+                check: "entity_type IN ('transaction', 'cost_center', 'mapping')",
+            },
+            { name: 'entity_id', type: 'text', notNull: true },
+            { name: 'before_state', type: 'json' },
+            { name: 'after_state', type: 'json' },
+        ],
+        indexes: [['operation_id'], ['user_id', 'entity_type', 'entity_id']],
+    },
+];
@@ -0,0 +1,687 @@
+import crypto from 'node:crypto';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import Database from 'better-sqlite3';
+import { migrateSqlite } from './migrate.js';
+import {
+    userFromRow, costCenterFromRow, accountFromRow, reconciliationFromRow, exchangeRateFromRow, mappingFromRow, transactionFromRow,
+    transactionTotalsFromRow, receiptFromRow, ruleFromRow, budgetFromRow, importBatchFromRow, watchFolderRunFromRow, duplicateReviewFromRow,
+    auditOperationFromRow, auditEntryFromRow,
+} from './mappers.js';
+
+// --- SQLite Storage ---
+// A local database file for development, tests and offline use. Pending
+// migrations are applied when it opens. better-sqlite3 is synchronous; the
+// methods are async only to share the interface of the Supabase backend.
+
+export const createSqliteRepositories = (file) => {
+    if (file !== ':memory:') mkdirSync(dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrateSqlite(db);
+
+    const now = () => new Date().toISOString();
+
+    // Ids of the named cost centers that exist. Nothing is created here: new
+    // cost centers only come from the cost center endpoints, which audit them.
+    const costCenterIds = (userId, names) => {
+        const select = db.prepare('SELECT id FROM cost_centers WHERE user_id = ? AND name = ?').pluck();
+        return Object.fromEntries([...new Set(names.filter(Boolean))]
+            .map(name => [name, select.get(userId, name)])
+            .filter(([, id]) => id !== undefined));
+    };
+
+    // Names of a cost center and of every cost center under it
+    const costCenterSubtree = (userId, name) => {
+        const names = db.prepare(`
+            WITH RECURSIVE subtree(id, name) AS (
+                SELECT id, name FROM cost_centers WHERE user_id = ? AND name = ?
+                UNION
+                SELECT c.id, c.name FROM cost_centers c JOIN subtree ON c.parent_id = subtree.id
+            )
+            SELECT name FROM subtree`).pluck().all(userId, name);
+        return names.length > 0 ? names : [name];
+    };
+
+    // Split lines of the given transactions, grouped by transaction id
+    const splitsFor = (transactionIds) => db.prepare(`
+        SELECT * FROM transaction_splits
+        WHERE transaction_id IN (SELECT value FROM json_each(?))
+        ORDER BY id`).all(JSON.stringify(transactionIds)).reduce((groups, split) => {
+        (groups[split.transaction_id] = groups[split.transaction_id] || []).push(split);
+        return groups;
+    }, {});
+
+    // Transactions matching a WHERE clause on `t` (and `cc`, its cost center),
+    // with cost center name and split lines
+    const selectTransactions = (where, params, orderBy = 't.transaction_date, t.id', limit = '') => {
+        const rows = db.prepare(`
+            SELECT t.*, cc.name AS cost_center
+            FROM transactions t LEFT JOIN cost_centers cc ON cc.id = t.cost_center_id
+            WHERE ${where}
+            ORDER BY ${orderBy} ${limit}`).all(params);
+        const splits = splitsFor(rows.map(row => row.id));
+        return rows.map(row => transactionFromRow(row, splits[row.id]));
+    };
+
+    // WHERE clause and named parameters for the transaction list filters
+    const transactionConditions = (userId, filters) => {
+        const conditions = ['t.user_id = @userId'];
+        const params = { userId };
+        const add = (condition, values = {}) => {
+            conditions.push(condition);
+            Object.assign(params, values);
+        };
+        if (filters.status) add('t.status = @status', { status: filters.status });
+        if (filters.startDate) add('t.transaction_date >= @startDate', { startDate: filters.startDate });
+        if (filters.endDate) add('t.transaction_date <= @endDate', { endDate: filters.endDate });
+        if (filters.categorized) add('t.cost_center_id IS NOT NULL');
+        if (filters.merchant) {
+            add("t.merchant LIKE @merchant ESCAPE '\\'", { merchant: `%${filters.merchant.replace(/[\\%_]/g, '\\$&')}%` });
+        }
+        if (filters.account) add('t.account = @account', { account: filters.account });
+        // A cost center covers those under it; a split transaction matches
+        // when any of its lines goes to one of them
+        if (filters.costCenter) {
+            add(`(cc.name IN (SELECT value FROM json_each(@costCenters)) OR EXISTS (
+                SELECT 1 FROM transaction_splits s
+                WHERE s.transaction_id = t.id AND s.cost_center IN (SELECT value FROM json_each(@costCenters))))`,
+            { costCenters: JSON.stringify(costCenterSubtree(userId, filters.costCenter)) });
+        }
+        if (filters.minAmount !== undefined) add('t.amount >= @minAmount', { minAmount: filters.minAmount });
+        if (filters.maxAmount !== undefined) add('t.amount <= @maxAmount', { maxAmount: filters.maxAmount });
+        if (filters.importBatchId) add('t.import_batch_id = @importBatchId', { importBatchId: filters.importBatchId });
+        if (filters.transfer === true) add('t.transfer_id IS NOT NULL');
+        if (filters.transfer === false) add('t.transfer_id IS NULL');
+        // Tags that differ only in case are the same tag (see lib/details.js)
+        if (filters.tag) add('EXISTS (SELECT 1 FROM json_each(t.tags) WHERE lower(value) = lower(@tag))', { tag: filters.tag });
+        if (filters.receipt) add(filters.receipt === 'with' ? 't.receipt_count > 0' : 't.receipt_count = 0');
+        return { where: conditions.join(' AND '), params };
+    };
+
+    // Period keys of lib/reports.js (periodKey) for the totals query
+    const PERIOD_EXPRESSIONS = {
+        month: 'substr(a.transaction_date, 1, 7)',
+        quarter: "substr(a.transaction_date, 1, 4) || '-Q' || ((CAST(substr(a.transaction_date, 6, 2) AS INTEGER) + 2) / 3)",
+        year: 'substr(a.transaction_date, 1, 4)',
+    };
+    const GROUP_EXPRESSIONS = { costCenter: 'above.ancestor', account: 'a.account', merchant: 'a.merchant' };
+
+    const SORT_COLUMNS = {
+        date: 't.transaction_date',
+        merchant: 't.merchant COLLATE NOCASE',
+        amount: 't.amount',
+        account: 't.account',
+        status: 't.status',
+    };
+
+    const users = {
+        findByEmail: async (email) => userFromRow(db.prepare('SELECT * FROM users WHERE email = ?').get(email)),
+        findById: async (id) => userFromRow(db.prepare('SELECT * FROM users WHERE id = ?').get(id)),
+        create: async ({ email, passwordHash }) => userFromRow(db
+            .prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?) RETURNING *')
+            .get(crypto.randomUUID(), email, passwordHash)),
+        updatePasswordHash: async (id, passwordHash) => {
+            db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, id);
+        },
+        updateBaseCurrency: async (id, baseCurrency) => userFromRow(db
+            .prepare('UPDATE users SET base_currency = ? WHERE id = ? RETURNING *')
+            .get(baseCurrency, id)),
+    };
+
+    const sessions = {
+        create: async (userId, expiresAt) => db
+            .prepare('INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?) RETURNING id')
+            .pluck()
+            .get(crypto.randomUUID(), userId, expiresAt),
+        isActive: async (id, userId) => Boolean(db
+            .prepare('SELECT 1 FROM sessions WHERE id = ? AND user_id = ? AND expires_at > ?')
+            .get(id, userId, now())),
+        remove: async (id) => {
+            db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+        },
+        removeForUser: async (userId) => {
+            db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+        },
+    };
+
+    const resetTokens = {
+        create: async (userId, tokenHash, expiresAt) => {
+            db.prepare('INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)').run(userId, tokenHash, expiresAt);
+        },
+        findUserId: async (tokenHash) => db
+            .prepare('SELECT user_id FROM password_reset_tokens WHERE token_hash = ? AND expires_at > ?')
+            .pluck()
+            .get(tokenHash, now()) || null,
+        removeForUser: async (userId) => {
+            db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ?').run(userId);
+        },
+    };
+
+    // Cost centers with the name of their parent
+    const selectCostCenters = (where, ...params) => db.prepare(`
+        SELECT c.*, p.name AS parent
+        FROM cost_centers c LEFT JOIN cost_centers p ON p.id = c.parent_id
+        WHERE ${where}
+        ORDER BY c.id`).all(...params).map(costCenterFromRow);
+
+    // Cost center names in split lines, budgets and rules, changed from one to another
+    const renameCostCenterReferences = (userId, from, to) => {
+        ['transaction_splits', 'budgets', 'categorization_rules'].forEach(table => {
+            db.prepare(`UPDATE ${table} SET cost_center = ? WHERE user_id = ? AND cost_center = ?`).run(to, userId, from);
+        });
+    };
+
+    const costCenters = {
+        list: async (userId) => selectCostCenters('c.user_id = ?', userId),
+        find: async (userId, id) => selectCostCenters('c.user_id = ? AND c.id = ?', userId, id)[0] || null,
+        create: async (userId, { name, parentId = null, archived = false }) => {
+            const id = db
+                .prepare('INSERT INTO cost_centers (user_id, name, parent_id, is_archived) VALUES (?, ?, ?, ?) RETURNING id')
+                .pluck()
+                .get(userId, name, parentId, Number(archived));
+            return selectCostCenters('c.id = ?', id)[0];
+        },
+        // Renaming carries through to split lines, budgets and rules
+        update: async (userId, id, { name, parentId, archived }) => {
+            db.transaction(() => {
+                const oldName = db.prepare('SELECT name FROM cost_centers WHERE user_id = ? AND id = ?').pluck().get(userId, id);
+                db.prepare('UPDATE cost_centers SET name = ?, parent_id = ?, is_archived = ? WHERE user_id = ? AND id = ?')
+                    .run(name, parentId, Number(archived), userId, id);
+                if (oldName !== name) renameCostCenterReferences(userId, oldName, name);
+            })();
+            return selectCostCenters('c.user_id = ? AND c.id = ?', userId, id)[0] || null;
+        },
+        // Moves transactions, split lines, budgets, rules and children from one
+        // cost center to another, then removes the first. A transaction split
+        // between both keeps one line with the two amounts, or is assigned to
+        // the cost center outright when that was its only other line.
+        merge: async (userId, sourceId, targetId) => {
+            db.transaction(() => {
+                const nameOf = db.prepare('SELECT name FROM cost_centers WHERE user_id = ? AND id = ?').pluck();
+                const source = nameOf.get(userId, sourceId);
+                const target = nameOf.get(userId, targetId);
+                db.prepare('UPDATE transactions SET cost_center_id = ? WHERE user_id = ? AND cost_center_id = ?').run(targetId, userId, sourceId);
+                db.prepare(`
+                    UPDATE transaction_splits AS target_line
+                    SET amount = target_line.amount + source_line.amount,
+                        percentage = target_line.percentage + source_line.percentage
+                    FROM transaction_splits AS source_line
+                    WHERE target_line.user_id = @userId AND source_line.user_id = @userId
+                        AND source_line.transaction_id = target_line.transaction_id
+                        AND target_line.cost_center = @target AND source_line.cost_center = @source`).run({ userId, source, target });
+                db.prepare(`
+                    DELETE FROM transaction_splits
+                    WHERE user_id = @userId AND cost_center = @source AND transaction_id IN (
+                        SELECT transaction_id FROM transaction_splits WHERE user_id = @userId AND cost_center = @target)`).run({ userId, source, target });
+                renameCostCenterReferences(userId, source, target);
+                const wholly = `SELECT transaction_id FROM transaction_splits WHERE user_id = @userId
+                    GROUP BY transaction_id HAVING COUNT(*) = 1 AND MAX(cost_center) = @target`;
+                db.prepare(`UPDATE transactions SET cost_center_id = @targetId WHERE user_id = @userId AND id IN (${wholly})`).run({ userId, target, targetId });
+                db.prepare(`DELETE FROM transaction_splits WHERE user_id = @userId AND transaction_id IN (${wholly})`).run({ userId, target });
+                db.prepare('UPDATE cost_centers SET parent_id = ? WHERE user_id = ? AND parent_id = ?').run(targetId, userId, sourceId);
+                db.prepare('DELETE FROM cost_centers WHERE user_id = ? AND id = ?').run(userId, sourceId);
+            })();
+        },
+        remove: async (userId, name) => {
+            db.prepare('DELETE FROM cost_centers WHERE user_id = ? AND name = ?').run(userId, name);
+        },
+    };
+
+    const accounts = {
+        list: async (userId) => db.prepare('SELECT * FROM accounts WHERE user_id = ? ORDER BY name').all(userId).map(accountFromRow),
+        find: async (userId, name) => accountFromRow(db.prepare('SELECT * FROM accounts WHERE user_id = ? AND name = ?').get(userId, name)),
+        upsert: async (userId, name, { institution, type, currency, openingBalance }) => accountFromRow(db.prepare(`
+            INSERT INTO accounts (user_id, name, institution, type, currency, opening_balance) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (user_id, name) DO UPDATE SET
+                institution = excluded.institution, type = excluded.type,
+                currency = excluded.currency, opening_balance = excluded.opening_balance
+            RETURNING *`).get(userId, name, institution, type, currency, openingBalance)),
+        // Adds the accounts that don't exist yet, leaving the others as they are
+        ensure: async (userId, list) => {
+            const insert = db.prepare('INSERT INTO accounts (user_id, name, currency) VALUES (?, ?, ?) ON CONFLICT (user_id, name) DO NOTHING');
+            db.transaction(() => list.forEach(account => insert.run(userId, account.name, account.currency)))();
+        },
+    };
+
+    const reconciliations = {
+        // Newest first
+        list: async (userId, accountId) => db
+            .prepare('SELECT * FROM reconciliations WHERE user_id = ? AND account_id = ? ORDER BY statement_date DESC, id DESC')
+            .all(userId, accountId)
+            .map(reconciliationFromRow),
+        find: async (userId, id) => reconciliationFromRow(db.prepare('SELECT * FROM reconciliations WHERE user_id = ? AND id = ?').get(userId, id)),
+        // Saves the statement and locks the transactions reconciled with it
+        create: async (userId, reconciliation, transactionIds) => db.transaction(() => {
+            const row = db.prepare(`
+                INSERT INTO reconciliations (user_id, account_id, statement_date, statement_balance, cleared_balance)
+                VALUES (?, ?, ?, ?, ?) RETURNING *`).get(
+                userId, reconciliation.accountId, reconciliation.statementDate, reconciliation.statementBalance, reconciliation.clearedBalance
+            );
+            const lock = db.prepare('UPDATE transactions SET reconciliation_id = ? WHERE user_id = ? AND id = ?');
+            transactionIds.forEach(id => lock.run(row.id, userId, id));
+            return reconciliationFromRow(row);
+        })(),
+        // Removing a reconciliation unlocks its transactions (ON DELETE SET NULL)
+        remove: async (userId, id) => {
+            db.prepare('DELETE FROM reconciliations WHERE user_id = ? AND id = ?').run(userId, id);
+        },
+    };
+
+    const exchangeRates = {
+        list: async (userId) => db
+            .prepare('SELECT * FROM exchange_rates WHERE user_id = ? ORDER BY rate_date DESC, from_currency, to_currency')
+            .all(userId)
+            .map(exchangeRateFromRow),
+        // A rate for a pair and date that already has one replaces it
+        upsertMany: async (userId, rates) => {
+            const upsert = db.prepare(`
+                INSERT INTO exchange_rates (user_id, rate_date, from_currency, to_currency, rate) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (user_id, from_currency, to_currency, rate_date) DO UPDATE SET rate = excluded.rate`);
+            db.transaction(() => rates.forEach(rate => upsert.run(userId, rate.date, rate.from, rate.to, rate.rate)))();
+        },
+        remove: async (userId, id) => {
+            db.prepare('DELETE FROM exchange_rates WHERE user_id = ? AND id = ?').run(userId, id);
+        },
+    };
+
+    const mappings = {
+        list: async (userId) => db.prepare('SELECT * FROM mapping_templates WHERE user_id = ? ORDER BY id').all(userId).map(mappingFromRow),
+        find: async (userId, id) => mappingFromRow(db.prepare('SELECT * FROM mapping_templates WHERE user_id = ? AND id = ?').get(userId, id)),
+        create: async (userId, { name, fileType, config }) => mappingFromRow(db
+            .prepare('INSERT INTO mapping_templates (user_id, name, file_type, config) VALUES (?, ?, ?, ?) RETURNING *')
+            .get(userId, name, fileType, JSON.stringify(config))),
+        update: async (userId, id, { name, config }) => mappingFromRow(db
+            .prepare('UPDATE mapping_templates SET name = ?, config = ? WHERE user_id = ? AND id = ? RETURNING *')
+            .get(name, JSON.stringify(config), userId, id)) || null,
+        remove: async (userId, id) => {
+            db.prepare('DELETE FROM mapping_templates WHERE user_id = ? AND id = ?').run(userId, id);
+        },
+    };
+
+    const transactions = {
+        // filters: { status, startDate, endDate, categorized, merchant, account, costCenter, minAmount, maxAmount, importBatchId,
+        //           transfer (true for transfers only, false to leave them out), tag, receipt ('with' or 'without') }
+        list: async (userId, filters = {}) => {
+            const { where, params } = transactionConditions(userId, filters);
+            return selectTransactions(where, params);
+        },
+        // One page of the filtered list, plus the number of matches overall
+        page: async (userId, filters, { sort, page, pageSize }) => {
+            const { where, params } = transactionConditions(userId, filters);
+            const total = db.prepare(`
+                SELECT COUNT(*) FROM transactions t LEFT JOIN cost_centers cc ON cc.id = t.cost_center_id
+                WHERE ${where}`).pluck().get(params);
+            const direction = sort.direction === 'asc' ? 'ASC' : 'DESC';
+            const transactions = selectTransactions(
+                where,
+                { ...params, limit: pageSize, offset: (page - 1) * pageSize },
+                `${SORT_COLUMNS[sort.field]} ${direction}, t.id ${direction}`,
+                'LIMIT @limit OFFSET @offset'
+            );
+            return { transactions, total };
+        },
+        // Sums of the matching transactions without loading them: income,
+        // expenses and count per currency, by period ('month', 'quarter' or
+        // 'year') and group ('costCenter', 'account' or 'merchant') when given.
+        // Amounts are allocated like lib/splits.js allocationsOf; a cost center
+        // group includes the cost centers under it, and with a scope (cost
+        // center names) only the amounts allocated to those count. Rows in
+        // another currency than baseCurrency are also split by date so they
+        // can be converted at that day's rate.
+        totals: async (userId, filters, { period = null, groupBy = null, scope = null, baseCurrency }) => {
+            const { where, params } = transactionConditions(userId, filters);
+            const rows = db.prepare(`
+                WITH RECURSIVE allocations AS (
+                    SELECT t.id, t.transaction_date, t.currency, t.account, t.merchant,
+                        COALESCE(s.cost_center, cc.name) AS cost_center, COALESCE(s.amount, t.amount) AS amount
+                    FROM transactions t
+                        LEFT JOIN cost_centers cc ON cc.id = t.cost_center_id
+                        LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+                    WHERE ${where}
+                ),
+                above(name, ancestor, parent_id) AS (
+                    SELECT name, name, parent_id FROM cost_centers WHERE user_id = @userId
+                    UNION
+                    SELECT above.name, p.name, p.parent_id FROM above JOIN cost_centers p ON p.id = above.parent_id
+                )
+                SELECT ${PERIOD_EXPRESSIONS[period] || 'NULL'} AS period,
+                    ${groupBy === 'costCenter' ? 'COALESCE(above.ancestor, a.cost_center)' : GROUP_EXPRESSIONS[groupBy] || 'NULL'} AS group_key,
+                    a.currency,
+                    CASE WHEN a.currency = @baseCurrency THEN NULL ELSE a.transaction_date END AS rate_date,
+                    SUM(CASE WHEN a.amount > 0 THEN a.amount ELSE 0 END) AS income,
+                    SUM(CASE WHEN a.amount < 0 THEN a.amount ELSE 0 END) AS expenses,
+                    COUNT(DISTINCT a.id) AS transaction_count
+                FROM allocations a
+                    ${groupBy === 'costCenter' ? 'LEFT JOIN above ON above.name = a.cost_center' : ''}
+                WHERE ${scope ? 'a.cost_center IN (SELECT value FROM json_each(@scope))' : '1 = 1'}
+                GROUP BY 1, 2, 3, 4`).all({ ...params, baseCurrency, scope: JSON.stringify(scope) });
+            return rows.map(transactionTotalsFromRow);
+        },
+        // Distinct account names, for the account filter
+        accounts: async (userId) => db
+            .prepare('SELECT DISTINCT account FROM transactions WHERE user_id = ? AND account IS NOT NULL ORDER BY account')
+            .pluck()
+            .all(userId),
+        // Every tag in use, sorted
+        tags: async (userId) => db.prepare(`
+            SELECT DISTINCT j.value FROM transactions t, json_each(t.tags) j
+            WHERE t.user_id = ? ORDER BY j.value COLLATE NOCASE`).pluck().all(userId),
+        find: async (userId, id) => selectTransactions('t.user_id = @userId AND t.id = @id', { userId, id })[0] || null,
+        findMany: async (userId, ids) => selectTransactions(
+            't.user_id = @userId AND t.id IN (SELECT value FROM json_each(@idList))',
+            { userId, idList: JSON.stringify(ids.map(Number)) }
+        ),
+        existingHashes: async (userId, hashes) => {
+            const existing = new Set();
+            const select = db.prepare('SELECT transaction_hash FROM transactions WHERE user_id = ? AND transaction_hash = ?').pluck();
+            hashes.forEach(hash => {
+                if (select.get(userId, hash)) existing.add(hash);
+            });
+            return existing;
+        },
+        // Returns the ids of the new transactions
+        insertMany: async (userId, records) => {
+            const ids = costCenterIds(userId, records.map(record => record.costCenter));
+            const insert = db.prepare(`
+                INSERT INTO transactions (user_id, transaction_date, merchant, amount, currency, account, cost_center_id, status, transaction_hash, import_batch_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                RETURNING id`).pluck();
+            return db.transaction(() => records.map(record => insert.get(
+                userId, record.date, record.merchant, record.amount, record.currency, record.account,
+                ids[record.costCenter] || null, record.status, record.hash, record.importBatchId ?? null
+            )))();
+        },
+        // Put deleted transactions back under their old ids, split lines included
+        restore: async (userId, restored) => {
+            const ids = costCenterIds(userId, restored.map(t => t.costCenter));
+            const insert = db.prepare(`
+                INSERT INTO transactions (id, user_id, transaction_date, merchant, amount, currency, account, cost_center_id, status, transaction_hash, import_batch_id, notes, tags)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+            const insertSplit = db.prepare('INSERT INTO transaction_splits (user_id, transaction_id, cost_center, amount, percentage) VALUES (?, ?, ?, ?, ?)');
+            db.transaction(() => restored.forEach(t => {
+                insert.run(
+                    t.id, userId, t.date, t.merchant, t.amount, t.currency, t.account, ids[t.costCenter] || null, t.status, t.hash,
+                    t.importBatchId ?? null, t.notes ?? null, JSON.stringify(t.tags ?? [])
+                );
+                t.splits.forEach(split => insertSplit.run(userId, t.id, split.costCenter, split.amount, split.percentage));
+            }))();
+        },
+        update: async (userId, id, { costCenter, status }) => {
+            const ids = costCenterIds(userId, [costCenter]);
+            db.prepare('UPDATE transactions SET cost_center_id = ?, status = ? WHERE user_id = ? AND id = ?')
+                .run(ids[costCenter] || null, status, userId, id);
+            return transactions.find(userId, id);
+        },
+        updateDetails: async (userId, id, { notes, tags }) => {
+            db.prepare('UPDATE transactions SET notes = ?, tags = ? WHERE user_id = ? AND id = ?').run(notes, JSON.stringify(tags), userId, id);
+            return transactions.find(userId, id);
+        },
+        updateMany: async (userId, transactionIds, { costCenter, status }) => {
+            const ids = costCenterIds(userId, [costCenter]);
+            const update = db.prepare('UPDATE transactions SET cost_center_id = ?, status = ? WHERE user_id = ? AND id = ?');
+            db.transaction(() => transactionIds.forEach(id => update.run(ids[costCenter] || null, status, userId, id)))();
+        },
+        // One action for the transactions with the given ids or matching filters,
+        // all in one database transaction; returns how many were affected
+        bulkEdit: async (userId, { ids, filters }, action, { costCenter, status }) => {
+            const transactionIds = ids || (() => {
+                const { where, params } = transactionConditions(userId, filters);
+                return db.prepare(`
+                    SELECT t.id FROM transactions t LEFT JOIN cost_centers cc ON cc.id = t.cost_center_id
+                    WHERE ${where}`).pluck().all(params);
+            })();
+            const idList = JSON.stringify(transactionIds);
+            const owned = 'user_id = @userId AND id IN (SELECT value FROM json_each(@idList))';
+            return db.transaction(() => {
+                if (action === 'delete') {
+                    return db.prepare(`DELETE FROM transactions WHERE ${owned}`).run({ userId, idList }).changes;
+                }
+                if (action === 'setStatus') {
+                    return db.prepare(`UPDATE transactions SET status = @status WHERE ${owned}`).run({ userId, idList, status }).changes;
+                }
+                // A single cost center supersedes any split lines
+                db.prepare('DELETE FROM transaction_splits WHERE user_id = @userId AND transaction_id IN (SELECT value FROM json_each(@idList))')
+                    .run({ userId, idList });
+                return db.prepare(`UPDATE transactions SET cost_center_id = @costCenterId, status = @status WHERE ${owned}`).run({
+                    userId,
+                    idList,
+                    costCenterId: costCenterIds(userId, [costCenter])[costCenter] || null,
+                    status: costCenter ? 'Processed' : 'Review Required',
+                }).changes;
+            })();
+        },
+        replaceSplits: async (userId, transactionId, lines) => {
+            const insert = db.prepare('INSERT INTO transaction_splits (user_id, transaction_id, cost_center, amount, percentage) VALUES (?, ?, ?, ?, ?)');
+            db.transaction(() => {
+                db.prepare('DELETE FROM transaction_splits WHERE user_id = ? AND transaction_id = ?').run(userId, transactionId);
+                lines.forEach(line => insert.run(userId, transactionId, line.costCenter, line.amount, line.percentage));
+            })();
+        },
+    };
+
+    const rules = {
+        list: async (userId) => db
+            .prepare('SELECT * FROM categorization_rules WHERE user_id = ? ORDER BY position, id')
+            .all(userId)
+            .map(ruleFromRow),
+        // New rules go after the existing ones
+        create: async (userId, { name, cost_center, conditions, is_active }) => ruleFromRow(db.prepare(`
+            INSERT INTO categorization_rules (user_id, name, cost_center, conditions, is_active, position)
+            VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM categorization_rules WHERE user_id = ?))
+            RETURNING *`).get(userId, name, cost_center, JSON.stringify(conditions), Number(is_active), userId)),
+        update: async (userId, id, { name, cost_center, conditions, is_active }) => ruleFromRow(db.prepare(`
+            UPDATE categorization_rules SET name = ?, cost_center = ?, conditions = ?, is_active = ?
+            WHERE user_id = ? AND id = ?
+            RETURNING *`).get(name, cost_center, JSON.stringify(conditions), Number(is_active), userId, id)) || null,
+        reorder: async (userId, ids) => {
+            const update = db.prepare('UPDATE categorization_rules SET position = ? WHERE user_id = ? AND id = ?');
+            db.transaction(() => ids.forEach((id, position) => update.run(position, userId, id)))();
+        },
+        remove: async (userId, id) => {
+            db.prepare('DELETE FROM categorization_rules WHERE user_id = ? AND id = ?').run(userId, id);
+        },
+    };
+
+    const budgets = {
+        list: async (userId) => db.prepare('SELECT * FROM budgets WHERE user_id = ? ORDER BY cost_center, id').all(userId).map(budgetFromRow),
+        create: async (userId, { cost_center, amount, recurrence, start_month, end_month }) => budgetFromRow(db.prepare(`
+            INSERT INTO budgets (user_id, cost_center, amount, recurrence, start_month, end_month)
+            VALUES (?, ?, ?, ?, ?, ?)
+            RETURNING *`).get(userId, cost_center, amount, recurrence, start_month, end_month)),
+        update: async (userId, id, { cost_center, amount, recurrence, start_month, end_month }) => budgetFromRow(db.prepare(`
+            UPDATE budgets SET cost_center = ?, amount = ?, recurrence = ?, start_month = ?, end_month = ?
+            WHERE user_id = ? AND id = ?
+            RETURNING *`).get(cost_center, amount, recurrence, start_month, end_month, userId, id)) || null,
+        remove: async (userId, id) => {
+            db.prepare('DELETE FROM budgets WHERE user_id = ? AND id = ?').run(userId, id);
+        },
+    };
+
+    const selectImportBatches = (where, params) => db.prepare(`
+        SELECT b.*, (SELECT COUNT(*) FROM transactions t WHERE t.import_batch_id = b.id) AS transaction_count
+        FROM import_batches b
+        WHERE ${where}
+        ORDER BY b.id DESC`).all(params).map(importBatchFromRow);
+
+    const importBatches = {
+        // Newest first
+        list: async (userId) => selectImportBatches('b.user_id = @userId', { userId }),
+        find: async (userId, id) => selectImportBatches('b.user_id = @userId AND b.id = @id', { userId, id })[0] || null,
+        // Earlier uploads of the same file
+        findByChecksum: async (userId, checksum) => selectImportBatches('b.user_id = @userId AND b.checksum = @checksum', { userId, checksum }),
+        create: async (userId, batch) => {
+            const id = db.prepare(`
+                INSERT INTO import_batches (user_id, file_name, file_size, checksum, mapping_id, mapping_name, file_type,
+                    new_count, review_count, duplicate_count, invalid_count, imported_count)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                RETURNING id`).pluck().get(
+                userId, batch.fileName, batch.fileSize, batch.checksum, batch.mappingId, batch.mappingName, batch.fileType,
+                batch.newCount, batch.reviewCount, batch.duplicateCount, batch.invalidCount, batch.importedCount
+            );
+            return importBatches.find(userId, id);
+        },
+        // The row counts, once a file saved a chunk at a time has been read to the end
+        updateCounts: async (userId, id, batch) => {
+            db.prepare(`
+                UPDATE import_batches SET new_count = ?, review_count = ?, duplicate_count = ?, invalid_count = ?, imported_count = ?
+                WHERE user_id = ? AND id = ?`).run(
+                batch.newCount, batch.reviewCount, batch.duplicateCount, batch.invalidCount, batch.importedCount, userId, id
+            );
+            return importBatches.find(userId, id);
+        },
+        markRolledBack: async (userId, id) => {
+            db.prepare('UPDATE import_batches SET rolled_back_at = ? WHERE user_id = ? AND id = ?').run(now(), userId, id);
+            return importBatches.find(userId, id);
+        },
+    };
+
+    const watchFolderRuns = {
+        // Newest first
+        list: async (userId, limit = 50) => db
+            .prepare('SELECT * FROM watch_folder_runs WHERE user_id = ? ORDER BY started_at DESC, id DESC LIMIT ?')
+            .all(userId, limit)
+            .map(watchFolderRunFromRow),
+        create: async (userId, { triggeredBy, startedAt, finishedAt, files }) => watchFolderRunFromRow(db.prepare(`
+            INSERT INTO watch_folder_runs (user_id, triggered_by, started_at, finished_at, files)
+            VALUES (?, ?, ?, ?, ?)
+            RETURNING *`).get(userId, triggeredBy, startedAt, finishedAt, JSON.stringify(files))),
+    };
+
+    // receipt_count on the transaction follows the rows here
+    const receipts = {
+        list: async (userId, transactionId) => db
+            .prepare('SELECT * FROM receipts WHERE user_id = ? AND transaction_id = ? ORDER BY id')
+            .all(userId, transactionId)
+            .map(receiptFromRow),
+        // The receipts of many transactions, e.g. to log their deletion
+        listForTransactions: async (userId, transactionIds) => db
+            .prepare('SELECT * FROM receipts WHERE user_id = ? AND transaction_id IN (SELECT value FROM json_each(?)) ORDER BY id')
+            .all(userId, JSON.stringify(transactionIds.map(Number)))
+            .map(receiptFromRow),
+        // Which of the storage keys a receipt has, across users: for sweeping RECEIPTS_PATH
+        existingKeys: async (storageKeys) => new Set(db
+            .prepare('SELECT storage_key FROM receipts WHERE storage_key IN (SELECT value FROM json_each(?))')
+            .pluck()
+            .all(JSON.stringify(storageKeys))),
+        find: async (userId, id) => receiptFromRow(db.prepare('SELECT * FROM receipts WHERE user_id = ? AND id = ?').get(userId, id)),
+        create: async (userId, receipt) => db.transaction(() => {
+            const row = db.prepare(`
+                INSERT INTO receipts (user_id, transaction_id, file_name, content_type, file_size, storage_key)
+                VALUES (?, ?, ?, ?, ?, ?) RETURNING *`).get(
+                userId, receipt.transactionId, receipt.fileName, receipt.contentType, receipt.fileSize, receipt.storageKey
+            );
+            db.prepare('UPDATE transactions SET receipt_count = receipt_count + 1 WHERE user_id = ? AND id = ?').run(userId, receipt.transactionId);
+            return receiptFromRow(row);
+        })(),
+        remove: async (userId, id) => {
+            db.transaction(() => {
+                const row = db.prepare('DELETE FROM receipts WHERE user_id = ? AND id = ? RETURNING transaction_id').get(userId, id);
+                if (row) db.prepare('UPDATE transactions SET receipt_count = receipt_count - 1 WHERE user_id = ? AND id = ?').run(userId, row.transaction_id);
+            })();
+        },
+    };
+
+    const transfers = {
+        // Pairs of { outId, inId }, each side pointing at the other
+        link: async (userId, pairs, status) => {
+            const update = db.prepare('UPDATE transactions SET transfer_id = ?, transfer_status = ? WHERE user_id = ? AND id = ?');
+            db.transaction(() => pairs.forEach(({ outId, inId }) => {
+                update.run(inId, status, userId, outId);
+                update.run(outId, status, userId, inId);
+            }))();
+        },
+        confirm: async (userId, outId, inId) => {
+            db.prepare("UPDATE transactions SET transfer_status = 'confirmed' WHERE user_id = ? AND id IN (?, ?)").run(userId, outId, inId);
+        },
+        // Unlinking remembers the pair so it isn't suggested again
+        unlink: async (userId, outId, inId) => {
+            db.transaction(() => {
+                db.prepare('UPDATE transactions SET transfer_id = NULL, transfer_status = NULL WHERE user_id = ? AND id IN (?, ?)').run(userId, outId, inId);
+                db.prepare('INSERT INTO transfer_rejections (user_id, out_transaction_id, in_transaction_id) VALUES (?, ?, ?) ON CONFLICT DO NOTHING')
+                    .run(userId, outId, inId);
+            })();
+        },
+        rejected: async (userId) => db
+            .prepare('SELECT out_transaction_id, in_transaction_id FROM transfer_rejections WHERE user_id = ?')
+            .all(userId)
+            .map(row => ({ outTransactionId: row.out_transaction_id, inTransactionId: row.in_transaction_id })),
+    };
+
+    const duplicateReviews = {
+        // Oldest first
+        list: async (userId, status = 'pending') => db
+            .prepare('SELECT * FROM duplicate_reviews WHERE user_id = ? AND status = ? ORDER BY id')
+            .all(userId, status)
+            .map(duplicateReviewFromRow),
+        find: async (userId, id) => duplicateReviewFromRow(db.prepare('SELECT * FROM duplicate_reviews WHERE user_id = ? AND id = ?').get(userId, id)),
+        createMany: async (userId, reviews) => {
+            const insert = db.prepare(`
+                INSERT INTO duplicate_reviews (user_id, import_batch_id, transaction_id, incoming, transaction_hash, similarity)
+                VALUES (?, ?, ?, ?, ?, ?)`);
+            db.transaction(() => reviews.forEach(review => insert.run(
+                userId, review.importBatchId, review.transactionId, JSON.stringify(review.incoming), review.hash, review.similarity
+            )))();
+        },
+        // Map of hash to the status of the latest review of a row with it
+        statusesByHash: async (userId, hashes) => {
+            const rows = db.prepare(`
+                SELECT transaction_hash, status FROM duplicate_reviews
+                WHERE user_id = ? AND transaction_hash IN (SELECT value FROM json_each(?))
+                ORDER BY id`).all(userId, JSON.stringify(hashes));
+            return new Map(rows.map(row => [row.transaction_hash, row.status]));
+        },
+        resolve: async (userId, id, status) => duplicateReviewFromRow(db
+            .prepare('UPDATE duplicate_reviews SET status = ?, resolved_at = ? WHERE user_id = ? AND id = ? RETURNING *')
+            .get(status, now(), userId, id)),
+        // Drop what an import left in the queue, when it is rolled back
+        removePendingForBatch: async (userId, importBatchId) => {
+            db.prepare("DELETE FROM duplicate_reviews WHERE user_id = ? AND import_batch_id = ? AND status = 'pending'").run(userId, importBatchId);
+        },
+    };
+
+    // Append-only: operations and their entries are only ever inserted
+    const audit = {
+        // Returns the id of the new operation
+        append: async (userId, { actorId, source, reverts = null, entries }) => {
+            const operationId = crypto.randomUUID();
+            const insertEntry = db.prepare(`
+                INSERT INTO audit_entries (operation_id, user_id, entity_type, entity_id, before_state, after_state)
+                VALUES (?, ?, ?, ?, ?, ?)`);
+            db.transaction(() => {
+                db.prepare('INSERT INTO audit_operations (id, user_id, actor_id, source, reverts, entry_count) VALUES (?, ?, ?, ?, ?, ?)')
+                    .run(operationId, userId, actorId, source, reverts, entries.length);
+                entries.forEach(entry => insertEntry.run(
+                    operationId, userId, entry.entityType, entry.entityId, JSON.stringify(entry.before), JSON.stringify(entry.after)
+                ));
+            })();
+            return operationId;
+        },
+        // Newest first
+        listOperations: async (userId, { page, pageSize }) => ({
+            operations: db.prepare(`
+                SELECT * FROM audit_operations WHERE user_id = ?
+                ORDER BY created_at DESC, rowid DESC
+                LIMIT ? OFFSET ?`).all(userId, pageSize, (page - 1) * pageSize).map(auditOperationFromRow),
+            total: db.prepare('SELECT COUNT(*) FROM audit_operations WHERE user_id = ?').pluck().get(userId),
+        }),
+        operation: async (userId, id) => {
+            const operation = auditOperationFromRow(db.prepare('SELECT * FROM audit_operations WHERE user_id = ? AND id = ?').get(userId, id));
+            if (!operation) return null;
+            const entries = db.prepare('SELECT * FROM audit_entries WHERE user_id = ? AND operation_id = ? ORDER BY id').all(userId, id);
+            return { operation, entries: entries.map(auditEntryFromRow) };
+        },
+        // Every entry for one entity with its operation, newest first
+        entityHistory: async (userId, entityType, entityId) => db.prepare(`
+            SELECT e.*, o.actor_id, o.source, o.reverts, o.entry_count, o.created_at
+            FROM audit_entries e JOIN audit_operations o ON o.id = e.operation_id
+            WHERE e.user_id = ? AND e.entity_type = ? AND e.entity_id = ?
+            ORDER BY e.id DESC`).all(userId, entityType, String(entityId)).map(row => ({
+            ...auditEntryFromRow(row),
+            operation: auditOperationFromRow({ ...row, id: row.operation_id }),
+        })),
+    };
+
+    return { users, sessions, resetTokens, costCenters, accounts, reconciliations, exchangeRates, mappings, transactions, receipts, transfers, importBatches, watchFolderRuns, duplicateReviews, rules, budgets, audit };
+};
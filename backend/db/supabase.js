@@ -0,0 +1,885 @@
+import crypto from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+import {
+    userFromRow, costCenterFromRow, accountFromRow, reconciliationFromRow, exchangeRateFromRow, mappingFromRow, transactionFromRow,
+    transactionTotalsFromRow, receiptFromRow, ruleFromRow, budgetFromRow, importBatchFromRow, watchFolderRunFromRow, duplicateReviewFromRow,
+    auditOperationFromRow, auditEntryFromRow,
+} from './mappers.js';
+
+// --- Supabase Storage ---
+// Talks to the Postgres schema through the service key, so every method
+// scopes its query to the given user itself.
+
+// Supabase caps a single select at 1000 rows; larger reads go page by page
+const PAGE_SIZE = 1000;
+// Keeps `.in()` filters and bulk inserts to a reasonable request size
+const CHUNK_SIZE = 200;
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// Unwrap a Supabase result, throwing its error
+const check = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+};
+
+const TRANSACTION_SELECT = '*, cost_centers(name), transaction_splits(*)';
+
+const SORT_COLUMNS = { date: 'transaction_date', merchant: 'merchant', amount: 'amount', account: 'account', status: 'status' };
+
+// LIKE pattern matching the text anywhere, with wildcards in it taken literally
+const containsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// A value for an or() filter or an element of an array literal, quoted so
+// commas, parentheses and braces in it are kept
+const quoteFilterValue = (value) => `"${value.replace(/[\\"]/g, '\\$&')}"`;
+
+// A split line ({ costCenter, amount, percentage }) as a transaction_splits row
+const splitRow = (userId, transactionId, line) => ({
+    user_id: userId,
+    transaction_id: transactionId,
+    cost_center: line.costCenter,
+    amount: line.amount,
+    percentage: line.percentage,
+});
+
+const transactionFromJoinedRow = ({ cost_centers: costCenter, transaction_splits: splits, ...row }) => (
+    transactionFromRow({ ...row, cost_center: costCenter ? costCenter.name : null }, splits || [])
+);
+
+// With the number of the batch's transactions that still exist
+const IMPORT_BATCH_SELECT = '*, transactions(count)';
+
+const importBatchFromJoinedRow = ({ transactions: counted, ...row }) => (
+    importBatchFromRow({ ...row, transaction_count: counted && counted[0] ? counted[0].count : 0 })
+);
+
+export const createSupabaseRepositories = (url, key) => {
+    const supabase = createClient(url, key);
+
+    const selectAll = async (buildQuery) => {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const data = check(await buildQuery().range(from, from + PAGE_SIZE - 1));
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) return rows;
+        }
+    };
+
+    // Ids of the named cost centers that exist. Nothing is created here: new
+    // cost centers only come from the cost center endpoints, which audit them.
+    const costCenterIds = async (userId, names) => {
+        const unique = [...new Set(names.filter(Boolean))];
+        if (unique.length === 0) return {};
+        const rows = check(await supabase.from('cost_centers').select('id, name').eq('user_id', userId).in('name', unique));
+        return Object.fromEntries(rows.map(row => [row.name, row.id]));
+    };
+
+    // The user's cost centers, each with the name of its parent
+    const listCostCenters = async (userId) => {
+        const rows = check(await supabase.from('cost_centers').select('*').eq('user_id', userId).order('id'));
+        const names = new Map(rows.map(row => [row.id, row.name]));
+        return rows.map(row => costCenterFromRow({ ...row, parent: names.get(row.parent_id) ?? null }));
+    };
+
+    // Names of a cost center and of every cost center under it
+    const costCenterSubtree = async (userId, name) => {
+        const list = await listCostCenters(userId);
+        const names = [name];
+        for (let i = 0; i < names.length; i += 1) {
+            const parent = list.find(cc => cc.name === names[i]);
+            list.filter(cc => parent && cc.parentId === parent.id && !names.includes(cc.name)).forEach(cc => names.push(cc.name));
+        }
+        return names;
+    };
+
+    // Apply the transaction list filters to a query. Returns null when the
+    // filters can't match anything (a tag no transaction has).
+    const filterTransactions = async (userId, filters) => {
+        // A cost center covers those under it; a split transaction matches
+        // when any of its lines goes to one of them (cost_center_names, from
+        // migration 0015, holds both), given as a text[] literal
+        let costCenterMatch = null;
+        if (filters.costCenter) {
+            costCenterMatch = `{${(await costCenterSubtree(userId, filters.costCenter)).map(quoteFilterValue).join(',')}}`;
+        }
+
+        // Tags that differ only in case are the same tag (see lib/details.js),
+        // but the tags column only matches exactly: look up the spellings in use
+        let tagMatch = null;
+        if (filters.tag) {
+            const spellings = check(await supabase.rpc('tag_spellings', { p_user_id: userId, p_tag: filters.tag }));
+            if (spellings.length === 0) return null;
+            tagMatch = spellings.map(({ tag }) => `tags.cs.${quoteFilterValue(JSON.stringify([tag]))}`).join(',');
+        }
+
+        return (query) => {
+            let filtered = query.eq('user_id', userId);
+            if (filters.status) filtered = filtered.eq('status', filters.status);
+            if (filters.startDate) filtered = filtered.gte('transaction_date', filters.startDate);
+            if (filters.endDate) filtered = filtered.lte('transaction_date', filters.endDate);
+            if (filters.categorized) filtered = filtered.not('cost_center_id', 'is', null);
+            if (filters.merchant) filtered = filtered.ilike('merchant', containsPattern(filters.merchant));
+            if (filters.account) filtered = filtered.eq('account', filters.account);
+            if (costCenterMatch) filtered = filtered.overlaps('cost_center_names', costCenterMatch);
+            if (filters.minAmount !== undefined) filtered = filtered.gte('amount', filters.minAmount);
+            if (filters.maxAmount !== undefined) filtered = filtered.lte('amount', filters.maxAmount);
+            if (filters.importBatchId) filtered = filtered.eq('import_batch_id', filters.importBatchId);
+            if (filters.transfer === true) filtered = filtered.not('transfer_id', 'is', null);
+            if (filters.transfer === false) filtered = filtered.is('transfer_id', null);
+            if (tagMatch) filtered = filtered.or(tagMatch);
+            if (filters.receipt) filtered = filters.receipt === 'with' ? filtered.gt('receipt_count', 0) : filtered.eq('receipt_count', 0);
+            return filtered;
+        };
+    };
+
+    // Recount a transaction's receipts rather than adding one, so concurrent
+    // uploads can't leave the count off
+    const countReceipts = async (userId, transactionId) => {
+        const { count, error } = await supabase
+            .from('receipts')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('transaction_id', transactionId);
+        if (error) throw new Error(error.message);
+        check(await supabase.from('transactions').update({ receipt_count: count }).eq('user_id', userId).eq('id', transactionId));
+    };
+
+    const users = {
+        findByEmail: async (email) => userFromRow(check(await supabase.from('users').select('*').eq('email', email).maybeSingle())),
+        findById: async (id) => userFromRow(check(await supabase.from('users').select('*').eq('id', id).maybeSingle())),
+        create: async ({ email, passwordHash }) => userFromRow(check(await supabase
+            .from('users')
+            .insert({ email, password_hash: passwordHash })
+            .select()
+            .single())),
+        updatePasswordHash: async (id, passwordHash) => {
+            check(await supabase.from('users').update({ password_hash: passwordHash }).eq('id', id));
+        },
+        updateBaseCurrency: async (id, baseCurrency) => userFromRow(check(await supabase
+            .from('users')
+            .update({ base_currency: baseCurrency })
+            .eq('id', id)
+            .select()
+            .maybeSingle())),
+    };
+
+    const sessions = {
+        create: async (userId, expiresAt) => check(await supabase
+            .from('sessions')
+            .insert({ user_id: userId, expires_at: expiresAt })
+            .select('id')
+            .single()).id,
+        isActive: async (id, userId) => Boolean(check(await supabase
+            .from('sessions')
+            .select('id')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle())),
+        remove: async (id) => {
+            check(await supabase.from('sessions').delete().eq('id', id));
+        },
+        removeForUser: async (userId) => {
+            check(await supabase.from('sessions').delete().eq('user_id', userId));
+        },
+    };
+
+    const resetTokens = {
+        create: async (userId, tokenHash, expiresAt) => {
+            check(await supabase.from('password_reset_tokens').insert({ user_id: userId, token_hash: tokenHash, expires_at: expiresAt }));
+        },
+        findUserId: async (tokenHash) => {
+            const row = check(await supabase
+                .from('password_reset_tokens')
+                .select('user_id')
+                .eq('token_hash', tokenHash)
+                .gt('expires_at', new Date().toISOString())
+                .maybeSingle());
+            return row ? row.user_id : null;
+        },
+        removeForUser: async (userId) => {
+            check(await supabase.from('password_reset_tokens').delete().eq('user_id', userId));
+        },
+    };
+
+    const costCenters = {
+        list: listCostCenters,
+        find: async (userId, id) => (await listCostCenters(userId)).find(cc => String(cc.id) === String(id)) || null,
+        create: async (userId, { name, parentId = null, archived = false }) => {
+            const row = check(await supabase
+                .from('cost_centers')
+                .insert({ user_id: userId, name, parent_id: parentId, is_archived: archived })
+                .select()
+                .single());
+            return (await listCostCenters(userId)).find(cc => cc.id === row.id);
+        },
+        // Renaming carries through to split lines, budgets and rules; the
+        // database function does it in one transaction
+        update: async (userId, id, { name, parentId, archived }) => {
+            check(await supabase.rpc('update_cost_center', {
+                p_user_id: userId,
+                p_id: id,
+                p_name: name,
+                p_parent_id: parentId,
+                p_archived: archived,
+            }));
+            return costCenters.find(userId, id);
+        },
+        // Moves transactions, split lines, budgets, rules and children from one
+        // cost center to another, then removes the first (merge_cost_centers)
+        merge: async (userId, sourceId, targetId) => {
+            check(await supabase.rpc('merge_cost_centers', { p_user_id: userId, p_source_id: sourceId, p_target_id: targetId }));
+        },
+        remove: async (userId, name) => {
+            check(await supabase.from('cost_centers').delete().eq('user_id', userId).eq('name', name));
+        },
+    };
+
+    const accounts = {
+        list: async (userId) => check(await supabase.from('accounts').select('*').eq('user_id', userId).order('name')).map(accountFromRow),
+        find: async (userId, name) => accountFromRow(check(await supabase
+            .from('accounts')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('name', name)
+            .maybeSingle())),
+        upsert: async (userId, name, { institution, type, currency, openingBalance }) => accountFromRow(check(await supabase
+            .from('accounts')
+            .upsert({ user_id: userId, name, institution, type, currency, opening_balance: openingBalance }, { onConflict: 'user_id,name' })
+            .select()
+            .single())),
+        // Adds the accounts that don't exist yet, leaving the others as they are
+        ensure: async (userId, list) => {
+            if (list.length === 0) return;
+            check(await supabase
+                .from('accounts')
+                .upsert(list.map(account => ({ user_id: userId, name: account.name, currency: account.currency })), { onConflict: 'user_id,name', ignoreDuplicates: true }));
+        },
+    };
+
+    const reconciliations = {
+        // Newest first
+        list: async (userId, accountId) => check(await supabase
+            .from('reconciliations')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('account_id', accountId)
+            .order('statement_date', { ascending: false })
+            .order('id', { ascending: false })).map(reconciliationFromRow),
+        find: async (userId, id) => reconciliationFromRow(check(await supabase
+            .from('reconciliations')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('id', id)
+            .maybeSingle())),
+        // Saves the statement and locks the transactions reconciled with it
+        create: async (userId, reconciliation, transactionIds) => {
+            const row = check(await supabase
+                .from('reconciliations')
+                .insert({
+                    user_id: userId,
+                    account_id: reconciliation.accountId,
+                    statement_date: reconciliation.statementDate,
+                    statement_balance: reconciliation.statementBalance,
+                    cleared_balance: reconciliation.clearedBalance,
+                })
+                .select()
+                .single());
+            for (const idChunk of chunk(transactionIds, CHUNK_SIZE)) {
+                check(await supabase
+                    .from('transactions')
+                    .update({ reconciliation_id: row.id })
+                    .eq('user_id', userId)
+                    .in('id', idChunk));
+            }
+            return reconciliationFromRow(row);
+        },
+        // Removing a reconciliation unlocks its transactions (ON DELETE SET NULL)
+        remove: async (userId, id) => {
+            check(await supabase.from('reconciliations').delete().eq('user_id', userId).eq('id', id));
+        },
+    };
+
+    const exchangeRates = {
+        list: async (userId) => (await selectAll(() => supabase
+            .from('exchange_rates')
+            .select('*')
+            .eq('user_id', userId)
+            .order('rate_date', { ascending: false })
+            .order('from_currency')
+            .order('to_currency'))).map(exchangeRateFromRow),
+        // A rate for a pair and date that already has one replaces it
+        upsertMany: async (userId, rates) => {
+            for (const rateChunk of chunk(rates, CHUNK_SIZE)) {
+                check(await supabase.from('exchange_rates').upsert(rateChunk.map(rate => ({
+                    user_id: userId,
+                    rate_date: rate.date,
+                    from_currency: rate.from,
+                    to_currency: rate.to,
+                    rate: rate.rate,
+                })), { onConflict: 'user_id,from_currency,to_currency,rate_date' }));
+            }
+        },
+        remove: async (userId, id) => {
+            check(await supabase.from('exchange_rates').delete().eq('user_id', userId).eq('id', id));
+        },
+    };
+
+    const mappings = {
+        list: async (userId) => check(await supabase.from('mapping_templates').select('*').eq('user_id', userId).order('id')).map(mappingFromRow),
+        find: async (userId, id) => mappingFromRow(check(await supabase
+            .from('mapping_templates')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('id', id)
+            .maybeSingle())),
+        create: async (userId, { name, fileType, config }) => mappingFromRow(check(await supabase
+            .from('mapping_templates')
+            .insert({ user_id: userId, name, file_type: fileType, config })
+            .select()
+            .single())),
+        update: async (userId, id, { name, config }) => mappingFromRow(check(await supabase
+            .from('mapping_templates')
+            .update({ name, config })
+            .eq('user_id', userId)
+            .eq('id', id)
+            .select()
+            .maybeSingle())),
+        remove: async (userId, id) => {
+            check(await supabase.from('mapping_templates').delete().eq('user_id', userId).eq('id', id));
+        },
+    };
+
+    const transactions = {
+        // filters: { status, startDate, endDate, categorized, merchant, account, costCenter, minAmount, maxAmount, importBatchId,
+        //           transfer (true for transfers only, false to leave them out), tag, receipt ('with' or 'without') }
+        list: async (userId, filters = {}) => {
+            const applyFilters = await filterTransactions(userId, filters);
+            if (!applyFilters) return [];
+            return (await selectAll(() => applyFilters(supabase.from('transactions').select(TRANSACTION_SELECT))
+                .order('transaction_date')
+                .order('id'))).map(transactionFromJoinedRow);
+        },
+        // One page of the filtered list, plus the number of matches overall
+        page: async (userId, filters, { sort, page, pageSize }) => {
+            const applyFilters = await filterTransactions(userId, filters);
+            if (!applyFilters) return { transactions: [], total: 0 };
+            const ascending = sort.direction === 'asc';
+            const from = (page - 1) * pageSize;
+            const { data, count, error } = await applyFilters(supabase.from('transactions').select(TRANSACTION_SELECT, { count: 'exact' }))
+                .order(SORT_COLUMNS[sort.field], { ascending })
+                .order('id', { ascending })
+                .range(from, from + pageSize - 1);
+            if (error) throw error;
+            return { transactions: data.map(transactionFromJoinedRow), total: count };
+        },
+        // Sums of the matching transactions without loading them, from the
+        // transaction_totals function (migrations 0013 and 0014; see db/sqlite.js)
+        totals: async (userId, filters, { period = null, groupBy = null, scope = null, baseCurrency }) => {
+            const { costCenter, ...listFilters } = filters;
+            const costCenters = costCenter ? await costCenterSubtree(userId, costCenter) : undefined;
+            const rows = await selectAll(() => supabase
+                .rpc('transaction_totals', {
+                    p_user_id: userId,
+                    p_filters: { ...listFilters, costCenters },
+                    p_scope: scope,
+                    p_period: period,
+                    p_group_by: groupBy,
+                    p_base_currency: baseCurrency,
+                })
+                .order('period')
+                .order('group_key')
+                .order('currency')
+                .order('rate_date'));
+            return rows.map(transactionTotalsFromRow);
+        },
+        // Distinct account names, for the account filter
+        accounts: async (userId) => {
+            const rows = await selectAll(() => supabase.from('transactions').select('account').eq('user_id', userId).order('account'));
+            return [...new Set(rows.map(row => row.account).filter(Boolean))];
+        },
+        // Every tag in use, sorted
+        tags: async (userId) => {
+            const rows = await selectAll(() => supabase.from('transactions').select('tags').eq('user_id', userId).neq('tags', '[]').order('id'));
+            return [...new Set(rows.flatMap(row => row.tags))].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        },
+        find: async (userId, id) => {
+            const row = check(await supabase
+                .from('transactions')
+                .select(TRANSACTION_SELECT)
+                .eq('user_id', userId)
+                .eq('id', id)
+                .maybeSingle());
+            return row ? transactionFromJoinedRow(row) : null;
+        },
+        findMany: async (userId, ids) => {
+            const found = [];
+            for (const idChunk of chunk(ids, CHUNK_SIZE)) {
+                const rows = check(await supabase
+                    .from('transactions')
+                    .select(TRANSACTION_SELECT)
+                    .eq('user_id', userId)
+                    .in('id', idChunk)
+                    .order('transaction_date')
+                    .order('id'));
+                found.push(...rows.map(transactionFromJoinedRow));
+            }
+            return found;
+        },
+        existingHashes: async (userId, hashes) => {
+            const existing = new Set();
+            for (const hashChunk of chunk(hashes, CHUNK_SIZE)) {
+                const rows = check(await supabase
+                    .from('transactions')
+                    .select('transaction_hash')
+                    .eq('user_id', userId)
+                    .in('transaction_hash', hashChunk));
+                rows.forEach(row => existing.add(row.transaction_hash));
+            }
+            return existing;
+        },
+        // Returns the ids of the new transactions
+        insertMany: async (userId, records) => {
+            const ids = await costCenterIds(userId, records.map(record => record.costCenter));
+            const insertedIds = [];
+            for (const recordChunk of chunk(records, CHUNK_SIZE)) {
+                const rows = check(await supabase.from('transactions').insert(recordChunk.map(record => ({
+                    user_id: userId,
+                    transaction_date: record.date,
+                    merchant: record.merchant,
+                    amount: record.amount,
+                    currency: record.currency,
+                    account: record.account,
+                    cost_center_id: ids[record.costCenter] || null,
+                    status: record.status,
+                    transaction_hash: record.hash,
+                    import_batch_id: record.importBatchId ?? null,
+                }))).select('id'));
+                insertedIds.push(...rows.map(row => row.id));
+            }
+            return insertedIds;
+        },
+        // Put deleted transactions back under their old ids, split lines included
+        restore: async (userId, restored) => {
+            const ids = await costCenterIds(userId, restored.map(t => t.costCenter));
+            for (const restoredChunk of chunk(restored, CHUNK_SIZE)) {
+                check(await supabase.from('transactions').insert(restoredChunk.map(t => ({
+                    id: t.id,
+                    user_id: userId,
+                    transaction_date: t.date,
+                    merchant: t.merchant,
+                    amount: t.amount,
+                    currency: t.currency,
+                    account: t.account,
+                    cost_center_id: ids[t.costCenter] || null,
+                    status: t.status,
+                    transaction_hash: t.hash,
+                    import_batch_id: t.importBatchId ?? null,
+                    notes: t.notes ?? null,
+                    tags: t.tags ?? [],
+                }))));
+                const splits = restoredChunk.flatMap(t => t.splits.map(split => splitRow(userId, t.id, split)));
+                if (splits.length > 0) check(await supabase.from('transaction_splits').insert(splits));
+            }
+        },
+        update: async (userId, id, { costCenter, status }) => {
+            const ids = await costCenterIds(userId, [costCenter]);
+            check(await supabase
+                .from('transactions')
+                .update({ cost_center_id: ids[costCenter] || null, status })
+                .eq('user_id', userId)
+                .eq('id', id));
+            return transactions.find(userId, id);
+        },
+        updateDetails: async (userId, id, { notes, tags }) => {
+            check(await supabase.from('transactions').update({ notes, tags }).eq('user_id', userId).eq('id', id));
+            return transactions.find(userId, id);
+        },
+        updateMany: async (userId, transactionIds, { costCenter, status }) => {
+            const ids = await costCenterIds(userId, [costCenter]);
+            for (const idChunk of chunk(transactionIds, CHUNK_SIZE)) {
+                check(await supabase
+                    .from('transactions')
+                    .update({ cost_center_id: ids[costCenter] || null, status })
+                    .eq('user_id', userId)
+                    .in('id', idChunk));
+            }
+        },
+        // One action for the transactions with the given ids or matching filters,
+        // run by the bulk_edit_transactions function (migration 0002) so it is a
+        // single database transaction; returns how many were affected
+        bulkEdit: async (userId, { ids, filters }, action, { costCenter, status }) => {
+            let transactionIds = ids;
+            if (!transactionIds) {
+                const applyFilters = await filterTransactions(userId, filters);
+                if (!applyFilters) return 0;
+                transactionIds = (await selectAll(() => applyFilters(supabase.from('transactions').select('id')).order('id')))
+                    .map(row => row.id);
+            }
+            const costCenterId = action === 'setCostCenter' ? (await costCenterIds(userId, [costCenter]))[costCenter] || null : null;
+            return check(await supabase.rpc('bulk_edit_transactions', {
+                p_user_id: userId,
+                p_ids: transactionIds,
+                p_action: action,
+                p_cost_center_id: costCenterId,
+                p_status: status || null,
+            }));
+        },
+        replaceSplits: async (userId, transactionId, lines) => {
+            check(await supabase.from('transaction_splits').delete().eq('user_id', userId).eq('transaction_id', transactionId));
+            if (lines.length > 0) {
+                check(await supabase
+                    .from('transaction_splits')
+                    .insert(lines.map(line => splitRow(userId, transactionId, line))));
+            }
+        },
+    };
+
+    const rules = {
+        list: async (userId) => check(await supabase
+            .from('categorization_rules')
+            .select('*')
+            .eq('user_id', userId)
+            .order('position')
+            .order('id')).map(ruleFromRow),
+        // New rules go after the existing ones
+        create: async (userId, { name, cost_center, conditions, is_active }) => {
+            const last = check(await supabase
+                .from('categorization_rules')
+                .select('position')
+                .eq('user_id', userId)
+                .order('position', { ascending: false })
+                .limit(1));
+            const position = last.length > 0 ? last[0].position + 1 : 0;
+            return ruleFromRow(check(await supabase
+                .from('categorization_rules')
+                .insert({ user_id: userId, name, cost_center, conditions, is_active, position })
+                .select()
+                .single()));
+        },
+        update: async (userId, id, { name, cost_center, conditions, is_active }) => ruleFromRow(check(await supabase
+            .from('categorization_rules')
+            .update({ name, cost_center, conditions, is_active })
+            .eq('user_id', userId)
+            .eq('id', id)
+            .select()
+            .maybeSingle())),
+        reorder: async (userId, ids) => {
+            const results = await Promise.all(ids.map((id, position) => supabase
+                .from('categorization_rules')
+                .update({ position })
+                .eq('user_id', userId)
+                .eq('id', id)));
+            results.forEach(check);
+        },
+        remove: async (userId, id) => {
+            check(await supabase.from('categorization_rules').delete().eq('user_id', userId).eq('id', id));
+        },
+    };
+
+    const budgets = {
+        list: async (userId) => check(await supabase
+            .from('budgets')
+            .select('*')
+            .eq('user_id', userId)
+            .order('cost_center')
+            .order('id')).map(budgetFromRow),
+        create: async (userId, budget) => budgetFromRow(check(await supabase
+            .from('budgets')
+            .insert({ ...budget, user_id: userId })
+            .select()
+            .single())),
+        update: async (userId, id, budget) => budgetFromRow(check(await supabase
+            .from('budgets')
+            .update(budget)
+            .eq('user_id', userId)
+            .eq('id', id)
+            .select()
+            .maybeSingle())),
+        remove: async (userId, id) => {
+            check(await supabase.from('budgets').delete().eq('user_id', userId).eq('id', id));
+        },
+    };
+
+    const importBatches = {
+        // Newest first
+        list: async (userId) => check(await supabase
+            .from('import_batches')
+            .select(IMPORT_BATCH_SELECT)
+            .eq('user_id', userId)
+            .order('id', { ascending: false })).map(importBatchFromJoinedRow),
+        find: async (userId, id) => {
+            const row = check(await supabase
+                .from('import_batches')
+                .select(IMPORT_BATCH_SELECT)
+                .eq('user_id', userId)
+                .eq('id', id)
+                .maybeSingle());
+            return row ? importBatchFromJoinedRow(row) : null;
+        },
+        // Earlier uploads of the same file
+        findByChecksum: async (userId, checksum) => check(await supabase
+            .from('import_batches')
+            .select(IMPORT_BATCH_SELECT)
+            .eq('user_id', userId)
+            .eq('checksum', checksum)
+            .order('id', { ascending: false })).map(importBatchFromJoinedRow),
+        create: async (userId, batch) => importBatchFromJoinedRow(check(await supabase
+            .from('import_batches')
+            .insert({
+                user_id: userId,
+                file_name: batch.fileName,
+                file_size: batch.fileSize,
+                checksum: batch.checksum,
+                mapping_id: batch.mappingId,
+                mapping_name: batch.mappingName,
+                file_type: batch.fileType,
+                new_count: batch.newCount,
+                review_count: batch.reviewCount,
+                duplicate_count: batch.duplicateCount,
+                invalid_count: batch.invalidCount,
+                imported_count: batch.importedCount,
+            })
+            .select(IMPORT_BATCH_SELECT)
+            .single())),
+        // The row counts, once a file saved a chunk at a time has been read to the end
+        updateCounts: async (userId, id, batch) => {
+            check(await supabase
+                .from('import_batches')
+                .update({
+                    new_count: batch.newCount,
+                    review_count: batch.reviewCount,
+                    duplicate_count: batch.duplicateCount,
+                    invalid_count: batch.invalidCount,
+                    imported_count: batch.importedCount,
+                })
+                .eq('user_id', userId)
+                .eq('id', id));
+            return importBatches.find(userId, id);
+        },
+        markRolledBack: async (userId, id) => {
+            check(await supabase
+                .from('import_batches')
+                .update({ rolled_back_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .eq('id', id));
+            return importBatches.find(userId, id);
+        },
+    };
+
+    const watchFolderRuns = {
+        // Newest first
+        list: async (userId, limit = 50) => check(await supabase
+            .from('watch_folder_runs')
+            .select('*')
+            .eq('user_id', userId)
+            .order('started_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit)).map(watchFolderRunFromRow),
+        create: async (userId, { triggeredBy, startedAt, finishedAt, files }) => watchFolderRunFromRow(check(await supabase
+            .from('watch_folder_runs')
+            .insert({ user_id: userId, triggered_by: triggeredBy, started_at: startedAt, finished_at: finishedAt, files })
+            .select('*')
+            .single())),
+    };
+
+    // receipt_count on the transaction follows the rows here
+    const receipts = {
+        list: async (userId, transactionId) => check(await supabase
+            .from('receipts')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('transaction_id', transactionId)
+            .order('id')).map(receiptFromRow),
+        // The receipts of many transactions, e.g. to log their deletion
+        listForTransactions: async (userId, transactionIds) => {
+            const found = [];
+            for (const idChunk of chunk(transactionIds, CHUNK_SIZE)) {
+                found.push(...check(await supabase.from('receipts').select('*').eq('user_id', userId).in('transaction_id', idChunk).order('id')));
+            }
+            return found.map(receiptFromRow);
+        },
+        // Which of the storage keys a receipt has, across users: for sweeping RECEIPTS_PATH
+        existingKeys: async (storageKeys) => {
+            const existing = new Set();
+            for (const keyChunk of chunk(storageKeys, CHUNK_SIZE)) {
+                check(await supabase.from('receipts').select('storage_key').in('storage_key', keyChunk)).forEach(row => existing.add(row.storage_key));
+            }
+            return existing;
+        },
+        find: async (userId, id) => receiptFromRow(check(await supabase
+            .from('receipts')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('id', id)
+            .maybeSingle())),
+        create: async (userId, receipt) => {
+            const row = check(await supabase
+                .from('receipts')
+                .insert({
+                    user_id: userId,
+                    transaction_id: receipt.transactionId,
+                    file_name: receipt.fileName,
+                    content_type: receipt.contentType,
+                    file_size: receipt.fileSize,
+                    storage_key: receipt.storageKey,
+                })
+                .select()
+                .single());
+            await countReceipts(userId, receipt.transactionId);
+            return receiptFromRow(row);
+        },
+        remove: async (userId, id) => {
+            const rows = check(await supabase.from('receipts').delete().eq('user_id', userId).eq('id', id).select('transaction_id'));
+            if (rows.length > 0) await countReceipts(userId, rows[0].transaction_id);
+        },
+    };
+
+    const transfers = {
+        // Pairs of { outId, inId }, each side pointing at the other
+        link: async (userId, pairs, status) => {
+            for (const { outId, inId } of pairs) {
+                check(await supabase.from('transactions').update({ transfer_id: inId, transfer_status: status }).eq('user_id', userId).eq('id', outId));
+                check(await supabase.from('transactions').update({ transfer_id: outId, transfer_status: status }).eq('user_id', userId).eq('id', inId));
+            }
+        },
+        confirm: async (userId, outId, inId) => {
+            check(await supabase.from('transactions').update({ transfer_status: 'confirmed' }).eq('user_id', userId).in('id', [outId, inId]));
+        },
+        // Unlinking remembers the pair so it isn't suggested again
+        unlink: async (userId, outId, inId) => {
+            check(await supabase.from('transactions').update({ transfer_id: null, transfer_status: null }).eq('user_id', userId).in('id', [outId, inId]));
+            check(await supabase
+                .from('transfer_rejections')
+                .upsert({ user_id: userId, out_transaction_id: outId, in_transaction_id: inId }, { onConflict: 'out_transaction_id,in_transaction_id', ignoreDuplicates: true }));
+        },
+        rejected: async (userId) => (await selectAll(() => supabase
+            .from('transfer_rejections')
+            .select('out_transaction_id, in_transaction_id')
+            .eq('user_id', userId)
+            .order('id'))).map(row => ({ outTransactionId: row.out_transaction_id, inTransactionId: row.in_transaction_id })),
+    };
+
+    const duplicateReviews = {
+        // Oldest first
+        list: async (userId, status = 'pending') => (await selectAll(() => supabase
+            .from('duplicate_reviews')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('status', status)
+            .order('id'))).map(duplicateReviewFromRow),
+        find: async (userId, id) => duplicateReviewFromRow(check(await supabase
+            .from('duplicate_reviews')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('id', id)
+            .maybeSingle())),
+        createMany: async (userId, reviews) => {
+            for (const reviewChunk of chunk(reviews, CHUNK_SIZE)) {
+                check(await supabase.from('duplicate_reviews').insert(reviewChunk.map(review => ({
+                    user_id: userId,
+                    import_batch_id: review.importBatchId,
+                    transaction_id: review.transactionId,
+                    incoming: review.incoming,
+                    transaction_hash: review.hash,
+                    similarity: review.similarity,
+                }))));
+            }
+        },
+        // Map of hash to the status of the latest review of a row with it
+        statusesByHash: async (userId, hashes) => {
+            const statuses = new Map();
+            for (const hashChunk of chunk(hashes, CHUNK_SIZE)) {
+                const rows = check(await supabase
+                    .from('duplicate_reviews')
+                    .select('transaction_hash, status')
+                    .eq('user_id', userId)
+                    .in('transaction_hash', hashChunk)
+                    .order('id'));
+                rows.forEach(row => statuses.set(row.transaction_hash, row.status));
+            }
+            return statuses;
+        },
+        resolve: async (userId, id, status) => duplicateReviewFromRow(check(await supabase
+            .from('duplicate_reviews')
+            .update({ status, resolved_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('id', id)
+            .select()
+            .maybeSingle())),
+        // Drop what an import left in the queue, when it is rolled back
+        removePendingForBatch: async (userId, importBatchId) => {
+            check(await supabase
+                .from('duplicate_reviews')
+                .delete()
+                .eq('user_id', userId)
+                .eq('import_batch_id', importBatchId)
+                .eq('status', 'pending'));
+        },
+    };
+
+    // Append-only: operations and their entries are only ever inserted
+    const audit = {
+        // Returns the id of the new operation
+        append: async (userId, { actorId, source, reverts = null, entries }) => {
+            const operationId = check(await supabase
+                .from('audit_operations')
+                .insert({ id: crypto.randomUUID(), user_id: userId, actor_id: actorId, source, reverts, entry_count: entries.length })
+                .select('id')
+                .single()).id;
+            for (const entryChunk of chunk(entries, CHUNK_SIZE)) {
+                check(await supabase.from('audit_entries').insert(entryChunk.map(entry => ({
+                    operation_id: operationId,
+                    user_id: userId,
+                    entity_type: entry.entityType,
+                    entity_id: entry.entityId,
+                    before_state: entry.before,
+                    after_state: entry.after,
+                }))));
+            }
+            return operationId;
+        },
+        // Newest first
+        listOperations: async (userId, { page, pageSize }) => {
+            const from = (page - 1) * pageSize;
+            const { data, count, error } = await supabase
+                .from('audit_operations')
+                .select('*', { count: 'exact' })
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .range(from, from + pageSize - 1);
+            if (error) throw error;
+            return { operations: data.map(auditOperationFromRow), total: count };
+        },
+        operation: async (userId, id) => {
+            const operation = auditOperationFromRow(check(await supabase
+                .from('audit_operations')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('id', id)
+                .maybeSingle()));
+            if (!operation) return null;
+            const entries = await selectAll(() => supabase
+                .from('audit_entries')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('operation_id', id)
+                .order('id'));
+            return { operation, entries: entries.map(auditEntryFromRow) };
+        },
+        // Every entry for one entity with its operation, newest first
+        entityHistory: async (userId, entityType, entityId) => (await selectAll(() => supabase
+            .from('audit_entries')
+            .select('*, audit_operations(*)')
+            .eq('user_id', userId)
+            .eq('entity_type', entityType)
+            .eq('entity_id', String(entityId))
+            .order('id', { ascending: false }))).map(({ audit_operations: operation, ...row }) => ({
+            ...auditEntryFromRow(row),
+            operation: auditOperationFromRow(operation),
+        })),
+    };
+
+    return { users, sessions, resetTokens, costCenters, accounts, reconciliations, exchangeRates, mappings, transactions, receipts, transfers, importBatches, watchFolderRuns, duplicateReviews, rules, budgets, audit };
+};
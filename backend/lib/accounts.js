@@ -0,0 +1,82 @@
+import { isCurrencyCode } from './currency.js';
+
+// --- Accounts and Statement Reconciliation ---
+// Transactions name their account; an account row adds its institution,
+// type, currency and opening balance. The balance is the opening balance
+// plus every transaction on the account. Reconciling a statement marks the
+// transactions it lists as reconciled: the cleared balance (opening balance
+// plus reconciled transactions) should then equal the statement's closing
+// balance. Reconciled transactions are locked until the reconciliation is
+// undone.
+
+export const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other'];
+
+// What an account without a row of its own looks like
+export const defaultAccount = (name, currency) => ({
+    id: null,
+    name,
+    institution: null,
+    type: 'checking',
+    currency,
+    openingBalance: 0,
+});
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+export const isReconciled = (transaction) => Boolean(transaction.reconciliationId);
+
+// The error for an edit that would touch reconciled transactions
+export const lockedMessage = (count) => (count === 1
+    ? 'A reconciled transaction is locked; undo its reconciliation to edit it.'
+    : `${count} reconciled transactions are locked; undo their reconciliation to edit them.`);
+
+// --- Validate an account's details, returning a list of problems ---
+export const validateAccount = ({ name, type, currency, openingBalance }) => {
+    const errors = [];
+    if (!name || !String(name).trim()) errors.push('Name is required.');
+    if (!ACCOUNT_TYPES.includes(type)) errors.push(`type must be one of ${ACCOUNT_TYPES.join(', ')}.`);
+    if (!isCurrencyCode(currency)) errors.push('currency must be a three-letter currency code.');
+    if (typeof openingBalance !== 'number' || !Number.isFinite(openingBalance)) errors.push('openingBalance must be a number.');
+    return errors;
+};
+
+// --- Balance figures of an account from its transactions ---
+export const accountBalances = (account, transactions) => {
+    const sum = (list) => list.reduce((total, t) => total + t.amount, 0);
+    const reconciled = transactions.filter(isReconciled);
+    return {
+        balance: roundCents(account.openingBalance + sum(transactions)),
+        clearedBalance: roundCents(account.openingBalance + sum(reconciled)),
+        transactionCount: transactions.length,
+        unreconciledCount: transactions.length - reconciled.length,
+    };
+};
+
+// --- Transactions with the account balance after each, newest first ---
+export const runningBalances = (openingBalance, transactions) => {
+    let balance = openingBalance;
+    return [...transactions]
+        .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id)
+        .map(t => {
+            balance += t.amount;
+            return { ...t, balance: roundCents(balance) };
+        })
+        .reverse();
+};
+
+// --- Check a reconciliation before saving it ---
+// selected are the transactions the statement lists. Returns { errors,
+// clearedBalance, difference }; a non-zero difference means the statement
+// and the selection don't agree yet.
+export const planReconciliation = (account, transactions, { statementDate, statementBalance }, selected) => {
+    const errors = [];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(statementDate || '')) errors.push('statementDate must be YYYY-MM-DD.');
+    if (typeof statementBalance !== 'number' || !Number.isFinite(statementBalance)) errors.push('statementBalance must be a number.');
+    if (selected.some(t => t.account !== account.name)) errors.push('Every transaction must be on this account.');
+    if (selected.some(isReconciled)) errors.push('Some of the transactions are already reconciled.');
+    if (selected.some(t => t.date > statementDate)) errors.push('Transactions after the statement date cannot be reconciled with it.');
+
+    const { clearedBalance } = accountBalances(account, transactions);
+    const cleared = roundCents(clearedBalance + selected.reduce((total, t) => total + t.amount, 0));
+    return { errors, clearedBalance: cleared, difference: roundCents(statementBalance - cleared) };
+};
@@ -0,0 +1,97 @@
+// --- Audit Trail ---
+// Every change the API makes to transactions, cost centers and mappings is
+// logged as an operation (one request: a single edit, a bulk edit, an import,
+// an undo) with one entry per entity it touched. An entry holds the entity's
+// state before and after, or null where the entity did not exist.
+//
+// Undo puts each entity back to its `before` state, but only while it is
+// still in its `after` state; anything changed since has to be undone first.
+
+export const ENTITY_TYPES = ['transaction', 'cost_center', 'mapping'];
+
+// --- The audited state of each kind of entity ---
+const SNAPSHOTS = {
+    transaction: (t) => ({
+        date: t.date,
+        merchant: t.merchant,
+        amount: t.amount,
+        currency: t.currency,
+        account: t.account,
+        costCenter: t.costCenter,
+        status: t.status,
+        hash: t.hash,
+        importBatchId: t.importBatchId,
+        notes: t.notes,
+        tags: t.tags,
+        splits: t.splits.map(split => ({ costCenter: split.costCenter, amount: split.amount, percentage: split.percentage })),
+        // Only given for deleted transactions, whose receipt files are kept
+        // (for RECEIPT_RETENTION_DAYS) so undoing the deletion can attach them again
+        ...(t.receipts ? {
+            receipts: t.receipts.map(r => ({ fileName: r.fileName, contentType: r.contentType, fileSize: r.fileSize, storageKey: r.storageKey })),
+        } : {}),
+    }),
+    // The parent by name, since undoing a deletion recreates a cost center under a new id
+    cost_center: (costCenter) => ({ name: costCenter.name, parent: costCenter.parent, archived: costCenter.archived }),
+    mapping: (mapping) => ({ name: mapping.name, fileType: mapping.fileType, config: mapping.config }),
+};
+
+export const snapshotOf = (entityType, entity) => (entity ? SNAPSHOTS[entityType](entity) : null);
+
+// Postgres (JSONB) doesn't keep key order, so states are compared with sorted keys
+const canonical = (value) => JSON.stringify(value, (key, item) => (
+    item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+        : item
+));
+
+export const sameState = (a, b) => canonical(a) === canonical(b);
+
+// Whether an entity's current state is the one an entry logged. Only the
+// fields the entry has are compared, so entries written before a field was
+// audited still match.
+const matchesLogged = (current, logged) => (
+    current && logged
+        ? sameState(Object.fromEntries(Object.keys(logged).map(field => [field, current[field]])), logged)
+        : sameState(current, logged)
+);
+
+// --- Entries for the entities an operation touched ---
+// `before` and `after` are lists of the entities (as the repositories return
+// them) ahead of and after the change; an id missing on one side was created
+// or deleted. Entities whose state didn't change are left out.
+export const entriesFor = (entityType, before, after) => {
+    const beforeById = new Map(before.map(entity => [String(entity.id), entity]));
+    const afterById = new Map(after.map(entity => [String(entity.id), entity]));
+    const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+    return ids
+        .map(entityId => ({
+            entityType,
+            entityId,
+            before: snapshotOf(entityType, beforeById.get(entityId)),
+            after: snapshotOf(entityType, afterById.get(entityId)),
+        }))
+        .filter(entry => !sameState(entry.before, entry.after));
+};
+
+// --- Fields that differ between two states, for display ---
+export const changedFields = (before, after) => {
+    if (!before || !after) return [];
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !sameState(before[field], after[field]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+// --- Plan the undo of some entries given the entities' current states ---
+// currentStates maps `${entityType}:${entityId}` to the current snapshot (or
+// null). Returns the entries that changed since (conflicts) and the steps to
+// run, last change first.
+export const planUndo = (entries, currentStates) => {
+    const conflicts = entries.filter(entry => !matchesLogged(currentStates[`${entry.entityType}:${entry.entityId}`] ?? null, entry.after));
+    const steps = [...entries].reverse().map(entry => ({
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        from: entry.after,
+        to: entry.before,
+    }));
+    return { conflicts, steps };
+};
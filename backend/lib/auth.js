@@ -0,0 +1,76 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+// --- Accounts and Sessions ---
+// Passwords are stored as salted scrypt hashes. A session token is a signed
+// { sid, sub, exp } payload; the session id it carries must also still exist
+// in the sessions table, so signing out or resetting a password revokes it.
+
+const scrypt = promisify(crypto.scrypt);
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const KEY_LENGTH = 64;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeEmail = (email = '') => String(email).trim().toLowerCase();
+
+// --- Validate sign-up details, returning a list of problems ---
+export const validateCredentials = ({ email, password }) => {
+    const errors = [];
+    if (!EMAIL_PATTERN.test(normalizeEmail(email))) errors.push('A valid email address is required.');
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    return errors;
+};
+
+// --- Password hashing: 'scrypt$<salt>$<hash>', both hex ---
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    const hash = await scrypt(String(password), salt, KEY_LENGTH);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+};
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// --- Session tokens: base64url(payload).base64url(HMAC-SHA256) ---
+export const signSessionToken = ({ sessionId, userId, expiresAt }, secret) => {
+    const payload = Buffer.from(JSON.stringify({ sid: sessionId, sub: userId, exp: expiresAt })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+};
+
+// Returns { sessionId, userId, expiresAt } for a valid, unexpired token, else null
+export const verifySessionToken = (token, secret) => {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    try {
+        const { sid, sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!sid || !sub || typeof exp !== 'number' || exp <= Date.now()) return null;
+        return { sessionId: sid, userId: sub, expiresAt: exp };
+    } catch {
+        return null;
+    }
+};
+
+// --- Password reset tokens ---
+// Only the SHA-256 of a reset token is stored; the token itself goes to the user.
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const createResetToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+};
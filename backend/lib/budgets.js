@@ -0,0 +1,92 @@
+// --- Cost Center Budgets ---
+// A budget is an amount for one cost center that applies either to a single
+// month (recurrence 'none'), to every month from start_month on ('monthly'),
+// or to every year from start_month on ('annual', spread evenly over the
+// twelve months). end_month optionally stops a recurring budget.
+// Months are stored as the first day of the month, e.g. '2024-03-01'.
+
+export const RECURRENCES = ['none', 'monthly', 'annual'];
+const MONTH_PATTERN = /^\d{4}-\d{2}-01$/;
+
+// --- Validate a budget sent by the client, returning a list of problems ---
+export const validateBudget = ({ cost_center: costCenter, amount, recurrence, start_month: startMonth, end_month: endMonth }) => {
+    const errors = [];
+    if (!costCenter) errors.push('A cost center is required.');
+    if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) errors.push('Amount must be a positive number.');
+    if (!RECURRENCES.includes(recurrence)) errors.push(`Recurrence must be one of ${RECURRENCES.join(', ')}.`);
+    if (!MONTH_PATTERN.test(startMonth || '')) errors.push('Start month must be the first day of a month (YYYY-MM-01).');
+    if (endMonth) {
+        if (!MONTH_PATTERN.test(endMonth)) errors.push('End month must be the first day of a month (YYYY-MM-01).');
+        else if (endMonth < startMonth) errors.push('End month cannot be before the start month.');
+    }
+    return errors;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// --- Months overlapping a date range, with the share of each month covered ---
+export const monthsInRange = (startDate, endDate) => {
+    const months = [];
+    let [year, month] = startDate.split('-').map(Number);
+    const [endYear, endMonth] = endDate.split('-').map(Number);
+
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        const key = `${year}-${String(month).padStart(2, '0')}-01`;
+        const prefix = key.slice(0, 8);
+        const lastDay = daysInMonth(year, month);
+        const first = startDate.startsWith(prefix) ? Number(startDate.slice(8, 10)) : 1;
+        const last = endDate.startsWith(prefix) ? Number(endDate.slice(8, 10)) : lastDay;
+        months.push({ month: key, fraction: (last - first + 1) / lastDay });
+
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return months;
+};
+
+// --- Budgeted amount of one budget for one month ---
+const budgetForMonth = (budget, month) => {
+    if (month < budget.start_month) return 0;
+    if (budget.recurrence === 'none') return month === budget.start_month ? Number(budget.amount) : 0;
+    if (budget.end_month && month > budget.end_month) return 0;
+    return budget.recurrence === 'annual' ? Number(budget.amount) / 12 : Number(budget.amount);
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// --- Actual vs. budget per cost center over a date range ---
+// Spending is the net of everything allocated to the cost center and the
+// cost centers under it (refunds reduce it), shown as a positive number.
+// spentRows are transaction totals grouped by cost center, which already roll
+// up the tree (see transactions.totals). Partial months are prorated by day.
+export const computeVariance = (budgets, spentRows, startDate, endDate) => {
+    const months = monthsInRange(startDate, endDate);
+
+    const budgeted = {};
+    budgets.forEach(budget => {
+        const amount = months.reduce((sum, { month, fraction }) => sum + budgetForMonth(budget, month) * fraction, 0);
+        if (amount > 0) budgeted[budget.cost_center] = (budgeted[budget.cost_center] || 0) + amount;
+    });
+
+    const spent = {};
+    spentRows.forEach(({ group, income, expenses }) => {
+        if (!group) return;
+        spent[group] = (spent[group] || 0) - income - expenses;
+    });
+
+    return Object.keys(budgeted).sort().map(costCenter => {
+        const budget = roundCents(budgeted[costCenter]);
+        const actual = roundCents(spent[costCenter] || 0);
+        return {
+            costCenter,
+            budget,
+            spent: actual,
+            remaining: roundCents(budget - actual),
+            percentUsed: budget > 0 ? Math.round((actual / budget) * 1000) / 10 : null,
+            overBudget: actual > budget,
+        };
+    });
+};
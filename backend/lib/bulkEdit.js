@@ -0,0 +1,58 @@
+import { parseTransactionQuery, STATUSES } from './transactionQuery.js';
+
+// --- Bulk Edits of Transactions ---
+// POST /api/transactions/bulk applies one action to a list of transaction ids
+// or to every transaction matching a filter (the same filter parameters as
+// GET /api/transactions):
+//
+// { action: 'setCostCenter', costCenter: 'Travel', ids: [1, 2, 3] }
+// { action: 'setStatus', status: 'Processed', filter: { status: 'Review Required' } }
+// { action: 'delete', filter: { account: 'Old Card', endDate: '2023-12-31' } }
+//
+// setCostCenter works like assigning a cost center to a single transaction:
+// it replaces any split lines, and an empty cost center sends the
+// transactions back to review.
+
+export const BULK_ACTIONS = ['setCostCenter', 'setStatus', 'delete'];
+export const MAX_BULK_IDS = 5000;
+
+const FILTER_KEYS = ['startDate', 'endDate', 'merchant', 'account', 'costCenter', 'tag', 'receipt', 'status', 'minAmount', 'maxAmount'];
+
+// The filter keys of a JSON body as the query string would carry them
+const filterParams = (filter) => Object.fromEntries(FILTER_KEYS
+    .filter(key => filter[key] !== undefined && filter[key] !== null)
+    .map(key => [key, String(filter[key])]));
+
+// --- Validate a bulk edit, returning { target, changes, errors } ---
+// target is { ids } or { filters }; changes holds the values the action sets.
+export const parseBulkEdit = ({ action, costCenter, status, ids, filter }) => {
+    const errors = [];
+    if (!BULK_ACTIONS.includes(action)) errors.push(`action must be one of ${BULK_ACTIONS.join(', ')}.`);
+    if (action === 'setCostCenter' && costCenter !== null && typeof costCenter !== 'string') {
+        errors.push('costCenter must be a name, or empty to clear it.');
+    }
+    if (action === 'setStatus' && !STATUSES.includes(status)) errors.push(`status must be one of ${STATUSES.join(', ')}.`);
+
+    let target = null;
+    if (ids !== undefined && filter !== undefined) {
+        errors.push('Send either ids or filter, not both.');
+    } else if (ids !== undefined) {
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+            errors.push('ids must be a non-empty array of transaction ids.');
+        } else if (ids.length > MAX_BULK_IDS) {
+            errors.push(`At most ${MAX_BULK_IDS} ids can be edited at once; use a filter instead.`);
+        } else {
+            target = { ids: [...new Set(ids)] };
+        }
+    } else if (filter && typeof filter === 'object') {
+        // Only the filters matter here; sorting and paging don't apply
+        const parsed = parseTransactionQuery(filterParams(filter));
+        errors.push(...parsed.errors);
+        target = { filters: parsed.filters };
+    } else {
+        errors.push('Either ids or filter is required.');
+    }
+
+    const changes = action === 'setCostCenter' ? { costCenter: costCenter || null } : action === 'setStatus' ? { status } : {};
+    return { target, changes, errors };
+};
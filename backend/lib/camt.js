@@ -0,0 +1,95 @@
+import { XMLParser } from 'fast-xml-parser';
+
+// --- ISO 20022 CAMT.053 (Bank to Customer Statement) Parsing ---
+
+// Elements that may repeat are always read as arrays so a statement with a
+// single entry looks the same as one with many.
+const REPEATING = new Set(['Stmt', 'Bal', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd']);
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    isArray: (name) => REPEATING.has(name),
+});
+
+const asArray = (value) => (value === undefined ? [] : [].concat(value));
+const textOf = (value) => (value && typeof value === 'object' ? value['#text'] : value) ?? '';
+
+// --- Check whether a buffer looks like a CAMT.053 document ---
+export const isCamt = (buffer) => {
+    const head = buffer.subarray(0, 4096).toString('utf8');
+    return /camt\.053/.test(head) || /<(\w+:)?BkToCstmrStmt/.test(head);
+};
+
+// Debits are money out; the XML always carries positive amounts
+const signedAmount = (amountNode, indicator) => {
+    const amount = parseFloat(textOf(amountNode));
+    return indicator === 'DBIT' ? -amount : amount;
+};
+
+const dateOf = (node) => {
+    const value = node?.Dt || node?.DtTm || '';
+    return /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null;
+};
+
+// --- Pick the opening and closing booked balances from a statement ---
+const findBalance = (balances, codes) => {
+    const balance = balances.find(b => codes.includes(b.Tp?.CdOrPrtry?.Cd));
+    if (!balance) return null;
+    return {
+        amount: signedAmount(balance.Amt, balance.CdtDbtInd),
+        date: dateOf(balance.Dt),
+    };
+};
+
+// --- Describe an entry by its counterparty and remittance information ---
+const describeEntry = (entry) => {
+    const details = asArray(entry.NtryDtls).flatMap(d => asArray(d.TxDtls));
+    const parties = details[0]?.RltdPties || {};
+    // For money out the counterparty is the creditor, for money in the debtor
+    const party = entry.CdtDbtInd === 'DBIT' ? parties.Cdtr : parties.Dbtr;
+    const counterparty = party?.Nm || party?.Pty?.Nm || '';
+    const remittance = details.flatMap(d => asArray(d.RmtInf?.Ustrd)).join(' ');
+    const reference = entry.AcctSvcrRef || entry.NtryRef || details[0]?.Refs?.AcctSvcrRef || details[0]?.Refs?.TxId || '';
+    return {
+        counterparty,
+        remittance: remittance || entry.AddtlNtryInf || '',
+        reference,
+    };
+};
+
+// --- Parse a CAMT.053 document into its statements ---
+export const parseCamt = (text) => {
+    const document = parser.parse(text).Document;
+    const statements = asArray(document?.BkToCstmrStmt?.Stmt);
+    if (statements.length === 0) throw new Error('No statements found in CAMT.053 file.');
+
+    return statements.map(statement => {
+        const account = statement.Acct?.Id?.IBAN || statement.Acct?.Id?.Othr?.Id || '';
+        const balances = asArray(statement.Bal);
+        return {
+            account,
+            currency: statement.Acct?.Ccy || '',
+            openingBalance: findBalance(balances, ['OPBD', 'PRCD']),
+            closingBalance: findBalance(balances, ['CLBD']),
+            transactions: asArray(statement.Ntry)
+                // Pending entries may still change; only import booked ones
+                .filter(entry => !entry.Sts || textOf(entry.Sts.Cd ?? entry.Sts) === 'BOOK')
+                .map(entry => {
+                    const { counterparty, remittance, reference } = describeEntry(entry);
+                    const bookingDate = entry.BookgDt || entry.ValDt;
+                    return {
+                        id: String(reference),
+                        rawDate: bookingDate?.Dt || bookingDate?.DtTm || '',
+                        date: dateOf(bookingDate),
+                        rawAmount: textOf(entry.Amt),
+                        amount: signedAmount(entry.Amt, entry.CdtDbtInd),
+                        name: counterparty,
+                        memo: remittance,
+                    };
+                }),
+        };
+    });
+};
@@ -0,0 +1,108 @@
+// --- Cost Center Hierarchy ---
+// Cost centers form a tree through their parent, and the totals of a cost
+// center (filters, reports, budgets) include everything under it. Names stay
+// unique per user because transactions' split lines, budgets and rules refer
+// to cost centers by name; renaming or merging one changes those too.
+// Archived cost centers keep their transactions and history but are no
+// longer offered for new assignments.
+
+export const MAX_NAME_LENGTH = 60;
+
+// Cost centers by the id of their parent (null for the top level)
+const childrenByParent = (costCenters) => {
+    const ids = new Set(costCenters.map(cc => cc.id));
+    return costCenters.reduce((groups, cc) => {
+        const parentId = ids.has(cc.parentId) ? cc.parentId : null;
+        if (!groups.has(parentId)) groups.set(parentId, []);
+        groups.get(parentId).push(cc);
+        return groups;
+    }, new Map());
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+// --- Every cost center in tree order, each with its depth ---
+// Parents come before their children; siblings are sorted by name.
+export const treeOrder = (costCenters) => {
+    const children = childrenByParent(costCenters);
+    const ordered = [];
+    const visit = (parentId, depth) => (children.get(parentId) || []).sort(byName).forEach(cc => {
+        ordered.push({ ...cc, depth });
+        visit(cc.id, depth + 1);
+    });
+    visit(null, 0);
+    return ordered;
+};
+
+// --- Names of a cost center and of everything under it ---
+export const subtreeNames = (costCenters, name) => {
+    const root = costCenters.find(cc => cc.name === name);
+    if (!root) return [name];
+    const children = childrenByParent(costCenters);
+    const names = [];
+    const visit = (cc) => {
+        names.push(cc.name);
+        (children.get(cc.id) || []).forEach(visit);
+    };
+    visit(root);
+    return names;
+};
+
+// --- Names of the cost centers above one, nearest first ---
+export const ancestorNames = (costCenters, name) => {
+    const byId = new Map(costCenters.map(cc => [cc.id, cc]));
+    const names = [];
+    let current = costCenters.find(cc => cc.name === name);
+    while (current && byId.has(current.parentId) && !names.includes(byId.get(current.parentId).name)) {
+        current = byId.get(current.parentId);
+        names.push(current.name);
+    }
+    return names;
+};
+
+// --- Validate a new or changed cost center, returning a list of problems ---
+// `id` is null for a new cost center; `parent` is a name or null for the top
+// level. A cost center can't be moved under itself or anything under it.
+export const validateCostCenter = (costCenters, { id = null, name, parent }) => {
+    const errors = [];
+    if (typeof name !== 'string' || !name) errors.push('Name is required.');
+    else if (name.length > MAX_NAME_LENGTH) errors.push(`Names can be at most ${MAX_NAME_LENGTH} characters.`);
+    else if (costCenters.some(cc => cc.name === name && cc.id !== id)) errors.push(`A cost center named "${name}" already exists.`);
+    if (parent !== null) {
+        const current = costCenters.find(cc => cc.id === id);
+        if (!costCenters.some(cc => cc.name === parent)) errors.push(`There is no cost center named "${parent}" to put it under.`);
+        else if (current && subtreeNames(costCenters, current.name).includes(parent)) {
+            errors.push('A cost center can\'t be moved under itself or a cost center under it.');
+        }
+    }
+    return errors;
+};
+
+// --- Validate merging one cost center into another ---
+// The source's children move to the target, so the target can't be under
+// the source.
+export const validateMerge = (costCenters, source, target) => {
+    if (!target) return ['The cost center to merge into does not exist.'];
+    if (source.id === target.id) return ['A cost center can\'t be merged into itself.'];
+    if (subtreeNames(costCenters, source.name).includes(target.name)) {
+        return [`"${target.name}" is under "${source.name}"; move it out first or merge the other way round.`];
+    }
+    return [];
+};
+
+// --- Whether a cost center is archived, itself or through one above it ---
+export const isArchived = (costCenters, name) => [name, ...ancestorNames(costCenters, name)]
+    .some(archivedName => costCenters.find(cc => cc.name === archivedName)?.archived);
+
+// --- Validate the cost centers about to be assigned to transactions ---
+// Assignments only name existing cost centers that are still offered; new
+// ones are added through the cost center endpoints, where they are audited.
+// Empty names (no cost center) are fine, and so are the names in `kept`,
+// e.g. a transaction's current cost center, archived or not.
+export const validateAssignment = (costCenters, names, kept = []) => [...new Set(names.filter(Boolean))]
+    .filter(name => !kept.includes(name))
+    .flatMap(name => {
+        if (!costCenters.some(cc => cc.name === name)) return [`There is no cost center named "${name}".`];
+        if (isArchived(costCenters, name)) return [`"${name}" is archived and can't be assigned any more.`];
+        return [];
+    });
@@ -0,0 +1,116 @@
+import { parseCsv, parseDate, parseAmount } from './mapping.js';
+
+// --- Currencies and Exchange Rates ---
+// Every transaction keeps the amount in its own currency. Totals, budgets and
+// reports are worked out in the user's base currency using the exchange
+// rates the user entered or imported: the latest rate on or before the
+// transaction date (or, before the first known rate, the earliest one). A
+// rate is stored one way (1 from = rate to) and also used the other way.
+
+// The base currency of new users and of transactions imported before currencies were tracked
+export const DEFAULT_CURRENCY = 'USD';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+// '  eur ' → 'EUR'; empty → null
+export const normalizeCurrency = (value) => {
+    const code = String(value ?? '').trim().toUpperCase();
+    return code || null;
+};
+
+// --- Validate one exchange rate, returning a list of problems ---
+export const validateRate = ({ date, from, to, rate }) => {
+    const errors = [];
+    if (!DATE_PATTERN.test(date || '')) errors.push('date must be YYYY-MM-DD.');
+    if (!isCurrencyCode(from)) errors.push('from must be a three-letter currency code.');
+    if (!isCurrencyCode(to)) errors.push('to must be a three-letter currency code.');
+    if (from && from === to) errors.push('from and to must be different currencies.');
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) errors.push('rate must be a positive number.');
+    return errors;
+};
+
+// --- Read exchange rates from a CSV file ---
+// Columns Date, From, To and Rate (Base and Quote are accepted for From and
+// To). Returns the valid rates and one message per rejected line.
+export const parseRatesCsv = (buffer) => {
+    const { rows } = parseCsv(buffer);
+    const rates = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        const rate = {
+            date: parseDate(row.Date),
+            from: normalizeCurrency(row.From ?? row.Base),
+            to: normalizeCurrency(row.To ?? row.Quote),
+            rate: parseAmount(String(row.Rate ?? '')),
+        };
+        const rowErrors = validateRate(rate);
+        if (rowErrors.length > 0) errors.push(`Line ${index + 2}: ${rowErrors.join(' ')}`);
+        else rates.push(rate);
+    });
+    return { rates, errors };
+};
+
+// --- A function converting amounts into the base currency ---
+// convert(amount, currency, date) returns the amount in baseCurrency rounded
+// to cents, or null when there is no rate between the two currencies.
+export const createConverter = (rates, baseCurrency) => {
+    // Rates per currency into the base currency, oldest first
+    const toBase = new Map();
+    const add = (currency, date, rate) => {
+        if (!toBase.has(currency)) toBase.set(currency, []);
+        toBase.get(currency).push({ date, rate });
+    };
+    rates.forEach(rate => {
+        if (rate.to === baseCurrency) add(rate.from, rate.date, rate.rate);
+        else if (rate.from === baseCurrency) add(rate.to, rate.date, 1 / rate.rate);
+    });
+    toBase.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+    const rateOn = (currency, date) => {
+        const list = toBase.get(currency);
+        if (!list) return null;
+        let found = list[0];
+        for (const entry of list) {
+            if (entry.date > date) break;
+            found = entry;
+        }
+        return found.rate;
+    };
+
+    return (amount, currency, date) => {
+        if (!currency || currency === baseCurrency) return amount;
+        const rate = rateOn(currency, date);
+        return rate === null ? null : Math.round(amount * rate * 100) / 100;
+    };
+};
+
+// --- Sums from transactions.totals restated in the base currency ---
+// Rows in another currency carry the date of their transactions, so each is
+// converted at that day's rate. Rows without a rate are left out and their
+// transactions counted as unconverted.
+export const totalsToBaseCurrency = (rows, convert) => {
+    const converted = [];
+    let unconverted = 0;
+    rows.forEach(row => {
+        const income = convert(row.income, row.currency, row.date);
+        const expenses = convert(row.expenses, row.currency, row.date);
+        if (income === null || expenses === null) {
+            unconverted += row.count;
+            return;
+        }
+        converted.push({ ...row, income, expenses });
+    });
+    return { rows: converted, unconverted };
+};
+
+// --- Give each import row a currency ---
+// The file's own (a currency column or the statement currency) wins, then the
+// account's, then the base currency.
+export const assignCurrencies = (rows, accountCurrencies, baseCurrency) => {
+    rows.forEach(row => {
+        row.currency = row.currency || accountCurrencies[row.account] || baseCurrency;
+    });
+    return rows;
+};
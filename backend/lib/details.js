@@ -0,0 +1,88 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// --- Notes, Tags and Receipts ---
+// Besides its cost center a transaction can carry free-text notes, any
+// number of tags, and receipts: images or PDFs kept on local disk, each under
+// a random storage key so file names from the client never reach the path.
+
+export const MAX_NOTES_LENGTH = 2000;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TAGS = 20;
+export const MAX_RECEIPT_BYTES = 10 * 1024 * 1024;
+export const RECEIPT_FILTERS = ['with', 'without'];
+
+const RECEIPT_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'application/pdf': '.pdf',
+};
+
+export const isReceiptType = (contentType) => Boolean(RECEIPT_EXTENSIONS[contentType]);
+
+// --- Tags as given by the client, trimmed and without duplicates ---
+// Tags that differ only in case count as the same; the first spelling wins.
+export const normalizeTags = (tags) => {
+    const seen = new Set();
+    return (Array.isArray(tags) ? tags : [])
+        .map(tag => String(tag ?? '').trim().replace(/\s+/g, ' '))
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+// --- Validate notes and tags, returning a list of problems ---
+export const validateDetails = ({ notes, tags }) => {
+    const errors = [];
+    if (notes !== null && typeof notes !== 'string') errors.push('notes must be text.');
+    else if (notes && notes.length > MAX_NOTES_LENGTH) errors.push(`notes can be at most ${MAX_NOTES_LENGTH} characters.`);
+    if (!Array.isArray(tags)) errors.push('tags must be an array.');
+    else {
+        if (tags.length > MAX_TAGS) errors.push(`A transaction can have at most ${MAX_TAGS} tags.`);
+        if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) errors.push(`Tags can be at most ${MAX_TAG_LENGTH} characters.`);
+    }
+    return errors;
+};
+
+// --- A new random storage key for a receipt of the given type ---
+export const receiptStorageKey = (contentType) => `${crypto.randomUUID()}${RECEIPT_EXTENSIONS[contentType] || ''}`;
+
+// --- Delete receipt files, ignoring ones that are already gone ---
+export const removeReceiptFiles = async (directory, receipts) => {
+    await Promise.all(receipts.map(receipt => fs.rm(path.join(directory, receipt.storageKey), { force: true })));
+};
+
+// --- Mark receipt files as just let go of, e.g. when their transaction is deleted ---
+// The sweep counts their time from here; files already gone are skipped.
+export const touchReceiptFiles = async (directory, receipts) => {
+    const now = new Date();
+    await Promise.all(receipts.map(receipt => fs.utimes(path.join(directory, receipt.storageKey), now, now).catch(() => {})));
+};
+
+// --- Remove receipt files that nothing refers to ---
+// Files untouched for longer than retentionMs whose storage key
+// existingKeys(keys) doesn't return (a Set); newer ones may still be on their
+// way into a receipt, or be kept for undo. Returns the removed keys.
+export const sweepReceiptFiles = async (directory, existingKeys, retentionMs, now = Date.now()) => {
+    const names = await fs.readdir(directory).catch(error => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    });
+    const candidates = [];
+    for (const name of names) {
+        const stats = await fs.stat(path.join(directory, name)).catch(() => null);
+        if (stats?.isFile() && now - stats.mtimeMs > retentionMs) candidates.push(name);
+    }
+    if (candidates.length === 0) return [];
+    const existing = await existingKeys(candidates);
+    const unused = candidates.filter(key => !existing.has(key));
+    await removeReceiptFiles(directory, unused.map(storageKey => ({ storageKey })));
+    return unused;
+};
@@ -0,0 +1,115 @@
+// --- Near-Duplicate Detection ---
+// The transaction hash only catches rows that are exactly the same. The same
+// payment can also come back slightly different: an overlapping statement
+// from another export, a booking date a day or two off, a description with
+// a different reference number. A row counts as a likely duplicate of an
+// existing transaction on the same account with the same amount and currency,
+// a date at most NEAR_DUPLICATE_DAYS away and a similar merchant. Likely
+// duplicates go to the review queue instead of being imported.
+
+export const NEAR_DUPLICATE_DAYS = 3;
+export const MIN_MERCHANT_SIMILARITY = 0.6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What resolving a review does to its status
+export const REVIEW_STATUSES = { merge: 'merged', keep: 'kept', discard: 'discarded' };
+export const REVIEW_ACTIONS = Object.keys(REVIEW_STATUSES);
+
+// --- Merchant text with case, punctuation and spacing differences removed ---
+export const normalizeMerchant = (text = '') => text
+    .toLowerCase()
+    .replace(/[^a-z0-9À-ɏ]+/g, ' ')
+    .trim();
+
+// Character pairs of a string, counted
+const bigrams = (text) => {
+    const pairs = new Map();
+    for (let i = 0; i < text.length - 1; i += 1) {
+        const pair = text.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+};
+
+// --- How alike two merchant descriptions are, from 0 to 1 ---
+// The Sørensen–Dice coefficient of their character pairs, ignoring spaces.
+export const merchantSimilarity = (a, b) => {
+    const left = normalizeMerchant(a).replace(/ /g, '');
+    const right = normalizeMerchant(b).replace(/ /g, '');
+    if (left === right) return 1;
+    if (left.length < 2 || right.length < 2) return 0;
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    let shared = 0;
+    leftPairs.forEach((count, pair) => {
+        shared += Math.min(count, rightPairs.get(pair) || 0);
+    });
+    return (2 * shared) / (left.length - 1 + right.length - 1);
+};
+
+export const daysBetween = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+
+// --- The date range to load existing transactions from for a set of rows ---
+export const candidateRange = (rows) => {
+    const dates = rows.map(row => row.date).sort();
+    const shift = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+    return { startDate: shift(dates[0], -NEAR_DUPLICATE_DAYS), endDate: shift(dates[dates.length - 1], NEAR_DUPLICATE_DAYS) };
+};
+
+// --- The existing transaction a row most likely duplicates, or null ---
+// Returns { transaction, similarity, days }; the most similar merchant wins,
+// then the closest date.
+export const findNearDuplicate = (row, transactions) => {
+    let best = null;
+    transactions.forEach(transaction => {
+        if (transaction.account !== row.account || transaction.currency !== row.currency) return;
+        if (Math.round(transaction.amount * 100) !== Math.round(row.amount * 100)) return;
+        const days = daysBetween(transaction.date, row.date);
+        if (days > NEAR_DUPLICATE_DAYS) return;
+        const similarity = merchantSimilarity(transaction.merchant, row.merchant);
+        if (similarity < MIN_MERCHANT_SIMILARITY) return;
+        if (!best || similarity > best.similarity || (similarity === best.similarity && days < best.days)) {
+            best = { transaction, similarity, days };
+        }
+    });
+    return best;
+};
+
+// --- Move new rows that look like existing transactions to 'review' ---
+// Each gets `match`: the id, date and merchant of the transaction it looks
+// like, and how similar they are.
+export const markNearDuplicates = (rows, transactions) => {
+    rows.forEach(row => {
+        if (row.status !== 'new') return;
+        const found = findNearDuplicate(row, transactions);
+        if (!found) return;
+        row.status = 'review';
+        row.reason = `Looks like "${found.transaction.merchant}" on ${found.transaction.date}; goes to the duplicate review queue.`;
+        row.match = {
+            transactionId: found.transaction.id,
+            date: found.transaction.date,
+            merchant: found.transaction.merchant,
+            similarity: Math.round(found.similarity * 1000) / 1000,
+        };
+    });
+    return rows;
+};
+
+const REVIEWED_REASONS = {
+    pending: 'Already in the duplicate review queue.',
+    merged: 'Already merged into an existing transaction.',
+    discarded: 'Already discarded as a duplicate.',
+};
+
+// --- Flag rows whose hash was sent to the review queue before ---
+// statuses maps hash to review status (see duplicateReviews.statusesByHash).
+// Kept rows are transactions by now, so markDuplicates has caught them.
+export const markReviewedDuplicates = (rows, statuses) => {
+    rows.forEach(row => {
+        if (row.status !== 'new' || !REVIEWED_REASONS[statuses.get(row.hash)]) return;
+        row.status = 'duplicate';
+        row.reason = REVIEWED_REASONS[statuses.get(row.hash)];
+    });
+    return rows;
+};
@@ -0,0 +1,265 @@
+import { allocationsOf } from './splits.js';
+import { createXlsxWriter } from './xlsx.js';
+
+// --- Transaction Export ---
+// Writes transactions as CSV, XLSX, JSON, QIF or OFX. An exporter takes the
+// transactions a batch at a time, in date order unless it names a `sort` of
+// its own: start() and write() return text (or bytes) that can be sent as
+// soon as it is ready, end() the rest. All formats but OFX come out as they
+// go. OFX puts bank and credit card statements apart, each with its date
+// range ahead of its transactions, so it is built at the end and limited to
+// `maxTransactions`. Each transaction is expected to carry baseAmount (null
+// without an exchange rate).
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json', 'qif', 'ofx'];
+
+// Query values for the CSV delimiter
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+const DECIMAL_SEPARATORS = ['.', ','];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// --- Read the export options from the query string ---
+// Returns { format, delimiter, decimalSeparator, errors }.
+export const parseExportOptions = (query) => {
+    const errors = [];
+    const format = query.format || 'csv';
+    const delimiterName = query.delimiter || 'comma';
+    const decimalSeparator = query.decimalSeparator || '.';
+    if (!EXPORT_FORMATS.includes(format)) errors.push(`format must be one of ${EXPORT_FORMATS.join(', ')}.`);
+    if (!DELIMITERS[delimiterName]) errors.push(`delimiter must be one of ${Object.keys(DELIMITERS).join(', ')}.`);
+    if (!DECIMAL_SEPARATORS.includes(decimalSeparator)) errors.push('decimalSeparator must be . or ,');
+    const delimiter = DELIMITERS[delimiterName];
+    if (delimiter === decimalSeparator) errors.push('The delimiter and the decimal separator must differ.');
+    return { format, delimiter, decimalSeparator, errors };
+};
+
+// --- Table rows: one per cost center allocation ---
+// Split transactions export a row per split line with the full amount under
+// "Split Of". With a cost center filter only the allocations to it and the
+// cost centers under it (the costCenters option) are included.
+const tableHeader = (baseCurrency) => [
+    'Date', 'Merchant', 'Amount', 'Currency', `Amount (${baseCurrency})`, 'Cost Center', 'Status', 'Account', 'Split Of', 'Notes', 'Tags',
+];
+
+// Text a spreadsheet would take for a formula (or that starts with a tab or
+// carriage return) gets a leading ' so it stays text; numbers are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const asText = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+const tableRows = (transactions, costCenters) => transactions.flatMap(t => {
+    const isSplit = t.splits.length > 0;
+    const inBaseCurrency = (amount) => {
+        if (t.baseAmount === null) return null;
+        return t.amount === 0 ? t.baseAmount : roundCents(amount * t.baseAmount / t.amount);
+    };
+    return allocationsOf(t)
+        .filter(a => !costCenters || costCenters.includes(a.costCenter))
+        .map(a => [
+            t.date, t.merchant, a.amount, t.currency, inBaseCurrency(a.amount), a.costCenter, t.status, t.account,
+            isSplit ? t.amount : null, t.notes, t.tags.join(', '),
+        ].map(asText));
+});
+
+// --- CSV ---
+// Starts with a byte order mark so spreadsheets read it as UTF-8.
+const csvExporter = ({ baseCurrency, costCenters, delimiter, decimalSeparator }) => {
+    const field = (value) => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return value.toFixed(2).replace('.', decimalSeparator);
+        const text = String(value);
+        return /^'|["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const line = (row) => `${row.map(field).join(delimiter)}\r\n`;
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => `\uFEFF${line(tableHeader(baseCurrency))}`,
+        write: (transactions) => tableRows(transactions, costCenters).map(line).join(''),
+        end: () => '',
+    };
+};
+
+// --- XLSX ---
+const xlsxExporter = ({ baseCurrency, costCenters }) => {
+    const writer = createXlsxWriter('Transactions');
+    return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        start: () => Buffer.concat([writer.start(), writer.write([tableHeader(baseCurrency)])]),
+        write: (transactions) => writer.write(tableRows(transactions, costCenters)),
+        end: () => writer.end(),
+    };
+};
+
+// --- JSON: an array of transactions, splits included as they are ---
+const jsonExporter = ({ baseCurrency }) => {
+    let first = true;
+    const record = (t) => ({
+        id: t.id,
+        date: t.date,
+        merchant: t.merchant,
+        amount: t.amount,
+        currency: t.currency,
+        baseAmount: t.baseAmount,
+        baseCurrency,
+        costCenter: t.costCenter,
+        splits: t.splits.map(split => ({ costCenter: split.costCenter, amount: split.amount, percentage: split.percentage })),
+        status: t.status,
+        account: t.account,
+        notes: t.notes,
+        tags: t.tags,
+        transfer: Boolean(t.transfer),
+        reconciled: Boolean(t.reconciliationId),
+    });
+    return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: () => '[',
+        write: (transactions) => transactions.map(t => {
+            const text = `${first ? '' : ','}\n${JSON.stringify(record(t))}`;
+            first = false;
+            return text;
+        }).join(''),
+        end: () => (first ? ']' : '\n]'),
+    };
+};
+
+// OFX exports are held in memory until the end, so they are kept to this size
+const MAX_OFX_TRANSACTIONS = 10000;
+
+// Transactions grouped by account, in the order the accounts first appear
+const byAccount = (transactions) => transactions.reduce((groups, t) => {
+    if (!groups.has(t.account)) groups.set(t.account, []);
+    groups.get(t.account).push(t);
+    return groups;
+}, new Map());
+
+// --- QIF: an !Account block per account, cost centers as categories and notes as memos ---
+// Transactions come in account order, so each block is written when its
+// account's first transaction arrives.
+const QIF_TYPES = { checking: 'Bank', savings: 'Bank', credit_card: 'CCard', cash: 'Cash', investment: 'Oth A', loan: 'Oth L', other: 'Oth A' };
+
+const qifExporter = ({ accounts }) => {
+    let started = false;
+    let currentAccount = null;
+    const qifDate = (date) => `${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(0, 4)}`;
+    const qifText = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ');
+    const entry = (t) => [
+        `D${qifDate(t.date)}`,
+        `T${t.amount.toFixed(2)}`,
+        `P${qifText(t.merchant)}`,
+        ...(t.costCenter ? [`L${qifText(t.costCenter)}`] : []),
+        ...t.splits.flatMap(split => [`S${qifText(split.costCenter)}`, `$${Number(split.amount).toFixed(2)}`]),
+        ...(t.notes ? [`M${qifText(t.notes)}`] : []),
+        '^',
+    ];
+    return {
+        contentType: 'application/qif; charset=utf-8',
+        extension: 'qif',
+        sort: { field: 'account', direction: 'asc' },
+        start: () => '',
+        write: (transactions) => {
+            const lines = transactions.flatMap(t => {
+                if (started && t.account === currentAccount) return entry(t);
+                started = true;
+                currentAccount = t.account;
+                const type = QIF_TYPES[accounts.get(t.account)?.type] || 'Bank';
+                return ['!Account', `N${qifText(t.account)}`, `T${type}`, '^', `!Type:${type}`, ...entry(t)];
+            });
+            return lines.length > 0 ? `${lines.join('\r\n')}\r\n` : '';
+        },
+        end: () => '',
+    };
+};
+
+// --- OFX 1.0.2: a statement per account ---
+// Credit card accounts get a credit card statement, the others a bank
+// statement. The memo holds the notes, or else the cost center. Leaf
+// elements are closed so XML-minded readers cope too.
+const OFX_ACCOUNT_TYPES = { checking: 'CHECKING', savings: 'SAVINGS', loan: 'CREDITLINE' };
+
+const ofxExporter = ({ accounts, baseCurrency }) => {
+    const collected = [];
+    const ofxText = (value, length) => String(value ?? '')
+        .replace(/[\r\n]+/g, ' ')
+        .slice(0, length)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    const ofxDate = (date) => date.replace(/-/g, '');
+    const transactionXml = (t) => [
+        '<STMTTRN>',
+        `<TRNTYPE>${t.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+        `<DTPOSTED>${ofxDate(t.date)}</DTPOSTED>`,
+        `<TRNAMT>${t.amount.toFixed(2)}</TRNAMT>`,
+        `<FITID>${t.id}</FITID>`,
+        `<NAME>${ofxText(t.merchant, 32)}</NAME>`,
+        ...(t.notes || t.costCenter || t.splits.length > 0
+            ? [`<MEMO>${ofxText(t.notes || t.costCenter || t.splits.map(split => split.costCenter).join(', '), 255)}</MEMO>`]
+            : []),
+        '</STMTTRN>',
+    ];
+    const statementXml = (name, list, index) => {
+        const account = accounts.get(name);
+        const isCard = account?.type === 'credit_card';
+        const dates = list.map(t => t.date).sort();
+        const accountXml = isCard
+            ? ['<CCACCTFROM>', `<ACCTID>${ofxText(name, 22)}</ACCTID>`, '</CCACCTFROM>']
+            : ['<BANKACCTFROM>', `<BANKID>${ofxText(account?.institution || 'balanzia', 9)}</BANKID>`, `<ACCTID>${ofxText(name, 22)}</ACCTID>`,
+                `<ACCTTYPE>${OFX_ACCOUNT_TYPES[account?.type] || 'CHECKING'}</ACCTTYPE>`, '</BANKACCTFROM>'];
+        const statement = isCard ? 'CCSTMT' : 'STMT';
+        return [
+            `<${statement}TRNRS>`,
+            `<TRNUID>${index + 1}</TRNUID>`,
+            '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            `<${statement}RS>`,
+            `<CURDEF>${account?.currency || list[0].currency || baseCurrency}</CURDEF>`,
+            ...accountXml,
+            '<BANKTRANLIST>',
+            `<DTSTART>${ofxDate(dates[0])}</DTSTART>`,
+            `<DTEND>${ofxDate(dates[dates.length - 1])}</DTEND>`,
+            ...list.flatMap(transactionXml),
+            '</BANKTRANLIST>',
+            `</${statement}RS>`,
+            `</${statement}TRNRS>`,
+        ];
+    };
+    return {
+        contentType: 'application/x-ofx',
+        extension: 'ofx',
+        maxTransactions: MAX_OFX_TRANSACTIONS,
+        start: () => '',
+        write: (transactions) => {
+            collected.push(...transactions);
+            return '';
+        },
+        end: () => {
+            const groups = [...byAccount(collected)];
+            const bank = groups.filter(([name]) => accounts.get(name)?.type !== 'credit_card');
+            const cards = groups.filter(([name]) => accounts.get(name)?.type === 'credit_card');
+            const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+            const lines = [
+                'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:UTF-8', 'CHARSET:NONE',
+                'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+                '<OFX>',
+                '<SIGNONMSGSRSV1><SONRS>',
+                '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+                `<DTSERVER>${now}</DTSERVER>`,
+                '<LANGUAGE>ENG</LANGUAGE>',
+                '</SONRS></SIGNONMSGSRSV1>',
+                ...(bank.length > 0 ? ['<BANKMSGSRSV1>', ...bank.flatMap(([name, list], i) => statementXml(name, list, i)), '</BANKMSGSRSV1>'] : []),
+                ...(cards.length > 0 ? ['<CREDITCARDMSGSRSV1>', ...cards.flatMap(([name, list], i) => statementXml(name, list, bank.length + i)), '</CREDITCARDMSGSRSV1>'] : []),
+                '</OFX>',
+            ];
+            return `${lines.join('\r\n')}\r\n`;
+        },
+    };
+};
+
+const EXPORTERS = { csv: csvExporter, xlsx: xlsxExporter, json: jsonExporter, qif: qifExporter, ofx: ofxExporter };
+
+// --- Create an exporter for a format ---
+// options: { baseCurrency, costCenters (names, or null for all), delimiter,
+// decimalSeparator, accounts (a Map of account name to account, for QIF and OFX) }
+export const createExporter = (format, options) => EXPORTERS[format](options);
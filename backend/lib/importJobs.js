@@ -0,0 +1,103 @@
+import crypto from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import readline from 'node:readline';
+
+// --- Background Import Jobs ---
+// An upload is read, checked and saved in the background while the client
+// polls its job for progress, so a large file doesn't hold the request open.
+// Jobs live in memory only: they follow an import while it runs (the import
+// batch is its lasting record), and a restarted server no longer knows them.
+// The rows a preview lists can run into the hundreds of thousands, so they
+// go to a temporary file as they are checked, one JSON line each, and the
+// client reads them back a page at a time.
+
+// A finished job, result included, is kept this long for the client to fetch
+export const JOB_TTL_MS = 10 * 60 * 1000;
+
+// What a running job is doing. Rows are checked and saved as the file is
+// read, so done and total count the bytes read so far throughout.
+export const PHASES = ['reading', 'checking', 'saving'];
+
+export const ROWS_PAGE_SIZE = 100;
+export const MAX_ROWS_PAGE_SIZE = 500;
+
+export const createImportJobs = () => {
+    const jobs = new Map(); // id -> { userId, job, rowsFile, rowCount }
+
+    const removeRows = (entry) => fs.rm(entry.rowsFile, { force: true }).catch(error => {
+        console.error('Error removing import preview rows:', error);
+    });
+
+    const finish = (entry, changes) => {
+        Object.assign(entry.job, changes, { finishedAt: new Date().toISOString() });
+        if (entry.job.status === 'failed') removeRows(entry);
+        setTimeout(() => {
+            jobs.delete(entry.job.id);
+            removeRows(entry);
+        }, JOB_TTL_MS).unref();
+    };
+
+    return {
+        // Run work(report, addRows) for the user and return the new job's id
+        // at once. work calls report(phase, done, total) as it goes (leaving
+        // done and total out keeps them as they are), may keep rows for the
+        // client with addRows(rows) and resolves with the job's result.
+        start: (userId, work) => {
+            const job = {
+                id: crypto.randomUUID(),
+                status: 'running',
+                phase: PHASES[0],
+                done: 0,
+                total: 0,
+                result: null,
+                error: null,
+                startedAt: new Date().toISOString(),
+                finishedAt: null,
+            };
+            const entry = { userId, job, rowsFile: path.join(os.tmpdir(), `import-rows-${job.id}.jsonl`), rowCount: 0 };
+            jobs.set(job.id, entry);
+            const report = (phase, done = job.done, total = job.total) => Object.assign(job, { phase, done, total });
+            const addRows = async (rows) => {
+                await fs.appendFile(entry.rowsFile, rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+                entry.rowCount += rows.length;
+            };
+            work(report, addRows)
+                .then(result => finish(entry, { status: 'done', result }))
+                .catch(error => {
+                    console.error('Error in import job:', error);
+                    finish(entry, { status: 'failed', error: error.message });
+                });
+            return job.id;
+        },
+        // The job as the client sees it, or null if the user has none by that id
+        find: (userId, id) => {
+            const entry = jobs.get(id);
+            return entry && entry.userId === userId ? entry.job : null;
+        },
+        // One page of the rows a finished job kept, as { rows, page, pageSize,
+        // total }, or null if the user has no finished job by that id
+        rows: async (userId, id, { page, pageSize }) => {
+            const entry = jobs.get(id);
+            if (!entry || entry.userId !== userId || entry.job.status !== 'done') return null;
+            const rows = [];
+            if (entry.rowCount > 0) {
+                const first = (page - 1) * pageSize;
+                const input = createReadStream(entry.rowsFile);
+                let index = 0;
+                try {
+                    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                        if (index >= first + pageSize) break;
+                        if (index >= first) rows.push(JSON.parse(line));
+                        index += 1;
+                    }
+                } finally {
+                    input.destroy();
+                }
+            }
+            return { rows, page, pageSize, total: entry.rowCount };
+        },
+    };
+};
@@ -0,0 +1,256 @@
+import crypto from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import { parseCsv, parseCsvStream, mapRow, defaultMappingFor } from './mapping.js';
+import { isOfx, decodeOfx, parseOfx } from './ofx.js';
+import { isCamt, parseCamt } from './camt.js';
+import { isMt940, parseMt940 } from './mt940.js';
+import { isCurrencyCode } from './currency.js';
+
+// --- Helper Function to Create a Unique ID (e.g., hash of key fields) ---
+// Built from the normalized values (ISO date, amount in cents, description
+// with case and spacing evened out), so the same transaction hashes the same
+// whatever format the file was exported in.
+export const createTransactionHash = (transaction) => {
+    return Buffer.from(JSON.stringify({
+        date: transaction.date,
+        merchant: transaction.merchant.trim().replace(/\s+/g, ' ').toLowerCase(),
+        amount: Math.round(transaction.amount * 100),
+        account: transaction.account.trim(),
+    })).toString('base64');
+};
+
+// --- The hash CSV rows were stored under before it was normalized ---
+// (the date as written in the file); still checked so those rows aren't
+// imported a second time. Text outside Latin-1 never got this far.
+export const createLegacyTransactionHash = (transaction) => {
+    try {
+        return btoa(JSON.stringify({
+            date: transaction.rawDate,
+            merchant: transaction.merchant,
+            amount: transaction.amount,
+            account: transaction.account
+        }));
+    } catch {
+        return null;
+    }
+};
+
+// --- Statements that carry the bank's own transaction ID dedupe on that instead ---
+export const createExternalIdHash = (source, account, id) => {
+    return Buffer.from(JSON.stringify({ source, account, id })).toString('base64');
+};
+
+// --- SHA-256 of an uploaded file, to recognize the same file imported again ---
+// Read a piece at a time, so large files aren't held in memory.
+export const fileChecksum = async (filePath) => {
+    const checksum = crypto.createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) checksum.update(chunk);
+    return checksum.digest('hex');
+};
+
+// --- Detect the statement format from the file name and its first bytes ---
+export const detectFileType = (fileName = '', buffer) => {
+    if (/\.(ofx|qfx)$/i.test(fileName) || isOfx(buffer)) return 'OFX';
+    if (isCamt(buffer)) return 'CAMT.053';
+    if (/\.(sta|mt940)$/i.test(fileName) || isMt940(buffer)) return 'MT940';
+    return 'CSV';
+};
+
+// Self-describing statement formats; each parser returns a list of
+// { account, currency, openingBalance, closingBalance, transactions }
+const STATEMENT_PARSERS = {
+    'OFX': (buffer) => parseOfx(decodeOfx(buffer)),
+    'CAMT.053': (buffer) => parseCamt(buffer.toString('utf8')),
+    // MT940 is restricted to the SWIFT character set, so latin1 is safe
+    'MT940': (buffer) => parseMt940(buffer.toString('latin1')),
+};
+
+// --- Compare a statement's balances against the sum of its transactions ---
+const summarizeStatement = (statement) => {
+    const transactionTotal = statement.transactions.reduce((sum, trn) => sum + (isNaN(trn.amount) ? 0 : trn.amount), 0);
+    const { openingBalance, closingBalance } = statement;
+    const difference = openingBalance && closingBalance
+        ? Math.round((openingBalance.amount + transactionTotal - closingBalance.amount) * 100) / 100
+        : null;
+    return {
+        account: statement.account,
+        currency: statement.currency,
+        openingBalance,
+        closingBalance,
+        transactionCount: statement.transactions.length,
+        transactionTotal: Math.round(transactionTotal * 100) / 100,
+        difference,
+    };
+};
+
+// --- Read an uploaded statement into mapped rows, whatever its format ---
+// CSV files go through the mapping template (or the legacy default columns);
+// OFX, CAMT.053 and MT940 files describe themselves and ignore the template.
+// Those carry the bank's own reference per transaction, which is used for
+// deduplication in place of the field hash.
+export const readStatement = (buffer, fileName, mappingConfig = null) => {
+    const fileType = detectFileType(fileName, buffer);
+
+    if (STATEMENT_PARSERS[fileType]) {
+        const statements = STATEMENT_PARSERS[fileType](buffer);
+        const mappedRows = statements.flatMap(statement => statement.transactions.map(trn => {
+            const account = statement.account || 'Default';
+            return {
+                rawDate: trn.rawDate,
+                rawAmount: trn.rawAmount,
+                date: trn.date,
+                merchant: trn.name || trn.memo,
+                amount: trn.amount,
+                account,
+                currency: statement.currency ? statement.currency.toUpperCase() : null,
+                dedupeKey: trn.id ? createExternalIdHash(fileType, account, trn.id) : null,
+            };
+        }));
+        return { fileType, mappedRows, config: {}, statements: statements.map(summarizeStatement) };
+    }
+
+    const parsed = parseCsv(buffer, mappingConfig || {});
+    const config = mappingConfig || defaultMappingFor(parsed.headers);
+    return { fileType, mappedRows: parsed.rows.map(row => mapRow(row, config)), config, statements: [] };
+};
+
+// --- The first bytes of a file, enough to detect its format and header ---
+export const readHead = async (filePath, length = 64 * 1024) => {
+    const file = await fs.open(filePath);
+    try {
+        const { buffer, bytesRead } = await file.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await file.close();
+    }
+};
+
+// --- Read a statement file from disk, handing its mapped rows on in chunks ---
+// Like readStatement, for files too large to hold: a CSV file is decoded,
+// parsed and mapped as it is read, and every chunkSize mapped rows go to
+// onRows(mappedRows, { fileType, config }), which reading waits for, so only
+// one chunk is held at a time. onProgress(bytesRead, totalBytes) follows along. OFX,
+// CAMT.053 and MT940 statements are parsed as whole documents, so those are
+// read in one go and then handed on in chunks.
+export const readStatementFile = async (filePath, fileName, mappingConfig, { chunkSize, onRows, onProgress = () => {} }) => {
+    const { size } = await fs.stat(filePath);
+    const fileType = detectFileType(fileName, await readHead(filePath));
+
+    if (STATEMENT_PARSERS[fileType]) {
+        const { mappedRows, config, statements } = readStatement(await fs.readFile(filePath), fileName, mappingConfig);
+        onProgress(size, size);
+        for (let start = 0; start < mappedRows.length; start += chunkSize) {
+            await onRows(mappedRows.slice(start, start + chunkSize), { fileType, config });
+        }
+        return { fileType, config, statements };
+    }
+
+    const input = createReadStream(filePath);
+    let bytesRead = 0;
+    input.on('data', (chunk) => {
+        bytesRead += chunk.length;
+        onProgress(bytesRead, size);
+    });
+    let config = mappingConfig;
+    let mappedRows = [];
+    const { headers } = await parseCsvStream(input, mappingConfig || {}, (row, rowHeaders) => {
+        if (!config) config = defaultMappingFor(rowHeaders);
+        mappedRows.push(mapRow(row, config));
+        if (mappedRows.length < chunkSize) return null;
+        const full = mappedRows;
+        mappedRows = [];
+        return onRows(full, { fileType, config });
+    });
+    config = config || defaultMappingFor(headers);
+    if (mappedRows.length > 0) await onRows(mappedRows, { fileType, config });
+    return { fileType, config, statements: [] };
+};
+
+// --- Explain why a mapped row cannot be imported, or return null ---
+const validateRow = (mapped, dateFormat) => {
+    if (!mapped.rawDate) return 'Missing date.';
+    if (!mapped.date) {
+        return dateFormat && dateFormat !== 'auto'
+            ? `Unrecognized date "${mapped.rawDate}" (expected ${dateFormat}).`
+            : `Unrecognized date "${mapped.rawDate}".`;
+    }
+    if (mapped.amountError) return mapped.amountError;
+    if (!mapped.rawAmount) return 'Missing amount.';
+    if (isNaN(mapped.amount)) return `Unparseable amount "${mapped.rawAmount}".`;
+    if (!mapped.merchant) return 'Missing description.';
+    if (mapped.currency && !isCurrencyCode(mapped.currency)) return `Unknown currency "${mapped.currency}".`;
+    return null;
+};
+
+// --- Turn mapped rows into preview rows with a status of 'new' or 'invalid' ---
+// Row numbers are 1-based and count data rows only, so the client can refer
+// back to them when confirming a partial import; a file read in chunks passes
+// the number of the chunk's first row.
+export const buildImportRows = (mappedRows, { dateFormat } = {}, firstRowNumber = 1) => mappedRows.map((mapped, index) => {
+    const reason = validateRow(mapped, dateFormat);
+    return {
+        rowNumber: firstRowNumber + index,
+        date: mapped.date,
+        merchant: mapped.merchant,
+        amount: isNaN(mapped.amount) ? null : mapped.amount,
+        account: mapped.account,
+        currency: mapped.currency,
+        status: reason ? 'invalid' : 'new',
+        reason,
+        hash: reason ? null : mapped.dedupeKey || createTransactionHash(mapped),
+        legacyHash: reason || mapped.dedupeKey ? null : createLegacyTransactionHash(mapped),
+    };
+});
+
+// --- Every hash the rows may already be stored under ---
+export const hashesOf = (rows) => rows
+    .filter(row => row.status === 'new')
+    .flatMap(row => [row.hash, row.legacyHash].filter(Boolean));
+
+// --- Flag rows already in the database, or repeated earlier in the same file ---
+// seen maps the hashes of the file's new rows to their row numbers; a file
+// checked in chunks passes the same map for every chunk. It is checked first,
+// so rows saved from earlier chunks count as repeats rather than as imported.
+export const markDuplicates = (rows, existingHashes, seen = new Map()) => {
+    rows.forEach(row => {
+        if (row.status !== 'new') return;
+        if (seen.has(row.hash)) {
+            row.status = 'duplicate';
+            row.reason = `Same as row ${seen.get(row.hash)} in this file.`;
+        } else if (existingHashes.has(row.hash) || existingHashes.has(row.legacyHash)) {
+            row.status = 'duplicate';
+            row.reason = 'Already imported.';
+        } else {
+            seen.set(row.hash, row.rowNumber);
+        }
+    });
+    return rows;
+};
+
+// --- Counts per status plus income/expense totals of the new rows ---
+export const summarizeImport = (rows) => rows.reduce((totals, row) => {
+    totals.total += 1;
+    totals[row.status] += 1;
+    if (row.status === 'new') {
+        if (row.amount > 0) {
+            totals.income += row.amount;
+        } else {
+            totals.expenses += row.amount;
+        }
+    }
+    return totals;
+}, { total: 0, new: 0, review: 0, duplicate: 0, invalid: 0, income: 0, expenses: 0 });
+
+// --- Shape a preview row as a transaction record for insertion ---
+export const toTransactionRecord = (row) => ({
+    date: row.date,
+    merchant: row.merchant,
+    amount: row.amount,
+    currency: row.currency,
+    account: row.account,
+    costCenter: row.costCenter || null,
+    // New transactions need review unless a rule already categorized them
+    status: row.costCenter ? 'Processed' : 'Review Required',
+    hash: row.hash,
+});
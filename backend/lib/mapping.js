@@ -0,0 +1,287 @@
+import { Transform } from 'node:stream';
+import Papa from 'papaparse';
+
+// --- Mapping Template Configuration ---
+// A mapping template describes how the columns of one bank's CSV export map
+// onto our transaction fields. Every key is optional; missing keys fall back
+// to these defaults.
+export const DEFAULT_MAPPING_CONFIG = {
+    delimiter: '',              // '' lets PapaParse auto-detect
+    encoding: 'utf-8',
+    headerRow: 0,               // Number of lines to skip before the header line
+    dateColumn: 'Date',
+    dateFormat: 'auto',         // e.g. 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'
+    descriptionColumns: ['Description'],
+    amountMode: 'single',       // 'single' or 'debitCredit'
+    amountColumn: 'Amount',
+    invertSign: false,          // For exports where expenses are positive
+    debitColumn: '',
+    creditColumn: '',
+    decimalSeparator: '.',
+    accountColumn: 'Account',
+    fixedAccount: '',           // Used instead of accountColumn when set
+    currencyColumn: '',         // ISO code per row, e.g. EUR
+    fixedCurrency: '',          // Used instead of currencyColumn when set
+    fileNamePattern: '',        // e.g. 'chase-*.csv', picks the template in the watched folder
+};
+
+export const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYYMMDD', 'DD/MM/YY', 'MM/DD/YY'];
+export const ENCODINGS = ['utf-8', 'utf-16le', 'windows-1252', 'iso-8859-1'];
+const DELIMITERS = ['', ',', ';', '\t', '|'];
+
+// --- Validate a config sent by the client, returning a list of problems ---
+export const validateMappingConfig = (config) => {
+    const errors = [];
+    if (!config || typeof config !== 'object') {
+        return ['Mapping config must be an object.'];
+    }
+    const merged = { ...DEFAULT_MAPPING_CONFIG, ...config };
+
+    if (!DELIMITERS.includes(merged.delimiter)) errors.push(`Unsupported delimiter "${merged.delimiter}".`);
+    if (!ENCODINGS.includes(merged.encoding)) errors.push(`Unsupported encoding "${merged.encoding}".`);
+    if (!Number.isInteger(merged.headerRow) || merged.headerRow < 0) errors.push('Header row offset must be a non-negative integer.');
+    if (!merged.dateColumn) errors.push('A date column is required.');
+    if (!DATE_FORMATS.includes(merged.dateFormat)) errors.push(`Unsupported date format "${merged.dateFormat}".`);
+    if (!Array.isArray(merged.descriptionColumns) || merged.descriptionColumns.length === 0) {
+        errors.push('At least one description column is required.');
+    }
+    if (!['.', ','].includes(merged.decimalSeparator)) errors.push('Decimal separator must be "." or ",".');
+    if (merged.fixedCurrency && !/^[A-Za-z]{3}$/.test(merged.fixedCurrency)) errors.push('Fixed currency must be a three-letter code such as EUR.');
+    if (typeof merged.fileNamePattern !== 'string' || merged.fileNamePattern.length > 100) {
+        errors.push('File name pattern must be text of at most 100 characters.');
+    }
+
+    if (merged.amountMode === 'single') {
+        if (!merged.amountColumn) errors.push('An amount column is required.');
+    } else if (merged.amountMode === 'debitCredit') {
+        if (!merged.debitColumn && !merged.creditColumn) errors.push('A debit or credit column is required.');
+    } else {
+        errors.push(`Unsupported amount mode "${merged.amountMode}".`);
+    }
+    return errors;
+};
+
+// --- Legacy behaviour for uploads without a template ---
+// Mirrors the columns /api/upload used to hardcode: Date, Description or
+// Merchant, Amount or Debit, and Account, plus a Currency column if there is one.
+export const defaultMappingFor = (headers = []) => ({
+    ...DEFAULT_MAPPING_CONFIG,
+    descriptionColumns: [headers.includes('Description') ? 'Description' : 'Merchant'],
+    amountColumn: headers.includes('Amount') ? 'Amount' : 'Debit',
+    currencyColumn: headers.includes('Currency') ? 'Currency' : '',
+});
+
+// --- Decode and parse a CSV buffer according to a mapping config ---
+export const parseCsv = (buffer, config = {}) => {
+    const { encoding, headerRow, delimiter } = { ...DEFAULT_MAPPING_CONFIG, ...config };
+    let text = new TextDecoder(encoding).decode(buffer);
+    if (headerRow > 0) {
+        text = text.split(/\r?\n/).slice(headerRow).join('\n');
+    }
+    const parsed = Papa.parse(text, {
+        header: true,
+        skipEmptyLines: true,
+        delimiter,
+        transformHeader: (header) => header.trim(),
+    });
+    return {
+        headers: parsed.meta.fields || [],
+        delimiter: parsed.meta.delimiter,
+        rows: parsed.data,
+    };
+};
+
+// Text handed to the parser before the first chunk; PapaParse guesses the
+// delimiter from the first chunk alone, so it should span several lines
+const FIRST_CHUNK_LENGTH = 64 * 1024;
+
+// Decode a byte stream into text, dropping its first skipLines lines
+const decodeText = (encoding, skipLines) => {
+    const decoder = new TextDecoder(encoding);
+    let toSkip = skipLines;
+    let held = '';
+    const push = (stream, text, isLast = false) => {
+        let rest = text;
+        while (toSkip > 0 && rest) {
+            const newline = rest.indexOf('\n');
+            if (newline === -1) return;
+            rest = rest.slice(newline + 1);
+            toSkip -= 1;
+        }
+        if (held !== null) {
+            held += rest;
+            if (held.length < FIRST_CHUNK_LENGTH && !isLast) return;
+            rest = held;
+            held = null;
+        }
+        if (rest) stream.push(rest);
+    };
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, _encoding, callback) {
+            push(this, decoder.decode(chunk, { stream: true }));
+            callback();
+        },
+        flush(callback) {
+            push(this, decoder.decode(), true);
+            callback();
+        },
+    });
+};
+
+// --- Parse a CSV byte stream according to a mapping config, row by row ---
+// The streaming form of parseCsv for large files: onRow(row, headers) gets
+// each row as it is read, so the file is never held as one string. When
+// onRow returns a promise, reading waits for it. Resolves with the headers
+// and delimiter once the stream ends.
+export const parseCsvStream = (input, config, onRow) => new Promise((resolve, reject) => {
+    const { encoding, headerRow, delimiter } = { ...DEFAULT_MAPPING_CONFIG, ...config };
+    let decoded;
+    try {
+        decoded = decodeText(encoding, headerRow);
+    } catch (error) {
+        reject(error);
+        return;
+    }
+    input.on('error', reject);
+    let meta = { fields: [], delimiter };
+    const text = input.pipe(decoded);
+    Papa.parse(text, {
+        header: true,
+        skipEmptyLines: true,
+        delimiter,
+        transformHeader: (header) => header.trim(),
+        step: (result, parser) => {
+            meta = result.meta;
+            const pending = onRow(result.data, meta.fields || []);
+            if (!pending) return;
+            // Hold the parser and the file back until the row is dealt with
+            parser.pause();
+            text.pause();
+            pending.then(() => {
+                text.resume();
+                parser.resume();
+            }, (error) => {
+                input.destroy();
+                reject(error);
+            });
+        },
+        complete: () => resolve({ headers: meta.fields || [], delimiter: meta.delimiter }),
+        error: reject,
+    });
+});
+
+// --- Parse a date string with an explicit format into YYYY-MM-DD ---
+export const parseDate = (value, format = 'auto') => {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+
+    if (format === 'auto') {
+        const date = new Date(text);
+        if (isNaN(date)) return null;
+        return date.toISOString().split('T')[0];
+    }
+
+    // Turn the format into a regex with one capture group per token
+    const tokens = [];
+    const pattern = format.replace(/YYYY|YY|MM|DD|[.*+?^${}()|[\]\\/-]/g, (token) => {
+        if (token === 'YYYY') { tokens.push('year'); return '(\\d{4})'; }
+        if (token === 'YY') { tokens.push('shortYear'); return '(\\d{2})'; }
+        if (token === 'MM') { tokens.push('month'); return '(\\d{1,2})'; }
+        if (token === 'DD') { tokens.push('day'); return '(\\d{1,2})'; }
+        return `\\${token}`;
+    });
+    const match = text.match(new RegExp(`^${pattern}$`));
+    if (!match) return null;
+
+    const parts = {};
+    tokens.forEach((token, i) => { parts[token] = Number(match[i + 1]); });
+    const year = parts.year ?? (parts.shortYear < 70 ? 2000 + parts.shortYear : 1900 + parts.shortYear);
+    const { month, day } = parts;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null; // e.g. 31/02/2024
+    }
+    return date.toISOString().split('T')[0];
+};
+
+// --- Parse an amount, tolerating currency symbols, thousands separators,
+// parentheses for negatives and trailing minus signs ---
+export const parseAmount = (value, decimalSeparator = '.') => {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return NaN;
+    let text = String(value).trim();
+    if (!text) return NaN;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+        negative = !negative;
+        text = text.slice(0, -1);
+    }
+
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    text = text
+        .replace(/[^\d.,+-]/g, '')
+        .split(thousandsSeparator).join('');
+    if (decimalSeparator === ',') text = text.replace(',', '.');
+    if (!/^[+-]?\d*\.?\d+$/.test(text)) return NaN;
+
+    const amount = parseFloat(text);
+    return negative ? -amount : amount;
+};
+
+// --- Map one parsed CSV row onto our transaction fields ---
+export const mapRow = (row, config = {}) => {
+    const mapping = { ...DEFAULT_MAPPING_CONFIG, ...config };
+    const cell = (column) => (column && row[column] !== undefined && row[column] !== null ? String(row[column]).trim() : '');
+
+    let amount;
+    let rawAmount;
+    let amountError = null;
+    if (mapping.amountMode === 'debitCredit') {
+        // Many banks fill the unused column with 0.00, so the column holding a
+        // non-zero value decides; an empty cell counts as zero
+        const debit = cell(mapping.debitColumn);
+        const credit = cell(mapping.creditColumn);
+        const debitAmount = debit ? Math.abs(parseAmount(debit, mapping.decimalSeparator)) : 0;
+        const creditAmount = credit ? Math.abs(parseAmount(credit, mapping.decimalSeparator)) : 0;
+        if (isNaN(debitAmount) || isNaN(creditAmount)) {
+            rawAmount = isNaN(debitAmount) ? debit : credit;
+            amount = NaN;
+        } else if (debitAmount !== 0 && creditAmount !== 0) {
+            rawAmount = `${debit} / ${credit}`;
+            amount = NaN;
+            amountError = `Both debit (${debit}) and credit (${credit}) are filled in.`;
+        } else if (creditAmount !== 0) {
+            rawAmount = credit;
+            amount = creditAmount;
+        } else {
+            rawAmount = debit || credit;
+            if (!rawAmount) amount = NaN;
+            else amount = debitAmount === 0 ? 0 : -debitAmount;
+        }
+    } else {
+        rawAmount = cell(mapping.amountColumn);
+        amount = parseAmount(rawAmount, mapping.decimalSeparator);
+        if (mapping.invertSign) amount = -amount;
+    }
+
+    const rawDate = cell(mapping.dateColumn);
+    return {
+        rawDate,
+        rawAmount,
+        amountError,
+        date: parseDate(rawDate, mapping.dateFormat),
+        merchant: mapping.descriptionColumns.map(cell).filter(Boolean).join(' '),
+        amount,
+        account: mapping.fixedAccount || cell(mapping.accountColumn) || 'Default',
+        // Rows without one get their account's currency at import
+        currency: (mapping.fixedCurrency || cell(mapping.currencyColumn)).toUpperCase() || null,
+    };
+};
@@ -0,0 +1,151 @@
+// --- SWIFT MT940 Statement Parsing ---
+// A file holds one or more statements, each a sequence of :TAG: fields. The
+// ones we use are :25: (account), :60F:/:60M: (opening balance), :61:
+// (statement line), :86: (information for the statement line above it) and
+// :62F:/:62M: (closing balance).
+
+// --- Check whether a buffer looks like an MT940 file ---
+export const isMt940 = (buffer) => {
+    const head = buffer.subarray(0, 4096).toString('latin1');
+    return /^:20:/m.test(head) && /^:(25|60F|61):/m.test(head);
+};
+
+const parseYear = (yy) => {
+    const year = Number(yy);
+    return year < 80 ? 2000 + year : 1900 + year;
+};
+
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) return null;
+    return date.toISOString().split('T')[0];
+};
+
+const parseMtAmount = (value) => parseFloat(value.replace(',', '.'));
+
+// --- :60F:C240101EUR1234,56 ---
+const parseBalance = (value) => {
+    const match = /^([CD])(\d{2})(\d{2})(\d{2})([A-Z]{3})([\d,]+)/.exec(value);
+    if (!match) return null;
+    const [, mark, yy, mm, dd, currency, amount] = match;
+    return {
+        amount: mark === 'D' ? -parseMtAmount(amount) : parseMtAmount(amount),
+        date: toIsoDate(parseYear(yy), Number(mm), Number(dd)),
+        currency,
+    };
+};
+
+// --- :61:2401020102D12,50NTRFNONREF//B2401020001 ---
+// Value date, optional entry (booking) date, debit/credit mark (R prefix for
+// reversals), optional funds code, amount, transaction type, the account
+// owner's reference and optionally the bank's own reference after //.
+const STATEMENT_LINE = /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?([\d,]+)([SNF][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+const parseStatementLine = (value) => {
+    const match = STATEMENT_LINE.exec(value);
+    if (!match) return null;
+    const [, yy, mm, dd, entryDate, mark, , amount, , customerRef, bankRef, supplementary] = match;
+
+    const valueYear = parseYear(yy);
+    let date = toIsoDate(valueYear, Number(mm), Number(dd));
+    if (entryDate) {
+        const entryMonth = Number(entryDate.slice(0, 2));
+        // The entry date has no year; a December booking for a January value
+        // date belongs to the previous year, and the other way round
+        let entryYear = valueYear;
+        if (entryMonth - Number(mm) > 6) entryYear -= 1;
+        if (Number(mm) - entryMonth > 6) entryYear += 1;
+        date = toIsoDate(entryYear, entryMonth, Number(entryDate.slice(2, 4)));
+    }
+
+    // Debits and reversed credits take money out of the account
+    const sign = mark === 'D' || mark === 'RC' ? -1 : 1;
+    const reference = (bankRef || '').trim() || (customerRef.trim() !== 'NONREF' ? customerRef.trim() : '');
+    return {
+        id: reference,
+        rawDate: `${yy}${mm}${dd}${entryDate || ''}`,
+        date,
+        rawAmount: amount,
+        amount: sign * parseMtAmount(amount),
+        supplementary: (supplementary || '').trim(),
+    };
+};
+
+// --- :86: is free text, or ?NN subfields in the structured German variant ---
+const parseInformation = (value) => {
+    const text = value.replace(/\r?\n/g, '');
+    if (!/^\d{3}\?/.test(text) && !text.startsWith('?')) {
+        return { name: '', memo: value.replace(/\r?\n/g, ' ').trim() };
+    }
+    const fields = {};
+    text.split('?').slice(1).forEach(part => {
+        const code = part.slice(0, 2);
+        fields[code] = (fields[code] || '') + part.slice(2);
+    });
+    const joinFields = (from, to) => Object.keys(fields)
+        .filter(code => Number(code) >= from && Number(code) <= to)
+        .sort()
+        .map(code => fields[code])
+        .join('')
+        .trim();
+    return { name: joinFields(32, 33), memo: joinFields(20, 29) };
+};
+
+// --- Split the text into [tag, value] pairs, keeping multi-line values ---
+const readFields = (text) => {
+    const fields = [];
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+        if (match) {
+            fields.push([match[1], match[2]]);
+        } else if (fields.length > 0 && line !== '-' && !line.startsWith('-}') && !line.startsWith('{')) {
+            fields[fields.length - 1][1] += `\n${line}`;
+        }
+    });
+    return fields;
+};
+
+// --- Parse an MT940 file into its statements ---
+export const parseMt940 = (text) => {
+    const statements = [];
+    let statement = null;
+    let lastLine = null;
+
+    readFields(text).forEach(([tag, value]) => {
+        if (tag === '20') {
+            statement = { account: '', currency: '', openingBalance: null, closingBalance: null, transactions: [] };
+            statements.push(statement);
+            lastLine = null;
+        }
+        if (!statement) return;
+
+        if (tag === '25') {
+            statement.account = value.trim();
+        } else if (tag === '60F' || tag === '60M') {
+            const balance = parseBalance(value);
+            statement.openingBalance = balance && { amount: balance.amount, date: balance.date };
+            statement.currency = balance?.currency || statement.currency;
+        } else if (tag === '62F' || tag === '62M') {
+            const balance = parseBalance(value);
+            statement.closingBalance = balance && { amount: balance.amount, date: balance.date };
+        } else if (tag === '61') {
+            const line = parseStatementLine(value);
+            if (line) {
+                const { supplementary, ...transaction } = line;
+                lastLine = { ...transaction, name: '', memo: supplementary };
+            } else {
+                // Keep unreadable lines so the import preview can report them
+                lastLine = { id: '', rawDate: value.slice(0, 10), date: null, rawAmount: '', amount: NaN, name: '', memo: value };
+            }
+            statement.transactions.push(lastLine);
+        } else if (tag === '86' && lastLine) {
+            const { name, memo } = parseInformation(value);
+            lastLine.name = name;
+            lastLine.memo = memo || lastLine.memo;
+            lastLine = null;
+        }
+    });
+
+    if (statements.length === 0) throw new Error('No statements found in MT940 file.');
+    return statements;
+};
@@ -0,0 +1,118 @@
+// --- OFX / QFX Statement Parsing ---
+// Handles both OFX 1.x (SGML, where leaf elements are usually not closed) and
+// OFX 2.x (XML). Both are read with the same tokenizer: an element followed by
+// text is a leaf value, an element followed directly by another tag opens an
+// aggregate that is closed by its end tag.
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ' };
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (entity) => ENTITIES[entity]);
+
+// --- Check whether a buffer looks like an OFX file ---
+export const isOfx = (buffer) => {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    return /OFXHEADER/i.test(head) || /<OFX>/i.test(head);
+};
+
+// --- Decode using the charset declared in the OFX header ---
+export const decodeOfx = (buffer) => {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const xmlEncoding = head.match(/encoding="([^"]+)"/i);
+    if (xmlEncoding) return new TextDecoder(xmlEncoding[1].toLowerCase()).decode(buffer);
+    if (/CHARSET:\s*1252/i.test(head)) return new TextDecoder('windows-1252').decode(buffer);
+    if (/CHARSET:\s*(ISO-8859-1|8859-1)/i.test(head)) return new TextDecoder('iso-8859-1').decode(buffer);
+    return new TextDecoder('utf-8').decode(buffer);
+};
+
+// --- Build a tree of { name, value, children } nodes from the OFX body ---
+const parseTree = (text) => {
+    const start = text.search(/<OFX>/i);
+    if (start === -1) throw new Error('No <OFX> element found.');
+
+    const body = text.slice(start);
+    const root = { name: 'ROOT', children: [] };
+    const stack = [root];
+    const tagPattern = /<(\/?)([A-Za-z0-9_.]+)[^>]*>([^<]*)/g;
+    let match;
+    while ((match = tagPattern.exec(body)) !== null) {
+        const [, closing, rawName, rawText] = match;
+        const name = rawName.toUpperCase();
+        const value = rawText.trim();
+        const current = stack[stack.length - 1];
+
+        if (closing) {
+            // Closing a leaf (XML) is a no-op; closing an aggregate pops back to it
+            const index = stack.map(n => n.name).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+        } else if (value) {
+            current.children.push({ name, value: decodeEntities(value), children: [] });
+        } else {
+            const node = { name, value: '', children: [] };
+            current.children.push(node);
+            stack.push(node);
+        }
+    }
+    return root;
+};
+
+// --- Small helpers for walking the tree ---
+const findAll = (node, name) => node.children.flatMap(child => (
+    child.name === name ? [child, ...findAll(child, name)] : findAll(child, name)
+));
+const find = (node, name) => findAll(node, name)[0];
+const valueOf = (node, name) => {
+    const child = node && node.children.find(c => c.name === name);
+    return child ? child.value : '';
+};
+
+// --- OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]] ---
+export const parseOfxDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    if (!match) return null;
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1) return null;
+    return date.toISOString().split('T')[0];
+};
+
+const parseOfxAmount = (value) => {
+    const text = (value || '').replace(/\s/g, '').replace(',', '.');
+    return /^[+-]?\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+};
+
+// --- Parse an OFX document into its statements ---
+// Each statement carries the account it belongs to (from BANKACCTFROM or
+// CCACCTFROM), its currency, closing (ledger) balance and transactions. OFX
+// has no opening balance.
+export const parseOfx = (text) => {
+    const tree = parseTree(text);
+    const statementNodes = [...findAll(tree, 'STMTRS'), ...findAll(tree, 'CCSTMTRS')];
+    if (statementNodes.length === 0) throw new Error('No bank or credit card statement found in OFX file.');
+
+    return statementNodes.map(statement => {
+        const accountNode = find(statement, 'BANKACCTFROM') || find(statement, 'CCACCTFROM');
+        const balanceNode = find(statement, 'LEDGERBAL');
+        return {
+            account: valueOf(accountNode, 'ACCTID'),
+            bankId: valueOf(accountNode, 'BANKID'),
+            currency: valueOf(statement, 'CURDEF'),
+            openingBalance: null,
+            closingBalance: balanceNode ? {
+                amount: parseOfxAmount(valueOf(balanceNode, 'BALAMT')),
+                date: parseOfxDate(valueOf(balanceNode, 'DTASOF')),
+            } : null,
+            transactions: findAll(statement, 'STMTTRN').map(trn => {
+                const payee = find(trn, 'PAYEE');
+                return {
+                    id: valueOf(trn, 'FITID'),
+                    type: valueOf(trn, 'TRNTYPE'),
+                    rawDate: valueOf(trn, 'DTPOSTED'),
+                    date: parseOfxDate(valueOf(trn, 'DTPOSTED')),
+                    rawAmount: valueOf(trn, 'TRNAMT'),
+                    amount: parseOfxAmount(valueOf(trn, 'TRNAMT')),
+                    name: valueOf(trn, 'NAME') || valueOf(payee, 'NAME'),
+                    memo: valueOf(trn, 'MEMO'),
+                };
+            }),
+        };
+    });
+};
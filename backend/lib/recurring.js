@@ -0,0 +1,161 @@
+import { normalizeMerchant, daysBetween } from './duplicates.js';
+
+// --- Recurring Payments ---
+// Finds series in the transaction history: the same merchant on the same
+// account and currency, charged at a regular interval with an amount that
+// stays put or drifts slowly (a price rise now and then). A gap of two or
+// more intervals counts as missed charges rather than breaking the series,
+// and a charge well above the ones before it is flagged as unusually large.
+
+export const CADENCES = {
+    weekly: { days: 7, tolerance: 1, perYear: 52 },
+    monthly: { days: 365.25 / 12, tolerance: 4, perYear: 12 },
+    yearly: { days: 365.25, tolerance: 10, perYear: 1 },
+};
+
+// Charges needed before a series counts, per cadence
+const MIN_CHARGES = { weekly: 4, monthly: 3, yearly: 2 };
+// Share of the intervals that must be exactly one period long
+const MIN_REGULAR_SHARE = 0.6;
+// Largest change between consecutive charges that still counts as drift...
+const MAX_DRIFT = 0.25;
+// ...and the share of charges that must stay within it
+const MIN_STABLE_SHARE = 0.75;
+// A charge this much above the median of the ones before it is unusual
+const UNUSUAL_CHARGE_RATIO = 1.5;
+// Periods overdue before a series is considered ended rather than missed
+const ENDED_AFTER_PERIODS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// --- Merchant text without reference numbers, so 'NETFLIX.COM 4829' and 'Netflix.com 5120' match ---
+export const merchantKey = (merchant) => normalizeMerchant(merchant)
+    .split(' ')
+    .filter(word => word && !/\d/.test(word))
+    .join(' ');
+
+// --- A YYYY-MM-DD date moved on by a number of periods ---
+// Months and years keep the day of the month where they can (Jan 31 → Feb 29).
+export const addPeriods = (date, cadence, count = 1) => {
+    if (cadence === 'weekly') {
+        return new Date(new Date(date).getTime() + count * 7 * DAY_MS).toISOString().slice(0, 10);
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    const months = cadence === 'yearly' ? 12 * count : count;
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+};
+
+// How many periods of a cadence an interval spans, or null if it's off the grid
+const periodsIn = (days, cadence) => {
+    const { days: length, tolerance } = CADENCES[cadence];
+    const count = Math.round(days / length);
+    return count >= 1 && Math.abs(days - count * length) <= tolerance * count ? count : null;
+};
+
+// The cadence that fits most intervals, or null if none fits well enough
+const cadenceOf = (intervals) => {
+    let best = null;
+    Object.keys(CADENCES).forEach(cadence => {
+        const regular = intervals.filter(days => periodsIn(days, cadence) === 1).length;
+        const onGrid = intervals.every(days => periodsIn(days, cadence) !== null);
+        if (!onGrid || regular / intervals.length < MIN_REGULAR_SHARE) return;
+        if (intervals.length + 1 < MIN_CHARGES[cadence]) return;
+        if (!best || regular > best.regular) best = { cadence, regular };
+    });
+    return best?.cadence || null;
+};
+
+// Whether the amounts stay put or drift slowly
+const isStable = (amounts) => {
+    const steady = amounts.slice(1).filter((amount, i) => Math.abs(amount - amounts[i]) <= MAX_DRIFT * amounts[i]).length;
+    return steady / (amounts.length - 1) >= MIN_STABLE_SHARE;
+};
+
+// --- One series of charges, oldest first, as the API returns it ---
+const describeSeries = (charges, cadence, today) => {
+    const amounts = charges.map(t => Math.abs(t.amount));
+    const sign = Math.sign(charges[0].amount);
+    const latest = charges[charges.length - 1];
+    const { perYear, tolerance } = CADENCES[cadence];
+
+    const alerts = [];
+    charges.forEach((charge, i) => {
+        if (i === 0) return;
+        // Charges skipped between two that did happen
+        const skipped = periodsIn(daysBetween(charges[i - 1].date, charge.date), cadence) - 1;
+        for (let n = 1; n <= skipped; n += 1) {
+            alerts.push({ type: 'missed', date: addPeriods(charges[i - 1].date, cadence, n) });
+        }
+        const typical = median(amounts.slice(Math.max(0, i - 3), i));
+        if (amounts[i] > typical * UNUSUAL_CHARGE_RATIO) {
+            alerts.push({ type: 'large', date: charge.date, transactionId: charge.id, amount: charge.amount, typical: roundCents(sign * typical) });
+        }
+    });
+
+    // Charges overdue now: missed until the series looks cancelled
+    let nextExpectedDate = addPeriods(latest.date, cadence);
+    let overdue = 0;
+    while (overdue <= ENDED_AFTER_PERIODS && nextExpectedDate < today && daysBetween(nextExpectedDate, today) > tolerance) {
+        overdue += 1;
+        if (overdue <= ENDED_AFTER_PERIODS) alerts.push({ type: 'missed', date: nextExpectedDate });
+        nextExpectedDate = addPeriods(latest.date, cadence, overdue + 1);
+    }
+    const status = overdue === 0 ? 'active' : overdue <= ENDED_AFTER_PERIODS ? 'missed' : 'ended';
+
+    return {
+        merchant: latest.merchant,
+        account: latest.account,
+        currency: latest.currency,
+        cadence,
+        status,
+        count: charges.length,
+        averageAmount: roundCents(sign * amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length),
+        lastAmount: latest.amount,
+        firstDate: charges[0].date,
+        lastDate: latest.date,
+        nextExpectedDate: status === 'ended' ? null : nextExpectedDate,
+        // What a year costs at the current price
+        annualizedAmount: status === 'ended' ? 0 : roundCents(latest.amount * perYear),
+        alerts: alerts.sort((a, b) => b.date.localeCompare(a.date)),
+        transactionIds: charges.map(t => t.id),
+    };
+};
+
+// --- Every recurring series in a set of transactions ---
+// today is a YYYY-MM-DD date. Series are sorted by annualized amount:
+// payments first, the most expensive at the top, then income.
+export const detectRecurring = (transactions, today) => {
+    const groups = new Map();
+    transactions.forEach(transaction => {
+        const key = merchantKey(transaction.merchant);
+        if (!key || transaction.amount === 0) return;
+        const groupKey = [key, transaction.account, transaction.currency, Math.sign(transaction.amount)].join('|');
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(transaction);
+    });
+
+    const series = [];
+    groups.forEach((group, key) => {
+        // One charge per day is enough; a same-day refund and re-charge isn't a new period
+        const charges = [...new Map(group
+            .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id)
+            .map(t => [t.date, t])).values()];
+        if (charges.length < 2) return;
+        const intervals = charges.slice(1).map((charge, i) => daysBetween(charges[i].date, charge.date));
+        const cadence = cadenceOf(intervals);
+        if (!cadence || !isStable(charges.map(t => Math.abs(t.amount)))) return;
+        series.push({ id: key, ...describeSeries(charges, cadence, today) });
+    });
+    return series.sort((a, b) => a.annualizedAmount - b.annualizedAmount);
+};
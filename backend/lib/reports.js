@@ -0,0 +1,194 @@
+import { ancestorNames } from './costCenters.js';
+
+// --- Reporting ---
+// Aggregations for the Reports view, built from the sums the database works
+// out (transactions.totals, restated in the base currency). Split
+// transactions count towards each of their cost centers with the split line's
+// amount. Cost center totals roll up the tree: a cost center's row includes
+// the cost centers under it, so the top-level rows add up to the overall total.
+
+export const GROUPINGS = ['month', 'quarter', 'year', 'costCenter', 'account', 'merchant'];
+export const PERIOD_GROUPINGS = ['month', 'quarter', 'year'];
+
+const UNASSIGNED = 'Unassigned';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// --- Period a YYYY-MM-DD date falls into: '2024-03', '2024-Q1' or '2024' ---
+export const periodKey = (date, granularity) => {
+    const year = date.slice(0, 4);
+    const month = Number(date.slice(5, 7));
+    if (granularity === 'year') return year;
+    if (granularity === 'quarter') return `${year}-Q${Math.ceil(month / 3)}`;
+    return date.slice(0, 7);
+};
+
+// --- First day of a period from periodKey ---
+export const periodStart = (key) => {
+    const [year, part = '01'] = key.split('-');
+    if (part.startsWith('Q')) return `${year}-${String((Number(part.slice(1)) - 1) * 3 + 1).padStart(2, '0')}-01`;
+    return `${year}-${part}-01`;
+};
+
+// --- Every period between two dates, so empty periods still show up ---
+export const periodsBetween = (startDate, endDate, granularity) => {
+    const periods = [];
+    let [year, month] = startDate.split('-').map(Number);
+    const [endYear, endMonth] = endDate.split('-').map(Number);
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        const key = periodKey(`${year}-${String(month).padStart(2, '0')}-01`, granularity);
+        if (periods[periods.length - 1] !== key) periods.push(key);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return periods;
+};
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// --- The range of the same length directly before the given one ---
+// Whole calendar months step back by months (March → February), anything
+// else by the number of days in the range.
+export const previousRange = (startDate, endDate) => {
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+    const dayAfterEnd = new Date(end.getTime() + DAY);
+
+    if (start.getUTCDate() === 1 && dayAfterEnd.getUTCDate() === 1) {
+        const months = (dayAfterEnd.getUTCFullYear() - start.getUTCFullYear()) * 12 + dayAfterEnd.getUTCMonth() - start.getUTCMonth();
+        return {
+            startDate: toDate(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - months, 1)),
+            endDate: toDate(start.getTime() - DAY),
+        };
+    }
+    const length = dayAfterEnd.getTime() - start.getTime();
+    return { startDate: toDate(start.getTime() - length), endDate: toDate(end.getTime() - length) };
+};
+
+// A cost center and the ones above it, which its amounts roll up into
+const rollUp = (costCenters) => {
+    const cache = new Map();
+    return (name) => {
+        if (!name) return [UNASSIGNED];
+        if (!cache.has(name)) cache.set(name, [name, ...ancestorNames(costCenters, name)]);
+        return cache.get(name);
+    };
+};
+
+const emptyTotals = () => ({ income: 0, expenses: 0, net: 0, count: 0 });
+
+const addRow = (totals, row) => {
+    totals.income += row.income;
+    totals.expenses += row.expenses;
+    totals.net += row.income + row.expenses;
+    totals.count += row.count;
+};
+
+const roundTotals = (totals) => ({
+    income: roundCents(totals.income),
+    expenses: roundCents(totals.expenses),
+    net: roundCents(totals.net),
+    count: totals.count,
+});
+
+// --- Income, expenses, net and count per group, plus overall totals ---
+// groupRows are totals rows by period or group (see transactions.totals) and
+// totalRows the same sums without grouping. Period groups come back in date
+// order, everything else by expenses first. Passing the expected periods
+// keeps periods without transactions as zeros. Cost center rows name their
+// parent in the given cost centers' tree.
+export const aggregate = (groupRows, totalRows, groupBy, periods = [], costCenters = []) => {
+    const groups = Object.fromEntries(periods.map(period => [period, emptyTotals()]));
+    const totals = emptyTotals();
+    const costCenterKeys = rollUp(costCenters);
+
+    groupRows.forEach(row => {
+        const key = PERIOD_GROUPINGS.includes(groupBy) ? row.period : row.group || UNASSIGNED;
+        addRow(groups[key] || (groups[key] = emptyTotals()), row);
+    });
+    totalRows.forEach(row => addRow(totals, row));
+
+    const rows = Object.entries(groups).map(([key, group]) => ({
+        key,
+        ...(groupBy === 'costCenter' ? { parent: costCenterKeys(key)[1] ?? null } : {}),
+        ...roundTotals(group),
+    }));
+    rows.sort(PERIOD_GROUPINGS.includes(groupBy)
+        ? (a, b) => a.key.localeCompare(b.key)
+        : (a, b) => a.expenses - b.expenses || b.income - a.income);
+    return { rows, totals: roundTotals(totals) };
+};
+
+// Percentage change from one value to another, or null if there is no base
+const changeBetween = (previous, current) => (
+    previous === 0 ? null : Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10
+);
+
+// --- Attach the previous period's figures to each group ---
+// Period groups are matched by position (this March against last March when
+// comparing years, for example), all other groups by key.
+export const compareAggregates = (current, previous, groupBy) => {
+    const byPosition = PERIOD_GROUPINGS.includes(groupBy);
+    const previousByKey = Object.fromEntries(previous.rows.map(row => [row.key, row]));
+    const rows = current.rows.map((row, i) => {
+        const before = (byPosition ? previous.rows[i] : previousByKey[row.key]) || { ...emptyTotals(), key: null };
+        return { ...row, previous: before, netChange: changeBetween(before.net, row.net) };
+    });
+    return {
+        rows,
+        totals: current.totals,
+        previousTotals: previous.totals,
+        netChange: changeBetween(previous.totals.net, current.totals.net),
+    };
+};
+
+// Path from the top of the tree down to a cost center, for sorting rows so
+// each comes right after its parent
+const comparePaths = (a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+        const order = a[i].localeCompare(b[i]);
+        if (order !== 0) return order;
+    }
+    return a.length - b.length;
+};
+
+// --- Cost center × period pivot of net amounts ---
+// cellRows are totals rows by period and cost center, columnRows by period
+// only. Returns { periods, rows: [{ costCenter, parent, depth, values: { period: net }, total }], columnTotals }.
+// Rows are in tree order and roll up the cost centers under them; the column
+// totals count every amount once.
+export const pivotByCostCenter = (cellRows, columnRows, periods, costCenters = []) => {
+    const cells = {};
+    const columnTotals = Object.fromEntries(periods.map(period => [period, 0]));
+    const costCenterKeys = rollUp(costCenters);
+
+    cellRows.forEach(({ period, group, income, expenses }) => {
+        const row = cells[group || UNASSIGNED] || (cells[group || UNASSIGNED] = {});
+        row[period] = (row[period] || 0) + income + expenses;
+    });
+    columnRows.forEach(({ period, income, expenses }) => {
+        columnTotals[period] = (columnTotals[period] || 0) + income + expenses;
+    });
+
+    const pathOf = (key) => [...costCenterKeys(key)].reverse();
+    const rows = Object.keys(cells).sort((a, b) => comparePaths(pathOf(a), pathOf(b))).map(costCenter => {
+        const values = Object.fromEntries(periods.map(period => [period, roundCents(cells[costCenter][period] || 0)]));
+        return {
+            costCenter,
+            parent: costCenterKeys(costCenter)[1] ?? null,
+            depth: costCenterKeys(costCenter).length - 1,
+            values,
+            total: roundCents(Object.values(values).reduce((sum, value) => sum + value, 0)),
+        };
+    });
+    return {
+        periods,
+        rows,
+        columnTotals: Object.fromEntries(periods.map(period => [period, roundCents(columnTotals[period] || 0)])),
+    };
+};
@@ -0,0 +1,218 @@
+// --- Categorization Rules ---
+// A rule assigns a cost center to every transaction that meets all of its
+// conditions. Rules are evaluated in position order and the first match wins.
+//
+// conditions = {
+//     merchantContains: 'amazon',   // case-insensitive substring
+//     merchantRegex: '^UBER\\s',     // case-insensitive regular expression (see patternErrors)
+//     minAmount: -500, maxAmount: 0, // signed amount range, inclusive
+//     account: 'Business Checking',
+//     sign: 'expense' | 'income',
+//     startDate: '2024-01-01', endDate: '2024-12-31',
+// }
+
+import vm from 'node:vm';
+
+const CONDITION_KEYS = ['merchantContains', 'merchantRegex', 'minAmount', 'maxAmount', 'account', 'sign', 'startDate', 'endDate'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Patterns run against every imported row, so they are kept short and
+// without nested quantifiers like (a+)+, which can take exponential time.
+// Other patterns can still backtrack badly (e.g. (a|aa)+$), so matching
+// also runs with a time limit (see matchPattern).
+const MAX_PATTERN_LENGTH = 200;
+
+// A quantifier at pattern[i] ('*', '+', '?' or '{n}', '{n,}', '{n,m}'):
+// its length and whether it lets the token before it repeat
+const quantifierAt = (pattern, i) => {
+    if (pattern[i] === '*' || pattern[i] === '+') return { length: 1, repeats: true };
+    if (pattern[i] === '?') return { length: 1, repeats: false };
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!braces) return null;
+    const [text, min, comma, max] = braces;
+    return { length: text.length, repeats: comma ? max === '' || Number(max) > 1 : Number(min) > 1 };
+};
+
+// Whether a repeated group contains a quantifier of its own
+const hasNestedQuantifier = (pattern) => {
+    // One entry per open group: whether a quantifier occurs inside it
+    const groups = [];
+    for (let i = 0; i < pattern.length; i += 1) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i += 1;
+        } else if (char === '[') {
+            for (i += 1; i < pattern.length && pattern[i] !== ']'; i += 1) {
+                if (pattern[i] === '\\') i += 1;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+            if (pattern[i + 1] === '?') i += 1;
+        } else if (char === ')') {
+            const quantified = groups.pop();
+            const quantifier = quantifierAt(pattern, i + 1);
+            if (quantified && quantifier?.repeats) return true;
+            if ((quantified || quantifier) && groups.length > 0) groups[groups.length - 1] = true;
+        } else {
+            const quantifier = quantifierAt(pattern, i);
+            if (quantifier) {
+                if (groups.length > 0) groups[groups.length - 1] = true;
+                i += quantifier.length - 1;
+                if (pattern[i + 1] === '?') i += 1;
+            }
+        }
+    }
+    return false;
+};
+
+// --- Problems with a merchant pattern, as a list ---
+const patternErrors = (pattern) => {
+    if (typeof pattern !== 'string') return ['merchantRegex must be a string.'];
+    if (pattern.length > MAX_PATTERN_LENGTH) return [`Merchant pattern can be at most ${MAX_PATTERN_LENGTH} characters.`];
+    try {
+        new RegExp(pattern, 'i');
+    } catch {
+        return [`Invalid merchant pattern "${pattern}".`];
+    }
+    if (hasNestedQuantifier(pattern)) {
+        return [`Merchant pattern "${pattern}" repeats a group with a quantifier inside, like (a+)+, which can take too long to match.`];
+    }
+    return [];
+};
+
+// --- Validate a rule sent by the client, returning a list of problems ---
+export const validateRule = ({ name, cost_center: costCenter, conditions }) => {
+    const errors = [];
+    if (!name) errors.push('Name is required.');
+    if (!costCenter) errors.push('A cost center is required.');
+    if (!conditions || typeof conditions !== 'object') {
+        return [...errors, 'Conditions must be an object.'];
+    }
+
+    const unknown = Object.keys(conditions).filter(key => !CONDITION_KEYS.includes(key));
+    if (unknown.length > 0) errors.push(`Unknown conditions: ${unknown.join(', ')}.`);
+    if (!CONDITION_KEYS.some(key => isSet(conditions[key]))) errors.push('At least one condition is required.');
+
+    if (isSet(conditions.merchantRegex)) errors.push(...patternErrors(conditions.merchantRegex));
+    ['minAmount', 'maxAmount'].forEach(key => {
+        if (isSet(conditions[key]) && typeof conditions[key] !== 'number') errors.push(`${key} must be a number.`);
+    });
+    if (isSet(conditions.minAmount) && isSet(conditions.maxAmount) && conditions.minAmount > conditions.maxAmount) {
+        errors.push('minAmount cannot be greater than maxAmount.');
+    }
+    if (isSet(conditions.sign) && !['expense', 'income'].includes(conditions.sign)) {
+        errors.push('sign must be "expense" or "income".');
+    }
+    ['startDate', 'endDate'].forEach(key => {
+        if (isSet(conditions[key]) && !DATE_PATTERN.test(conditions[key])) errors.push(`${key} must be a YYYY-MM-DD date.`);
+    });
+    return errors;
+};
+
+// --- Running Merchant Patterns ---
+// Patterns run in a separate V8 context, up to PATTERN_BATCH_SIZE merchants
+// per call, and a call that takes longer than PATTERN_TIME_LIMIT_MS is
+// stopped. A pattern stopped once is not run again (until the server
+// restarts): it matches nothing from then on.
+const PATTERN_BATCH_SIZE = 1000;
+const PATTERN_TIME_LIMIT_MS = 100;
+
+const patternContext = vm.createContext({ pattern: '', texts: [] });
+const matchBatch = new vm.Script("((re) => texts.map(text => re.test(text)))(new RegExp(pattern, 'i'))");
+const timedOutPatterns = new Set();
+
+// The texts a pattern matches, as a Set, or null once it has taken too long
+const matchPattern = (pattern, texts) => {
+    const matched = new Set();
+    for (let start = 0; start < texts.length; start += PATTERN_BATCH_SIZE) {
+        if (timedOutPatterns.has(pattern)) return null;
+        const batch = texts.slice(start, start + PATTERN_BATCH_SIZE);
+        Object.assign(patternContext, { pattern, texts: batch });
+        try {
+            const results = matchBatch.runInContext(patternContext, { timeout: PATTERN_TIME_LIMIT_MS });
+            batch.forEach((text, i) => results[i] && matched.add(text));
+        } catch (error) {
+            if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+            console.warn(`Merchant pattern /${pattern}/ took over ${PATTERN_TIME_LIMIT_MS} ms and is no longer run.`);
+            timedOutPatterns.add(pattern);
+        } finally {
+            patternContext.texts = [];
+        }
+    }
+    return timedOutPatterns.has(pattern) ? null : matched;
+};
+
+// --- The merchants each rule pattern matches, for matchesRule ---
+// A Map from pattern to the Set of matching merchants (null for a pattern
+// that took too long), worked out once for all the transactions.
+export const matchPatterns = (rules, transactions) => {
+    const merchants = [...new Set(transactions.map(t => t.merchant || ''))];
+    const patterns = new Set(rules.filter(rule => rule.is_active !== false).map(rule => rule.conditions?.merchantRegex).filter(isSet));
+    return new Map([...patterns].map(pattern => [pattern, matchPattern(pattern, merchants)]));
+};
+
+// --- Why a saved rule doesn't run, as a list (empty when it does) ---
+// Rules saved before a check was added can fail it, and a pattern that took
+// too long is no longer run.
+export const ruleProblems = (rule) => [
+    ...validateRule(rule),
+    ...(timedOutPatterns.has(rule.conditions?.merchantRegex) ? ['The merchant pattern took too long to match and is no longer run.'] : []),
+];
+
+// --- Check a single transaction against a rule's conditions ---
+// patternMatches comes from matchPatterns for the same transactions.
+export const matchesRule = (transaction, rule, patternMatches) => {
+    const c = rule.conditions || {};
+    const merchant = (transaction.merchant || '').toLowerCase();
+
+    if (isSet(c.merchantContains) && !merchant.includes(c.merchantContains.toLowerCase())) return false;
+    if (isSet(c.merchantRegex) && !patternMatches.get(c.merchantRegex)?.has(transaction.merchant || '')) return false;
+    if (isSet(c.minAmount) && transaction.amount < c.minAmount) return false;
+    if (isSet(c.maxAmount) && transaction.amount > c.maxAmount) return false;
+    if (isSet(c.account) && transaction.account !== c.account) return false;
+    if (c.sign === 'expense' && transaction.amount >= 0) return false;
+    if (c.sign === 'income' && transaction.amount <= 0) return false;
+    if (isSet(c.startDate) && transaction.date < c.startDate) return false;
+    if (isSet(c.endDate) && transaction.date > c.endDate) return false;
+    return true;
+};
+
+// --- First active rule that matches, or undefined ---
+// Expects rules already sorted by position.
+export const findMatchingRule = (transaction, rules, patternMatches) => rules
+    .find(rule => rule.is_active !== false && matchesRule(transaction, rule, patternMatches));
+
+// --- Tag import preview rows with the cost center their first matching rule assigns ---
+export const categorizeRows = (rows, rules) => {
+    const newRows = rows.filter(row => row.status === 'new');
+    const patternMatches = matchPatterns(rules, newRows);
+    newRows.forEach(row => {
+        const rule = findMatchingRule(row, rules, patternMatches);
+        row.costCenter = rule ? rule.cost_center : null;
+        row.ruleName = rule ? rule.name : null;
+    });
+    return rows;
+};
+
+// --- Work out which transactions a rule run would change ---
+// Returns one entry per transaction whose cost center would differ.
+export const planRuleChanges = (transactions, rules) => {
+    const patternMatches = matchPatterns(rules, transactions);
+    return transactions.flatMap(transaction => {
+        const rule = findMatchingRule(transaction, rules, patternMatches);
+        if (!rule || rule.cost_center === transaction.costCenter) return [];
+        return [{
+            id: transaction.id,
+            date: transaction.date,
+            merchant: transaction.merchant,
+            amount: transaction.amount,
+            account: transaction.account,
+            from: transaction.costCenter || null,
+            to: rule.cost_center,
+            ruleId: rule.id,
+            ruleName: rule.name,
+        }];
+    });
+};
@@ -0,0 +1,60 @@
+// --- Split Allocations ---
+// A transaction can be divided into several lines, each with its own cost
+// center. Lines are given either as an amount or as a percentage of the
+// transaction; percentages are converted to amounts here so the stored lines
+// always add up to the transaction amount exactly.
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// --- Validate split lines and resolve them into stored rows ---
+// Returns { errors, lines } where lines are { costCenter, amount, percentage }.
+export const resolveSplits = (splits, transactionAmount) => {
+    if (!Array.isArray(splits) || splits.length < 2) {
+        return { errors: ['A split needs at least two lines.'], lines: [] };
+    }
+
+    const errors = [];
+    const sign = transactionAmount < 0 ? -1 : 1;
+    const lines = splits.map((split, i) => {
+        const { costCenter } = split;
+        if (!costCenter) errors.push(`Line ${i + 1} needs a cost center.`);
+
+        const hasPercentage = split.percentage !== undefined && split.percentage !== null && split.percentage !== '';
+        const value = Number(hasPercentage ? split.percentage : split.amount);
+        if (isNaN(value) || value <= 0) {
+            errors.push(`Line ${i + 1} needs a positive ${hasPercentage ? 'percentage' : 'amount'}.`);
+        }
+        return {
+            costCenter,
+            // Lines carry the transaction's sign, whatever the client sent
+            amount: hasPercentage ? roundCents(transactionAmount * value / 100) : sign * Math.abs(value),
+            percentage: hasPercentage ? value : null,
+        };
+    });
+    if (errors.length > 0) return { errors, lines: [] };
+
+    // When every line is a percentage, give rounding leftovers to the last line
+    if (lines.every(line => line.percentage !== null)) {
+        const totalPercentage = lines.reduce((sum, line) => sum + line.percentage, 0);
+        if (Math.abs(totalPercentage - 100) > 0.001) {
+            return { errors: [`Percentages add up to ${totalPercentage}%, not 100%.`], lines: [] };
+        }
+        const allButLast = lines.slice(0, -1).reduce((sum, line) => sum + line.amount, 0);
+        lines[lines.length - 1].amount = roundCents(transactionAmount - allButLast);
+    }
+
+    const allocated = roundCents(lines.reduce((sum, line) => sum + line.amount, 0));
+    if (Math.abs(allocated - transactionAmount) > 0.005) {
+        return { errors: [`Lines add up to ${allocated}, but the transaction amount is ${transactionAmount}.`], lines: [] };
+    }
+    return { errors: [], lines };
+};
+
+// --- Cost center allocations of a transaction ---
+// One entry per split line, or the whole amount against its single cost
+// center. Takes transactions as the repositories return them (db/mappers.js).
+export const allocationsOf = (transaction) => (
+    transaction.splits && transaction.splits.length > 0
+        ? transaction.splits.map(split => ({ costCenter: split.costCenter, amount: Number(split.amount) }))
+        : [{ costCenter: transaction.costCenter || null, amount: Number(transaction.amount) }]
+);
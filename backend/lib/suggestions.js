@@ -0,0 +1,111 @@
+// --- Learned Cost Center Suggestions ---
+// A multinomial naive Bayes classifier trained on transactions that already
+// have a cost center. Features are the merchant's words, the account, the
+// sign and a rough order of magnitude of the amount. Everything runs in
+// process; nothing leaves the server.
+
+// Minimum number of categorized transactions before suggestions are made
+const MIN_TRAINING_SIZE = 5;
+
+// --- Split a merchant description into lowercase word tokens ---
+// Pure numbers (card numbers, dates, reference IDs) carry no signal.
+export const tokenize = (text = '') => [...new Set(
+    text.toLowerCase()
+        .split(/[^a-z0-9À-ɏ]+/)
+        .filter(token => token.length > 1 && !/^\d+$/.test(token))
+)];
+
+const featuresOf = (transaction) => {
+    const amount = Math.abs(Number(transaction.amount) || 0);
+    // Half-decade buckets: 1-3, 3-10, 10-31, 31-100, ...
+    const magnitude = amount > 0 ? Math.round(Math.log10(amount) * 2) : 0;
+    return [
+        ...tokenize(transaction.merchant).map(token => `word:${token}`),
+        `account:${transaction.account || ''}`,
+        `sign:${transaction.amount < 0 ? 'expense' : 'income'}`,
+        `amount:${magnitude}`,
+    ];
+};
+
+// --- Build the model from categorized transactions ---
+export const trainModel = (transactions) => {
+    const model = { classes: {}, vocabulary: new Set(), total: 0 };
+    transactions.forEach(transaction => {
+        if (!transaction.costCenter) return;
+        const stats = model.classes[transaction.costCenter] || { count: 0, featureTotal: 0, features: {} };
+        stats.count += 1;
+        featuresOf(transaction).forEach(feature => {
+            stats.features[feature] = (stats.features[feature] || 0) + 1;
+            stats.featureTotal += 1;
+            model.vocabulary.add(feature);
+        });
+        model.classes[transaction.costCenter] = stats;
+        model.total += 1;
+    });
+    return model;
+};
+
+// --- Most likely cost center and its probability, or null ---
+export const suggestCostCenter = (model, transaction) => {
+    const classNames = Object.keys(model.classes);
+    if (model.total < MIN_TRAINING_SIZE || classNames.length === 0) return null;
+
+    const features = featuresOf(transaction);
+    // Without a single familiar merchant word the guess would rest on amount
+    // and account alone, which is too weak to show
+    if (!features.some(feature => feature.startsWith('word:') && model.vocabulary.has(feature))) return null;
+
+    const vocabularySize = model.vocabulary.size;
+    const logScores = classNames.map(name => {
+        const stats = model.classes[name];
+        // Laplace smoothing so unseen features don't zero out a class
+        return features.reduce(
+            (score, feature) => score + Math.log(((stats.features[feature] || 0) + 1) / (stats.featureTotal + vocabularySize)),
+            Math.log(stats.count / model.total)
+        );
+    });
+
+    // Normalize the log scores into probabilities
+    const best = Math.max(...logScores);
+    const weights = logScores.map(score => Math.exp(score - best));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const bestIndex = logScores.indexOf(best);
+    return {
+        costCenter: classNames[bestIndex],
+        confidence: Math.round((weights[bestIndex] / sum) * 100) / 100,
+    };
+};
+
+// --- Assign confident suggestions to uncategorized import preview rows ---
+// Rows a rule already categorized are left alone.
+export const applySuggestionsToRows = (rows, model, threshold) => {
+    rows.forEach(row => {
+        if (row.status !== 'new' || row.costCenter) return;
+        const suggestion = suggestCostCenter(model, row);
+        if (suggestion && suggestion.confidence >= threshold) {
+            row.costCenter = suggestion.costCenter;
+            row.suggestionConfidence = suggestion.confidence;
+        }
+    });
+    return rows;
+};
+
+// --- Trained models per user, kept until their categories change ---
+// load(userId) resolves with the transactions to train on. A model is only
+// trained again after invalidate(userId); a model still training when that
+// happens serves the requests already waiting for it but isn't kept.
+export const createModelCache = (load) => {
+    const models = new Map(); // userId -> Promise of the model
+
+    return {
+        get: (userId) => {
+            if (!models.has(userId)) {
+                const model = load(userId).then(trainModel);
+                model.catch(() => models.get(userId) === model && models.delete(userId));
+                models.set(userId, model);
+            }
+            return models.get(userId);
+        },
+        invalidate: (userId) => models.delete(userId),
+    };
+};
@@ -0,0 +1,78 @@
+import { RECEIPT_FILTERS } from './details.js';
+
+// --- Transaction List Queries ---
+// Reads the filter, sort and paging parameters of GET /api/transactions.
+// Filters are passed on to the repositories as they are; the sort fields
+// are the API names, mapped to columns by each storage backend.
+
+export const SORT_FIELDS = ['date', 'merchant', 'amount', 'account', 'status'];
+export const STATUSES = ['Processed', 'Review Required'];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseAmount = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// --- Parse the query string, returning { filters, sort, page, pageSize, errors } ---
+export const parseTransactionQuery = (query) => {
+    const errors = [];
+    const filters = {};
+
+    ['startDate', 'endDate'].forEach(key => {
+        if (!query[key]) return;
+        if (DATE_PATTERN.test(query[key])) filters[key] = query[key];
+        else errors.push(`${key} must be given as YYYY-MM-DD.`);
+    });
+    if (query.merchant && query.merchant.trim()) filters.merchant = query.merchant.trim();
+    if (query.account) filters.account = query.account;
+    if (query.costCenter) filters.costCenter = query.costCenter;
+    if (query.tag) filters.tag = query.tag;
+    if (query.receipt) {
+        if (RECEIPT_FILTERS.includes(query.receipt)) filters.receipt = query.receipt;
+        else errors.push(`receipt must be one of ${RECEIPT_FILTERS.join(', ')}.`);
+    }
+    if (query.status) {
+        if (STATUSES.includes(query.status)) filters.status = query.status;
+        else errors.push(`status must be one of ${STATUSES.join(', ')}.`);
+    }
+    ['minAmount', 'maxAmount'].forEach(key => {
+        const amount = parseAmount(query[key]);
+        if (amount === null) return;
+        if (isNaN(amount)) errors.push(`${key} must be a number.`);
+        else filters[key] = amount;
+    });
+    if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.maxAmount < filters.minAmount) {
+        errors.push('maxAmount cannot be below minAmount.');
+    }
+
+    const sort = { field: query.sortBy || 'date', direction: query.sortDir || 'desc' };
+    if (!SORT_FIELDS.includes(sort.field)) errors.push(`sortBy must be one of ${SORT_FIELDS.join(', ')}.`);
+    if (!['asc', 'desc'].includes(sort.direction)) errors.push('sortDir must be asc or desc.');
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+    if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive whole number.');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.push(`pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}.`);
+    }
+
+    return { filters, sort, page, pageSize, errors };
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// --- Income, expenses and net from transactions.totals rows ---
+// With a cost center filter the rows only hold the share allocated to it and
+// the cost centers under it, so split transactions contribute just their
+// matching lines.
+export const summarizeTotals = (rows) => {
+    const income = rows.reduce((sum, row) => sum + row.income, 0);
+    const expenses = rows.reduce((sum, row) => sum + row.expenses, 0);
+    return {
+        income: roundCents(income),
+        expenses: roundCents(expenses),
+        net: roundCents(income + expenses),
+        count: rows.reduce((sum, row) => sum + row.count, 0),
+    };
+};
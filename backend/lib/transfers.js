@@ -0,0 +1,68 @@
+import { daysBetween } from './duplicates.js';
+
+// --- Internal Transfers ---
+// Money moved between the user's own accounts shows up twice: going out of
+// one account and coming into another. Such a pair is neither income nor an
+// expense, so linked transfers are left out of totals, budgets and reports.
+// Pairs are suggested automatically (the same amount out of one account and
+// into another in the same currency, at most TRANSFER_WINDOW_DAYS apart) and
+// can be confirmed, unlinked or linked by hand.
+
+export const TRANSFER_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Transactions that count towards income and expenses ---
+export const withoutTransfers = (transactions) => transactions.filter(t => !t.transfer);
+
+// --- The date range to look for the other side of transfers in ---
+export const transferRange = (transactions) => {
+    const dates = transactions.map(t => t.date).sort();
+    const shift = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+    return { startDate: shift(dates[0], -TRANSFER_WINDOW_DAYS), endDate: shift(dates[dates.length - 1], TRANSFER_WINDOW_DAYS) };
+};
+
+const pairKey = (outId, inId) => `${outId}|${inId}`;
+
+// --- Suggest transfer pairs among unlinked transactions ---
+// rejected lists the { outTransactionId, inTransactionId } pairs the user
+// unlinked before. Each outgoing transaction, oldest first, takes the closest
+// matching incoming one that is still free. Returns [{ outId, inId }].
+export const findTransferPairs = (transactions, rejected = []) => {
+    const rejectedKeys = new Set(rejected.map(pair => pairKey(pair.outTransactionId, pair.inTransactionId)));
+    const free = transactions.filter(t => !t.transfer && t.amount !== 0);
+    const incoming = free.filter(t => t.amount > 0);
+    const taken = new Set();
+    const pairs = [];
+
+    free
+        .filter(t => t.amount < 0)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id)
+        .forEach(out => {
+            let best = null;
+            incoming.forEach(candidate => {
+                if (taken.has(candidate.id) || candidate.account === out.account || candidate.currency !== out.currency) return;
+                if (Math.round(candidate.amount * 100) !== Math.round(-out.amount * 100)) return;
+                if (rejectedKeys.has(pairKey(out.id, candidate.id))) return;
+                const days = daysBetween(out.date, candidate.date);
+                if (days > TRANSFER_WINDOW_DAYS) return;
+                if (!best || days < best.days) best = { candidate, days };
+            });
+            if (!best) return;
+            taken.add(best.candidate.id);
+            pairs.push({ outId: out.id, inId: best.candidate.id });
+        });
+    return pairs;
+};
+
+// --- Validate linking two transactions by hand, returning a list of problems ---
+// The amounts may differ (fees, exchange rates), but one must go out and the
+// other come in.
+export const validateTransferLink = (first, second) => {
+    const errors = [];
+    if (!first || !second) return ['Both transactions must exist.'];
+    if (first.id === second.id) errors.push('A transaction cannot be a transfer to itself.');
+    if (Math.sign(first.amount) === Math.sign(second.amount)) errors.push('One transaction must be money going out and the other money coming in.');
+    if (first.transfer || second.transfer) errors.push('Unlink the existing transfer first.');
+    return errors;
+};
@@ -0,0 +1,122 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_MAPPING_CONFIG, parseCsv } from './mapping.js';
+import { detectFileType } from './importer.js';
+
+// --- Watched-Folder Import ---
+// Statement files dropped into the watched folder are imported on a schedule
+// through the same steps as /api/upload. CSV files need a mapping template:
+// the first (oldest) template whose file name pattern matches, otherwise the
+// one whose columns are all in the file's header. OFX, CAMT.053 and MT940
+// files describe themselves. Each file is then moved to one of the
+// subfolders below, so a file is only ever imported once.
+
+export const SUBFOLDERS = { processed: 'processed', failed: 'failed' };
+
+// Files changed more recently than this may still be being written; they are
+// left for the next run
+export const SETTLE_MS = 5000;
+
+// --- Match a file name against a pattern with * and ? wildcards ---
+// Case-insensitive, since banks are not consistent about extensions.
+export const matchesFileName = (pattern, fileName) => {
+    if (!pattern) return false;
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i').test(fileName);
+};
+
+// The header columns a template reads
+const columnsOf = (config) => [
+    config.dateColumn,
+    ...config.descriptionColumns,
+    ...(config.amountMode === 'debitCredit' ? [config.debitColumn, config.creditColumn] : [config.amountColumn]),
+    config.fixedAccount ? '' : config.accountColumn,
+    config.fixedCurrency ? '' : config.currencyColumn,
+].filter(Boolean);
+
+// The header of a CSV file as a template would read it, or null if it can't be
+const headersFor = (head, config) => {
+    try {
+        return parseCsv(head, config).headers;
+    } catch {
+        return null;
+    }
+};
+
+// --- Pick the mapping template for a file from its name and first bytes ---
+// Returns { mapping, matchedBy } where mapping is null for self-describing
+// formats and for the legacy default columns, or { error } when no template
+// fits or the columns of several fit equally well.
+export const chooseMapping = (mappings, fileName, head) => {
+    if (detectFileType(fileName, head) !== 'CSV') return { mapping: null, matchedBy: 'format' };
+
+    const templates = mappings.map(mapping => ({ mapping, config: { ...DEFAULT_MAPPING_CONFIG, ...mapping.config } }));
+    const byName = templates.find(({ config }) => matchesFileName(config.fileNamePattern, fileName));
+    if (byName) return { mapping: byName.mapping, matchedBy: 'file name' };
+
+    // The template reading the most columns wins, e.g. one that also reads a
+    // currency column over one that doesn't
+    const byHeader = templates
+        .map(({ mapping, config }) => {
+            const headers = headersFor(head, config);
+            const columns = columnsOf(config);
+            return { mapping, columns: headers && columns.every(column => headers.includes(column)) ? columns.length : 0 };
+        })
+        .filter(candidate => candidate.columns > 0)
+        .sort((a, b) => b.columns - a.columns);
+    if (byHeader.length > 1 && byHeader[0].columns === byHeader[1].columns) {
+        const names = byHeader.filter(candidate => candidate.columns === byHeader[0].columns).map(candidate => candidate.mapping.name);
+        return { error: `Its columns fit several templates (${names.join(', ')}); give one of them a file name pattern.` };
+    }
+    if (byHeader.length > 0) return { mapping: byHeader[0].mapping, matchedBy: 'columns' };
+
+    // The columns /api/upload falls back to without a template
+    const headers = headersFor(head, {}) || [];
+    if (headers.includes('Date') && ['Description', 'Merchant'].some(column => headers.includes(column))
+        && ['Amount', 'Debit'].some(column => headers.includes(column))) {
+        return { mapping: null, matchedBy: 'default columns' };
+    }
+    return { error: 'No mapping template matches its file name or columns.' };
+};
+
+// --- Why nothing in a read file can be imported, or null ---
+// A file with some unreadable rows is imported without them, as a confirmed
+// upload would be; one with nothing readable is more likely the wrong template.
+// totals are the file's import totals and firstInvalid its first invalid row.
+export const unreadableReason = (totals, firstInvalid) => {
+    if (totals.total === 0) return 'No transactions were found in it.';
+    if (totals.invalid === totals.total) {
+        return `None of its ${totals.total} rows could be read; row ${firstInvalid.rowNumber}: ${firstInvalid.reason}`;
+    }
+    return null;
+};
+
+// --- Statement files waiting in the folder, oldest first ---
+// Hidden files, subfolders and files still being written are skipped.
+export const waitingFiles = async (directory, now = Date.now()) => {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = await Promise.all(entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .map(async entry => ({ name: entry.name, modified: (await fs.stat(path.join(directory, entry.name))).mtimeMs })));
+    return files
+        .filter(file => now - file.modified >= SETTLE_MS)
+        .sort((a, b) => a.modified - b.modified || a.name.localeCompare(b.name))
+        .map(file => file.name);
+};
+
+// --- Move a file into a subfolder, returning its new path in the folder ---
+// A file of the same name already there is kept; the newcomer gets a
+// timestamp in front of its name.
+export const moveFile = async (directory, fileName, subfolder) => {
+    const target = path.join(directory, subfolder);
+    await fs.mkdir(target, { recursive: true });
+    let movedName = fileName;
+    try {
+        await fs.access(path.join(target, movedName));
+        movedName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${fileName}`;
+    } catch {
+        // Nothing there by that name
+    }
+    await fs.rename(path.join(directory, fileName), path.join(target, movedName));
+    return path.join(subfolder, movedName);
+};
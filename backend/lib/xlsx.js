@@ -0,0 +1,224 @@
+import zlib from 'node:zlib';
+
+// --- Minimal XLSX Writing ---
+// An XLSX file is a zip archive of XML parts. One worksheet of strings and
+// numbers needs only six of them, so they are written out here rather than
+// pulling in a spreadsheet library. Strings are stored inline; the first row
+// is bold and frozen as the header. The sheet is zipped as its rows come in,
+// so large exports don't have to be held in memory.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+// Pass the CRC so far to continue it over the next part
+const crc32 = (buffer, previous = 0) => {
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// --- Zip Archive Written as It Goes ---
+// file() adds a whole file, stream() one whose content comes in parts: its
+// sizes and CRC follow the data in a data descriptor. Each part is deflated
+// on its own and flushed to a byte boundary, so the parts join into one
+// deflate stream. Every call returns the bytes to send next; end() writes
+// the central directory.
+const createZip = () => {
+    const centrals = [];
+    let offset = 0;
+    let count = 0;
+
+    const emit = (buffers) => {
+        const bytes = Buffer.concat(buffers);
+        offset += bytes.length;
+        return bytes;
+    };
+
+    // Flags: bit 11 for UTF-8 names, bit 3 when sizes follow the data
+    const header = (signature, length, flags, { crc = 0, compressedSize = 0, size = 0 } = {}) => {
+        const central = signature === 0x02014b50;
+        const buffer = Buffer.alloc(length);
+        buffer.writeUInt32LE(signature, 0);
+        const at = central ? 2 : 0;
+        if (central) buffer.writeUInt16LE(20, 4);
+        buffer.writeUInt16LE(20, 4 + at);
+        buffer.writeUInt16LE(flags, 6 + at);
+        buffer.writeUInt16LE(8, 8 + at); // deflate
+        buffer.writeUInt32LE(crc, 14 + at);
+        buffer.writeUInt32LE(compressedSize, 18 + at);
+        buffer.writeUInt32LE(size, 22 + at);
+        return buffer;
+    };
+
+    const addCentral = (nameBytes, flags, sizes, localOffset) => {
+        const central = header(0x02014b50, 46, flags, sizes);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(localOffset, 42);
+        centrals.push(central, nameBytes);
+        count += 1;
+    };
+
+    const local = (nameBytes, flags, sizes) => {
+        const buffer = header(0x04034b50, 30, flags, sizes);
+        buffer.writeUInt16LE(nameBytes.length, 26);
+        return buffer;
+    };
+
+    return {
+        file: (name, content) => {
+            const data = Buffer.from(content, 'utf8');
+            const compressed = zlib.deflateRawSync(data);
+            const nameBytes = Buffer.from(name, 'utf8');
+            const sizes = { crc: crc32(data), compressedSize: compressed.length, size: data.length };
+            addCentral(nameBytes, 0x0800, sizes, offset);
+            return emit([local(nameBytes, 0x0800, sizes), nameBytes, compressed]);
+        },
+        stream: (name) => {
+            const nameBytes = Buffer.from(name, 'utf8');
+            let localOffset = 0;
+            const sizes = { crc: 0, compressedSize: 0, size: 0 };
+            const part = (data, options) => {
+                const compressed = zlib.deflateRawSync(data, options);
+                sizes.crc = crc32(data, sizes.crc);
+                sizes.size += data.length;
+                sizes.compressedSize += compressed.length;
+                return compressed;
+            };
+            return {
+                start: () => {
+                    localOffset = offset;
+                    return emit([local(nameBytes, 0x0808, {}), nameBytes]);
+                },
+                write: (content) => emit([part(Buffer.from(content, 'utf8'), { finishFlush: zlib.constants.Z_SYNC_FLUSH })]),
+                end: (content = '') => {
+                    const last = part(Buffer.from(content, 'utf8'));
+                    const descriptor = Buffer.alloc(16);
+                    descriptor.writeUInt32LE(0x08074b50, 0);
+                    descriptor.writeUInt32LE(sizes.crc, 4);
+                    descriptor.writeUInt32LE(sizes.compressedSize, 8);
+                    descriptor.writeUInt32LE(sizes.size, 12);
+                    addCentral(nameBytes, 0x0808, sizes, localOffset);
+                    return emit([last, descriptor]);
+                },
+            };
+        },
+        end: () => {
+            const directory = Buffer.concat(centrals);
+            const record = Buffer.alloc(22);
+            record.writeUInt32LE(0x06054b50, 0);
+            record.writeUInt16LE(count, 8);
+            record.writeUInt16LE(count, 10);
+            record.writeUInt32LE(directory.length, 12);
+            record.writeUInt32LE(offset, 16);
+            return emit([directory, record]);
+        },
+    };
+};
+
+// Control characters XML 1.0 allows: tab, line feed and carriage return
+const XML_CONTROL_CHARACTERS = new Set([0x09, 0x0a, 0x0d]);
+
+const isXmlCharacter = (char) => char.charCodeAt(0) >= 0x20 || XML_CONTROL_CHARACTERS.has(char.charCodeAt(0));
+
+// XML text, without the control characters XML 1.0 doesn't allow
+const escapeXml = (value) => Array.from(String(value)).filter(isXmlCharacter).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A1-style column letters for a zero-based index
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+};
+
+const cellXml = (value, ref, style) => {
+    if (value === null || value === undefined || value === '') return '';
+    const s = style ? ' s="1"' : '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const rowXml = (row, index) => (
+    `<row r="${index + 1}">${row.map((value, c) => cellXml(value, `${columnName(c)}${index + 1}`, index === 0)).join('')}</row>`
+);
+
+const SHEET_START = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + '<sheetData>';
+const SHEET_END = '</sheetData></worksheet>';
+
+// The parts besides the sheet
+const packageFiles = (sheetName) => [
+    {
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + '</Types>',
+    },
+    {
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+    },
+    {
+        name: 'xl/workbook.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>',
+    },
+    {
+        name: 'xl/styles.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            + '</styleSheet>',
+    },
+];
+
+// --- Write an XLSX file with one sheet, a batch of rows at a time ---
+// The first row written is the header. start(), write(rows) and end() each
+// return the next bytes of the file.
+export const createXlsxWriter = (sheetName) => {
+    const zip = createZip();
+    const sheet = zip.stream('xl/worksheets/sheet1.xml');
+    let rowCount = 0;
+    return {
+        start: () => Buffer.concat([
+            ...packageFiles(sheetName).map(({ name, content }) => zip.file(name, content)),
+            sheet.start(),
+            sheet.write(SHEET_START),
+        ]),
+        write: (rows) => {
+            const xml = rows.map((row, i) => rowXml(row, rowCount + i)).join('');
+            rowCount += rows.length;
+            return sheet.write(xml);
+        },
+        end: () => Buffer.concat([sheet.end(SHEET_END), zip.end()]),
+    };
+};
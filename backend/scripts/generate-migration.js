@@ -0,0 +1,37 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { TABLES } from '../db/schema.js';
+import { diffSchemas, changeSql, fullSchemaSql } from '../db/ddl.js';
+import { MIGRATIONS_DIRECTORY, listMigrations } from '../db/migrate.js';
+
+// --- Write the Next Migration from db/schema.js ---
+// Usage: npm run db:generate -- <name>
+// Compares db/schema.js with the snapshot taken at the last migration and
+// writes db/migrations/{postgres,sqlite}/NNNN_<name>.sql, a new snapshot and
+// database_schema.sql.
+
+const name = process.argv[2];
+if (!/^[a-z0-9_]+$/.test(name || '')) {
+    console.error('Usage: npm run db:generate -- <name> (lowercase letters, digits and underscores)');
+    process.exit(1);
+}
+
+const snapshotFile = new URL('schema.snapshot.json', MIGRATIONS_DIRECTORY);
+const previous = existsSync(snapshotFile) ? JSON.parse(readFileSync(snapshotFile, 'utf8')) : [];
+// Compare plain JSON on both sides so shared column objects don't matter
+const current = JSON.parse(JSON.stringify(TABLES));
+
+const changes = diffSchemas(previous, current);
+writeFileSync(new URL('../database_schema.sql', import.meta.url), fullSchemaSql(current));
+if (changes.length === 0) {
+    console.log('db/schema.js matches the last migration; nothing to generate.');
+    process.exit(0);
+}
+
+const versions = listMigrations('postgres').map(migration => Number(migration.version));
+const version = String(Math.max(0, ...versions) + 1).padStart(4, '0');
+['postgres', 'sqlite'].forEach(dialect => {
+    const file = new URL(`${dialect}/${version}_${name}.sql`, MIGRATIONS_DIRECTORY);
+    writeFileSync(file, `${changes.map(change => changeSql(change, dialect)).join('\n\n')}\n`);
+    console.log(`Wrote db/migrations/${dialect}/${version}_${name}.sql`);
+});
+writeFileSync(snapshotFile, `${JSON.stringify(current, null, 2)}\n`);
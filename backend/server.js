@@ -1,203 +1,2318 @@
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import Papa from 'papaparse';
-import { createClient } from '@supabase/supabase-js';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import 'dotenv/config';
+import { createRepositories } from './db/index.js';
+import { parseCsv, validateMappingConfig, DEFAULT_MAPPING_CONFIG } from './lib/mapping.js';
+import { readStatementFile, readHead, fileChecksum, buildImportRows, hashesOf, markDuplicates, summarizeImport, toTransactionRecord } from './lib/importer.js';
+import {
+    DEFAULT_CURRENCY, isCurrencyCode, normalizeCurrency, validateRate, parseRatesCsv, createConverter, totalsToBaseCurrency, assignCurrencies,
+} from './lib/currency.js';
+import { REVIEW_ACTIONS, REVIEW_STATUSES, candidateRange, markNearDuplicates, markReviewedDuplicates } from './lib/duplicates.js';
+import { validateRule, ruleProblems, categorizeRows, planRuleChanges } from './lib/rules.js';
+import { createModelCache, suggestCostCenter, applySuggestionsToRows } from './lib/suggestions.js';
+import { resolveSplits } from './lib/splits.js';
+import { validateBudget, computeVariance } from './lib/budgets.js';
+import {
+    normalizeEmail, validateCredentials, hashPassword, verifyPassword, signSessionToken, verifySessionToken,
+    createResetToken, hashToken, SESSION_TTL_MS, RESET_TOKEN_TTL_MS, MIN_PASSWORD_LENGTH,
+} from './lib/auth.js';
+import { parseTransactionQuery, summarizeTotals, MAX_PAGE_SIZE } from './lib/transactionQuery.js';
+import { parseBulkEdit } from './lib/bulkEdit.js';
+import { ENTITY_TYPES, snapshotOf, entriesFor, changedFields, planUndo } from './lib/audit.js';
+import { GROUPINGS, PERIOD_GROUPINGS, aggregate, compareAggregates, periodStart, periodsBetween, previousRange, pivotByCostCenter } from './lib/reports.js';
+import { detectRecurring } from './lib/recurring.js';
+import { withoutTransfers, transferRange, findTransferPairs, validateTransferLink } from './lib/transfers.js';
+import { parseExportOptions, createExporter } from './lib/exporter.js';
+import {
+    MAX_RECEIPT_BYTES, isReceiptType, normalizeTags, validateDetails, receiptStorageKey, removeReceiptFiles, touchReceiptFiles,
+    sweepReceiptFiles,
+} from './lib/details.js';
+import { treeOrder, subtreeNames, validateCostCenter, validateMerge, validateAssignment, isArchived } from './lib/costCenters.js';
+import { SUBFOLDERS, chooseMapping, unreadableReason, waitingFiles, moveFile } from './lib/watchedFolder.js';
+import { createImportJobs, ROWS_PAGE_SIZE, MAX_ROWS_PAGE_SIZE } from './lib/importJobs.js';
+import {
+    defaultAccount, isReconciled, lockedMessage, validateAccount, accountBalances, runningBalances, planReconciliation,
+} from './lib/accounts.js';
 
 const app = express();
 const port = process.env.PORT || 3001;
 
 // --- Middleware ---
-app.use(cors());
+// X-Operation-Id names the audit log entry of a change, so the client can offer to undo it
+app.use(cors({ exposedHeaders: ['X-Operation-Id'] }));
 app.use(express.json());
 
-// --- Supabase Client ---
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use the service role key
-const supabase = createClient(supabaseUrl, supabaseKey);
+// --- Storage (Supabase or local SQLite, see db/index.js) ---
+const db = await createRepositories();
+
+// --- Session Signing Secret ---
+const sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    throw new Error('SESSION_SECRET must be set to sign session tokens.');
+}
 
 // --- File Upload Setup ---
 const upload = multer({ storage: multer.memoryStorage() });
 
-// --- Helper Function to Create a Unique ID (e.g., hash of key fields) ---
-const createTransactionHash = (transaction) => {
-    return btoa(JSON.stringify({
-        date: transaction.date,
-        merchant: transaction.merchant,
-        amount: transaction.amount,
-        account: transaction.account
-    }));
+// --- Statement Uploads ---
+// Statements can be large, so /api/upload writes them to a temporary file and
+// imports them in a background job (see lib/importJobs.js) that reads and
+// saves IMPORT_CHUNK_SIZE rows at a time.
+const MAX_IMPORT_BYTES = (parseInt(process.env.MAX_IMPORT_MB, 10) || 200) * 1024 * 1024;
+const IMPORT_CHUNK_SIZE = 500;
+const statementUpload = multer({ storage: multer.diskStorage({ destination: os.tmpdir() }), limits: { fileSize: MAX_IMPORT_BYTES } });
+const importJobs = createImportJobs();
+
+// --- Receipt Storage ---
+// Receipts are written straight to RECEIPTS_PATH (created on first upload);
+// files of other types are dropped rather than stored. The files of deleted
+// transactions stay for RECEIPT_RETENTION_DAYS, so that undoing the deletion
+// can attach them again; a sweep every RECEIPT_SWEEP_INTERVAL_HOURS then
+// removes them, with anything else no receipt refers to.
+const receiptsPath = process.env.RECEIPTS_PATH || fileURLToPath(new URL('./data/receipts', import.meta.url));
+const RECEIPT_RETENTION_MS = (parseInt(process.env.RECEIPT_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const RECEIPT_SWEEP_INTERVAL_MS = (parseInt(process.env.RECEIPT_SWEEP_INTERVAL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const receiptUpload = multer({
+    storage: multer.diskStorage({
+        destination: receiptsPath,
+        filename: (req, file, callback) => callback(null, receiptStorageKey(file.mimetype)),
+    }),
+    limits: { fileSize: MAX_RECEIPT_BYTES },
+    fileFilter: (req, file, callback) => callback(null, isReceiptType(file.mimetype)),
+});
+
+// --- Suggestions at or above this confidence may be auto-applied on import ---
+const SUGGESTION_AUTO_APPLY_CONFIDENCE = parseFloat(process.env.SUGGESTION_AUTO_APPLY_CONFIDENCE) || 0.9;
+
+// --- Watched Folder (see lib/watchedFolder.js) ---
+// Statement files put in WATCH_FOLDER_PATH are imported for the user signed up
+// as WATCH_FOLDER_USER every WATCH_FOLDER_INTERVAL_SECONDS. Both must be set.
+const watchFolder = process.env.WATCH_FOLDER_PATH && process.env.WATCH_FOLDER_USER
+    ? { path: process.env.WATCH_FOLDER_PATH, email: normalizeEmail(process.env.WATCH_FOLDER_USER) }
+    : null;
+const WATCH_FOLDER_INTERVAL_MS = (parseInt(process.env.WATCH_FOLDER_INTERVAL_SECONDS, 10) || 60) * 1000;
+const WATCH_FOLDER_AUTO_APPLY_SUGGESTIONS = process.env.WATCH_FOLDER_AUTO_APPLY_SUGGESTIONS === 'true';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Helpers for Sessions ---
+const publicUser = (user) => ({ id: user.id, email: user.email, baseCurrency: user.baseCurrency });
+
+// Start a session and return the signed token for it
+const createSession = async (userId) => {
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const sessionId = await db.sessions.create(userId, new Date(expiresAt).toISOString());
+    return signSessionToken({ sessionId, userId, expiresAt }, sessionSecret);
+};
+
+// Reset links are only printed during development; plug a mail provider in here.
+const sendPasswordResetLink = (email, token) => {
+    const resetUrl = `${process.env.APP_URL || 'http://localhost:5173'}/?resetToken=${token}`;
+    if (process.env.NODE_ENV !== 'production') {
+        console.log(`Password reset link for ${email}: ${resetUrl}`);
+    }
+};
+
+// --- Learned Cost Center Suggestions (see lib/suggestions.js) ---
+// Each user's model is trained once on their categorized transactions and
+// kept until logOperation records a change. Transactions in archived cost
+// centers are left out so those aren't suggested any more.
+const suggestionModels = createModelCache(async (userId) => {
+    const [history, costCenters] = await Promise.all([
+        db.transactions.list(userId, { categorized: true }),
+        db.costCenters.list(userId),
+    ]);
+    return history.filter(t => !isArchived(costCenters, t.costCenter));
+});
+
+// --- Helpers for the Audit Trail (see lib/audit.js) ---
+const BULK_EDIT_SOURCES = {
+    setCostCenter: 'Bulk edit: assigned cost center',
+    setStatus: 'Bulk edit: set status',
+    delete: 'Bulk edit: deleted transactions',
+};
+
+// Log a change made by a user to their own data. Every change to
+// transactions and cost centers passes through here, so it also drops the
+// user's suggestion model.
+const logOperation = async (userId, source, entries, reverts = null) => {
+    if (entries.length === 0) return null;
+    suggestionModels.invalidate(userId);
+    return db.audit.append(userId, { actorId: userId, source, reverts, entries });
+};
+
+// Log a change made for the signed-in user and name it in the X-Operation-Id header
+const recordOperation = async (req, res, source, entries, reverts = null) => {
+    const operationId = await logOperation(req.userId, source, entries, reverts);
+    if (operationId) res.set('X-Operation-Id', operationId);
+    return operationId;
+};
+
+// The cost centers a cost center filter covers (it and those under it), or
+// null without one
+const costCenterScope = async (userId, name) => (name ? subtreeNames(await db.costCenters.list(userId), name) : null);
+
+// Problems with the cost centers a request assigns (see lib/costCenters.js)
+const assignmentErrors = async (userId, names, kept = []) => validateAssignment(await db.costCenters.list(userId), names, kept);
+
+// Rules in evaluation order, each with the problems that keep it from
+// running: a cost center that no longer exists or is archived, conditions
+// saved before they were checked as they are now, or a merchant pattern that
+// took too long (see lib/rules.js)
+const checkedRules = async (userId) => {
+    const [rules, costCenters] = await Promise.all([db.rules.list(userId), db.costCenters.list(userId)]);
+    return rules.map(rule => ({ ...rule, problems: [...validateAssignment(costCenters, [rule.cost_center]), ...ruleProblems(rule)] }));
+};
+
+// The rules that can run, in evaluation order
+const assignableRules = async (userId) => (await checkedRules(userId)).filter(rule => rule.problems.length === 0);
+
+// Transactions assigned to a cost center or with a split line going to it
+const transactionsUsing = async (userId, name) => (await db.transactions.list(userId, { costCenter: name }))
+    .filter(t => t.costCenter === name || t.splits.some(split => split.costCenter === name));
+
+// What still refers to a cost center, e.g. ['3 transactions', '1 budget']
+const costCenterUses = async (userId, costCenter, costCenters) => {
+    const [transactions, budgets, rules] = await Promise.all([
+        transactionsUsing(userId, costCenter.name),
+        db.budgets.list(userId),
+        db.rules.list(userId),
+    ]);
+    return [
+        [transactions.length, 'transaction', 'transactions'],
+        [budgets.filter(budget => budget.cost_center === costCenter.name).length, 'budget', 'budgets'],
+        [rules.filter(rule => rule.cost_center === costCenter.name).length, 'rule', 'rules'],
+        [costCenters.filter(cc => cc.parentId === costCenter.id).length, 'cost center under it', 'cost centers under it'],
+    ].filter(([count]) => count > 0).map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`);
+};
+
+// Removes a cost center. Its transactions lose it too (ON DELETE SET NULL),
+// so their changes are part of the returned audit entries.
+const removeCostCenter = async (userId, name) => {
+    const costCenter = (await db.costCenters.list(userId)).find(cc => cc.name === name);
+    if (!costCenter) return [];
+    const assigned = (await db.transactions.list(userId, { costCenter: name })).filter(t => t.costCenter === name);
+    await db.costCenters.remove(userId, name);
+    const after = await db.transactions.findMany(userId, assigned.map(t => t.id));
+    return [...entriesFor('cost_center', [costCenter], []), ...entriesFor('transaction', assigned, after)];
+};
+
+// The audited state of the entities behind some entries, keyed `${entityType}:${entityId}`
+const currentStates = async (userId, entries) => {
+    const states = {};
+    const add = (entityType, entities) => entities.forEach(entity => {
+        states[`${entityType}:${entity.id}`] = snapshotOf(entityType, entity);
+    });
+    const transactionIds = entries.filter(entry => entry.entityType === 'transaction').map(entry => entry.entityId);
+    if (transactionIds.length > 0) add('transaction', await db.transactions.findMany(userId, transactionIds));
+    if (entries.some(entry => entry.entityType === 'cost_center')) add('cost_center', await db.costCenters.list(userId));
+    if (entries.some(entry => entry.entityType === 'mapping')) add('mapping', await db.mappings.list(userId));
+    return states;
+};
+
+// Transactions with their receipts, to log their deletion: the receipt files
+// stay on disk and undoing the deletion attaches them again (see lib/audit.js)
+const withReceipts = async (userId, transactions) => {
+    const receipts = await db.receipts.listForTransactions(userId, transactions.map(t => t.id));
+    return transactions.map(t => ({ ...t, receipts: receipts.filter(receipt => String(receipt.transactionId) === String(t.id)) }));
+};
+
+// Delete transactions (as withReceipts returns them), leaving their receipt
+// files for undo until the sweep takes them (see RECEIPT_RETENTION_DAYS);
+// returns how many went
+const deleteTransactions = async (userId, transactions) => {
+    const deleted = await db.transactions.bulkEdit(userId, { ids: transactions.map(t => t.id) }, 'delete', {});
+    await touchReceiptFiles(receiptsPath, transactions.flatMap(t => t.receipts));
+    return deleted;
+};
+
+// Put entities back into earlier states (steps from planUndo) and return the
+// audit entries of doing so. Recreated cost centers and mappings get new ids;
+// transactions come back under their old ones.
+const applyUndo = async (userId, steps) => {
+    const ofType = (entityType) => steps.filter(step => step.entityType === entityType);
+    const entries = [];
+
+    // Cost centers first, so restored transactions find theirs: deleted ones
+    // are recreated (unless one of the name exists again), then names, parents
+    // and archiving put back. Entries logged before the tree existed hold only
+    // a name.
+    let costCenters = await db.costCenters.list(userId);
+    const costCenterId = (name) => costCenters.find(cc => cc.name === name)?.id ?? null;
+    for (const step of ofType('cost_center').filter(step => !step.from && step.to)) {
+        if (costCenterId(step.to.name) !== null) continue;
+        const created = await db.costCenters.create(userId, {
+            name: step.to.name,
+            parentId: costCenterId(step.to.parent),
+            archived: step.to.archived ?? false,
+        });
+        costCenters = await db.costCenters.list(userId);
+        entries.push({ entityType: 'cost_center', entityId: String(created.id), before: null, after: snapshotOf('cost_center', created) });
+    }
+    for (const step of ofType('cost_center').filter(step => step.from && step.to)) {
+        const costCenter = costCenters.find(cc => String(cc.id) === step.entityId);
+        const updated = await db.costCenters.update(userId, costCenter.id, {
+            name: step.to.name,
+            parentId: costCenterId(step.to.parent),
+            archived: step.to.archived ?? false,
+        });
+        costCenters = await db.costCenters.list(userId);
+        entries.push(...entriesFor('cost_center', [costCenter], [updated]));
+    }
+    // A cost center that transactions go back to but that was removed since
+    // (outside this operation) comes back at the top level
+    const namedByTransactions = ofType('transaction')
+        .filter(step => step.to)
+        .flatMap(step => [step.to.costCenter, ...(step.to.splits || []).map(split => split.costCenter)]);
+    for (const name of new Set(namedByTransactions.filter(name => name && costCenterId(name) === null))) {
+        const created = await db.costCenters.create(userId, { name });
+        costCenters = await db.costCenters.list(userId);
+        entries.push({ entityType: 'cost_center', entityId: String(created.id), before: null, after: snapshotOf('cost_center', created) });
+    }
+
+    const transactionSteps = ofType('transaction');
+    const restored = transactionSteps.filter(step => !step.from && step.to);
+    const deleted = transactionSteps.filter(step => step.from && !step.to);
+    const updated = transactionSteps.filter(step => step.from && step.to);
+    const found = await db.transactions.findMany(userId, transactionSteps.map(step => step.entityId));
+    const deletedIds = new Set(deleted.map(step => step.entityId));
+    const deleting = new Map((await withReceipts(userId, found.filter(t => deletedIds.has(String(t.id))))).map(t => [t.id, t]));
+    const before = found.map(t => deleting.get(t.id) || t);
+    if (restored.length > 0) {
+        // Entries logged before currencies were tracked are in the old default
+        await db.transactions.restore(userId, restored.map(step => ({ currency: DEFAULT_CURRENCY, ...step.to, id: Number(step.entityId) })));
+        // Their receipts come back with them, unless the file has gone since
+        for (const step of restored) {
+            for (const receipt of step.to.receipts || []) {
+                const stored = await fs.access(path.join(receiptsPath, receipt.storageKey)).then(() => true, () => false);
+                if (stored) await db.receipts.create(userId, { ...receipt, transactionId: Number(step.entityId) });
+            }
+        }
+    }
+    if (deleted.length > 0) {
+        await deleteTransactions(userId, [...deleting.values()]);
+    }
+    for (const step of updated) {
+        const { costCenter, status, splits } = step.to;
+        await db.transactions.replaceSplits(userId, step.entityId, splits);
+        await db.transactions.update(userId, step.entityId, { costCenter, status });
+        // Entries logged before notes and tags were audited leave them alone
+        if ('notes' in step.to || 'tags' in step.to) {
+            await db.transactions.updateDetails(userId, step.entityId, { notes: step.to.notes ?? null, tags: step.to.tags ?? [] });
+        }
+    }
+    entries.push(...entriesFor('transaction', before, await db.transactions.findMany(userId, transactionSteps.map(step => step.entityId))));
+
+    for (const step of ofType('cost_center').filter(step => !step.to)) {
+        entries.push(...await removeCostCenter(userId, step.from.name));
+    }
+
+    for (const step of ofType('mapping')) {
+        if (!step.to) {
+            const mapping = await db.mappings.find(userId, step.entityId);
+            await db.mappings.remove(userId, step.entityId);
+            entries.push(...entriesFor('mapping', [mapping], []));
+        } else if (!step.from) {
+            const mapping = await db.mappings.create(userId, step.to);
+            entries.push(...entriesFor('mapping', [], [mapping]));
+        } else {
+            const mapping = await db.mappings.find(userId, step.entityId);
+            entries.push(...entriesFor('mapping', [mapping], [await db.mappings.update(userId, step.entityId, step.to)]));
+        }
+    }
+    return entries;
+};
+
+// The user's base currency and a converter into it (see lib/currency.js)
+const baseCurrencyOf = async (userId) => {
+    const [user, rates] = await Promise.all([db.users.findById(userId), db.exchangeRates.list(userId)]);
+    return { baseCurrency: user.baseCurrency, convert: createConverter(rates, user.baseCurrency) };
+};
+
+// Suggest transfer pairs between the given transactions and the others
+// around them (see lib/transfers.js); returns how many were linked
+const suggestTransfers = async (userId, transactions) => {
+    if (transactions.length === 0) return 0;
+    const [nearby, rejected] = await Promise.all([
+        db.transactions.list(userId, transferRange(transactions)),
+        db.transfers.rejected(userId),
+    ]);
+    const ids = new Set(transactions.map(t => t.id));
+    const pairs = findTransferPairs(nearby, rejected).filter(pair => ids.has(pair.outId) || ids.has(pair.inId));
+    await db.transfers.link(userId, pairs, 'suggested');
+    return pairs.length;
+};
+
+// The outgoing and incoming side of a linked transaction's transfer
+const transferSides = (transaction) => (transaction.amount < 0
+    ? { outId: transaction.id, inId: transaction.transfer.transactionId }
+    : { outId: transaction.transfer.transactionId, inId: transaction.id });
+
+// Audit entries as the API returns them, with the fields that changed
+const entryForClient = (entry) => ({ ...entry, changes: changedFields(entry.before, entry.after) });
+
+// Logged operations with the email address of whoever made them
+const withActorEmails = async (operations) => {
+    const actors = await Promise.all([...new Set(operations.map(op => op.actorId).filter(Boolean))].map(id => db.users.findById(id)));
+    const emails = Object.fromEntries(actors.filter(Boolean).map(actor => [actor.id, actor.email]));
+    return operations.map(op => ({ ...op, actorEmail: emails[op.actorId] || null }));
+};
+
+// --- Helpers for Imports (used by /api/upload and the watched folder) ---
+// file is { path, originalname, size } as multer gives it; mapping is the
+// template to read a CSV file with, or null for the legacy default columns.
+// report(phase, done, total) follows the progress (see lib/importJobs.js).
+// A file is read, checked and saved IMPORT_CHUNK_SIZE rows at a time, so only
+// one chunk of its rows is held at once.
+
+// Let other requests in between chunks of a long import
+const yieldToRequests = () => new Promise(resolve => setImmediate(resolve));
+
+// Add one chunk's summarizeImport totals to the running ones
+const addTotals = (totals, chunkTotals) => Object.keys(totals).forEach(key => {
+    totals[key] += chunkTotals[key];
+});
+
+// Read a statement a chunk at a time, marking its rows new, review, duplicate
+// or invalid. Each checked chunk goes to onRows(rows, { checksum, fileType })
+// before the next is read. Likely duplicates are only looked for among the
+// transactions that were there before: ownBatchId() names the batch the rows
+// are being saved into, if any. Resolves with what the file held overall.
+const readImport = async (userId, file, mapping, { autoApplySuggestions = false, report = () => {}, onRows = async () => {}, ownBatchId = () => null } = {}) => {
+    const mappingConfig = mapping ? { ...DEFAULT_MAPPING_CONFIG, ...mapping.config } : null;
+    const [checksum, user, knownAccounts, rules, model] = await Promise.all([
+        fileChecksum(file.path),
+        db.users.findById(userId),
+        db.accounts.list(userId),
+        assignableRules(userId),
+        autoApplySuggestions ? suggestionModels.get(userId) : null,
+    ]);
+    const accountCurrencies = Object.fromEntries(knownAccounts.map(account => [account.name, account.currency]));
+    const totals = summarizeImport([]);
+    const seenHashes = new Map();
+    const currencies = new Set();
+    let firstInvalid = null;
+
+    const checkRows = async (mappedRows, { fileType, config }) => {
+        report('checking');
+        // Normalize, validate and Deduplicate data
+        const rows = buildImportRows(mappedRows, config, totals.total + 1);
+        assignCurrencies(rows, accountCurrencies, user.baseCurrency);
+        const hashes = hashesOf(rows);
+        const [existing, statuses] = await Promise.all([
+            db.transactions.existingHashes(userId, hashes),
+            db.duplicateReviews.statusesByHash(userId, hashes),
+        ]);
+        markDuplicates(rows, existing, seenHashes);
+        markReviewedDuplicates(rows, statuses);
+        categorizeRows(rows, rules);
+        if (model) applySuggestionsToRows(rows, model, SUGGESTION_AUTO_APPLY_CONFIDENCE);
+
+        // Rows that look like existing transactions wait in the review queue
+        const remaining = rows.filter(r => r.status === 'new');
+        if (remaining.length > 0) {
+            const batchId = ownBatchId();
+            const nearby = await db.transactions.list(userId, candidateRange(remaining));
+            markNearDuplicates(rows, batchId ? nearby.filter(t => t.importBatchId !== batchId) : nearby);
+        }
+
+        addTotals(totals, summarizeImport(rows));
+        rows.forEach(row => row.currency && currencies.add(row.currency));
+        firstInvalid = firstInvalid || rows.find(row => row.status === 'invalid') || null;
+        await onRows(rows, { checksum, fileType });
+        await yieldToRequests();
+    };
+
+    const { fileType, statements } = await readStatementFile(file.path, file.originalname, mappingConfig, {
+        chunkSize: IMPORT_CHUNK_SIZE,
+        onRows: checkRows,
+        onProgress: (bytesRead, totalBytes) => report('reading', bytesRead, totalBytes),
+    });
+    return { checksum, fileType, totals, statements, currencies: [...currencies], firstInvalid };
+};
+
+// Save an import as readImport checks it, under one import batch: the new
+// rows (those in selectedRows, or all but those in excludedRows, both sets of
+// row numbers) become transactions and the likely duplicates go to the review
+// queue. saveRows is readImport's onRows; the batch is created with the first
+// chunk that has anything to save. finish(read) then records the batch's
+// counts (creating it if nothing was saved) and logs the import under
+// source. If saving fails part way, what was saved stays with the batch and
+// can be rolled back from the import history.
+const createImportSaver = (userId, file, mapping, { selectedRows = null, excludedRows = null, source, report = () => {} }) => {
+    const isSelected = (row) => (selectedRows ? selectedRows.has(row.rowNumber) : !excludedRows?.has(row.rowNumber));
+    const imported = [];
+    // New accounts take the currency they were first imported in
+    const firstCurrencies = new Map();
+    let batch = null;
+    let queuedForReview = 0;
+
+    const batchCounts = (totals) => ({
+        newCount: totals.new,
+        reviewCount: totals.review,
+        duplicateCount: totals.duplicate,
+        invalidCount: totals.invalid,
+        importedCount: imported.length,
+    });
+    const createBatch = ({ checksum, fileType }, totals) => db.importBatches.create(userId, {
+        fileName: file.originalname,
+        fileSize: file.size,
+        checksum,
+        mappingId: mapping ? mapping.id : null,
+        mappingName: mapping ? mapping.name : null,
+        fileType,
+        ...batchCounts(totals),
+    });
+
+    return {
+        ownBatchId: () => batch?.id ?? null,
+        saveRows: async (rows, fileInfo) => {
+            const selected = rows.filter(r => r.status === 'new' && isSelected(r));
+            const forReview = rows.filter(r => r.status === 'review');
+            if (selected.length === 0 && forReview.length === 0) return;
+            report('saving');
+            if (!batch) batch = await createBatch(fileInfo, summarizeImport([]));
+
+            const records = selected.map(row => ({ ...toTransactionRecord(row), importBatchId: batch.id }));
+            if (records.length > 0) {
+                const ids = await db.transactions.insertMany(userId, records);
+                imported.push(...await db.transactions.findMany(userId, ids));
+                records.forEach(record => firstCurrencies.has(record.account) || firstCurrencies.set(record.account, record.currency));
+            }
+            if (forReview.length > 0) {
+                await db.duplicateReviews.createMany(userId, forReview.map(row => ({
+                    importBatchId: batch.id,
+                    transactionId: row.match.transactionId,
+                    incoming: toTransactionRecord(row),
+                    hash: row.hash,
+                    similarity: row.match.similarity,
+                })));
+                queuedForReview += forReview.length;
+            }
+        },
+        finish: async (read) => {
+            report('saving');
+            batch = batch
+                ? await db.importBatches.updateCounts(userId, batch.id, batchCounts(read.totals))
+                : await createBatch(read, read.totals);
+            let operationId = null;
+            let transfersFound = 0;
+            if (imported.length > 0) {
+                operationId = await logOperation(userId, source, entriesFor('transaction', [], imported));
+                await db.accounts.ensure(userId, [...firstCurrencies].map(([name, currency]) => ({ name, currency })));
+                transfersFound = await suggestTransfers(userId, imported);
+            }
+            return { batch, imported: imported.length, queuedForReview, transfers: transfersFound, operationId };
+        },
+    };
+};
+
+// --- Middleware Requiring a Valid Session ---
+// Sets req.userId and req.sessionId for the routes after it.
+const requireAuth = async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const claims = scheme === 'Bearer' ? verifySessionToken(token, sessionSecret) : null;
+    if (!claims) {
+        return res.status(401).json({ error: 'Please sign in.' });
+    }
+    try {
+        if (!(await db.sessions.isActive(claims.sessionId, claims.userId))) {
+            return res.status(401).json({ error: 'Your session has ended. Please sign in again.' });
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+        return res.status(500).json({ error: error.message });
+    }
+    req.userId = claims.userId;
+    req.sessionId = claims.sessionId;
+    next();
 };
 
 // --- API Endpoints ---
 
+// Sign Up Endpoint
+app.post('/api/auth/signup', async (req, res) => {
+    const { email, password } = req.body;
+    const credentialErrors = validateCredentials({ email, password });
+    if (credentialErrors.length > 0) {
+        return res.status(400).json({ error: credentialErrors.join(' ') });
+    }
+    try {
+        if (await db.users.findByEmail(normalizeEmail(email))) {
+            return res.status(409).json({ error: 'An account with this email already exists.' });
+        }
+        const user = await db.users.create({ email: normalizeEmail(email), passwordHash: await hashPassword(password) });
+        res.status(201).json({ token: await createSession(user.id), user: publicUser(user) });
+    } catch (error) {
+        console.error('Error signing up:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Login Endpoint
-app.post('/api/auth/login', (req, res) => {
-    const { password } = req.body;
-    console.log("Received password:", password); // Add this line
-    console.log("Expected password:", process.env.LOGIN_PASSWORD); // Add this line
+app.post('/api/auth/login', async (req, res) => {
+    const { email, password } = req.body;
+    try {
+        const user = await db.users.findByEmail(normalizeEmail(email));
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ error: 'Incorrect email or password.' });
+        }
+        res.status(200).json({ token: await createSession(user.id), user: publicUser(user) });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Request a Password Reset
+// Always answers the same way so the endpoint can't be used to probe for accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+    const { email } = req.body;
+    try {
+        const user = await db.users.findByEmail(normalizeEmail(email));
+        if (user) {
+            const { token, tokenHash } = createResetToken();
+            await db.resetTokens.create(user.id, tokenHash, new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString());
+            sendPasswordResetLink(user.email, token);
+        }
+        res.status(200).json({ message: 'If an account exists for this email, a reset link has been sent.' });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set a New Password with a Reset Token
+// Every open session of the user is signed out afterwards.
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    try {
+        const userId = await db.resetTokens.findUserId(hashToken(token));
+        if (!userId) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired.' });
+        }
+        await db.users.updatePasswordHash(userId, await hashPassword(password));
+        await db.resetTokens.removeForUser(userId);
+        await db.sessions.removeForUser(userId);
+        res.status(200).json({ message: 'Your password has been reset. Please sign in.' });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Everything below requires a signed-in user and only sees that user's data
+app.use('/api', requireAuth);
+
+// Logout Endpoint
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await db.sessions.remove(req.sessionId);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-    const CORRECT_PASSWORD = process.env.LOGIN_PASSWORD || 'password';
-    if (password === CORRECT_PASSWORD) {
-        return res.status(200).json({ success: true, message: 'Logged in successfully.' });
+// Current User
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        res.status(200).json(publicUser(await db.users.findById(req.userId)));
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ error: error.message });
     }
-    res.status(401).json({ success: false, message: 'Incorrect password.' });
 });
 
-// GET All Transactions
+// GET Transactions, One Page at a Time
+// Query parameters: startDate, endDate, merchant (contains), account,
+// costCenter, status, minAmount, maxAmount, sortBy, sortDir, page and
+// pageSize. The first page also carries totals for the whole filtered set, in
+// the base currency; transactions without an exchange rate are left out of
+// them and counted as unconverted, and internal transfers are left out of them
+// altogether (counted as transfers). Every transaction carries baseAmount (null
+// without a rate), and those still needing review a learned cost center
+// suggestion.
 app.get('/api/transactions', async (req, res) => {
-    const { data, error } = await supabase.from('transactions').select('*');
-    if (error) {
+    const { filters, sort, page, pageSize, errors } = parseTransactionQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const result = await db.transactions.page(req.userId, filters, { sort, page, pageSize });
+        const { baseCurrency, convert } = await baseCurrencyOf(req.userId);
+        const needsSuggestions = result.transactions.some(t => t.status === 'Review Required');
+        const model = needsSuggestions ? await suggestionModels.get(req.userId) : null;
+        const transactions = result.transactions.map(t => ({
+            ...t,
+            baseAmount: convert(t.amount, t.currency, t.date),
+            ...(t.status === 'Review Required' ? { suggestion: suggestCostCenter(model, t) } : {}),
+        }));
+        let totals;
+        if (page === 1) {
+            // Summed by the database rather than loading every match
+            const counted = await db.transactions.totals(req.userId, { ...filters, transfer: false }, {
+                scope: await costCenterScope(req.userId, filters.costCenter),
+                baseCurrency,
+            });
+            const converted = totalsToBaseCurrency(counted, convert);
+            totals = {
+                ...summarizeTotals(converted.rows),
+                count: result.total,
+                transfers: result.total - counted.reduce((sum, row) => sum + row.count, 0),
+                currency: baseCurrency,
+                unconverted: converted.unconverted,
+            };
+        }
+        res.status(200).json({ transactions, page, pageSize, total: result.total, totals });
+    } catch (error) {
         console.error('Error fetching transactions:', error);
-        return res.status(500).json({ error: error.message });
+        res.status(500).json({ error: error.message });
     }
-    res.status(200).json(data);
 });
 
-// GET All Cost Centers
+// GET the Accounts Seen on Transactions
+app.get('/api/transactions/accounts', async (req, res) => {
+    try {
+        res.status(200).json(await db.transactions.accounts(req.userId));
+    } catch (error) {
+        console.error('Error fetching accounts:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET Every Tag in Use
+app.get('/api/transactions/tags', async (req, res) => {
+    try {
+        res.status(200).json(await db.transactions.tags(req.userId));
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Write a chunk of a streamed response, waiting for the client to catch up
+// when the response's buffer is full (or for it to go away)
+const writeChunk = (res, chunk) => new Promise(resolve => {
+    if (res.destroyed || chunk.length === 0 || res.write(chunk)) return resolve();
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+// Export Transactions
+// Takes the same filters as GET /api/transactions, plus format (csv, xlsx,
+// json, qif or ofx) and, for CSV, delimiter (comma, semicolon or tab) and
+// decimalSeparator (. or ,). Transactions are read a page at a time, oldest
+// first (QIF: by account), and sent as they are read; OFX is built at the end,
+// so an export too large for it is turned down before anything is sent.
+app.get('/api/export', async (req, res) => {
+    const { filters, errors } = parseTransactionQuery(req.query);
+    const options = parseExportOptions(req.query);
+    const problems = [...errors, ...options.errors];
+    if (problems.length > 0) {
+        return res.status(400).json({ error: problems.join(' ') });
+    }
+    try {
+        const [{ baseCurrency, convert }, accounts] = await Promise.all([baseCurrencyOf(req.userId), listAccounts(req.userId)]);
+        const exporter = createExporter(options.format, {
+            ...options,
+            baseCurrency,
+            costCenters: await costCenterScope(req.userId, filters.costCenter),
+            accounts: new Map(accounts.map(account => [account.name, account])),
+        });
+        const sort = exporter.sort || { field: 'date', direction: 'asc' };
+        const readPage = (page) => db.transactions.page(req.userId, filters, { sort, page, pageSize: MAX_PAGE_SIZE });
+
+        let page = 1;
+        let { transactions, total } = await readPage(page);
+        if (exporter.maxTransactions && total > exporter.maxTransactions) {
+            return res.status(400).json({
+                error: `${exporter.extension.toUpperCase()} exports are limited to ${exporter.maxTransactions} transactions and these filters match ${total}. Narrow them (for example to a date range or an account) or choose another format.`,
+            });
+        }
+        res.status(200).set({
+            'Content-Type': exporter.contentType,
+            'Content-Disposition': `attachment; filename="balanzia_transactions.${exporter.extension}"`,
+        });
+        await writeChunk(res, exporter.start());
+        for (;;) {
+            await writeChunk(res, exporter.write(transactions.map(t => ({ ...t, baseAmount: convert(t.amount, t.currency, t.date) }))));
+            // A client that went away doesn't need the rest
+            if (transactions.length < MAX_PAGE_SIZE || res.destroyed) break;
+            page += 1;
+            ({ transactions } = await readPage(page));
+        }
+        if (!res.destroyed) res.end(exporter.end());
+    } catch (error) {
+        console.error('Error exporting transactions:', error);
+        // Once part of the file is out, all that's left is to cut it short
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Bulk Edit: Set a Cost Center or Status, or Delete, for Many Transactions
+// Body: { action, costCenter | status, ids | filter } (see lib/bulkEdit.js)
+app.post('/api/transactions/bulk', async (req, res) => {
+    const { target, changes, errors } = parseBulkEdit(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const costCenterErrors = await assignmentErrors(req.userId, [changes.costCenter]);
+        if (costCenterErrors.length > 0) {
+            return res.status(400).json({ error: costCenterErrors.join(' ') });
+        }
+        // Resolved to ids up front so the audit log can hold each transaction's before and after
+        const before = target.ids
+            ? await db.transactions.findMany(req.userId, target.ids)
+            : await db.transactions.list(req.userId, target.filters);
+        const locked = before.filter(isReconciled);
+        if (locked.length > 0) {
+            return res.status(409).json({ error: lockedMessage(locked.length) });
+        }
+        const ids = before.map(t => t.id);
+        const logged = req.body.action === 'delete' ? await withReceipts(req.userId, before) : before;
+        let affected = 0;
+        if (ids.length > 0) {
+            affected = req.body.action === 'delete'
+                ? await deleteTransactions(req.userId, logged)
+                : await db.transactions.bulkEdit(req.userId, { ids }, req.body.action, changes);
+        }
+        const after = req.body.action === 'delete' ? [] : await db.transactions.findMany(req.userId, ids);
+        await recordOperation(req, res, BULK_EDIT_SOURCES[req.body.action], entriesFor('transaction', logged, after));
+        res.status(200).json({ action: req.body.action, affected });
+    } catch (error) {
+        console.error('Error bulk editing transactions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET All Cost Centers, in tree order with their depth (archived ones included)
 app.get('/api/cost-centers', async (req, res) => {
-    const { data, error } = await supabase.from('cost_centers').select('name');
-    if (error) {
+    try {
+        res.status(200).json(treeOrder(await db.costCenters.list(req.userId)));
+    } catch (error) {
         console.error('Error fetching cost centers:', error);
-        return res.status(500).json({ error: error.message });
+        res.status(500).json({ error: error.message });
     }
-    res.status(200).json(data);
 });
 
 // GET All Mappings
 app.get('/api/mappings', async (req, res) => {
-    const { data, error } = await supabase.from('mapping_templates').select('*');
-    if (error) {
+    try {
+        res.status(200).json(await db.mappings.list(req.userId));
+    } catch (error) {
         console.error('Error fetching mappings:', error);
-        return res.status(500).json({ error: error.message });
+        res.status(500).json({ error: error.message });
     }
-    res.status(200).json(data);
 });
 
 // Update a Single Transaction
+// Send { costCenter } to assign one cost center, or { splits: [...] } to divide
+// the amount across several; an empty splits array removes the split. A fully
+// allocated split counts as 'Processed' just like a single cost center.
 app.patch('/api/transactions/:id', async (req, res) => {
     const { id } = req.params;
-    const { costCenter } = req.body;
-    const status = costCenter ? 'Processed' : 'Review Required';
-    const { data, error } = await supabase
-        .from('transactions')
-        .update({ costCenter, status })
-        .eq('id', id)
-        .select();
-
-    if (error) {
+    const { costCenter, splits } = req.body;
+    try {
+        const transaction = await db.transactions.find(req.userId, id);
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        if (isReconciled(transaction)) {
+            return res.status(409).json({ error: lockedMessage(1) });
+        }
+
+        let lines = [];
+        if (Array.isArray(splits) && splits.length > 0) {
+            const result = resolveSplits(splits, transaction.amount);
+            if (result.errors.length > 0) {
+                return res.status(400).json({ error: result.errors.join(' ') });
+            }
+            lines = result.lines;
+        }
+        // Its current cost centers can stay even if archived since
+        const costCenterErrors = await assignmentErrors(
+            req.userId,
+            lines.length > 0 ? lines.map(line => line.costCenter) : [costCenter],
+            [transaction.costCenter, ...transaction.splits.map(split => split.costCenter)]
+        );
+        if (costCenterErrors.length > 0) {
+            return res.status(400).json({ error: costCenterErrors.join(' ') });
+        }
+
+        // Either way the old split lines go: a new split replaces them and a
+        // single cost center supersedes them
+        await db.transactions.replaceSplits(req.userId, id, lines);
+
+        const assignedCostCenter = lines.length > 0 ? null : costCenter || null;
+        const status = assignedCostCenter || lines.length > 0 ? 'Processed' : 'Review Required';
+        const updated = await db.transactions.update(req.userId, id, { costCenter: assignedCostCenter, status });
+        const source = lines.length > 0 ? 'Split transaction' : 'Changed cost center';
+        await recordOperation(req, res, source, entriesFor('transaction', [transaction], [updated]));
+        res.status(200).json(updated);
+    } catch (error) {
         console.error('Error updating transaction:', error);
-        return res.status(500).json({ error: error.message });
+        res.status(500).json({ error: error.message });
     }
-    res.status(200).json(data[0]);
 });
 
-// Add a New Cost Center
-app.post('/api/cost-centers', async (req, res) => {
-    const { name } = req.body;
-    if (!name) {
-        return res.status(400).json({ error: 'Name is required.' });
-    }
-    const { data, error } = await supabase.from('cost_centers').insert({ name }).select();
-    if (error) {
-        console.error('Error adding cost center:', error);
-        return res.status(500).json({ error: error.message });
+// --- Notes, Tags and Receipts ---
+// These annotate a transaction rather than change it, so reconciled
+// transactions can still be annotated.
+
+// Update a Transaction's Notes and Tags
+// Body: { notes, tags }; a field left out keeps its value.
+app.put('/api/transactions/:id/details', async (req, res) => {
+    try {
+        const transaction = await db.transactions.find(req.userId, req.params.id);
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        const { notes = transaction.notes, tags = transaction.tags } = req.body;
+        const details = {
+            notes: typeof notes === 'string' ? notes.trim() || null : notes,
+            tags: Array.isArray(tags) ? normalizeTags(tags) : tags,
+        };
+        const errors = validateDetails(details);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        const updated = await db.transactions.updateDetails(req.userId, transaction.id, details);
+        await recordOperation(req, res, 'Edited notes and tags', entriesFor('transaction', [transaction], [updated]));
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating notes and tags:', error);
+        res.status(500).json({ error: error.message });
     }
-    res.status(201).json(data[0]);
 });
 
-// Remove a Cost Center
-app.delete('/api/cost-centers/:name', async (req, res) => {
-    const { name } = req.params;
-    const { error } = await supabase.from('cost_centers').delete().eq('name', name);
-    if (error) {
-        console.error('Error removing cost center:', error);
-        return res.status(500).json({ error: error.message });
+// GET a Transaction's Receipts
+app.get('/api/transactions/:id/receipts', async (req, res) => {
+    try {
+        res.status(200).json(await db.receipts.list(req.userId, req.params.id));
+    } catch (error) {
+        console.error('Error fetching receipts:', error);
+        res.status(500).json({ error: error.message });
     }
-    res.status(204).end();
 });
 
-// Add a New Mapping
-app.post('/api/mappings', async (req, res) => {
-    const { name, fileType = 'CSV' } = req.body;
-    const { data, error } = await supabase.from('mapping_templates').insert({ name, fileType, dateCreated: new Date().toISOString() }).select();
-    if (error) {
-        console.error('Error adding mapping:', error);
-        return res.status(500).json({ error: error.message });
+// Attach a Receipt to a Transaction
+// Multipart upload with the image or PDF in the "file" field.
+app.post('/api/transactions/:id/receipts', (req, res) => {
+    receiptUpload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(400).json({ error: tooLarge ? `Receipts can be at most ${MAX_RECEIPT_BYTES / 1024 / 1024} MB.` : uploadError.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Attach an image or a PDF.' });
+        }
+        const stored = [{ storageKey: req.file.filename }];
+        try {
+            const transaction = await db.transactions.find(req.userId, req.params.id);
+            if (!transaction) {
+                await removeReceiptFiles(receiptsPath, stored);
+                return res.status(404).json({ error: 'Transaction not found.' });
+            }
+            res.status(201).json(await db.receipts.create(req.userId, {
+                transactionId: transaction.id,
+                fileName: req.file.originalname,
+                contentType: req.file.mimetype,
+                fileSize: req.file.size,
+                storageKey: req.file.filename,
+            }));
+        } catch (error) {
+            console.error('Error attaching receipt:', error);
+            await removeReceiptFiles(receiptsPath, stored);
+            res.status(500).json({ error: error.message });
+        }
+    });
+});
+
+// GET a Receipt's File
+app.get('/api/receipts/:id/file', async (req, res) => {
+    try {
+        const receipt = await db.receipts.find(req.userId, req.params.id);
+        if (!receipt) {
+            return res.status(404).json({ error: 'Receipt not found.' });
+        }
+        res.type(receipt.contentType);
+        res.set('Content-Disposition', `inline; filename="${receipt.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+        res.sendFile(path.join(receiptsPath, receipt.storageKey), (error) => {
+            if (error && !res.headersSent) res.status(404).json({ error: 'The receipt file is missing.' });
+        });
+    } catch (error) {
+        console.error('Error fetching receipt:', error);
+        res.status(500).json({ error: error.message });
     }
-    res.status(201).json(data[0]);
 });
 
-// Remove a Mapping
-app.delete('/api/mappings/:id', async (req, res) => {
-    const { id } = req.params;
-    const { error } = await supabase.from('mapping_templates').delete().eq('id', id);
-    if (error) {
-        console.error('Error removing mapping:', error);
-        return res.status(500).json({ error: error.message });
+// Remove a Receipt
+app.delete('/api/receipts/:id', async (req, res) => {
+    try {
+        const receipt = await db.receipts.find(req.userId, req.params.id);
+        if (!receipt) {
+            return res.status(404).json({ error: 'Receipt not found.' });
+        }
+        await db.receipts.remove(req.userId, receipt.id);
+        await removeReceiptFiles(receiptsPath, [receipt]);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing receipt:', error);
+        res.status(500).json({ error: error.message });
     }
-    res.status(204).end();
 });
 
-// File Upload Endpoint
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).send('No file uploaded.');
+// Add a New Cost Center
+// Body: { name, parent } where parent is the name of the cost center to put
+// it under, or null for the top level.
+app.post('/api/cost-centers', async (req, res) => {
+    const { name, parent = null } = req.body;
+    try {
+        const costCenters = await db.costCenters.list(req.userId);
+        const trimmed = typeof name === 'string' ? name.trim() : name;
+        const errors = validateCostCenter(costCenters, { name: trimmed, parent });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        const parentId = parent === null ? null : costCenters.find(cc => cc.name === parent).id;
+        const costCenter = await db.costCenters.create(req.userId, { name: trimmed, parentId });
+        await recordOperation(req, res, 'Added cost center', entriesFor('cost_center', [], [costCenter]));
+        res.status(201).json(costCenter);
+    } catch (error) {
+        console.error('Error adding cost center:', error);
+        res.status(500).json({ error: error.message });
     }
+});
 
+// Rename, Move or Archive a Cost Center
+// Body: any of { name, parent, archived }. A new name carries through to the
+// transactions, split lines, budgets and rules that use the cost center.
+// Archived cost centers keep their transactions but aren't offered for new ones.
+// One that reconciled (locked) transactions use can't be renamed.
+app.patch('/api/cost-centers/:name', async (req, res) => {
     try {
-        const fileContent = req.file.buffer.toString('utf8');
-        const parsed = Papa.parse(fileContent, {
-            header: true,
-            skipEmptyLines: true,
-            dynamicTyping: true, // Automatically converts numbers
-        });
+        const costCenters = await db.costCenters.list(req.userId);
+        const costCenter = costCenters.find(cc => cc.name === req.params.name);
+        if (!costCenter) {
+            return res.status(404).json({ error: 'Cost center not found.' });
+        }
+        const { name = costCenter.name, parent = costCenter.parent, archived = costCenter.archived } = req.body;
+        const trimmed = typeof name === 'string' ? name.trim() : name;
+        const errors = validateCostCenter(costCenters, { id: costCenter.id, name: trimmed, parent });
+        if (typeof archived !== 'boolean') errors.push('archived must be true or false.');
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
 
-        // Normalize and Deduplicate data
-        const normalizedData = parsed.data.map(row => ({
-            date: new Date(row.Date).toISOString().split('T')[0], // Ensure a standard date format
-            merchant: row.Description || row.Merchant,
-            amount: parseFloat(row.Amount || row.Debit),
-            account: row.Account || 'Default',
-            // Default status for new transactions
-            status: 'Review Required',
-            hash: createTransactionHash({
-                date: row.Date,
-                merchant: row.Description || row.Merchant,
-                amount: parseFloat(row.Amount || row.Debit),
-                account: row.Account || 'Default',
-            }),
-        })).filter(t => !isNaN(t.amount));
-
-        const { data: existingTransactions } = await supabase
-            .from('transactions')
-            .select('hash')
-            .in('hash', normalizedData.map(t => t.hash));
-
-        const existingHashes = new Set(existingTransactions.map(t => t.hash));
-        const newTransactions = normalizedData.filter(t => !existingHashes.has(t.hash));
-
-        if (newTransactions.length > 0) {
-            const { error: insertError } = await supabase.from('transactions').insert(newTransactions);
-            if (insertError) {
-                console.error('Error inserting transactions:', insertError);
-                throw new Error('Database insertion failed.');
-            }
+        const isRename = trimmed !== costCenter.name;
+        const before = isRename ? await transactionsUsing(req.userId, costCenter.name) : [];
+        const locked = before.filter(isReconciled);
+        if (locked.length > 0) {
+            return res.status(409).json({ error: lockedMessage(locked.length) });
         }
+        const parentId = parent === null ? null : costCenters.find(cc => cc.name === parent).id;
+        const updated = await db.costCenters.update(req.userId, costCenter.id, { name: trimmed, parentId, archived });
+        const after = await db.transactions.findMany(req.userId, before.map(t => t.id));
+        let source = 'Moved cost center';
+        if (isRename) source = 'Renamed cost center';
+        else if (archived !== costCenter.archived) source = archived ? 'Archived cost center' : 'Unarchived cost center';
+        await recordOperation(req, res, source, [
+            ...entriesFor('cost_center', [costCenter], [updated]),
+            ...entriesFor('transaction', before, after),
+        ]);
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating cost center:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        res.status(200).json({
-            message: `${newTransactions.length} new transactions processed and saved successfully.`,
-        });
+// Merge a Cost Center into Another
+// Body: { into }. Its transactions, split lines, budgets, rules and the cost
+// centers under it move to `into`, and it is removed. Undoing the merge brings
+// the cost center and its transactions back; budgets and rules stay moved.
+// One that reconciled (locked) transactions use can't be merged.
+app.post('/api/cost-centers/:name/merge', async (req, res) => {
+    try {
+        const costCenters = await db.costCenters.list(req.userId);
+        const source = costCenters.find(cc => cc.name === req.params.name);
+        if (!source) {
+            return res.status(404).json({ error: 'Cost center not found.' });
+        }
+        const target = costCenters.find(cc => cc.name === req.body.into);
+        const errors = validateMerge(costCenters, source, target);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
 
+        const before = await transactionsUsing(req.userId, source.name);
+        const locked = before.filter(isReconciled);
+        if (locked.length > 0) {
+            return res.status(409).json({ error: lockedMessage(locked.length) });
+        }
+        const children = costCenters.filter(cc => cc.parentId === source.id);
+        await db.costCenters.merge(req.userId, source.id, target.id);
+        const [after, remaining] = await Promise.all([
+            db.transactions.findMany(req.userId, before.map(t => t.id)),
+            db.costCenters.list(req.userId),
+        ]);
+        await recordOperation(req, res, `Merged cost center into ${target.name}`, [
+            ...entriesFor('cost_center', [source, ...children], remaining.filter(cc => children.some(child => child.id === cc.id))),
+            ...entriesFor('transaction', before, after),
+        ]);
+        res.status(200).json({ merged: source.name, into: target.name, transactions: before.length });
     } catch (error) {
-        console.error('Error processing file:', error);
-        res.status(500).json({ message: `File upload failed: ${error.message}` });
+        console.error('Error merging cost centers:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
+// Remove a Cost Center
+// Only one nothing uses: a cost center with transactions, budgets, rules or
+// cost centers under it has to be archived or merged into another instead.
+app.delete('/api/cost-centers/:name', async (req, res) => {
+    const { name } = req.params;
+    try {
+        const costCenters = await db.costCenters.list(req.userId);
+        const costCenter = costCenters.find(cc => cc.name === name);
+        if (!costCenter) {
+            return res.status(404).json({ error: 'Cost center not found.' });
+        }
+        const uses = await costCenterUses(req.userId, costCenter, costCenters);
+        if (uses.length > 0) {
+            return res.status(409).json({ error: `"${name}" is still used by ${uses.join(', ')}; archive it or merge it into another cost center instead.` });
+        }
+        await recordOperation(req, res, 'Removed cost center', await removeCostCenter(req.userId, name));
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing cost center:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-// --- Start Server ---
-app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
-});
\ No newline at end of file
+// GET All Budgets
+app.get('/api/budgets', async (req, res) => {
+    try {
+        res.status(200).json(await db.budgets.list(req.userId));
+    } catch (error) {
+        console.error('Error fetching budgets:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Budget vs. Actual per Cost Center for a Date Range (startDate, endDate as YYYY-MM-DD)
+// Budgets are in the base currency; internal transfers and transactions
+// without an exchange rate don't count towards them.
+app.get('/api/budgets/variance', async (req, res) => {
+    const { startDate, endDate } = req.query;
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || endDate < startDate) {
+        return res.status(400).json({ error: 'startDate and endDate (YYYY-MM-DD) are required.' });
+    }
+    try {
+        const { baseCurrency, convert } = await baseCurrencyOf(req.userId);
+        const [budgets, totals] = await Promise.all([
+            db.budgets.list(req.userId),
+            db.transactions.totals(req.userId, { startDate, endDate, transfer: false }, { groupBy: 'costCenter', baseCurrency }),
+        ]);
+        res.status(200).json(computeVariance(budgets, totalsToBaseCurrency(totals, convert).rows, startDate, endDate));
+    } catch (error) {
+        console.error('Error computing budget variance:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a New Budget
+app.post('/api/budgets', async (req, res) => {
+    const { cost_center, amount, recurrence = 'monthly', start_month, end_month = null } = req.body;
+    const budgetErrors = validateBudget({ cost_center, amount, recurrence, start_month, end_month });
+    if (budgetErrors.length > 0) {
+        return res.status(400).json({ error: budgetErrors.join(' ') });
+    }
+    try {
+        res.status(201).json(await db.budgets.create(req.userId, { cost_center, amount, recurrence, start_month, end_month }));
+    } catch (error) {
+        console.error('Error adding budget:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a Budget
+app.put('/api/budgets/:id', async (req, res) => {
+    const { id } = req.params;
+    const { cost_center, amount, recurrence = 'monthly', start_month, end_month = null } = req.body;
+    const budgetErrors = validateBudget({ cost_center, amount, recurrence, start_month, end_month });
+    if (budgetErrors.length > 0) {
+        return res.status(400).json({ error: budgetErrors.join(' ') });
+    }
+    try {
+        const budget = await db.budgets.update(req.userId, id, { cost_center, amount, recurrence, start_month, end_month });
+        if (!budget) {
+            return res.status(404).json({ error: 'Budget not found.' });
+        }
+        res.status(200).json(budget);
+    } catch (error) {
+        console.error('Error updating budget:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a Budget
+app.delete('/api/budgets/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+        await db.budgets.remove(req.userId, id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing budget:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Aggregated Totals for the Reports View
+// groupBy is one of GROUPINGS; with compare=true and a date range, each group
+// also carries the figures of the equally long period right before it.
+// Amounts are in the base currency (currency); unconverted counts the
+// transactions left out for want of an exchange rate. Internal transfers are
+// left out too. Cost center groups include the cost centers under them and
+// name their parent.
+app.get('/api/reports', async (req, res) => {
+    const { groupBy = 'month', startDate, endDate, compare } = req.query;
+    if (!GROUPINGS.includes(groupBy)) {
+        return res.status(400).json({ error: `groupBy must be one of ${GROUPINGS.join(', ')}.` });
+    }
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+        return res.status(400).json({ error: 'Dates must be given as YYYY-MM-DD.' });
+    }
+    if (compare === 'true' && !(startDate && endDate)) {
+        return res.status(400).json({ error: 'Comparing periods requires both startDate and endDate.' });
+    }
+
+    try {
+        // With a full range, periods without transactions still get a row
+        const periodsOf = (range) => (PERIOD_GROUPINGS.includes(groupBy) && range.startDate && range.endDate
+            ? periodsBetween(range.startDate, range.endDate, groupBy)
+            : []);
+        const { baseCurrency, convert } = await baseCurrencyOf(req.userId);
+        const costCenters = groupBy === 'costCenter' ? await db.costCenters.list(req.userId) : [];
+        const grouping = PERIOD_GROUPINGS.includes(groupBy) ? { period: groupBy } : { groupBy };
+        // Each range's groups, and its overall totals, summed in the database
+        const totalsOf = async (range) => {
+            const filters = { ...range, transfer: false };
+            const [groupRows, totalRows] = await Promise.all([
+                db.transactions.totals(req.userId, filters, { ...grouping, baseCurrency }),
+                db.transactions.totals(req.userId, filters, { baseCurrency }),
+            ]);
+            return { groups: totalsToBaseCurrency(groupRows, convert), totals: totalsToBaseCurrency(totalRows, convert) };
+        };
+        const inRange = await totalsOf({ startDate, endDate });
+        const current = aggregate(inRange.groups.rows, inRange.totals.rows, groupBy, periodsOf({ startDate, endDate }), costCenters);
+        const conversion = { currency: baseCurrency, unconverted: inRange.totals.unconverted };
+        if (compare !== 'true') {
+            return res.status(200).json({ groupBy, startDate, endDate, ...conversion, ...current });
+        }
+        const previous = previousRange(startDate, endDate);
+        const beforeRange = await totalsOf(previous);
+        const before = aggregate(beforeRange.groups.rows, beforeRange.totals.rows, groupBy, periodsOf(previous), costCenters);
+        res.status(200).json({ groupBy, startDate, endDate, previousRange: previous, ...conversion, ...compareAggregates(current, before, groupBy) });
+    } catch (error) {
+        console.error('Error building report:', error);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Cost Center × Period Pivot of Net Amounts (internal transfers left out)
+// Rows are in tree order, each including the cost centers under it.
+app.get('/api/reports/pivot', async (req, res) => {
+    const { granularity = 'month', startDate, endDate } = req.query;
+    if (!PERIOD_GROUPINGS.includes(granularity)) {
+        return res.status(400).json({ error: `granularity must be one of ${PERIOD_GROUPINGS.join(', ')}.` });
+    }
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+        return res.status(400).json({ error: 'Dates must be given as YYYY-MM-DD.' });
+    }
+
+    try {
+        const { baseCurrency, convert } = await baseCurrencyOf(req.userId);
+        const filters = { startDate, endDate, transfer: false };
+        const [cells, columns] = await Promise.all([
+            db.transactions.totals(req.userId, filters, { period: granularity, groupBy: 'costCenter', baseCurrency }),
+            db.transactions.totals(req.userId, filters, { period: granularity, baseCurrency }),
+        ]);
+        const { rows: columnRows, unconverted } = totalsToBaseCurrency(columns, convert);
+        const conversion = { currency: baseCurrency, unconverted };
+        if (columnRows.length === 0 && !(startDate && endDate)) {
+            return res.status(200).json({ periods: [], rows: [], columnTotals: {}, ...conversion });
+        }
+        // Open-ended ranges run from the first to the last period with transactions
+        const periodKeys = columnRows.map(row => row.period).sort();
+        const periods = periodsBetween(
+            startDate || periodStart(periodKeys[0]),
+            endDate || periodStart(periodKeys[periodKeys.length - 1]),
+            granularity
+        );
+        const cellRows = totalsToBaseCurrency(cells, convert).rows;
+        res.status(200).json({ ...pivotByCostCenter(cellRows, columnRows, periods, await db.costCenters.list(req.userId)), ...conversion });
+    } catch (error) {
+        console.error('Error building pivot report:', error);
+        return res.status(500).json({ error: error.message });
+    }
+});
+
+// Recurring Payments and Subscriptions Found in the Transaction History
+// Each series carries its cadence, amounts, last and next expected date and
+// alerts for missed or unusually large charges (see lib/recurring.js). The
+// annualized amounts are also given in the base currency (annualizedBaseAmount,
+// null without an exchange rate); annualizedCost adds up the payments.
+app.get('/api/subscriptions', async (req, res) => {
+    try {
+        const today = new Date().toISOString().slice(0, 10);
+        const [transactions, { baseCurrency, convert }] = await Promise.all([
+            db.transactions.list(req.userId),
+            baseCurrencyOf(req.userId),
+        ]);
+        // A standing order to a savings account is a transfer, not a subscription
+        const series = detectRecurring(withoutTransfers(transactions), today).map(item => ({
+            ...item,
+            annualizedBaseAmount: convert(item.annualizedAmount, item.currency, today),
+        }));
+        const annualizedCost = series
+            .filter(item => item.annualizedBaseAmount < 0)
+            .reduce((sum, item) => sum + item.annualizedBaseAmount, 0);
+        res.status(200).json({ currency: baseCurrency, annualizedCost: Math.round(annualizedCost * 100) / 100, series });
+    } catch (error) {
+        console.error('Error detecting recurring payments:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a New Mapping
+app.post('/api/mappings', async (req, res) => {
+    const { name, fileType = 'CSV', config = {} } = req.body;
+    if (!name) {
+        return res.status(400).json({ error: 'Name is required.' });
+    }
+    const configErrors = validateMappingConfig(config);
+    if (configErrors.length > 0) {
+        return res.status(400).json({ error: configErrors.join(' ') });
+    }
+    try {
+        const mapping = await db.mappings.create(req.userId, { name, fileType, config: { ...DEFAULT_MAPPING_CONFIG, ...config } });
+        await recordOperation(req, res, 'Added mapping', entriesFor('mapping', [], [mapping]));
+        res.status(201).json(mapping);
+    } catch (error) {
+        console.error('Error adding mapping:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a Mapping
+app.put('/api/mappings/:id', async (req, res) => {
+    const { id } = req.params;
+    const { name, config = {} } = req.body;
+    if (!name) {
+        return res.status(400).json({ error: 'Name is required.' });
+    }
+    const configErrors = validateMappingConfig(config);
+    if (configErrors.length > 0) {
+        return res.status(400).json({ error: configErrors.join(' ') });
+    }
+    try {
+        const before = await db.mappings.find(req.userId, id);
+        if (!before) {
+            return res.status(404).json({ error: 'Mapping not found.' });
+        }
+        const mapping = await db.mappings.update(req.userId, id, { name, config: { ...DEFAULT_MAPPING_CONFIG, ...config } });
+        await recordOperation(req, res, 'Updated mapping', entriesFor('mapping', [before], [mapping]));
+        res.status(200).json(mapping);
+    } catch (error) {
+        console.error('Error updating mapping:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Detect the Columns of a Sample File (used to build a mapping)
+app.post('/api/mappings/detect', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
+    try {
+        const { encoding, delimiter } = req.body;
+        const headerRow = parseInt(req.body.headerRow, 10) || 0;
+        const { headers, delimiter: detectedDelimiter, rows } = parseCsv(req.file.buffer, { encoding, delimiter, headerRow });
+        res.status(200).json({ headers, delimiter: detectedDelimiter, sampleRows: rows.slice(0, 5) });
+    } catch (error) {
+        console.error('Error detecting columns:', error);
+        res.status(400).json({ error: `Could not read file: ${error.message}` });
+    }
+});
+
+// Remove a Mapping
+app.delete('/api/mappings/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const mapping = await db.mappings.find(req.userId, id);
+        await db.mappings.remove(req.userId, id);
+        await recordOperation(req, res, 'Removed mapping', entriesFor('mapping', mapping ? [mapping] : [], []));
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing mapping:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET All Rules (in the order they are evaluated)
+// Each comes with `problems`, the reasons it doesn't run (empty when it does).
+app.get('/api/rules', async (req, res) => {
+    try {
+        res.status(200).json(await checkedRules(req.userId));
+    } catch (error) {
+        console.error('Error fetching rules:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a New Rule (appended after the existing ones)
+app.post('/api/rules', async (req, res) => {
+    const { name, cost_center, conditions = {}, is_active = true } = req.body;
+    const ruleErrors = validateRule({ name, cost_center, conditions });
+    if (ruleErrors.length > 0) {
+        return res.status(400).json({ error: ruleErrors.join(' ') });
+    }
+    try {
+        const costCenterErrors = await assignmentErrors(req.userId, [cost_center]);
+        if (costCenterErrors.length > 0) {
+            return res.status(400).json({ error: costCenterErrors.join(' ') });
+        }
+        const rule = await db.rules.create(req.userId, { name, cost_center, conditions, is_active });
+        res.status(201).json({ ...rule, problems: ruleProblems(rule) });
+    } catch (error) {
+        console.error('Error adding rule:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a Rule
+app.put('/api/rules/:id', async (req, res) => {
+    const { id } = req.params;
+    const { name, cost_center, conditions = {}, is_active = true } = req.body;
+    const ruleErrors = validateRule({ name, cost_center, conditions });
+    if (ruleErrors.length > 0) {
+        return res.status(400).json({ error: ruleErrors.join(' ') });
+    }
+    try {
+        const costCenterErrors = await assignmentErrors(req.userId, [cost_center]);
+        if (costCenterErrors.length > 0) {
+            return res.status(400).json({ error: costCenterErrors.join(' ') });
+        }
+        const rule = await db.rules.update(req.userId, id, { name, cost_center, conditions, is_active });
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found.' });
+        }
+        res.status(200).json({ ...rule, problems: ruleProblems(rule) });
+    } catch (error) {
+        console.error('Error updating rule:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reorder Rules (body: { ids: [...] } in the new evaluation order)
+app.post('/api/rules/reorder', async (req, res) => {
+    const { ids } = req.body;
+    if (!Array.isArray(ids)) {
+        return res.status(400).json({ error: 'ids must be an array.' });
+    }
+    try {
+        await db.rules.reorder(req.userId, ids);
+        res.status(200).json(await checkedRules(req.userId));
+    } catch (error) {
+        console.error('Error reordering rules:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a Rule
+app.delete('/api/rules/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+        await db.rules.remove(req.userId, id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing rule:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-apply Rules to Existing Transactions
+// With preview (the default) only the planned changes are returned. scope is
+// 'uncategorized' (default, leaves manual choices alone) or 'all'; ids limits
+// the run to the changes the user confirmed.
+app.post('/api/rules/apply', async (req, res) => {
+    const { preview = true, scope = 'uncategorized', ids } = req.body;
+    try {
+        const transactions = await db.transactions.list(req.userId, scope === 'uncategorized' ? { status: 'Review Required' } : {});
+
+        // Split transactions were allocated by hand and reconciled ones are
+        // locked; rules never override them
+        const unsplit = transactions.filter(t => t.splits.length === 0 && !isReconciled(t));
+        let changes = planRuleChanges(unsplit, await assignableRules(req.userId));
+        if (preview) {
+            return res.status(200).json({ changes });
+        }
+        if (Array.isArray(ids)) {
+            const confirmed = new Set(ids);
+            changes = changes.filter(change => confirmed.has(change.id));
+        }
+
+        // One update per target cost center
+        const idsByCostCenter = changes.reduce((groups, change) => {
+            (groups[change.to] = groups[change.to] || []).push(change.id);
+            return groups;
+        }, {});
+        for (const [costCenter, transactionIds] of Object.entries(idsByCostCenter)) {
+            await db.transactions.updateMany(req.userId, transactionIds, { costCenter, status: 'Processed' });
+        }
+        const changedIds = new Set(changes.map(change => change.id));
+        const before = unsplit.filter(t => changedIds.has(t.id));
+        const after = await db.transactions.findMany(req.userId, [...changedIds]);
+        await recordOperation(req, res, 'Applied rules', entriesFor('transaction', before, after));
+        res.status(200).json({ changes, updated: changes.length });
+    } catch (error) {
+        console.error('Error applying rules:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET the Activity Feed: Logged Operations, Newest First
+app.get('/api/activity', async (req, res) => {
+    const page = Number(req.query.page || 1);
+    const pageSize = Number(req.query.pageSize || 25);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+        return res.status(400).json({ error: 'page must be a positive whole number and pageSize at most 100.' });
+    }
+    try {
+        const { operations, total } = await db.audit.listOperations(req.userId, { page, pageSize });
+        res.status(200).json({
+            operations: await withActorEmails(operations),
+            page,
+            pageSize,
+            total,
+        });
+    } catch (error) {
+        console.error('Error fetching activity:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET One Logged Operation with Its Entries
+app.get('/api/activity/:operationId', async (req, res) => {
+    try {
+        const found = await db.audit.operation(req.userId, req.params.operationId);
+        if (!found) {
+            return res.status(404).json({ error: 'Operation not found.' });
+        }
+        res.status(200).json({ operation: found.operation, entries: found.entries.map(entryForClient) });
+    } catch (error) {
+        console.error('Error fetching operation:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET the Change History of One Transaction, Cost Center or Mapping
+app.get('/api/history/:entityType/:entityId', async (req, res) => {
+    const { entityType, entityId } = req.params;
+    if (!ENTITY_TYPES.includes(entityType)) {
+        return res.status(400).json({ error: `entityType must be one of ${ENTITY_TYPES.join(', ')}.` });
+    }
+    try {
+        const entries = await db.audit.entityHistory(req.userId, entityType, entityId);
+        const operations = await withActorEmails(entries.map(entry => entry.operation));
+        res.status(200).json(entries.map((entry, index) => ({ ...entryForClient(entry), operation: operations[index] })));
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Undo a Logged Operation
+// Send { entityType, entityId } to undo only that entity's part of it. Nothing
+// is changed if any of the entities was changed again since (409).
+app.post('/api/activity/:operationId/undo', async (req, res) => {
+    const { entityType, entityId } = req.body;
+    try {
+        const found = await db.audit.operation(req.userId, req.params.operationId);
+        if (!found) {
+            return res.status(404).json({ error: 'Operation not found.' });
+        }
+        const entries = entityType
+            ? found.entries.filter(entry => entry.entityType === entityType && entry.entityId === String(entityId))
+            : found.entries;
+        if (entries.length === 0) {
+            return res.status(400).json({ error: 'This operation has nothing to undo for that entity.' });
+        }
+
+        const { conflicts, steps } = planUndo(entries, await currentStates(req.userId, entries));
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: `${conflicts.length} of the changed records were changed again since; undo those later changes first.`,
+                conflicts: conflicts.map(entryForClient),
+            });
+        }
+        const changing = steps.filter(step => step.entityType === 'transaction' && step.from).map(step => step.entityId);
+        const locked = changing.length > 0 ? (await db.transactions.findMany(req.userId, changing)).filter(isReconciled) : [];
+        if (locked.length > 0) {
+            return res.status(409).json({ error: lockedMessage(locked.length) });
+        }
+        const undoEntries = await applyUndo(req.userId, steps);
+        const operationId = await recordOperation(req, res, `Undo: ${found.operation.source}`, undoEntries, found.operation.id);
+        res.status(200).json({ operationId, undone: entries.length });
+    } catch (error) {
+        console.error('Error undoing operation:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Internal Transfers ---
+
+// GET Linked Transfers as { status, out, in } Pairs, Newest First
+app.get('/api/transfers', async (req, res) => {
+    try {
+        const linked = await db.transactions.list(req.userId, { transfer: true });
+        const byId = new Map(linked.map(t => [t.id, t]));
+        const pairs = linked
+            .filter(t => t.amount < 0 && byId.has(t.transfer.transactionId))
+            .map(t => ({ status: t.transfer.status, out: t, in: byId.get(t.transfer.transactionId) }));
+        res.status(200).json(pairs.sort((a, b) => b.out.date.localeCompare(a.out.date)));
+    } catch (error) {
+        console.error('Error fetching transfers:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Look for Transfer Pairs Across All Unlinked Transactions
+app.post('/api/transfers/detect', async (req, res) => {
+    try {
+        const found = await suggestTransfers(req.userId, await db.transactions.list(req.userId));
+        res.status(200).json({ found });
+    } catch (error) {
+        console.error('Error detecting transfers:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Link Two Transactions as a Transfer by Hand: { ids: [first, second] }
+app.post('/api/transfers', async (req, res) => {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length !== 2) {
+        return res.status(400).json({ error: 'ids must list the two transactions to link.' });
+    }
+    try {
+        const [first, second] = await Promise.all(ids.map(id => db.transactions.find(req.userId, id)));
+        const errors = validateTransferLink(first, second);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        const [out, incoming] = first.amount < 0 ? [first, second] : [second, first];
+        await db.transfers.link(req.userId, [{ outId: out.id, inId: incoming.id }], 'confirmed');
+        const [linkedOut, linkedIn] = await Promise.all([
+            db.transactions.find(req.userId, out.id),
+            db.transactions.find(req.userId, incoming.id),
+        ]);
+        res.status(201).json({ status: 'confirmed', out: linkedOut, in: linkedIn });
+    } catch (error) {
+        console.error('Error linking transfer:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Confirm a Suggested Transfer (by the id of either transaction)
+app.post('/api/transfers/:id/confirm', async (req, res) => {
+    try {
+        const transaction = await db.transactions.find(req.userId, req.params.id);
+        if (!transaction?.transfer) {
+            return res.status(404).json({ error: 'Transfer not found.' });
+        }
+        const { outId, inId } = transferSides(transaction);
+        await db.transfers.confirm(req.userId, outId, inId);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error confirming transfer:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Unlink a Transfer (by the id of either transaction); the pair isn't suggested again
+app.delete('/api/transfers/:id', async (req, res) => {
+    try {
+        const transaction = await db.transactions.find(req.userId, req.params.id);
+        if (!transaction?.transfer) {
+            return res.status(404).json({ error: 'Transfer not found.' });
+        }
+        const { outId, inId } = transferSides(transaction);
+        await db.transfers.unlink(req.userId, outId, inId);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error unlinking transfer:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Currencies ---
+
+// Change the Base Currency that Totals, Budgets and Reports are Shown in
+app.put('/api/settings', async (req, res) => {
+    const baseCurrency = normalizeCurrency(req.body.baseCurrency);
+    if (!isCurrencyCode(baseCurrency)) {
+        return res.status(400).json({ error: 'baseCurrency must be a three-letter currency code.' });
+    }
+    try {
+        res.status(200).json(publicUser(await db.users.updateBaseCurrency(req.userId, baseCurrency)));
+    } catch (error) {
+        console.error('Error updating settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Accounts and Statement Reconciliation ---
+
+// Every account: those with details saved plus those only seen on
+// transactions, which count as checking accounts in the base currency
+const listAccounts = async (userId) => {
+    const [accounts, names, { baseCurrency }] = await Promise.all([
+        db.accounts.list(userId),
+        db.transactions.accounts(userId),
+        baseCurrencyOf(userId),
+    ]);
+    const byName = new Map(accounts.map(account => [account.name, account]));
+    names.forEach(name => {
+        if (!byName.has(name)) byName.set(name, defaultAccount(name, baseCurrency));
+    });
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// One account by name, or null if it is neither saved nor on a transaction
+const findAccount = async (userId, name) => {
+    const account = await db.accounts.find(userId, name);
+    if (account) return account;
+    if (!(await db.transactions.accounts(userId)).includes(name)) return null;
+    const { baseCurrency } = await baseCurrencyOf(userId);
+    return defaultAccount(name, baseCurrency);
+};
+
+// Account details from a request body; fields left out keep their current value
+const accountFields = (body, current) => ({
+    institution: body.institution === undefined ? current.institution : String(body.institution ?? '').trim() || null,
+    type: body.type === undefined ? current.type : body.type,
+    currency: body.currency === undefined ? current.currency : normalizeCurrency(body.currency),
+    openingBalance: body.openingBalance === undefined ? current.openingBalance : Number(body.openingBalance),
+});
+
+// GET Accounts with their Details, Balances and Last Reconciliation
+// Balances are in the account's currency: the opening balance plus every
+// transaction (balance) or every reconciled one (clearedBalance).
+app.get('/api/accounts', async (req, res) => {
+    try {
+        const [accounts, transactions] = await Promise.all([listAccounts(req.userId), db.transactions.list(req.userId)]);
+        const byAccount = transactions.reduce((groups, t) => {
+            (groups[t.account] = groups[t.account] || []).push(t);
+            return groups;
+        }, {});
+        const list = [];
+        for (const account of accounts) {
+            const [lastReconciliation = null] = account.id ? await db.reconciliations.list(req.userId, account.id) : [];
+            list.push({ ...account, ...accountBalances(account, byAccount[account.name] || []), lastReconciliation });
+        }
+        res.status(200).json(list);
+    } catch (error) {
+        console.error('Error fetching accounts:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add an Account
+// Body: { name, institution, type, currency, openingBalance }; type defaults
+// to checking and currency to the base currency.
+app.post('/api/accounts', async (req, res) => {
+    const name = String(req.body.name ?? '').trim();
+    try {
+        const { baseCurrency } = await baseCurrencyOf(req.userId);
+        const account = { name, ...accountFields(req.body, defaultAccount(name, baseCurrency)) };
+        const errors = validateAccount(account);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        if (await db.accounts.find(req.userId, name)) {
+            return res.status(409).json({ error: 'An account with this name already exists.' });
+        }
+        res.status(201).json(await db.accounts.upsert(req.userId, name, account));
+    } catch (error) {
+        console.error('Error creating account:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update an Account's Details
+// Body: any of { institution, type, currency, openingBalance }. The currency
+// applies to rows imported into the account later that don't state one. Only
+// known accounts (added or used by a transaction) can be updated; POST adds new ones.
+app.put('/api/accounts/:name', async (req, res) => {
+    const { name } = req.params;
+    try {
+        const current = await findAccount(req.userId, name);
+        if (!current) {
+            return res.status(404).json({ error: 'Account not found.' });
+        }
+        const account = { name, ...accountFields(req.body, current) };
+        const errors = validateAccount(account);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        res.status(200).json(await db.accounts.upsert(req.userId, name, account));
+    } catch (error) {
+        console.error('Error updating account:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET an Account's Ledger
+// Its transactions newest first, each with the running balance after it, and
+// the statements it was reconciled with.
+app.get('/api/accounts/:name/ledger', async (req, res) => {
+    try {
+        const account = await findAccount(req.userId, req.params.name);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found.' });
+        }
+        const transactions = await db.transactions.list(req.userId, { account: account.name });
+        res.status(200).json({
+            account: { ...account, ...accountBalances(account, transactions) },
+            transactions: runningBalances(account.openingBalance, transactions),
+            reconciliations: account.id ? await db.reconciliations.list(req.userId, account.id) : [],
+        });
+    } catch (error) {
+        console.error('Error fetching ledger:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reconcile an Account with a Statement
+// Body: { statementDate, statementBalance, transactionIds, acceptDifference }.
+// The listed transactions are marked as reconciled and locked. When the
+// cleared balance doesn't match the statement the request is refused unless
+// acceptDifference is set.
+app.post('/api/accounts/:name/reconciliations', async (req, res) => {
+    const { statementDate, statementBalance, transactionIds, acceptDifference = false } = req.body;
+    if (!Array.isArray(transactionIds)) {
+        return res.status(400).json({ error: 'transactionIds must be an array.' });
+    }
+    try {
+        const account = await findAccount(req.userId, req.params.name);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found.' });
+        }
+        const transactions = await db.transactions.list(req.userId, { account: account.name });
+        const ids = new Set(transactionIds.map(Number));
+        const selected = transactions.filter(t => ids.has(t.id));
+        if (selected.length !== ids.size) {
+            return res.status(400).json({ error: 'Every transaction must be on this account.' });
+        }
+        const plan = planReconciliation(account, transactions, { statementDate, statementBalance }, selected);
+        const [last] = account.id ? await db.reconciliations.list(req.userId, account.id) : [];
+        if (last && statementDate < last.statementDate) {
+            plan.errors.push(`statementDate must not be before the last reconciled statement (${last.statementDate}).`);
+        }
+        if (plan.errors.length > 0) {
+            return res.status(400).json({ error: plan.errors.join(' ') });
+        }
+        if (plan.difference !== 0 && !acceptDifference) {
+            return res.status(409).json({
+                error: `The cleared balance is ${plan.difference > 0 ? 'short of' : 'over'} the statement by ${Math.abs(plan.difference).toFixed(2)}.`,
+                difference: plan.difference,
+            });
+        }
+
+        // Accounts only seen on transactions get a row to hang the reconciliation on
+        const saved = account.id ? account : await db.accounts.upsert(req.userId, account.name, account);
+        const reconciliation = await db.reconciliations.create(req.userId, {
+            accountId: saved.id,
+            statementDate,
+            statementBalance,
+            clearedBalance: plan.clearedBalance,
+        }, selected.map(t => t.id));
+        res.status(201).json({ reconciliation, reconciled: selected.length, difference: plan.difference });
+    } catch (error) {
+        console.error('Error reconciling account:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Undo an Account's Latest Reconciliation, unlocking its transactions
+// Only the latest can be undone, so every cleared balance stays true.
+app.delete('/api/accounts/:name/reconciliations/:id', async (req, res) => {
+    try {
+        const [account, reconciliation] = await Promise.all([
+            db.accounts.find(req.userId, req.params.name),
+            db.reconciliations.find(req.userId, req.params.id),
+        ]);
+        if (!account || !reconciliation || reconciliation.accountId !== account.id) {
+            return res.status(404).json({ error: 'Reconciliation not found.' });
+        }
+        const [latest] = await db.reconciliations.list(req.userId, account.id);
+        if (latest.id !== reconciliation.id) {
+            return res.status(409).json({ error: 'Only the latest reconciliation can be undone.' });
+        }
+        await db.reconciliations.remove(req.userId, reconciliation.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error undoing reconciliation:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Exchange Rates ---
+
+// GET All Exchange Rates, Newest First
+app.get('/api/exchange-rates', async (req, res) => {
+    try {
+        res.status(200).json(await db.exchangeRates.list(req.userId));
+    } catch (error) {
+        console.error('Error fetching exchange rates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add an Exchange Rate: { date, from, to, rate } meaning 1 from = rate to
+app.post('/api/exchange-rates', async (req, res) => {
+    const rate = {
+        date: req.body.date,
+        from: normalizeCurrency(req.body.from),
+        to: normalizeCurrency(req.body.to),
+        rate: Number(req.body.rate),
+    };
+    const errors = validateRate(rate);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        await db.exchangeRates.upsertMany(req.userId, [rate]);
+        res.status(201).json(await db.exchangeRates.list(req.userId));
+    } catch (error) {
+        console.error('Error adding exchange rate:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import Exchange Rates from a CSV File (columns Date, From, To, Rate)
+// Valid lines are saved even when others are rejected; errors lists those.
+app.post('/api/exchange-rates/import', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
+    try {
+        const { rates, errors } = parseRatesCsv(req.file.buffer);
+        if (rates.length > 0) await db.exchangeRates.upsertMany(req.userId, rates);
+        res.status(200).json({ imported: rates.length, errors });
+    } catch (error) {
+        console.error('Error importing exchange rates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove an Exchange Rate
+app.delete('/api/exchange-rates/:id', async (req, res) => {
+    try {
+        await db.exchangeRates.remove(req.userId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing exchange rate:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// File Upload Endpoint
+// The file is imported in a background job: the response is 202 with its
+// jobId, and GET /api/upload/jobs/:id follows it until it is done.
+// With preview=true nothing is saved; the job's result has the totals, and
+// GET /api/upload/jobs/:id/rows pages through every row with its normalized
+// values and a status of new, review, duplicate or invalid. When confirming,
+// selectedRows or excludedRows (JSON arrays of row numbers) limit which new
+// rows are saved. Every confirmed upload is recorded as an import batch; a
+// preview lists the earlier batches of the same file (by checksum) as
+// previousImports.
+app.post('/api/upload', (req, res) => {
+    statementUpload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(400).json({ message: tooLarge ? `Files can be at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB.` : uploadError.message });
+        }
+        if (!req.file) {
+            return res.status(400).send('No file uploaded.');
+        }
+        const file = req.file;
+        const removeFile = () => fs.rm(file.path, { force: true });
+
+        const isPreview = req.body.preview === 'true';
+        const autoApplySuggestions = req.body.autoApplySuggestions === 'true';
+        const rowSets = {};
+        for (const field of ['selectedRows', 'excludedRows']) {
+            if (!req.body[field]) continue;
+            try {
+                rowSets[field] = new Set(JSON.parse(req.body[field]));
+            } catch {
+                await removeFile();
+                return res.status(400).json({ message: `${field} must be a JSON array of row numbers.` });
+            }
+        }
+
+        try {
+            // Use the selected mapping template, or the legacy column names if none was picked
+            let mapping = null;
+            if (req.body.mappingId) {
+                mapping = await db.mappings.find(req.userId, req.body.mappingId);
+                if (!mapping) {
+                    await removeFile();
+                    return res.status(400).json({ message: 'Selected mapping template was not found.' });
+                }
+            }
+            const { userId } = req;
+            const jobId = importJobs.start(userId, async (report, addRows) => {
+                try {
+                    if (isPreview) {
+                        const { fileType, totals, statements, currencies, checksum } = await readImport(userId, file, mapping, {
+                            autoApplySuggestions, report, onRows: addRows,
+                        });
+                        // Earlier uploads of this very file, so the client can warn before a re-import
+                        const previousImports = await db.importBatches.findByChecksum(userId, checksum);
+                        return { fileType, totals, statements, currencies, previousImports };
+                    }
+
+                    const saver = createImportSaver(userId, file, mapping, { ...rowSets, source: `Imported ${file.originalname}`, report });
+                    const read = await readImport(userId, file, mapping, {
+                        autoApplySuggestions, report, onRows: saver.saveRows, ownBatchId: saver.ownBatchId,
+                    });
+                    const saved = await saver.finish(read);
+                    return {
+                        message: saved.queuedForReview > 0
+                            ? `${saved.imported} new transactions saved; ${saved.queuedForReview} likely duplicates are waiting for review.`
+                            : `${saved.imported} new transactions processed and saved successfully.`,
+                        imported: saved.imported,
+                        queuedForReview: saved.queuedForReview,
+                        transfers: saved.transfers,
+                        batchId: saved.batch.id,
+                        operationId: saved.operationId,
+                        totals: read.totals,
+                    };
+                } finally {
+                    await removeFile();
+                }
+            });
+            res.status(202).json({ jobId });
+        } catch (error) {
+            console.error('Error processing file:', error);
+            await removeFile();
+            res.status(500).json({ message: `File upload failed: ${error.message}` });
+        }
+    });
+});
+
+// GET an Upload's Progress
+// status is running, done (with the result) or failed (with the error); while
+// running, phase is reading, checking or saving, with done out of total bytes
+// or rows.
+app.get('/api/upload/jobs/:id', (req, res) => {
+    const job = importJobs.find(req.userId, req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Import job not found; it may have finished a while ago.' });
+    }
+    res.status(200).json(job);
+});
+
+// GET a Page of the Rows a Finished Preview Found (page, pageSize)
+app.get('/api/upload/jobs/:id/rows', async (req, res) => {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? ROWS_PAGE_SIZE : Number(req.query.pageSize);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_ROWS_PAGE_SIZE) {
+        return res.status(400).json({ error: `page must be a positive whole number and pageSize one up to ${MAX_ROWS_PAGE_SIZE}.` });
+    }
+    try {
+        const rows = await importJobs.rows(req.userId, req.params.id, { page, pageSize });
+        if (!rows) {
+            return res.status(404).json({ error: 'Import job not found; it may have finished a while ago.' });
+        }
+        res.status(200).json(rows);
+    } catch (error) {
+        console.error('Error fetching import rows:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET Import History, Newest First
+app.get('/api/imports', async (req, res) => {
+    try {
+        res.status(200).json(await db.importBatches.list(req.userId));
+    } catch (error) {
+        console.error('Error fetching import history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Roll Back an Import: delete the transactions that came from it
+// Transactions edited since the import are deleted too, but an import with
+// reconciled transactions can't be rolled back. The rollback is logged like any other change, so it can be undone from the activity feed.
+app.post('/api/imports/:id/rollback', async (req, res) => {
+    try {
+        const batch = await db.importBatches.find(req.userId, req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Import not found.' });
+        }
+        const imported = await db.transactions.list(req.userId, { importBatchId: batch.id });
+        const locked = imported.filter(isReconciled);
+        if (locked.length > 0) {
+            return res.status(409).json({ error: lockedMessage(locked.length) });
+        }
+        await db.duplicateReviews.removePendingForBatch(req.userId, batch.id);
+        if (imported.length > 0) {
+            const logged = await withReceipts(req.userId, imported);
+            await deleteTransactions(req.userId, logged);
+            await recordOperation(req, res, `Rolled back import of ${batch.fileName}`, entriesFor('transaction', logged, []));
+        }
+        res.status(200).json({ batch: await db.importBatches.markRolledBack(req.userId, batch.id), removed: imported.length });
+    } catch (error) {
+        console.error('Error rolling back import:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET the Duplicate Review Queue
+// Each pending review comes with the transaction it looks like (null if that
+// has been deleted since).
+app.get('/api/duplicates', async (req, res) => {
+    try {
+        const reviews = await db.duplicateReviews.list(req.userId);
+        const matched = await db.transactions.findMany(req.userId, reviews.map(review => review.transactionId).filter(Boolean));
+        const byId = new Map(matched.map(t => [t.id, t]));
+        res.status(200).json(reviews.map(review => ({ ...review, transaction: byId.get(review.transactionId) || null })));
+    } catch (error) {
+        console.error('Error fetching duplicate reviews:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Resolve a Likely Duplicate
+// merge: it is the existing transaction; only a cost center it lacks is taken
+//        from the incoming row, unless it is reconciled.
+// keep:  it is a transaction of its own and is imported after all.
+// discard: it is dropped.
+app.post('/api/duplicates/:id/resolve', async (req, res) => {
+    const { action } = req.body;
+    if (!REVIEW_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of ${REVIEW_ACTIONS.join(', ')}.` });
+    }
+    try {
+        const review = await db.duplicateReviews.find(req.userId, req.params.id);
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found.' });
+        }
+        if (review.status !== 'pending') {
+            return res.status(409).json({ error: `This row was already ${review.status}.` });
+        }
+
+        // The row's cost center may have been removed or archived since it was queued
+        const incoming = (await assignmentErrors(req.userId, [review.incoming.costCenter])).length > 0
+            ? { ...review.incoming, costCenter: null, status: 'Review Required' }
+            : review.incoming;
+
+        let transaction = null;
+        if (action === 'merge') {
+            const existing = review.transactionId ? await db.transactions.find(req.userId, review.transactionId) : null;
+            if (!existing) {
+                return res.status(409).json({ error: 'The matching transaction no longer exists; keep or discard this row instead.' });
+            }
+            transaction = existing;
+            if (!existing.costCenter && existing.splits.length === 0 && !isReconciled(existing) && incoming.costCenter) {
+                transaction = await db.transactions.update(req.userId, existing.id, { costCenter: incoming.costCenter, status: 'Processed' });
+                await recordOperation(req, res, 'Merged a duplicate', entriesFor('transaction', [existing], [transaction]));
+            }
+        } else if (action === 'keep') {
+            if ((await db.transactions.existingHashes(req.userId, [review.hash])).has(review.hash)) {
+                return res.status(409).json({ error: 'This row has been imported since.' });
+            }
+            // Rows queued before currencies were tracked are in the old default
+            const [id] = await db.transactions.insertMany(req.userId, [{ currency: DEFAULT_CURRENCY, ...incoming, importBatchId: review.importBatchId }]);
+            transaction = await db.transactions.find(req.userId, id);
+            await recordOperation(req, res, 'Kept a likely duplicate', entriesFor('transaction', [], [transaction]));
+            await suggestTransfers(req.userId, [transaction]);
+        }
+
+        res.status(200).json({ review: await db.duplicateReviews.resolve(req.userId, review.id, REVIEW_STATUSES[action]), transaction });
+    } catch (error) {
+        console.error('Error resolving duplicate review:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Watched-Folder Import ---
+
+// Import one waiting file and move it to processed or failed; returns what
+// happened to it for the run's log
+const importWatchedFile = async (userId, fileName, mappings) => {
+    const entry = {
+        fileName, outcome: 'failed', fileType: null, mappingName: null, matchedBy: null,
+        batchId: null, imported: 0, queuedForReview: 0, duplicates: 0, invalid: 0, error: null, movedTo: null,
+    };
+    try {
+        const filePath = path.join(watchFolder.path, fileName);
+        const file = { path: filePath, originalname: fileName, size: (await fs.stat(filePath)).size };
+        const { mapping, matchedBy, error } = chooseMapping(mappings, fileName, await readHead(filePath));
+        if (error) throw new Error(error);
+        Object.assign(entry, { mappingName: mapping ? mapping.name : null, matchedBy });
+
+        // A file with nothing readable has nothing to save either, so it can be
+        // turned down once it has been read
+        const saver = createImportSaver(userId, file, mapping, { source: `Imported ${fileName} from the watched folder` });
+        const read = await readImport(userId, file, mapping, {
+            autoApplySuggestions: WATCH_FOLDER_AUTO_APPLY_SUGGESTIONS, onRows: saver.saveRows, ownBatchId: saver.ownBatchId,
+        });
+        Object.assign(entry, { fileType: read.fileType, duplicates: read.totals.duplicate, invalid: read.totals.invalid });
+        const reason = unreadableReason(read.totals, read.firstInvalid);
+        if (reason) throw new Error(reason);
+
+        const saved = await saver.finish(read);
+        Object.assign(entry, { outcome: 'imported', batchId: saved.batch.id, imported: saved.imported, queuedForReview: saved.queuedForReview });
+    } catch (error) {
+        entry.error = error.message;
+    }
+    try {
+        entry.movedTo = await moveFile(watchFolder.path, fileName, entry.outcome === 'imported' ? SUBFOLDERS.processed : SUBFOLDERS.failed);
+    } catch (error) {
+        console.error(`Error moving ${fileName} out of the watched folder:`, error);
+        entry.error = [entry.error, `It could not be moved out of the folder: ${error.message}`].filter(Boolean).join(' ');
+    }
+    return entry;
+};
+
+// Import every waiting file in turn. Scheduled runs that find nothing are not
+// logged; runs started by hand always are.
+const importWatchedFiles = async (userId, triggeredBy) => {
+    const run = { triggeredBy, startedAt: new Date().toISOString(), files: [] };
+    const fileNames = await waitingFiles(watchFolder.path);
+    if (fileNames.length > 0) {
+        const mappings = await db.mappings.list(userId);
+        for (const fileName of fileNames) {
+            run.files.push(await importWatchedFile(userId, fileName, mappings));
+        }
+    }
+    run.finishedAt = new Date().toISOString();
+    if (run.files.length === 0 && triggeredBy === 'schedule') return run;
+    return db.watchFolderRuns.create(userId, run);
+};
+
+// One run at a time: asking while one is going joins it
+let currentWatchRun = null;
+const runWatchedFolder = (userId, triggeredBy) => {
+    if (!currentWatchRun) {
+        currentWatchRun = importWatchedFiles(userId, triggeredBy).finally(() => { currentWatchRun = null; });
+    }
+    return currentWatchRun;
+};
+
+// Whether the signed-in user is the one the folder imports for
+const ownsWatchFolder = async (userId) => Boolean(watchFolder) && (await db.users.findById(userId))?.email === watchFolder.email;
+
+// GET the Watched Folder and its Latest Runs
+// Other users, and every user when no folder is set up, get { enabled: false }.
+app.get('/api/watched-folder', async (req, res) => {
+    try {
+        if (!(await ownsWatchFolder(req.userId))) {
+            return res.status(200).json({ enabled: false });
+        }
+        res.status(200).json({
+            enabled: true,
+            path: watchFolder.path,
+            intervalSeconds: WATCH_FOLDER_INTERVAL_MS / 1000,
+            runs: await db.watchFolderRuns.list(req.userId),
+        });
+    } catch (error) {
+        console.error('Error fetching watched folder runs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Check the Watched Folder Now instead of waiting for the next run
+app.post('/api/watched-folder/run', async (req, res) => {
+    try {
+        if (!(await ownsWatchFolder(req.userId))) {
+            return res.status(404).json({ error: 'No watched folder is set up for your account.' });
+        }
+        res.status(200).json(await runWatchedFolder(req.userId, 'user'));
+    } catch (error) {
+        console.error('Error running the watched folder import:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Scheduled runs, for as long as the server is up
+const scheduleWatchedFolder = () => {
+    const tick = async () => {
+        try {
+            const owner = await db.users.findByEmail(watchFolder.email);
+            if (!owner) {
+                console.error(`Watched folder: no user signed up as ${watchFolder.email}.`);
+                return;
+            }
+            const run = await runWatchedFolder(owner.id, 'schedule');
+            if (run.files.length > 0) {
+                const failed = run.files.filter(file => file.outcome === 'failed').length;
+                console.log(`Watched folder: imported ${run.files.length - failed} file(s), ${failed} failed.`);
+            }
+        } catch (error) {
+            console.error('Error running the watched folder import:', error);
+        }
+    };
+    tick();
+    setInterval(tick, WATCH_FOLDER_INTERVAL_MS);
+};
+
+// --- Receipt Sweep ---
+// Removes receipt files that no receipt refers to and that haven't been
+// touched for RECEIPT_RETENTION_DAYS: those of transactions deleted that long
+// ago (undoing the deletion then brings the transaction back without them)
+// and leftovers of uploads that failed part way.
+const scheduleReceiptSweep = () => {
+    const sweep = async () => {
+        try {
+            const removed = await sweepReceiptFiles(receiptsPath, db.receipts.existingKeys, RECEIPT_RETENTION_MS);
+            if (removed.length > 0) console.log(`Receipt sweep: removed ${removed.length} unused file(s).`);
+        } catch (error) {
+            console.error('Error sweeping receipt files:', error);
+        }
+    };
+    sweep();
+    setInterval(sweep, RECEIPT_SWEEP_INTERVAL_MS);
+};
+
+// --- Start Server ---
+app.listen(port, () => {
+    console.log(`Server is running on port ${port}`);
+    scheduleReceiptSweep();
+    if (watchFolder) {
+        console.log(`Watching ${watchFolder.path} for statements every ${WATCH_FOLDER_INTERVAL_MS / 1000}s`);
+        scheduleWatchedFolder();
+    }
+});
@@ -1,532 +1,1066 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useCallback, useRef, lazy, Suspense } from 'react';
+import { apiFetch, getSessionToken, setSessionToken, onUnauthorized } from './api';
+import MappingEditor from './components/MappingEditor';
+import ImportPreview from './components/ImportPreview';
+import RulesManager from './components/RulesManager';
+import SplitEditor from './components/SplitEditor';
+import BudgetPanel from './components/BudgetPanel';
+import BulkActionBar from './components/BulkActionBar';
+import AuthScreen from './components/AuthScreen';
+import ActivityFeed from './components/ActivityFeed';
+import TransactionHistory from './components/TransactionHistory';
+import ImportHistory from './components/ImportHistory';
+import DuplicateReview from './components/DuplicateReview';
+import CurrencySettings from './components/CurrencySettings';
+import SubscriptionsView from './components/SubscriptionsView';
+import TransfersManager from './components/TransfersManager';
+import AccountsView from './components/AccountsView';
+import ExportDialog from './components/ExportDialog';
+import TransactionDrawer from './components/TransactionDrawer';
+import CostCenterManager from './components/CostCenterManager';
+import ImportProgress from './components/ImportProgress';
+import { DEFAULT_CURRENCY, formatMoney } from './currency';
+import { offeredCostCenters, indentedName } from './costCenters';
+import { uploadStatement } from './importJobs';
+import { undoOperation } from './audit';
 
-// The base URL for your backend API, read from the environment variable.
-// It falls back to localhost for easy local development.
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+// The charting library is only loaded once the Reports view is opened
+const ReportsView = lazy(() => import('./components/ReportsView'));
+
+// Transactions are fetched from the server in pages of this size as the table scrolls
+const PAGE_SIZE = 50;
+const EMPTY_TOTALS = { income: 0, expenses: 0, net: 0, count: 0, unconverted: 0 };
 
 // Main App Component
 export default function App() {
-    const [isAuthenticated, setIsAuthenticated] = useState(false);
-    const [password, setPassword] = useState('');
-    const [error, setError] = useState('');
-    
-    // Data is now initialized as empty, to be filled by live API calls
-    const [transactions, setTransactions] = useState([]);
-    const [costCenters, setCostCenters] = useState([]);
-    const [mappings, setMappings] = useState([]);
-    const [isLoading, setIsLoading] = useState(true); // To show a loading message
-
-    const [isManageCostCenterModalOpen, setIsManageCostCenterModalOpen] = useState(false);
-    const [isManageMappingsModalOpen, setIsManageMappingsModalOpen] = useState(false);
-    const [isImportModalOpen, setIsImportModalOpen] = useState(false);
-    
-    const [newCostCenter, setNewCostCenter] = useState('');
-    const [newMappingName, setNewMappingName] = useState('');
-    
-    // Filters State
-    const [startDate, setStartDate] = useState('');
-    const [endDate, setEndDate] = useState('');
-    const [filterMerchant, setFilterMerchant] = useState('');
-    const [filterAccount, setFilterAccount] = useState('');
-    const [filterCostCenter, setFilterCostCenter] = useState('');
-    const [filterStatus, setFilterStatus] = useState('');
-
-    // --- Helper function to fetch transactions ---
-    const fetchTransactions = async () => {
-        try {
-            const response = await fetch(`${API_URL}/api/transactions`);
-            if (!response.ok) throw new Error('Failed to fetch transactions');
-            const data = await response.json();
-            setTransactions(data);
-        } catch (err) {
-            console.error(err);
-            alert('Could not load transaction data.');
-        }
-    };
-
-    // --- Data Fetching on Load ---
-    useEffect(() => {
-        if (isAuthenticated) {
-            setIsLoading(true);
-            // Fetch all initial data from the backend once the user is logged in.
-            Promise.all([
-                fetch(`${API_URL}/api/transactions`),
-                fetch(`${API_URL}/api/cost-centers`),
-                fetch(`${API_URL}/api/mappings`),
-            ])
-            .then(responses => Promise.all(responses.map(res => {
-                if (!res.ok) throw new Error('A network request failed');
-                return res.json();
-            })))
-            .then(([transactionsData, costCentersData, mappingsData]) => {
-                setTransactions(transactionsData);
-                setCostCenters(costCentersData.map(cc => cc.name)); // Assuming API returns objects with a 'name' property
-                setMappings(mappingsData);
-            })
-            .catch(err => {
-                console.error("Failed to fetch initial data:", err);
-                alert("Failed to connect to the server. Please check your connection and try again.");
-            })
-            .finally(() => setIsLoading(false));
-        }
-    }, [isAuthenticated]);
-
-
-    // --- Handlers ---
-
-    const handleLogin = async (e) => {
-        e.preventDefault();
-        setError('');
+    // A stored session token counts as signed in until the server says otherwise
+    const [isAuthenticated, setIsAuthenticated] = useState(() => Boolean(getSessionToken()));
+    const [currentUser, setCurrentUser] = useState(null);
+    
+    // Data is now initialized as empty, to be filled by live API calls
+    const [transactions, setTransactions] = useState([]); // The pages loaded so far
+    const [totals, setTotals] = useState(EMPTY_TOTALS); // For the whole filtered set
+    const [totalCount, setTotalCount] = useState(0);
+    const [loadedPage, setLoadedPage] = useState(0);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [accounts, setAccounts] = useState([]);
+    const [tags, setTags] = useState([]); // Every tag in use, for the filter and the tag editor
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [selectAllMatching, setSelectAllMatching] = useState(false); // Every transaction the filters match
+    const [isBulkEditing, setIsBulkEditing] = useState(false);
+    const [costCenterTree, setCostCenterTree] = useState([]); // in tree order, archived ones included
+    const [mappings, setMappings] = useState([]);
+    const [isLoading, setIsLoading] = useState(true); // To show a loading message
+
+    const [isManageCostCenterModalOpen, setIsManageCostCenterModalOpen] = useState(false);
+    const [isManageMappingsModalOpen, setIsManageMappingsModalOpen] = useState(false);
+    const [isManageRulesModalOpen, setIsManageRulesModalOpen] = useState(false);
+    const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+    const [isImportHistoryOpen, setIsImportHistoryOpen] = useState(false);
+    const [isDuplicateReviewOpen, setIsDuplicateReviewOpen] = useState(false);
+    const [isCurrencySettingsOpen, setIsCurrencySettingsOpen] = useState(false);
+    const [isTransfersOpen, setIsTransfersOpen] = useState(false);
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const [pendingDuplicates, setPendingDuplicates] = useState(0); // Likely duplicates waiting in the review queue
+    const [splittingTransaction, setSplittingTransaction] = useState(null);
+    const [isActivityOpen, setIsActivityOpen] = useState(false);
+    const [historyTransaction, setHistoryTransaction] = useState(null);
+    const [detailTransaction, setDetailTransaction] = useState(null);
+    const [lastChange, setLastChange] = useState(null); // { operationId, message } of the latest edit, for its Undo button
+    
+    const [editingMapping, setEditingMapping] = useState(null); // null, 'new' or the mapping being edited
+    const [selectedMappingId, setSelectedMappingId] = useState('');
+    const [importFile, setImportFile] = useState(null);
+    const [importPreview, setImportPreview] = useState(null);
+    const [isImporting, setIsImporting] = useState(false);
+    const [importProgress, setImportProgress] = useState(null); // { phase, done, total } while an upload's job runs
+    const [autoApplySuggestions, setAutoApplySuggestions] = useState(false);
+    
+    // Filters State
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    const [filterMerchant, setFilterMerchant] = useState('');
+    const [filterAccount, setFilterAccount] = useState('');
+    const [filterCostCenter, setFilterCostCenter] = useState('');
+    const [filterStatus, setFilterStatus] = useState('');
+    const [filterMinAmount, setFilterMinAmount] = useState('');
+    const [filterMaxAmount, setFilterMaxAmount] = useState('');
+    const [filterTag, setFilterTag] = useState('');
+    const [filterReceipt, setFilterReceipt] = useState(''); // '', 'with' or 'without'
+    const [sortBy, setSortBy] = useState('date');
+    const [sortDir, setSortDir] = useState('desc');
+    const [activeView, setActiveView] = useState('dashboard');
+
+    // Totals, budgets and reports are shown in this currency
+    const baseCurrency = currentUser?.baseCurrency || DEFAULT_CURRENCY;
+
+    // Cost centers that can still be picked for transactions, budgets and rules
+    const offeredTree = useMemo(() => offeredCostCenters(costCenterTree), [costCenterTree]);
+    const costCenters = useMemo(() => offeredTree.map(cc => cc.name), [offeredTree]);
+
+    // --- The filters that are set, as /api/transactions takes them ---
+    const transactionFilters = useMemo(() => Object.fromEntries(Object.entries({
+        startDate, endDate, merchant: filterMerchant, account: filterAccount, costCenter: filterCostCenter,
+        status: filterStatus, minAmount: filterMinAmount, maxAmount: filterMaxAmount, tag: filterTag, receipt: filterReceipt,
+    }).filter(([, value]) => value !== '')), [startDate, endDate, filterMerchant, filterAccount, filterCostCenter, filterStatus, filterMinAmount, filterMaxAmount, filterTag, filterReceipt]);
+
+    // --- Filters and sort order as a query string for /api/transactions ---
+    const transactionQuery = useMemo(
+        () => new URLSearchParams({ ...transactionFilters, sortBy, sortDir, pageSize: PAGE_SIZE }).toString(),
+        [transactionFilters, sortBy, sortDir]
+    );
+
+    // The query the loaded pages belong to, so late responses for an old one are dropped
+    const currentQuery = useRef(transactionQuery);
+
+    // --- Helper function to reload transactions (from the first page) ---
+    const fetchTransactions = () => setReloadKey(key => key + 1);
+
+    const fetchAccounts = () => apiFetch(`/api/transactions/accounts`)
+        .then(res => {
+            if (!res.ok) throw new Error('Failed to fetch accounts');
+            return res.json();
+        })
+        .then(setAccounts)
+        .catch(err => console.error(err));
+
+    const fetchTags = () => apiFetch(`/api/transactions/tags`)
+        .then(res => {
+            if (!res.ok) throw new Error('Failed to fetch tags');
+            return res.json();
+        })
+        .then(setTags)
+        .catch(err => console.error(err));
+
+    const fetchCostCenters = () => apiFetch(`/api/cost-centers`)
+        .then(res => {
+            if (!res.ok) throw new Error('Failed to fetch cost centers');
+            return res.json();
+        })
+        .then(data => {
+            setCostCenterTree(data);
+            // A renamed or merged cost center is no longer there to filter by
+            if (!data.some(cc => cc.name === filterCostCenter)) setFilterCostCenter('');
+        })
+        .catch(err => console.error(err));
+
+    const fetchPendingDuplicates = () => apiFetch(`/api/duplicates`)
+        .then(res => {
+            if (!res.ok) throw new Error('Failed to fetch duplicate reviews');
+            return res.json();
+        })
+        .then(reviews => setPendingDuplicates(reviews.length))
+        .catch(err => console.error(err));
+
+    // --- Back to the sign-in screen whenever the session is rejected ---
+    useEffect(() => {
+        onUnauthorized(() => {
+            setIsAuthenticated(false);
+            setCurrentUser(null);
+        });
+    }, []);
+
+    // --- Data Fetching on Load ---
+    useEffect(() => {
+        if (isAuthenticated) {
+            setIsLoading(true);
+            // Fetch all initial data from the backend once the user is logged in.
+            Promise.all([
+                apiFetch(`/api/auth/me`),
+                apiFetch(`/api/cost-centers`),
+                apiFetch(`/api/mappings`),
+                apiFetch(`/api/transactions/accounts`),
+                apiFetch(`/api/duplicates`),
+                apiFetch(`/api/transactions/tags`),
+            ])
+            .then(responses => Promise.all(responses.map(res => {
+                if (!res.ok) throw new Error('A network request failed');
+                return res.json();
+            })))
+            .then(([user, costCentersData, mappingsData, accountsData, duplicatesData, tagsData]) => {
+                setCurrentUser(user);
+                setAccounts(accountsData);
+                setTags(tagsData);
+                setPendingDuplicates(duplicatesData.length);
+                setCostCenterTree(costCentersData);
+                setMappings(mappingsData);
+            })
+            .catch(err => {
+                console.error("Failed to fetch initial data:", err);
+                // A rejected session has already sent the user back to sign in
+                if (getSessionToken()) {
+                    alert("Failed to connect to the server. Please check your connection and try again.");
+                }
+            })
+            .finally(() => setIsLoading(false));
+        }
+    }, [isAuthenticated]);
+
+    // --- First page of transactions whenever the filters or sort order change ---
+    // Typing in a filter waits for a short pause before asking the server.
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        currentQuery.current = transactionQuery;
+        const timer = setTimeout(() => {
+            apiFetch(`/api/transactions?${transactionQuery}&page=1`)
+                .then(res => {
+                    if (!res.ok) throw new Error('Failed to fetch transactions');
+                    return res.json();
+                })
+                .then(data => {
+                    if (currentQuery.current !== transactionQuery) return;
+                    setTransactions(data.transactions);
+                    setTotals(data.totals);
+                    setTotalCount(data.total);
+                    setLoadedPage(1);
+                    setSelectedIds(new Set());
+                    setSelectAllMatching(false);
+                })
+                .catch(err => {
+                    console.error(err);
+                    if (getSessionToken()) alert('Could not load transaction data.');
+                });
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [isAuthenticated, transactionQuery, reloadKey]);
+
+    const hasMoreTransactions = transactions.length < totalCount;
+
+    // --- Append the next page of transactions ---
+    const loadMoreTransactions = useCallback(async () => {
+        if (isLoadingMore || !hasMoreTransactions) return;
+        const query = transactionQuery;
+        setIsLoadingMore(true);
+        try {
+            const response = await apiFetch(`/api/transactions?${query}&page=${loadedPage + 1}`);
+            if (!response.ok) throw new Error('Failed to fetch transactions');
+            const data = await response.json();
+            if (currentQuery.current !== query) return;
+            // Rows can shift between pages after edits; keep each transaction once
+            setTransactions(loaded => {
+                const loadedIds = new Set(loaded.map(t => t.id));
+                return [...loaded, ...data.transactions.filter(t => !loadedIds.has(t.id))];
+            });
+            setTotalCount(data.total);
+            setLoadedPage(data.page);
+        } catch (err) {
+            console.error(err);
+        } finally {
+            setIsLoadingMore(false);
+        }
+    }, [isLoadingMore, hasMoreTransactions, transactionQuery, loadedPage]);
+
+    // --- Load the next page once the end of the table scrolls into view ---
+    const loadMoreSentinel = useRef(null);
+    useEffect(() => {
+        const sentinel = loadMoreSentinel.current;
+        if (!sentinel) return;
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) loadMoreTransactions();
+        });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [loadMoreTransactions]);
+
+    // --- Selection for bulk edits ---
+    const isSelected = (id) => selectAllMatching || selectedIds.has(id);
+    const selectedCount = selectAllMatching ? totalCount : selectedIds.size;
+    const allLoadedSelected = transactions.length > 0 && transactions.every(t => isSelected(t.id));
+
+    const clearSelection = () => {
+        setSelectedIds(new Set());
+        setSelectAllMatching(false);
+    };
+
+    const toggleSelected = (id) => {
+        // Unticking a row while everything matching is selected keeps the other loaded rows
+        const next = new Set(selectAllMatching ? transactions.map(t => t.id) : selectedIds);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        setSelectAllMatching(false);
+        setSelectedIds(next);
+    };
+
+    const toggleSelectAllLoaded = () => {
+        if (allLoadedSelected) clearSelection();
+        else setSelectedIds(new Set(transactions.map(t => t.id)));
+    };
+
+    // Applies one bulk edit to the selection, then reloads the table
+    const handleBulkEdit = async (edit) => {
+        if (edit.action === 'delete' && !window.confirm(`Delete ${selectedCount} transactions?`)) return;
+        const target = selectAllMatching ? { filter: transactionFilters } : { ids: [...selectedIds] };
+
+        setIsBulkEditing(true);
         try {
-            const response = await fetch(`${API_URL}/api/auth/login`, {
+            const response = await apiFetch(`/api/transactions/bulk`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ password }),
+                body: JSON.stringify({ ...edit, ...target }),
             });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Bulk edit failed');
 
-            // The key change: We await the JSON response regardless of the status.
+            setLastChange({
+                operationId: response.headers.get('X-Operation-Id'),
+                message: `${result.affected} transactions ${edit.action === 'delete' ? 'deleted' : 'updated'}.`,
+            });
+            clearSelection();
+            fetchTransactions();
+            if (edit.action === 'delete') fetchAccounts();
+        } catch (error) {
+            console.error('Error bulk editing transactions:', error);
+            alert(`Could not apply the bulk edit: ${error.message}`);
+        } finally {
+            setIsBulkEditing(false);
+        }
+    };
+
+    // Links the two ticked transactions as money moved between accounts
+    const handleLinkTransfer = async () => {
+        setIsBulkEditing(true);
+        try {
+            const response = await apiFetch(`/api/transfers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids: [...selectedIds] }),
+            });
             const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Linking failed');
 
-            if (result.success) {
-                setIsAuthenticated(true);
-            } else {
-                // Display the specific error message from the backend
-                setError(result.message);
-            }
-        } catch (loginError) {
-            // This catch block now only handles network errors or JSON parsing issues
-            setError('Server error. Please try again later.');
-            console.error('Login failed:', loginError);
+            setLastChange({ operationId: null, message: 'Linked as a transfer; it no longer counts as income or expense.' });
+            clearSelection();
+            fetchTransactions();
+        } catch (error) {
+            console.error('Error linking transfer:', error);
+            alert(`Could not link the transfer: ${error.message}`);
+        } finally {
+            setIsBulkEditing(false);
         }
     };
 
-    const handleFileSelect = async (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        const formData = new FormData();
-        formData.append('file', file);
-
-        try {
-            const response = await fetch(`${API_URL}/api/upload`, {
-                method: 'POST',
-                body: formData,
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || 'File upload failed on the server.');
-            }
-
-            alert('File uploaded and processed successfully!');
-            await fetchTransactions(); // Re-fetch transactions to show new data
-            setIsImportModalOpen(false);
-
-        } catch (uploadError) {
-            console.error('Error uploading file:', uploadError);
-            alert(`File upload failed: ${uploadError.message}`); 
-        }
-    };
-    
-    const handleCostCenterChange = async (transactionId, newCostCenter) => {
-        // Optimistically update the UI
-        const originalTransactions = [...transactions];
-        const newStatus = newCostCenter ? 'Processed' : 'Review Required';
-        setTransactions(transactions.map(t => 
-            t.id === transactionId ? { ...t, costCenter: newCostCenter, status: newStatus } : t
-        ));
-
-        try {
-             await fetch(`${API_URL}/api/transactions/${transactionId}`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ costCenter: newCostCenter }),
-            });
-        } catch (error) {
-            console.error('Failed to update transaction:', error);
-            alert('Failed to save change. Reverting.');
-            setTransactions(originalTransactions); // Revert on failure
-        }
-    };
-    
-    const handleAddCostCenter = async () => {
-        if (!newCostCenter || costCenters.includes(newCostCenter)) return;
-        
-        try {
-            const response = await fetch(`${API_URL}/api/cost-centers`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name: newCostCenter }),
-            });
-            if (!response.ok) throw new Error('Failed to add cost center');
-            
-            setCostCenters([...costCenters, newCostCenter]);
-            setNewCostCenter('');
-        } catch (error) {
-            console.error('Error adding cost center:', error);
-            alert('Could not add cost center.');
-        }
-    };
-
-    const handleRemoveCostCenter = async (centerToRemove) => {
-        try {
-            const response = await fetch(`${API_URL}/api/cost-centers/${encodeURIComponent(centerToRemove)}`, {
-                method: 'DELETE',
-            });
-            if (!response.ok) throw new Error('Failed to remove cost center');
-
-            setCostCenters(costCenters.filter(c => c !== centerToRemove));
-        } catch (error) {
-            console.error('Error removing cost center:', error);
-            alert('Could not remove cost center. It may be in use.');
-        }
-    };
-    
-    const handleAddMapping = async () => {
-        if (!newMappingName) return;
-
-        try {
-            const response = await fetch(`${API_URL}/api/mappings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name: newMappingName, fileType: 'CSV' }),
-            });
-            if (!response.ok) throw new Error('Failed to add mapping');
-
-            const newlyAddedMapping = await response.json();
-            setMappings([...mappings, newlyAddedMapping]);
-            setNewMappingName('');
-        } catch (error) {
-             console.error('Error adding mapping:', error);
-            alert('Could not add mapping.');
-        }
-    };
-
-    const handleRemoveMapping = async (idToRemove) => {
-        try {
-            const response = await fetch(`${API_URL}/api/mappings/${idToRemove}`, {
-                method: 'DELETE',
-            });
-            if (!response.ok) throw new Error('Failed to remove mapping');
-
-            setMappings(mappings.filter(m => m.id !== idToRemove));
-        } catch (error) {
-            console.error('Error removing mapping:', error);
-            alert('Could not remove mapping.');
-        }
-    };
-
-    const handleExportCSV = () => {
-        if (filteredTransactions.length === 0) {
-            alert("No data to export.");
-            return;
-        }
-        const headers = ["Date", "Merchant", "Amount", "Cost Center", "Status", "Account"];
-        const rows = filteredTransactions.map(t => 
-            [t.date, `"${t.merchant.replace(/"/g, '""')}"`, t.amount, t.costCenter, t.status, t.account].join(',')
-        );
-        const csvContent = "data:text/csv;charset=utf-8," + [headers.join(','), ...rows].join("\n");
-        const encodedUri = encodeURI(csvContent);
-        const link = document.createElement("a");
-        link.setAttribute("href", encodedUri);
-        link.setAttribute("download", "balanzia_transactions.csv");
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-    };
-
-    // --- Memoized Calculations ---
-    const filteredTransactions = useMemo(() => {
-        return transactions.filter(t => {
-            const transactionDate = new Date(t.date);
-            const start = startDate ? new Date(startDate) : null;
-            const end = endDate ? new Date(endDate) : null;
-
-            if (start && transactionDate < start) return false;
-            if (end && transactionDate > end) return false;
-            if (filterMerchant && !t.merchant.toLowerCase().includes(filterMerchant.toLowerCase())) return false;
-            if (filterAccount && t.account !== filterAccount) return false;
-            if (filterCostCenter && t.costCenter !== filterCostCenter) return false;
-            if (filterStatus && t.status !== filterStatus) return false;
-            
-            return true;
-        });
-    }, [transactions, startDate, endDate, filterMerchant, filterAccount, filterCostCenter, filterStatus]);
-
-
-    const { totalIncome, totalExpenses } = useMemo(() => {
-        return filteredTransactions.reduce((acc, t) => {
-            if (t.amount > 0) {
-                acc.totalIncome += t.amount;
-            } else {
-                acc.totalExpenses += t.amount;
-            }
-            return acc;
-        }, { totalIncome: 0, totalExpenses: 0 });
-    }, [filteredTransactions]);
-
-    const netSavings = totalIncome + totalExpenses;
-    const uniqueAccounts = useMemo(() => [...new Set(transactions.map(t => t.account))], [transactions]);
-
-
-    // --- Render Logic ---
-
-    if (!isAuthenticated) {
-        return (
-            <div className="flex items-center justify-center min-h-screen bg-[#f3e7c5] font-sans">
-                <div className="w-full max-w-md p-8 space-y-8 bg-[#fffefa] rounded-lg shadow-lg">
-                    <div className="text-center">
-                        <img src="/farlish-logo.png" alt="balanzia logo" className="w-24 h-24 mx-auto mb-4" />
-                        <h1 className="text-3xl font-bold text-[#111a39]">balanzia</h1>
-                    </div>
-                    <form onSubmit={handleLogin} className="space-y-6">
-                        <div>
-                            <label htmlFor="password" className="text-sm font-medium text-[#111a39]">Password</label>
-                            <input
-                                id="password"
-                                type="password"
-                                value={password}
-                                onChange={(e) => setPassword(e.target.value)}
-                                className="w-full px-3 py-2 mt-1 text-gray-900 bg-gray-100 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#99804e]"
-                                placeholder="Enter your password"
-                            />
-                        </div>
-                        {error && <p className="text-sm text-center text-red-500">{error}</p>}
-                        <button type="submit" className="w-full py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] transition-colors">
-                            Sign In
-                        </button>
-                    </form>
-                </div>
-            </div>
-        );
-    }
-    
-    return (
-        <div className="min-h-screen bg-[#f3e7c5] text-[#111a39] font-sans">
-            <header className="bg-[#fffefa] shadow-md">
-                <div className="container mx-auto px-4 sm:px-6 lg:px-8">
-                    <div className="flex items-center justify-between h-16">
-                        <div className="flex items-center space-x-4">
-                            <img className="h-10 w-auto" src="/farlish-logo.png" alt="balanzia logo" />
-                            <h1 className="text-xl font-bold">balanzia</h1>
-                        </div>
-                        <div className="flex items-center space-x-2">
-                             <button onClick={() => setIsManageMappingsModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Manage Mappings</button>
-                             <button onClick={() => setIsManageCostCenterModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Manage Cost Centers</button>
-                             <button onClick={handleExportCSV} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Export</button>
-                             <button onClick={() => setIsImportModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] transition">Import</button>
-                        </div>
-                    </div>
-                </div>
-            </header>
-
-            <main className="container mx-auto p-4 sm:p-6 lg:p-8">
-                <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
-                    <div className="p-6 bg-[#fffefa] rounded-lg shadow-md flex justify-between items-center">
-                        <div>
-                            <p className="text-sm font-medium text-gray-500">Total Income</p>
-                            <p className="text-2xl font-bold text-green-600">${totalIncome.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-                        </div>
-                        <div className="text-3xl text-[#99804e] opacity-50">$</div>
-                    </div>
-                    <div className="p-6 bg-[#fffefa] rounded-lg shadow-md flex justify-between items-center">
-                        <div>
-                            <p className="text-sm font-medium text-gray-500">Total Expenses</p>
-                            <p className="text-2xl font-bold text-red-600">${totalExpenses.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-                        </div>
-                        <svg className="w-8 h-8 text-[#99804e] opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z"></path></svg>
-                    </div>
-                    <div className="p-6 bg-[#fffefa] rounded-lg shadow-md flex justify-between items-center">
-                        <div>
-                            <p className="text-sm font-medium text-gray-500">Net Savings</p>
-                            <p className="text-2xl font-bold">${netSavings.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-                        </div>
-                        <svg className="w-8 h-8 text-[#99804e] opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path></svg>
-                    </div>
-                </div>
-                
-                <div className="mt-8 bg-[#fffefa] rounded-lg shadow-md">
-                    <div className="p-6">
-                        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
-                            <h2 className="text-lg font-bold mb-4 sm:mb-0">Recent Transactions</h2>
-                            <div className="flex items-center space-x-4 text-sm">
-                                <div className="flex items-center space-x-2">
-                                    <label htmlFor="start-date">From:</label>
-                                    <input type="date" id="start-date" value={startDate} onChange={e => setStartDate(e.target.value)} className="p-1 border rounded-md bg-gray-100" />
-                                </div>
-                                <div className="flex items-center space-x-2">
-                                    <label htmlFor="end-date">To:</label>
-                                    <input type="date" id="end-date" value={endDate} min={startDate} onChange={e => setEndDate(e.target.value)} className="p-1 border rounded-md bg-gray-100" />
-                                </div>
-                            </div>
-                        </div>
-
-                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mt-4 text-sm">
-                            <input type="text" placeholder="Filter by Merchant..." value={filterMerchant} onChange={e => setFilterMerchant(e.target.value)} className="p-2 border rounded-md bg-gray-100" />
-                            <select value={filterAccount} onChange={e => setFilterAccount(e.target.value)} className="p-2 border rounded-md bg-gray-100">
-                                <option value="">All Accounts</option>
-                                {uniqueAccounts.map(acc => <option key={acc} value={acc}>{acc}</option>)}
-                            </select>
-                             <select value={filterCostCenter} onChange={e => setFilterCostCenter(e.target.value)} className="p-2 border rounded-md bg-gray-100">
-                                <option value="">All Cost Centers</option>
-                                {costCenters.map(cc => <option key={cc} value={cc}>{cc}</option>)}
-                            </select>
-                            <select value={filterStatus} onChange={e => setFilterStatus(e.target.value)} className="p-2 border rounded-md bg-gray-100">
-                                <option value="">All Statuses</option>
-                                <option value="Processed">Processed</option>
-                                <option value="Review Required">Review Required</option>
-                            </select>
-                        </div>
-
-
-                        <div className="overflow-x-auto mt-4">
-                            <table className="min-w-full divide-y divide-gray-200">
-                                <thead className="bg-gray-50">
-                                    <tr>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Merchant</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Center</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {isLoading ? (
-                                        <tr>
-                                            <td colSpan="6" className="text-center py-10 text-gray-500">Connecting to server...</td>
-                                        </tr>
-                                    ) : filteredTransactions.length > 0 ? (
-                                        filteredTransactions.map((transaction) => (
-                                            <tr key={transaction.id} className="hover:bg-gray-50">
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm">{new Date(transaction.date).toLocaleDateString()}</td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm">{transaction.merchant}</td>
-                                                <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                                                    {transaction.amount > 0 ? '+' : ''}${Math.abs(transaction.amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                                                </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                                    <select
-                                                        value={transaction.costCenter || ''}
-                                                        onChange={(e) => handleCostCenterChange(transaction.id, e.target.value)}
-                                                        className="p-1 border rounded-md bg-gray-100 focus:outline-none focus:ring-1 focus:ring-[#99804e]"
-                                                    >
-                                                        <option value="">Select...</option>
-                                                        {costCenters.map(cc => <option key={cc} value={cc}>{cc}</option>)}
-                                                    </select>
-                                                </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${transaction.status === 'Processed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
-                                                        {transaction.status === 'Review Required' && <span className="mr-1.5">&#9888;</span>}
-                                                        {transaction.status}
-                                                    </span>
-                                                </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm">{transaction.account}</td>
-                                            </tr>
-                                        ))
-                                    ) : (
-                                        <tr>
-                                            <td colSpan="6" className="text-center py-10 text-gray-500">
-                                                No transactions found. Try adjusting filters or importing a file.
-                                            </td>
-                                        </tr>
-                                    )}
-                                </tbody>
-                            </table>
-                        </div>
-                    </div>
-                </div>
-            </main>
-
-             {/* Modals */}
-             {isManageCostCenterModalOpen && (
-                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md">
-                        <h3 className="text-lg font-bold mb-4">Manage Cost Centers</h3>
-                        <div className="space-y-4">
-                            <div className="flex space-x-2">
-                                <input 
-                                    type="text" 
-                                    value={newCostCenter}
-                                    onChange={(e) => setNewCostCenter(e.target.value)}
-                                    placeholder="New cost center name"
-                                    className="flex-grow p-2 border rounded-md bg-gray-100"
-                                />
-                                <button onClick={handleAddCostCenter} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152]">Add</button>
-                            </div>
-                            <ul className="space-y-2 max-h-60 overflow-y-auto">
-                                {costCenters.map(center => (
-                                    <li key={center} className="flex justify-between items-center p-2 bg-gray-100 rounded-md">
-                                        <span>{center}</span>
-                                        <button onClick={() => handleRemoveCostCenter(center)} className="text-red-500 hover:text-red-700 font-bold">X</button>
-                                    </li>
-                                ))}
-                            </ul>
-                        </div>
-                        <div className="text-right mt-6">
-                            <button onClick={() => setIsManageCostCenterModalOpen(false)} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
-                        </div>
-                    </div>
-                </div>
-             )}
-
-            {isManageMappingsModalOpen && (
-                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-                     <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg">
-                        <h3 className="text-lg font-bold mb-4">Manage Mappings</h3>
-                        <div className="space-y-4">
-                            <div className="flex space-x-2">
-                                <input 
-                                    type="text" 
-                                    value={newMappingName}
-                                    onChange={(e) => setNewMappingName(e.target.value)}
-                                    placeholder="New mapping template name"
-                                    className="flex-grow p-2 border rounded-md bg-gray-100"
-                                />
-                                <button onClick={handleAddMapping} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152]">Add</button>
-                            </div>
-                             <ul className="space-y-2 max-h-60 overflow-y-auto">
-                                {mappings.map(mapping => (
-                                    <li key={mapping.id} className="flex justify-between items-center p-2 bg-gray-100 rounded-md">
-                                        <div>
-                                            <span className="font-semibold">{mapping.name}</span>
-                                            <span className="text-xs text-gray-500 ml-2">({mapping.fileType}, Created: {new Date(mapping.dateCreated).toLocaleDateString()})</span>
-                                        </div>
-                                        <button onClick={() => handleRemoveMapping(mapping.id)} className="text-red-500 hover:text-red-700 font-bold">X</button>
-                                    </li>
-                                ))}
-                            </ul>
-                        </div>
-                        <div className="text-right mt-6">
-                            <button onClick={() => setIsManageMappingsModalOpen(false)} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
-                        </div>
-                    </div>
-                </div>
-            )}
-            
-            {isImportModalOpen && (
-                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md text-center">
-                        <h3 className="text-lg font-bold mb-4">Import Transactions</h3>
-                        <p className="text-gray-600 mb-6">Select a mapping template and upload your transaction file.</p>
-                        <select className="w-full p-2 mb-4 border rounded-md bg-gray-100">
-                             {mappings.length > 0 ? (
-                                mappings.map(m => <option key={m.id} value={m.name}>{m.name}</option>)
-                            ) : (
-                                <option disabled>No mappings available</option>
-                            )}
-                        </select>
-                        
-                        <label htmlFor="file-upload" className="w-full cursor-pointer bg-[#111a39] text-white px-4 py-2 rounded-md hover:bg-[#0a2152] inline-block">
-                           Choose File...
-                        </label>
-                        <input id="file-upload" type="file" className="hidden" onChange={handleFileSelect} accept=".csv,.xlsx,.xls,.ofx" />
-                        
-                        <div className="text-right mt-6">
-                           <button onClick={() => setIsImportModalOpen(false)} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
-                        </div>
-                    </div>
-                 </div>
-            )}
-        </div>
-    );
+    // Reverts the latest edit from its toast, then reloads what it may have touched
+    const handleUndoLastChange = async () => {
+        try {
+            await undoOperation(lastChange.operationId);
+            setLastChange(null);
+            fetchTransactions();
+            fetchAccounts();
+            fetchTags();
+            fetchCostCenters();
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            alert(`Could not undo: ${error.message}`);
+        }
+    };
+
+    // Something was undone from the activity feed or a transaction's history
+    const handleUndone = () => {
+        setLastChange(null);
+        fetchTransactions();
+        fetchAccounts();
+        fetchTags();
+        fetchCostCenters();
+        apiFetch(`/api/mappings`)
+            .then(res => (res.ok ? res.json() : Promise.reject(new Error('Failed to fetch mappings'))))
+            .then(setMappings)
+            .catch(err => console.error(err));
+    };
+
+    // Notes, tags or receipts changed in the detail drawer
+    const handleDetailsUpdated = (updated, operationId) => {
+        const merge = (t) => ({ ...t, notes: updated.notes, tags: updated.tags, receiptCount: updated.receiptCount });
+        setTransactions(current => current.map(t => (t.id === updated.id ? merge(t) : t)));
+        setDetailTransaction(current => (current && current.id === updated.id ? merge(current) : current));
+        if (operationId) {
+            setLastChange({ operationId, message: 'Notes and tags saved.' });
+            fetchTags();
+        }
+    };
+
+    // Click a column header to sort by it; clicking again flips the direction
+    const handleSort = (field) => {
+        if (field === sortBy) {
+            setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+        } else {
+            setSortBy(field);
+            setSortDir(field === 'date' || field === 'amount' ? 'desc' : 'asc');
+        }
+    };
+
+
+    // --- Handlers ---
+
+    const handleAuthenticated = (user) => {
+        setCurrentUser(user);
+        setIsAuthenticated(true);
+    };
+
+    const handleLogout = async () => {
+        try {
+            await apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (logoutError) {
+            console.error('Error logging out:', logoutError);
+        }
+        setSessionToken(null);
+        setIsAuthenticated(false);
+        setCurrentUser(null);
+        setTransactions([]);
+        setTotals(EMPTY_TOTALS);
+        setTotalCount(0);
+        setLoadedPage(0);
+    };
+
+    const buildUploadForm = (file) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (selectedMappingId) formData.append('mappingId', selectedMappingId);
+        if (autoApplySuggestions) formData.append('autoApplySuggestions', 'true');
+        return formData;
+    };
+
+    const closeImportModal = () => {
+        setIsImportModalOpen(false);
+        setImportFile(null);
+        setImportPreview(null);
+    };
+
+    // Step 1: dry-run the upload so the user can review every row
+    const handleFileSelect = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow re-selecting the same file
+        if (!file) return;
+
+        const formData = buildUploadForm(file);
+        formData.append('preview', 'true');
+
+        try {
+            const preview = await uploadStatement(formData, setImportProgress);
+            setImportFile(file);
+            setImportPreview(preview);
+        } catch (uploadError) {
+            console.error('Error previewing file:', uploadError);
+            alert(`File upload failed: ${uploadError.message}`);
+        } finally {
+            setImportProgress(null);
+        }
+    };
+
+    // Step 2: import only the rows left selected in the preview, sent as the
+    // rows left out of all new ones, or the rows picked when starting from none
+    const handleConfirmImport = async ({ allNew, rowNumbers }) => {
+        const formData = buildUploadForm(importFile);
+        formData.append(allNew ? 'excludedRows' : 'selectedRows', JSON.stringify(rowNumbers));
+
+        setIsImporting(true);
+        try {
+            const result = await uploadStatement(formData, setImportProgress);
+            alert(result.message);
+            fetchTransactions(); // Re-fetch transactions to show new data
+            fetchAccounts();
+            if (result.queuedForReview > 0) fetchPendingDuplicates();
+            closeImportModal();
+        } catch (uploadError) {
+            console.error('Error uploading file:', uploadError);
+            alert(`File upload failed: ${uploadError.message}`);
+        } finally {
+            setIsImporting(false);
+            setImportProgress(null);
+        }
+    };
+    
+    const handleCostCenterChange = async (transactionId, newCostCenter) => {
+        // Optimistically update the UI
+        const originalTransactions = [...transactions];
+        const newStatus = newCostCenter ? 'Processed' : 'Review Required';
+        setTransactions(transactions.map(t => 
+            t.id === transactionId ? { ...t, costCenter: newCostCenter, status: newStatus, splits: [], suggestion: newCostCenter ? null : t.suggestion } : t
+        ));
+
+        try {
+            const response = await apiFetch(`/api/transactions/${transactionId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ costCenter: newCostCenter }),
+            });
+            if (!response.ok) throw new Error('Failed to update transaction');
+            setLastChange({
+                operationId: response.headers.get('X-Operation-Id'),
+                message: newCostCenter ? `Assigned to ${newCostCenter}.` : 'Cost center cleared.',
+            });
+        } catch (error) {
+            console.error('Failed to update transaction:', error);
+            alert('Failed to save change. Reverting.');
+            setTransactions(originalTransactions); // Revert on failure
+        }
+    };
+    
+    // Saves split lines (an empty list removes the split) and swaps in the server's copy
+    const handleSaveSplit = async (transactionId, splits) => {
+        try {
+            const response = await apiFetch(`/api/transactions/${transactionId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ splits }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to save split');
+
+            setTransactions(transactions.map(t => (t.id === transactionId ? result : t)));
+            setSplittingTransaction(null);
+        } catch (error) {
+            console.error('Error saving split:', error);
+            alert(`Could not save split: ${error.message}`);
+        }
+    };
+
+    // A cost center was added, renamed, moved, archived, merged or removed;
+    // renames and merges change transactions too
+    const handleCostCentersChanged = (operationId, message) => {
+        fetchCostCenters();
+        fetchTransactions();
+        setLastChange({ operationId, message });
+    };
+    
+    const handleSaveMapping = (savedMapping) => {
+        const exists = mappings.some(m => m.id === savedMapping.id);
+        setMappings(exists ? mappings.map(m => (m.id === savedMapping.id ? savedMapping : m)) : [...mappings, savedMapping]);
+        setEditingMapping(null);
+    };
+
+    const handleRemoveMapping = async (idToRemove) => {
+        try {
+            const response = await apiFetch(`/api/mappings/${idToRemove}`, {
+                method: 'DELETE',
+            });
+            if (!response.ok) throw new Error('Failed to remove mapping');
+
+            setMappings(mappings.filter(m => m.id !== idToRemove));
+            if (String(idToRemove) === selectedMappingId) setSelectedMappingId('');
+        } catch (error) {
+            console.error('Error removing mapping:', error);
+            alert('Could not remove mapping.');
+        }
+    };
+
+    // --- Summary Figures (from the server's totals for the filtered set) ---
+    const { income: totalIncome, expenses: totalExpenses, net: netSavings, unconverted, transfers: transferCount } = totals;
+
+    // A new base currency changes every converted figure on the page
+    const handleBaseCurrencyChange = (user) => {
+        setCurrentUser(user);
+        fetchTransactions();
+    };
+
+
+    // --- Render Logic ---
+
+    const sortableHeader = (field, label) => (
+        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            <button onClick={() => handleSort(field)} className="uppercase tracking-wider hover:text-[#111a39]">
+                {label}{sortBy === field && (sortDir === 'asc' ? ' \u25B2' : ' \u25BC')}
+            </button>
+        </th>
+    );
+
+    if (!isAuthenticated) {
+        return <AuthScreen onAuthenticated={handleAuthenticated} />;
+    }
+    
+    return (
+        <div className="min-h-screen bg-[#f3e7c5] text-[#111a39] font-sans">
+            <header className="bg-[#fffefa] shadow-md">
+                <div className="container mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center space-x-4">
+                            <img className="h-10 w-auto" src="/farlish-logo.png" alt="balanzia logo" />
+                            <h1 className="text-xl font-bold">balanzia</h1>
+                            <nav className="flex space-x-1 text-sm font-medium">
+                                <button onClick={() => setActiveView('dashboard')} className={`px-3 py-1 rounded-md ${activeView === 'dashboard' ? 'bg-[#f3e7c5]' : 'hover:bg-gray-100'}`}>Dashboard</button>
+                                <button onClick={() => setActiveView('reports')} className={`px-3 py-1 rounded-md ${activeView === 'reports' ? 'bg-[#f3e7c5]' : 'hover:bg-gray-100'}`}>Reports</button>
+                                <button onClick={() => setActiveView('subscriptions')} className={`px-3 py-1 rounded-md ${activeView === 'subscriptions' ? 'bg-[#f3e7c5]' : 'hover:bg-gray-100'}`}>Subscriptions</button>
+                                <button onClick={() => setActiveView('accounts')} className={`px-3 py-1 rounded-md ${activeView === 'accounts' ? 'bg-[#f3e7c5]' : 'hover:bg-gray-100'}`}>Accounts</button>
+                            </nav>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                             <button onClick={() => setIsManageMappingsModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Manage Mappings</button>
+                             <button onClick={() => setIsManageCostCenterModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Manage Cost Centers</button>
+                             <button onClick={() => setIsManageRulesModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Manage Rules</button>
+                             <button onClick={() => setIsCurrencySettingsOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Currencies</button>
+                             <button onClick={() => setIsTransfersOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Transfers</button>
+                             <button onClick={() => setIsActivityOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Activity</button>
+                             <button onClick={() => setIsExportOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Export</button>
+                             {pendingDuplicates > 0 && (
+                                 <button onClick={() => setIsDuplicateReviewOpen(true)} className="px-4 py-2 text-sm font-medium text-[#111a39] bg-yellow-100 rounded-md hover:bg-yellow-200 transition">Review Duplicates ({pendingDuplicates})</button>
+                             )}
+                             <button onClick={() => setIsImportModalOpen(true)} className="px-4 py-2 text-sm font-medium text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] transition">Import</button>
+                             <span className="pl-2 text-sm text-gray-500">{currentUser?.email}</span>
+                             <button onClick={handleLogout} className="px-2 py-2 text-sm font-medium text-[#897142] hover:text-[#99804e]">Sign Out</button>
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            <main className="container mx-auto p-4 sm:p-6 lg:p-8">
+                {activeView === 'reports' ? (
+                    <Suspense fallback={<p className="text-center text-gray-500">Loading reports...</p>}>
+                        <ReportsView />
+                    </Suspense>
+                ) : activeView === 'subscriptions' ? (
+                    <SubscriptionsView />
+                ) : activeView === 'accounts' ? (
+                    <AccountsView baseCurrency={baseCurrency} onChanged={fetchTransactions} />
+                ) : (
+                    <>
+                    <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+                        <div className="p-6 bg-[#fffefa] rounded-lg shadow-md flex justify-between items-center">
+                            <div>
+                                <p className="text-sm font-medium text-gray-500">Total Income</p>
+                                <p className="text-2xl font-bold text-green-600">{formatMoney(totalIncome, baseCurrency)}</p>
+                            </div>
+                            <div className="text-3xl text-[#99804e] opacity-50">$</div>
+                        </div>
+                        <div className="p-6 bg-[#fffefa] rounded-lg shadow-md flex justify-between items-center">
+                            <div>
+                                <p className="text-sm font-medium text-gray-500">Total Expenses</p>
+                                <p className="text-2xl font-bold text-red-600">{formatMoney(totalExpenses, baseCurrency)}</p>
+                            </div>
+                            <svg className="w-8 h-8 text-[#99804e] opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z"></path></svg>
+                        </div>
+                        <div className="p-6 bg-[#fffefa] rounded-lg shadow-md flex justify-between items-center">
+                            <div>
+                                <p className="text-sm font-medium text-gray-500">Net Savings</p>
+                                <p className="text-2xl font-bold">{formatMoney(netSavings, baseCurrency)}</p>
+                            </div>
+                            <svg className="w-8 h-8 text-[#99804e] opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path></svg>
+                        </div>
+                    </div>
+
+                    {unconverted > 0 && (
+                        <p className="mt-4 text-sm text-yellow-800">
+                            <span className="mr-1.5">&#9888;</span>
+                            {unconverted} of these transactions have no exchange rate to {baseCurrency} and are left out of the totals.
+                            <button onClick={() => setIsCurrencySettingsOpen(true)} className="ml-2 text-[#897142] hover:text-[#99804e] font-medium">Add rates</button>
+                        </p>
+                    )}
+
+                    {transferCount > 0 && (
+                        <p className="mt-4 text-sm text-gray-500">
+                            {transferCount} transfers between your accounts are left out of the totals.
+                            <button onClick={() => setIsTransfersOpen(true)} className="ml-2 text-[#897142] hover:text-[#99804e] font-medium">Review transfers</button>
+                        </p>
+                    )}
+
+                    <BudgetPanel startDate={startDate} endDate={endDate} transactions={transactions} costCenters={costCenters} currency={baseCurrency} />
+                
+                    <div className="mt-8 bg-[#fffefa] rounded-lg shadow-md">
+                        <div className="p-6">
+                            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                                <h2 className="text-lg font-bold mb-4 sm:mb-0">Recent Transactions</h2>
+                                <div className="flex items-center space-x-4 text-sm">
+                                    <div className="flex items-center space-x-2">
+                                        <label htmlFor="start-date">From:</label>
+                                        <input type="date" id="start-date" value={startDate} onChange={e => setStartDate(e.target.value)} className="p-1 border rounded-md bg-gray-100" />
+                                    </div>
+                                    <div className="flex items-center space-x-2">
+                                        <label htmlFor="end-date">To:</label>
+                                        <input type="date" id="end-date" value={endDate} min={startDate} onChange={e => setEndDate(e.target.value)} className="p-1 border rounded-md bg-gray-100" />
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mt-4 text-sm">
+                                <input type="text" placeholder="Filter by Merchant..." value={filterMerchant} onChange={e => setFilterMerchant(e.target.value)} className="p-2 border rounded-md bg-gray-100" />
+                                <select value={filterAccount} onChange={e => setFilterAccount(e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                                    <option value="">All Accounts</option>
+                                    {accounts.map(acc => <option key={acc} value={acc}>{acc}</option>)}
+                                </select>
+                                 <select value={filterCostCenter} onChange={e => setFilterCostCenter(e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                                    <option value="">All Cost Centers</option>
+                                    {costCenterTree.map(cc => <option key={cc.id} value={cc.name}>{indentedName(cc)}{cc.archived ? ' (archived)' : ''}</option>)}
+                                </select>
+                                <select value={filterStatus} onChange={e => setFilterStatus(e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                                    <option value="">All Statuses</option>
+                                    <option value="Processed">Processed</option>
+                                    <option value="Review Required">Review Required</option>
+                                </select>
+                                <input type="number" step="0.01" placeholder="Min Amount" value={filterMinAmount} onChange={e => setFilterMinAmount(e.target.value)} className="p-2 border rounded-md bg-gray-100" />
+                                <input type="number" step="0.01" placeholder="Max Amount" value={filterMaxAmount} onChange={e => setFilterMaxAmount(e.target.value)} className="p-2 border rounded-md bg-gray-100" />
+                                <select value={filterTag} onChange={e => setFilterTag(e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                                    <option value="">All Tags</option>
+                                    {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                                </select>
+                                <select value={filterReceipt} onChange={e => setFilterReceipt(e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                                    <option value="">Any Receipt</option>
+                                    <option value="with">With Receipt</option>
+                                    <option value="without">Missing Receipt</option>
+                                </select>
+                            </div>
+
+
+                            {selectedCount > 0 && (
+                                <BulkActionBar
+                                    count={selectedCount}
+                                    costCenters={costCenters}
+                                    canSelectAllMatching={allLoadedSelected && !selectAllMatching && totalCount > transactions.length}
+                                    totalCount={totalCount}
+                                    onSelectAllMatching={() => setSelectAllMatching(true)}
+                                    onApply={handleBulkEdit}
+                                    onLinkTransfer={selectedCount === 2 && !selectAllMatching ? handleLinkTransfer : null}
+                                    onClear={clearSelection}
+                                    isWorking={isBulkEditing}
+                                />
+                            )}
+
+                            <div className="overflow-x-auto mt-4">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="pl-6 py-3">
+                                                <input type="checkbox" checked={allLoadedSelected} onChange={toggleSelectAllLoaded} aria-label="Select all loaded transactions" />
+                                            </th>
+                                            {sortableHeader('date', 'Date')}
+                                            {sortableHeader('merchant', 'Merchant')}
+                                            {sortableHeader('amount', 'Amount')}
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Center</th>
+                                            {sortableHeader('status', 'Status')}
+                                            {sortableHeader('account', 'Account')}
+                                            <th className="px-6 py-3"><span className="sr-only">Details and history</span></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {isLoading || loadedPage === 0 ? (
+                                            <tr>
+                                                <td colSpan="8" className="text-center py-10 text-gray-500">Connecting to server...</td>
+                                            </tr>
+                                        ) : transactions.length > 0 ? (
+                                            transactions.map((transaction) => (
+                                                <tr key={transaction.id} className={isSelected(transaction.id) ? 'bg-[#fbf5e4]' : 'hover:bg-gray-50'}>
+                                                    <td className="pl-6 py-4">
+                                                        <input type="checkbox" checked={isSelected(transaction.id)} onChange={() => toggleSelected(transaction.id)} aria-label={`Select ${transaction.merchant}`} />
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{new Date(transaction.date).toLocaleDateString()}</td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                        {transaction.merchant}
+                                                        {transaction.receiptCount > 0 && (
+                                                            <span title={`${transaction.receiptCount} receipt${transaction.receiptCount === 1 ? '' : 's'} attached`} className="ml-1 text-gray-500">&#128206;</span>
+                                                        )}
+                                                        {(transaction.notes || transaction.tags.length > 0) && (
+                                                            <span className="block text-xs text-gray-500 truncate max-w-xs" title={transaction.notes || undefined}>
+                                                                {transaction.tags.map(tag => `#${tag}`).join(' ')}
+                                                                {transaction.notes && transaction.tags.length > 0 && ' · '}
+                                                                {transaction.notes}
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                        {transaction.amount > 0 ? '+' : ''}{formatMoney(Math.abs(transaction.amount), transaction.currency)}
+                                                        {transaction.currency !== baseCurrency && (
+                                                            <span className="block text-xs font-normal text-gray-500">
+                                                                {transaction.baseAmount === null ? `No ${transaction.currency} rate` : `≈ ${formatMoney(transaction.baseAmount, baseCurrency)}`}
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                        {transaction.reconciliationId ? (
+                                                            <span title="Reconciled and locked; undo the reconciliation under Accounts to edit it" className="text-gray-600">
+                                                                <span className="mr-1">&#128274;</span>
+                                                                {transaction.splits.length > 0 ? transaction.splits.map(split => split.costCenter).join(', ') : transaction.costCenter || 'No cost center'}
+                                                            </span>
+                                                        ) : transaction.splits && transaction.splits.length > 0 ? (
+                                                            <button onClick={() => setSplittingTransaction(transaction)} title="Edit split" className="flex flex-wrap gap-1 text-left">
+                                                                {transaction.splits.map(split => (
+                                                                    <span key={split.id} className="px-2 py-0.5 text-xs rounded-full bg-gray-100">
+                                                                        {split.costCenter} {split.percentage !== null ? `${split.percentage}%` : formatMoney(Math.abs(split.amount), transaction.currency)}
+                                                                    </span>
+                                                                ))}
+                                                            </button>
+                                                        ) : (
+                                                            <>
+                                                                <select
+                                                                    value={transaction.costCenter || ''}
+                                                                    onChange={(e) => handleCostCenterChange(transaction.id, e.target.value)}
+                                                                    className="p-1 border rounded-md bg-gray-100 focus:outline-none focus:ring-1 focus:ring-[#99804e]"
+                                                                >
+                                                                    <option value="">Select...</option>
+                                                                    {transaction.costCenter && !costCenters.includes(transaction.costCenter) && (
+                                                                        <option value={transaction.costCenter}>{transaction.costCenter} (archived)</option>
+                                                                    )}
+                                                                    {offeredTree.map(cc => <option key={cc.id} value={cc.name}>{indentedName(cc)}</option>)}
+                                                                </select>
+                                                                {!transaction.costCenter && transaction.suggestion && (
+                                                                    <button
+                                                                        onClick={() => handleCostCenterChange(transaction.id, transaction.suggestion.costCenter)}
+                                                                        title="Accept suggestion"
+                                                                        className="ml-2 px-2 py-0.5 text-xs rounded-full bg-[#f3e7c5] text-[#111a39] hover:bg-[#e8d9ae]"
+                                                                    >
+                                                                        &#10003; {transaction.suggestion.costCenter} ({Math.round(transaction.suggestion.confidence * 100)}%)
+                                                                    </button>
+                                                                )}
+                                                                <button onClick={() => setSplittingTransaction(transaction)} className="ml-2 text-xs text-[#897142] hover:text-[#99804e] font-medium">Split</button>
+                                                            </>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${transaction.status === 'Processed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                                                            {transaction.status === 'Review Required' && <span className="mr-1.5">&#9888;</span>}
+                                                            {transaction.status}
+                                                        </span>
+                                                        {transaction.transfer && (
+                                                            <button onClick={() => setIsTransfersOpen(true)} title={transaction.transfer.status === 'suggested' ? 'Paired automatically; not yet confirmed' : 'Transfer between your accounts'} className="ml-1 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                                                                Transfer{transaction.transfer.status === 'suggested' && '?'}
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{transaction.account}</td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                                                        <button onClick={() => setDetailTransaction(transaction)} className="text-xs text-[#897142] hover:text-[#99804e] font-medium">Details</button>
+                                                        <button onClick={() => setHistoryTransaction(transaction)} className="ml-3 text-xs text-[#897142] hover:text-[#99804e] font-medium">History</button>
+                                                    </td>
+                                                </tr>
+                                            ))
+                                        ) : (
+                                            <tr>
+                                                <td colSpan="8" className="text-center py-10 text-gray-500">
+                                                    No transactions found. Try adjusting filters or importing a file.
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                                <div ref={loadMoreSentinel} className="py-4 text-center text-sm text-gray-500">
+                                    {transactions.length > 0 && `Showing ${transactions.length} of ${totalCount} transactions`}
+                                    {hasMoreTransactions && (
+                                        <button onClick={loadMoreTransactions} disabled={isLoadingMore} className="ml-3 text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">
+                                            {isLoadingMore ? 'Loading...' : 'Load more'}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    </>
+                )}
+            </main>
+
+             {/* Modals */}
+             {isManageCostCenterModalOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                        <CostCenterManager
+                            costCenters={costCenterTree}
+                            onChanged={handleCostCentersChanged}
+                            onClose={() => setIsManageCostCenterModalOpen(false)}
+                        />
+                    </div>
+                </div>
+             )}
+
+            {splittingTransaction && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-xl">
+                        <SplitEditor
+                            transaction={splittingTransaction}
+                            costCenters={costCenters}
+                            onSave={(splits) => handleSaveSplit(splittingTransaction.id, splits)}
+                            onRemove={() => handleSaveSplit(splittingTransaction.id, [])}
+                            onCancel={() => setSplittingTransaction(null)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isActivityOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                        <ActivityFeed onUndone={handleUndone} onClose={() => setIsActivityOpen(false)} />
+                    </div>
+                </div>
+            )}
+
+            {detailTransaction && (
+                <TransactionDrawer
+                    key={detailTransaction.id}
+                    transaction={detailTransaction}
+                    knownTags={tags}
+                    onUpdated={handleDetailsUpdated}
+                    onClose={() => setDetailTransaction(null)}
+                />
+            )}
+
+            {historyTransaction && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-xl">
+                        <TransactionHistory
+                            key={historyTransaction.id}
+                            transaction={historyTransaction}
+                            onUndone={handleUndone}
+                            onClose={() => setHistoryTransaction(null)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isImportHistoryOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+                        <ImportHistory
+                            onChanged={() => {
+                                fetchTransactions();
+                                fetchAccounts();
+                                fetchPendingDuplicates();
+                            }}
+                            onClose={() => setIsImportHistoryOpen(false)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isDuplicateReviewOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                        <DuplicateReview
+                            onResolved={(remaining) => {
+                                setPendingDuplicates(remaining);
+                                fetchTransactions();
+                            }}
+                            onClose={() => setIsDuplicateReviewOpen(false)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isExportOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md">
+                        <ExportDialog filters={transactionFilters} onClose={() => setIsExportOpen(false)} />
+                    </div>
+                </div>
+            )}
+
+            {isTransfersOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                        <TransfersManager onChanged={fetchTransactions} onClose={() => setIsTransfersOpen(false)} />
+                    </div>
+                </div>
+            )}
+
+            {isCurrencySettingsOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-xl max-h-[90vh] overflow-y-auto">
+                        <CurrencySettings
+                            baseCurrency={baseCurrency}
+                            onBaseCurrencyChange={handleBaseCurrencyChange}
+                            onChanged={fetchTransactions}
+                            onClose={() => setIsCurrencySettingsOpen(false)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {lastChange && (
+                <div className="fixed bottom-6 left-1/2 -translate-x-1/2 flex items-center space-x-4 px-4 py-3 bg-[#111a39] text-white text-sm rounded-md shadow-lg z-40">
+                    <span>{lastChange.message}</span>
+                    {lastChange.operationId && <button onClick={handleUndoLastChange} className="font-semibold text-[#f3e7c5] hover:text-white">Undo</button>}
+                    <button onClick={() => setLastChange(null)} aria-label="Dismiss" className="text-gray-400 hover:text-white">&times;</button>
+                </div>
+            )}
+
+            {isManageRulesModalOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                        <RulesManager
+                            costCenters={costCenters}
+                            accounts={accounts}
+                            onApplied={fetchTransactions}
+                            onClose={() => setIsManageRulesModalOpen(false)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isManageMappingsModalOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                     <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                        <h3 className="text-lg font-bold mb-4">Manage Mappings</h3>
+                        {editingMapping ? (
+                            <MappingEditor
+                                key={editingMapping === 'new' ? 'new' : editingMapping.id}
+                                mapping={editingMapping === 'new' ? null : editingMapping}
+                                onSave={handleSaveMapping}
+                                onCancel={() => setEditingMapping(null)}
+                            />
+                        ) : (
+                            <>
+                                <div className="space-y-4">
+                                    <button onClick={() => setEditingMapping('new')} className="w-full px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152]">New Template</button>
+                                    <ul className="space-y-2 max-h-60 overflow-y-auto">
+                                        {mappings.map(mapping => (
+                                            <li key={mapping.id} className="flex justify-between items-center p-2 bg-gray-100 rounded-md">
+                                                <div>
+                                                    <span className="font-semibold">{mapping.name}</span>
+                                                    <span className="text-xs text-gray-500 ml-2">({mapping.fileType}, Created: {new Date(mapping.dateCreated).toLocaleDateString()})</span>
+                                                </div>
+                                                <div className="space-x-3">
+                                                    <button onClick={() => setEditingMapping(mapping)} className="text-[#897142] hover:text-[#99804e] text-sm font-medium">Edit</button>
+                                                    <button onClick={() => handleRemoveMapping(mapping.id)} className="text-red-500 hover:text-red-700 font-bold">X</button>
+                                                </div>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                                <div className="text-right mt-6">
+                                    <button onClick={() => setIsManageMappingsModalOpen(false)} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+            
+            {isImportModalOpen && (
+                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className={`bg-white rounded-lg shadow-xl p-6 w-full text-center ${importPreview ? 'max-w-5xl' : 'max-w-md'}`}>
+                        <h3 className="text-lg font-bold mb-4">Import Transactions</h3>
+                        {importProgress && <ImportProgress progress={importProgress} />}
+                        {importPreview ? (
+                            <>
+                                <p className="text-gray-600 mb-4">Review <strong>{importFile.name}</strong> before importing.</p>
+                                <ImportPreview
+                                    preview={importPreview}
+                                    isImporting={isImporting}
+                                    onConfirm={handleConfirmImport}
+                                    onBack={() => setImportPreview(null)}
+                                />
+                            </>
+                        ) : (
+                            <>
+                                <p className="text-gray-600 mb-6">Select a mapping template and upload your transaction file. OFX/QFX, CAMT.053 and MT940 statements are read without a template.</p>
+                                <select value={selectedMappingId} onChange={e => setSelectedMappingId(e.target.value)} className="w-full p-2 mb-4 border rounded-md bg-gray-100">
+                                    <option value="">No template (Date, Description, Amount, Account columns)</option>
+                                    {mappings.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                                </select>
+                                <label className="flex items-center justify-center space-x-2 mb-4 text-sm text-gray-600">
+                                    <input type="checkbox" checked={autoApplySuggestions} onChange={e => setAutoApplySuggestions(e.target.checked)} />
+                                    <span>Auto-assign cost centers when the learned suggestion is confident</span>
+                                </label>
+                        
+                                <label htmlFor="file-upload" className={`w-full cursor-pointer bg-[#111a39] text-white px-4 py-2 rounded-md hover:bg-[#0a2152] inline-block ${importProgress ? 'opacity-50 pointer-events-none' : ''}`}>
+                                   {importProgress ? 'Reading File...' : 'Choose File...'}
+                                </label>
+                                <input id="file-upload" type="file" className="hidden" onChange={handleFileSelect} disabled={Boolean(importProgress)} accept=".csv,.xlsx,.xls,.ofx,.qfx,.xml,.sta,.mt940,.txt" />
+                        
+                                <div className="flex justify-between items-center mt-6">
+                                   <button onClick={() => { closeImportModal(); setIsImportHistoryOpen(true); }} className="text-sm text-[#897142] hover:text-[#99804e] font-medium">Import History</button>
+                                   <button onClick={closeImportModal} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                 </div>
+            )}
+        </div>
+    );
 }
\ No newline at end of file
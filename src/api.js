@@ -0,0 +1,35 @@
+// The base URL for your backend API, read from the environment variable.
+// It falls back to localhost for easy local development.
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// --- Session ---
+// The signed session token from /api/auth/login or /api/auth/signup is kept
+// in localStorage and sent as a Bearer token with every API request.
+const SESSION_STORAGE_KEY = 'balanzia.sessionToken';
+
+export const getSessionToken = () => localStorage.getItem(SESSION_STORAGE_KEY);
+
+export const setSessionToken = (token) => {
+    if (token) localStorage.setItem(SESSION_STORAGE_KEY, token);
+    else localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+// Called when the server rejects the session (expired, signed out elsewhere)
+let handleUnauthorized = () => {};
+export const onUnauthorized = (handler) => {
+    handleUnauthorized = handler;
+};
+
+// fetch() against the API with the session attached
+export const apiFetch = async (path, options = {}) => {
+    const token = getSessionToken();
+    const response = await fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    });
+    if (response.status === 401 && token) {
+        setSessionToken(null);
+        handleUnauthorized();
+    }
+    return response;
+};
@@ -0,0 +1,44 @@
+import { apiFetch } from './api';
+
+const FIELD_LABELS = { costCenter: 'cost center', fileType: 'file type' };
+
+// A logged field value as one line of text
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (field === 'splits') {
+        return value.length === 0
+            ? 'none'
+            : value.map(split => `${split.costCenter} ${split.percentage !== null ? `${split.percentage}%` : Math.abs(split.amount).toFixed(2)}`).join(', ');
+    }
+    if (field === 'tags') return value.length === 0 ? 'none' : value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// What an audit entry did, e.g. "cost center: none → Travel"
+export const describeEntry = (entry) => {
+    if (!entry.before) return 'Created';
+    if (!entry.after) return 'Deleted';
+    return entry.changes
+        .map(change => `${FIELD_LABELS[change.field] || change.field}: ${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`)
+        .join('; ');
+};
+
+// The name an audit entry's entity goes by
+export const entityLabel = (entry) => {
+    const state = entry.after || entry.before;
+    if (entry.entityType === 'transaction') return `${state.merchant} (${state.date})`;
+    return state.name;
+};
+
+// Undoes a logged operation, or only one entity's part of it
+export const undoOperation = async (operationId, entity = {}) => {
+    const response = await apiFetch(`/api/activity/${operationId}/undo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entity),
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Undo failed');
+    return result;
+};
@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+const ACCOUNT_TYPES = {
+    checking: 'Checking',
+    savings: 'Savings',
+    credit_card: 'Credit card',
+    cash: 'Cash',
+    investment: 'Investment',
+    loan: 'Loan',
+    other: 'Other',
+};
+
+const EMPTY_ACCOUNT = { name: '', institution: '', type: 'checking', currency: '', openingBalance: '' };
+
+const fetchJson = async (path, options) => {
+    const response = await apiFetch(path, options);
+    const result = response.status === 204 ? null : await response.json();
+    if (!response.ok) throw new Error(result?.error || 'Request failed');
+    return result;
+};
+
+const jsonBody = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+const accountPath = (name) => `/api/accounts/${encodeURIComponent(name)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Name, institution, type, currency and opening balance of an account.
+// The name is fixed once the account exists.
+const AccountForm = ({ initial, isNew, onSave, onCancel }) => {
+    const [form, setForm] = useState(initial);
+    const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+    const inputClass = 'p-2 border rounded-md text-sm';
+
+    return (
+        <div className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-center p-3 bg-gray-50 rounded-md">
+            <input value={form.name} onChange={set('name')} disabled={!isNew} placeholder="Name" className={`${inputClass} disabled:bg-gray-100`} />
+            <input value={form.institution} onChange={set('institution')} placeholder="Institution" className={inputClass} />
+            <select value={form.type} onChange={set('type')} className={inputClass}>
+                {Object.entries(ACCOUNT_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <input value={form.currency} onChange={set('currency')} placeholder="Currency" maxLength={3} className={`${inputClass} uppercase`} />
+            <input type="number" step="0.01" value={form.openingBalance} onChange={set('openingBalance')} placeholder="Opening balance" className={inputClass} />
+            <div className="space-x-3 text-right">
+                <button onClick={() => onSave({ ...form, openingBalance: form.openingBalance === '' ? 0 : parseFloat(form.openingBalance) })} className="text-[#897142] hover:text-[#99804e] font-medium">Save</button>
+                <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">Cancel</button>
+            </div>
+        </div>
+    );
+};
+
+// One account's transactions with the running balance after each, and
+// reconciliation against a statement: enter the statement's date and closing
+// balance, tick the transactions it lists until the difference is zero, then
+// finish to lock them. Only the latest reconciliation can be undone.
+const AccountLedger = ({ name, onChanged }) => {
+    const [ledger, setLedger] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [statement, setStatement] = useState(null);
+    const [ticked, setTicked] = useState(new Set());
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchJson(`${accountPath(name)}/ledger`)
+            .then(setLedger)
+            .catch(err => {
+                console.error('Error loading ledger:', err);
+                setError(err.message);
+            });
+    }, [name, reloadKey]);
+
+    if (!ledger) return error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-center text-gray-500">Loading ledger...</p>;
+
+    const { account, transactions, reconciliations } = ledger;
+    const money = (amount) => formatMoney(amount, account.currency);
+    const statementBalance = statement ? parseFloat(statement.balance) : NaN;
+    const clearedBalance = roundCents(account.clearedBalance + transactions
+        .filter(t => ticked.has(t.id))
+        .reduce((sum, t) => sum + t.amount, 0));
+    const difference = roundCents(statementBalance - clearedBalance);
+
+    const toggle = (id) => {
+        const next = new Set(ticked);
+        if (next.has(id)) next.delete(id); else next.add(id);
+        setTicked(next);
+    };
+
+    // Every change goes through here so failures show in one place
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+            setReloadKey(key => key + 1);
+            onChanged();
+        } catch (err) {
+            console.error('Error reconciling account:', err);
+            setError(err.message);
+        }
+    };
+
+    const handleFinish = () => run(async () => {
+        const acceptDifference = difference !== 0;
+        if (acceptDifference && !window.confirm(`The cleared balance is off from the statement by ${money(Math.abs(difference))}. Finish anyway?`)) return;
+        await fetchJson(`${accountPath(name)}/reconciliations`, jsonBody('POST', {
+            statementDate: statement.date,
+            statementBalance,
+            transactionIds: [...ticked],
+            acceptDifference,
+        }));
+        setStatement(null);
+        setTicked(new Set());
+    });
+
+    const handleUndo = (id) => run(async () => {
+        if (!window.confirm('Undo this reconciliation? Its transactions will be unlocked.')) return;
+        await fetchJson(`${accountPath(name)}/reconciliations/${id}`, { method: 'DELETE' });
+    });
+
+    return (
+        <div className="bg-[#fffefa] rounded-lg shadow-md p-6 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <div>
+                    <h2 className="text-lg font-bold">{account.name}</h2>
+                    <p className="text-sm text-gray-500">
+                        Balance {money(account.balance)} · Cleared {money(account.clearedBalance)} · {account.unreconciledCount} not reconciled
+                    </p>
+                </div>
+                {!statement && (
+                    <button onClick={() => setStatement({ date: new Date().toISOString().slice(0, 10), balance: '' })} className="px-4 py-2 text-sm font-medium text-white bg-[#897142] rounded-md hover:bg-[#99804e] transition">Reconcile</button>
+                )}
+            </div>
+
+            {statement && (
+                <div className="p-4 bg-gray-50 rounded-md text-sm space-y-3">
+                    <div className="flex flex-wrap items-end gap-4">
+                        <label className="flex flex-col">
+                            <span className="text-xs font-medium text-gray-500">Statement date</span>
+                            <input type="date" value={statement.date} onChange={e => setStatement({ ...statement, date: e.target.value })} className="p-2 border rounded-md" />
+                        </label>
+                        <label className="flex flex-col">
+                            <span className="text-xs font-medium text-gray-500">Closing balance</span>
+                            <input type="number" step="0.01" value={statement.balance} onChange={e => setStatement({ ...statement, balance: e.target.value })} className="p-2 border rounded-md" />
+                        </label>
+                        <div>
+                            <p className="text-xs font-medium text-gray-500">Cleared balance</p>
+                            <p className="py-2">{money(clearedBalance)}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs font-medium text-gray-500">Difference</p>
+                            <p className={`py-2 font-bold ${difference === 0 ? 'text-green-600' : 'text-red-600'}`}>{Number.isNaN(difference) ? '—' : money(difference)}</p>
+                        </div>
+                    </div>
+                    <p className="text-gray-500">Tick the transactions on the statement until the difference is zero.</p>
+                    <div className="space-x-3">
+                        <button onClick={handleFinish} disabled={!statement.date || Number.isNaN(statementBalance)} className="px-4 py-2 font-medium text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Finish</button>
+                        <button onClick={() => { setStatement(null); setTicked(new Set()); }} className="px-4 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
+                    </div>
+                </div>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            <th className="px-4 py-2 w-8"></th>
+                            <th className="px-4 py-2">Date</th>
+                            <th className="px-4 py-2">Merchant</th>
+                            <th className="px-4 py-2 text-right">Amount</th>
+                            <th className="px-4 py-2 text-right">Balance</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {transactions.map(t => (
+                            <tr key={t.id} className={ticked.has(t.id) ? 'bg-[#fbf5e4]' : ''}>
+                                <td className="px-4 py-2">
+                                    {t.reconciliationId ? (
+                                        <span title="Reconciled and locked">&#128274;</span>
+                                    ) : statement && (
+                                        <input type="checkbox" checked={ticked.has(t.id)} onChange={() => toggle(t.id)} disabled={t.date > statement.date} aria-label={`Reconcile ${t.merchant}`} />
+                                    )}
+                                </td>
+                                <td className="px-4 py-2 whitespace-nowrap">{formatDate(t.date)}</td>
+                                <td className="px-4 py-2">{t.merchant}</td>
+                                <td className={`px-4 py-2 text-right whitespace-nowrap ${t.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>{money(t.amount)}</td>
+                                <td className="px-4 py-2 text-right whitespace-nowrap">{money(t.balance)}</td>
+                            </tr>
+                        ))}
+                        <tr className="text-gray-500">
+                            <td className="px-4 py-2"></td>
+                            <td className="px-4 py-2" colSpan="3">Opening balance</td>
+                            <td className="px-4 py-2 text-right whitespace-nowrap">{money(account.openingBalance)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            {reconciliations.length > 0 && (
+                <div>
+                    <h3 className="font-bold mb-2">Reconciled statements</h3>
+                    <ul className="text-sm divide-y divide-gray-200">
+                        {reconciliations.map((reconciliation, i) => (
+                            <li key={reconciliation.id} className="py-2 flex justify-between">
+                                <span>
+                                    {formatDate(reconciliation.statementDate)} · statement {money(reconciliation.statementBalance)}
+                                    {reconciliation.clearedBalance !== reconciliation.statementBalance && (
+                                        <span className="text-red-600"> · off by {money(reconciliation.statementBalance - reconciliation.clearedBalance)}</span>
+                                    )}
+                                </span>
+                                {i === 0 && <button onClick={() => handleUndo(reconciliation.id)} className="text-red-500 hover:text-red-700 font-medium">Undo</button>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The user's accounts with their details and balances. Accounts appear here
+// as soon as a transaction names them; their details can be filled in later.
+// onChanged lets the page reload after a reconciliation locks transactions.
+export default function AccountsView({ baseCurrency, onChanged }) {
+    const [accounts, setAccounts] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [editing, setEditing] = useState(null);
+    const [selectedName, setSelectedName] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchJson('/api/accounts')
+            .then(setAccounts)
+            .catch(err => {
+                console.error('Error loading accounts:', err);
+                setError(err.message);
+            });
+    }, [reloadKey]);
+
+    const handleSave = async (form) => {
+        setError('');
+        try {
+            if (editing === 'new') {
+                await fetchJson('/api/accounts', jsonBody('POST', form));
+            } else {
+                await fetchJson(accountPath(editing), jsonBody('PUT', form));
+            }
+            setEditing(null);
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            console.error('Error saving account:', err);
+            setError(err.message);
+        }
+    };
+
+    const handleLedgerChanged = () => {
+        setReloadKey(key => key + 1);
+        onChanged();
+    };
+
+    if (!accounts) return error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-center text-gray-500">Loading accounts...</p>;
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-[#fffefa] rounded-lg shadow-md p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-bold">Accounts</h2>
+                    <button onClick={() => setEditing('new')} className="text-[#897142] hover:text-[#99804e] font-medium text-sm">Add account</button>
+                </div>
+                {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+                {editing === 'new' && (
+                    <div className="mb-4">
+                        <AccountForm initial={{ ...EMPTY_ACCOUNT, currency: baseCurrency }} isNew onSave={handleSave} onCancel={() => setEditing(null)} />
+                    </div>
+                )}
+                {accounts.length === 0 ? (
+                    <p className="text-sm text-gray-500 py-6 text-center">No accounts yet. They are added as you import transactions, or by hand.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    <th className="px-4 py-2">Account</th>
+                                    <th className="px-4 py-2">Type</th>
+                                    <th className="px-4 py-2 text-right">Opening</th>
+                                    <th className="px-4 py-2 text-right">Balance</th>
+                                    <th className="px-4 py-2 text-right">Cleared</th>
+                                    <th className="px-4 py-2">Last reconciled</th>
+                                    <th className="px-4 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {accounts.map(account => (editing === account.name ? (
+                                    <tr key={account.name}>
+                                        <td colSpan="7" className="py-2">
+                                            <AccountForm
+                                                initial={{ ...account, institution: account.institution || '', openingBalance: String(account.openingBalance) }}
+                                                onSave={handleSave}
+                                                onCancel={() => setEditing(null)}
+                                            />
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    <tr key={account.name} className={selectedName === account.name ? 'bg-[#fbf5e4]' : ''}>
+                                        <td className="px-4 py-2">
+                                            <div className="font-medium">{account.name}</div>
+                                            <div className="text-xs text-gray-500">{[account.institution, account.currency].filter(Boolean).join(' · ')}</div>
+                                        </td>
+                                        <td className="px-4 py-2">{ACCOUNT_TYPES[account.type]}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap">{formatMoney(account.openingBalance, account.currency)}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap font-medium">{formatMoney(account.balance, account.currency)}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap">{formatMoney(account.clearedBalance, account.currency)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{account.lastReconciliation ? formatDate(account.lastReconciliation.statementDate) : '—'}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap space-x-3">
+                                            <button onClick={() => setSelectedName(account.name)} className="text-[#897142] hover:text-[#99804e] font-medium">Ledger</button>
+                                            <button onClick={() => setEditing(account.name)} className="text-[#897142] hover:text-[#99804e] font-medium">Edit</button>
+                                        </td>
+                                    </tr>
+                                )))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {selectedName && <AccountLedger key={selectedName} name={selectedName} onChanged={handleLedgerChanged} />}
+        </div>
+    );
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { describeEntry, entityLabel, undoOperation } from '../audit';
+
+const PAGE_SIZE = 25;
+
+const ENTITY_TYPE_LABELS = { transaction: 'Transaction', cost_center: 'Cost center', mapping: 'Mapping' };
+
+// Everything changed through the API, newest first. Each operation (an
+// edit, a bulk edit, an import, ...) expands to the records it changed and
+// can be undone as a whole; onUndone lets the page reload its data.
+export default function ActivityFeed({ onUndone, onClose }) {
+    const [operations, setOperations] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [expandedId, setExpandedId] = useState(null);
+    const [entries, setEntries] = useState([]);
+    const [undoingId, setUndoingId] = useState(null);
+
+    useEffect(() => {
+        apiFetch(`/api/activity?page=${page}&pageSize=${PAGE_SIZE}`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch activity');
+                return res.json();
+            })
+            .then(data => {
+                setOperations(data.operations);
+                setTotal(data.total);
+            })
+            .catch(err => {
+                console.error(err);
+                alert('Could not load activity.');
+            });
+    }, [page, reloadKey]);
+
+    const toggleExpanded = async (operationId) => {
+        if (expandedId === operationId) {
+            setExpandedId(null);
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/activity/${operationId}`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to fetch operation');
+            setEntries(result.entries);
+            setExpandedId(operationId);
+        } catch (error) {
+            console.error('Error fetching operation:', error);
+            alert(`Could not load the changes: ${error.message}`);
+        }
+    };
+
+    const handleUndo = async (operation) => {
+        if (!window.confirm(`Undo "${operation.source}" (${operation.entryCount} changes)?`)) return;
+        setUndoingId(operation.id);
+        try {
+            await undoOperation(operation.id);
+            setExpandedId(null);
+            setPage(1);
+            setReloadKey(key => key + 1);
+            onUndone();
+        } catch (error) {
+            console.error('Error undoing operation:', error);
+            alert(`Could not undo: ${error.message}`);
+        } finally {
+            setUndoingId(null);
+        }
+    };
+
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    return (
+        <div>
+            <h3 className="text-lg font-bold mb-4">Activity</h3>
+            {operations.length === 0 ? (
+                <p className="text-sm text-gray-500 py-6 text-center">Nothing has been changed yet.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {operations.map(operation => (
+                        <li key={operation.id} className="p-3 bg-gray-100 rounded-md text-sm">
+                            <div className="flex justify-between items-center">
+                                <button onClick={() => toggleExpanded(operation.id)} className="text-left">
+                                    <span className="font-semibold">{operation.source}</span>
+                                    <span className="text-xs text-gray-500 ml-2">
+                                        {operation.entryCount} {operation.entryCount === 1 ? 'change' : 'changes'} · {operation.actorEmail || 'deleted user'} · {new Date(operation.createdAt).toLocaleString()}
+                                    </span>
+                                </button>
+                                {operation.entryCount > 0 && (
+                                    <button onClick={() => handleUndo(operation)} disabled={undoingId !== null} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">
+                                        {undoingId === operation.id ? 'Undoing...' : 'Undo'}
+                                    </button>
+                                )}
+                            </div>
+                            {expandedId === operation.id && (
+                                <ul className="mt-2 space-y-1 text-xs text-gray-600">
+                                    {entries.map(entry => (
+                                        <li key={entry.id}>
+                                            <span className="font-medium">{ENTITY_TYPE_LABELS[entry.entityType]} {entityLabel(entry)}:</span> {describeEntry(entry)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex justify-between items-center mt-6 text-sm">
+                <div className="space-x-3">
+                    <button onClick={() => setPage(page - 1)} disabled={page === 1} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Newer</button>
+                    <span className="text-gray-500">Page {page} of {pageCount}</span>
+                    <button onClick={() => setPage(page + 1)} disabled={page >= pageCount} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Older</button>
+                </div>
+                <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { apiFetch, setSessionToken } from '../api';
+
+const TITLES = {
+    login: 'Sign In',
+    signup: 'Create Account',
+    forgot: 'Reset Password',
+    reset: 'Choose a New Password',
+};
+
+const inputClassName = 'w-full px-3 py-2 mt-1 text-gray-900 bg-gray-100 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#99804e]';
+
+// Sign in, sign up and password reset. A reset link opens the app with
+// ?resetToken=... which starts this screen in 'reset' mode.
+export default function AuthScreen({ onAuthenticated }) {
+    const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('resetToken'));
+    const [mode, setMode] = useState(resetToken ? 'reset' : 'login');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setError('');
+        setMessage('');
+        setPassword('');
+    };
+
+    const post = async (path, body) => {
+        const response = await apiFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Request failed');
+        return result;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        try {
+            if (mode === 'login' || mode === 'signup') {
+                const { token, user } = await post(mode === 'login' ? '/api/auth/login' : '/api/auth/signup', { email, password });
+                setSessionToken(token);
+                onAuthenticated(user);
+            } else if (mode === 'forgot') {
+                const result = await post('/api/auth/forgot-password', { email });
+                setMessage(result.message);
+            } else {
+                const result = await post('/api/auth/reset-password', { token: resetToken, password });
+                // Drop the token from the address bar so a reload doesn't reuse it
+                window.history.replaceState(null, '', window.location.pathname);
+                switchMode('login');
+                setMessage(result.message);
+            }
+        } catch (authError) {
+            console.error('Authentication failed:', authError);
+            setError(authError.message);
+        }
+    };
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-[#f3e7c5] font-sans">
+            <div className="w-full max-w-md p-8 space-y-8 bg-[#fffefa] rounded-lg shadow-lg">
+                <div className="text-center">
+                    <img src="/farlish-logo.png" alt="balanzia logo" className="w-24 h-24 mx-auto mb-4" />
+                    <h1 className="text-3xl font-bold text-[#111a39]">balanzia</h1>
+                    <p className="mt-2 text-sm text-gray-500">{TITLES[mode]}</p>
+                </div>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    {mode !== 'reset' && (
+                        <div>
+                            <label htmlFor="email" className="text-sm font-medium text-[#111a39]">Email</label>
+                            <input
+                                id="email"
+                                type="email"
+                                autoComplete="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                className={inputClassName}
+                                placeholder="you@example.com"
+                            />
+                        </div>
+                    )}
+                    {mode !== 'forgot' && (
+                        <div>
+                            <label htmlFor="password" className="text-sm font-medium text-[#111a39]">{mode === 'reset' ? 'New Password' : 'Password'}</label>
+                            <input
+                                id="password"
+                                type="password"
+                                autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className={inputClassName}
+                                placeholder={mode === 'login' ? 'Enter your password' : 'At least 8 characters'}
+                            />
+                        </div>
+                    )}
+                    {error && <p className="text-sm text-center text-red-500">{error}</p>}
+                    {message && <p className="text-sm text-center text-green-600">{message}</p>}
+                    <button type="submit" className="w-full py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] transition-colors">
+                        {mode === 'forgot' ? 'Send Reset Link' : TITLES[mode]}
+                    </button>
+                </form>
+                <div className="flex justify-between text-sm">
+                    {mode === 'login' ? (
+                        <>
+                            <button onClick={() => switchMode('signup')} className="text-[#897142] hover:text-[#99804e]">Create an account</button>
+                            <button onClick={() => switchMode('forgot')} className="text-[#897142] hover:text-[#99804e]">Forgot password?</button>
+                        </>
+                    ) : (
+                        <button onClick={() => switchMode('login')} className="text-[#897142] hover:text-[#99804e]">Back to sign in</button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
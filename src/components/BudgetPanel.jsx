@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+const EMPTY_BUDGET = { cost_center: '', amount: '', recurrence: 'monthly', start_month: '', end_month: '' };
+
+const RECURRENCE_LABELS = { none: 'This month only', monthly: 'Every month', annual: 'Every year' };
+
+// First and last day of the month containing a YYYY-MM-DD date
+const monthRangeOf = (date) => {
+    const [year, month] = date.split('-').map(Number);
+    const lastDay = new Date(year, month, 0).getDate();
+    return { start: `${date.slice(0, 7)}-01`, end: `${date.slice(0, 7)}-${lastDay}` };
+};
+
+// Budget vs. actual per cost center for the dashboard's date range, with a
+// small form for managing the budgets themselves. Budgets are in the base
+// `currency`, which also refreshes the figures when it changes, as
+// `transactions` does after edits elsewhere on the page.
+export default function BudgetPanel({ startDate, endDate, transactions, costCenters, currency }) {
+    const [variance, setVariance] = useState([]);
+    const [budgets, setBudgets] = useState([]);
+    const [isManaging, setIsManaging] = useState(false);
+    const [newBudget, setNewBudget] = useState(EMPTY_BUDGET);
+    const [formError, setFormError] = useState('');
+
+    // Follow the table's date filter; an open-ended filter, or none at all,
+    // falls back to the month it starts or ends in (or the current month)
+    const fallback = monthRangeOf(startDate || endDate || new Date().toLocaleDateString('en-CA'));
+    const rangeStart = startDate || fallback.start;
+    const rangeEnd = endDate || fallback.end;
+
+    useEffect(() => {
+        const params = new URLSearchParams({ startDate: rangeStart, endDate: rangeEnd });
+        apiFetch(`/api/budgets/variance?${params}`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch budget variance');
+                return res.json();
+            })
+            .then(setVariance)
+            .catch(err => console.error(err));
+    }, [rangeStart, rangeEnd, transactions, budgets, currency]);
+
+    useEffect(() => {
+        apiFetch(`/api/budgets`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch budgets');
+                return res.json();
+            })
+            .then(setBudgets)
+            .catch(err => console.error(err));
+    }, []);
+
+    const handleAddBudget = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        const body = {
+            cost_center: newBudget.cost_center,
+            amount: Number(newBudget.amount),
+            recurrence: newBudget.recurrence,
+            start_month: newBudget.start_month ? `${newBudget.start_month}-01` : '',
+            end_month: newBudget.end_month ? `${newBudget.end_month}-01` : null,
+        };
+        try {
+            const response = await apiFetch(`/api/budgets`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to add budget');
+            setBudgets([...budgets, result]);
+            setNewBudget(EMPTY_BUDGET);
+        } catch (error) {
+            console.error('Error adding budget:', error);
+            setFormError(error.message);
+        }
+    };
+
+    const handleRemoveBudget = async (id) => {
+        try {
+            const response = await apiFetch(`/api/budgets/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to remove budget');
+            setBudgets(budgets.filter(b => b.id !== id));
+        } catch (error) {
+            console.error('Error removing budget:', error);
+            alert('Could not remove budget.');
+        }
+    };
+
+    return (
+        <div className="mt-8 bg-[#fffefa] rounded-lg shadow-md p-6">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h2 className="text-lg font-bold">Budgets</h2>
+                    <p className="text-xs text-gray-500">{rangeStart} to {rangeEnd}</p>
+                </div>
+                <button onClick={() => setIsManaging(!isManaging)} className="text-sm text-[#897142] hover:text-[#99804e] font-medium">
+                    {isManaging ? 'Done' : 'Manage Budgets'}
+                </button>
+            </div>
+
+            {variance.length === 0 ? (
+                <p className="text-sm text-gray-500">No budgets apply to this period.</p>
+            ) : (
+                <table className="w-full text-sm text-left">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                        <tr>
+                            <th className="px-4 py-2">Cost Center</th>
+                            <th className="px-4 py-2 text-right">Budget</th>
+                            <th className="px-4 py-2 text-right">Spent</th>
+                            <th className="px-4 py-2 text-right">Remaining</th>
+                            <th className="px-4 py-2 w-1/4">% Used</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {variance.map(row => (
+                            <tr key={row.costCenter} className={`border-b ${row.overBudget ? 'bg-red-50 text-red-700' : ''}`}>
+                                <td className="px-4 py-2 font-medium">{row.costCenter}</td>
+                                <td className="px-4 py-2 text-right">{formatMoney(row.budget, currency)}</td>
+                                <td className="px-4 py-2 text-right">{formatMoney(row.spent, currency)}</td>
+                                <td className="px-4 py-2 text-right">{formatMoney(row.remaining, currency)}</td>
+                                <td className="px-4 py-2">
+                                    <div className="flex items-center space-x-2">
+                                        <div className="flex-grow h-2 bg-gray-200 rounded-full overflow-hidden">
+                                            <div className={`h-2 ${row.overBudget ? 'bg-red-500' : 'bg-[#99804e]'}`} style={{ width: `${Math.min(Math.max(row.percentUsed || 0, 0), 100)}%` }} />
+                                        </div>
+                                        <span className="w-14 text-right">{row.percentUsed}%</span>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {isManaging && (
+                <div className="mt-6 space-y-4 text-sm">
+                    <form onSubmit={handleAddBudget} className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-end">
+                        <select value={newBudget.cost_center} onChange={e => setNewBudget({ ...newBudget, cost_center: e.target.value })} className="p-2 border rounded-md bg-gray-100 sm:col-span-2">
+                            <option value="">Select cost center...</option>
+                            {costCenters.map(cc => <option key={cc} value={cc}>{cc}</option>)}
+                        </select>
+                        <input type="number" min="0" step="0.01" placeholder="Amount" value={newBudget.amount} onChange={e => setNewBudget({ ...newBudget, amount: e.target.value })} className="p-2 border rounded-md bg-gray-100" />
+                        <select value={newBudget.recurrence} onChange={e => setNewBudget({ ...newBudget, recurrence: e.target.value })} className="p-2 border rounded-md bg-gray-100">
+                            {Object.entries(RECURRENCE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                        <input type="month" title="Start month" value={newBudget.start_month} onChange={e => setNewBudget({ ...newBudget, start_month: e.target.value })} className="p-2 border rounded-md bg-gray-100" />
+                        <input type="month" title="End month (optional)" value={newBudget.end_month} min={newBudget.start_month} disabled={newBudget.recurrence === 'none'} onChange={e => setNewBudget({ ...newBudget, end_month: e.target.value })} className="p-2 border rounded-md bg-gray-100 disabled:opacity-50" />
+                        <button type="submit" className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] sm:col-span-6">Add Budget</button>
+                    </form>
+                    {formError && <p className="text-red-600">{formError}</p>}
+
+                    <ul className="divide-y">
+                        {budgets.map(budget => (
+                            <li key={budget.id} className="flex justify-between items-center py-2">
+                                <span>
+                                    <strong>{budget.cost_center}</strong>: {formatMoney(Number(budget.amount), currency)} · {RECURRENCE_LABELS[budget.recurrence]} from {budget.start_month.slice(0, 7)}
+                                    {budget.end_month && budget.recurrence !== 'none' ? ` to ${budget.end_month.slice(0, 7)}` : ''}
+                                </span>
+                                <button onClick={() => handleRemoveBudget(budget.id)} className="text-red-500 hover:text-red-700 font-bold">X</button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
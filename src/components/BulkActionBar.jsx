@@ -0,0 +1,40 @@
+import { useState } from 'react';
+
+// Actions for the transactions ticked in the table. Each button hands
+// onApply one bulk edit ({ action, costCenter } / { action, status } /
+// { action }); the parent decides which transactions it applies to.
+// onLinkTransfer, when given, links the two ticked transactions as a transfer.
+export default function BulkActionBar({ count, costCenters, canSelectAllMatching, totalCount, onSelectAllMatching, onApply, onLinkTransfer, onClear, isWorking }) {
+    const [costCenter, setCostCenter] = useState('');
+    const [status, setStatus] = useState('Processed');
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 mt-4 p-3 bg-[#f3e7c5] rounded-md text-sm">
+            <span className="font-semibold">{count} selected</span>
+            {canSelectAllMatching && (
+                <button onClick={onSelectAllMatching} className="text-[#897142] hover:text-[#99804e] font-medium">
+                    Select all {totalCount} matching
+                </button>
+            )}
+            <div className="flex items-center space-x-2">
+                <select value={costCenter} onChange={e => setCostCenter(e.target.value)} className="p-1 border rounded-md bg-white">
+                    <option value="">No cost center</option>
+                    {costCenters.map(cc => <option key={cc} value={cc}>{cc}</option>)}
+                </select>
+                <button onClick={() => onApply({ action: 'setCostCenter', costCenter })} disabled={isWorking} className="px-3 py-1 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Assign</button>
+            </div>
+            <div className="flex items-center space-x-2">
+                <select value={status} onChange={e => setStatus(e.target.value)} className="p-1 border rounded-md bg-white">
+                    <option value="Processed">Processed</option>
+                    <option value="Review Required">Review Required</option>
+                </select>
+                <button onClick={() => onApply({ action: 'setStatus', status })} disabled={isWorking} className="px-3 py-1 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Set Status</button>
+            </div>
+            {onLinkTransfer && (
+                <button onClick={onLinkTransfer} disabled={isWorking} className="px-3 py-1 text-white bg-[#897142] rounded-md hover:bg-[#99804e] disabled:opacity-50">Link as Transfer</button>
+            )}
+            <button onClick={() => onApply({ action: 'delete' })} disabled={isWorking} className="px-3 py-1 text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50">Delete</button>
+            <button onClick={onClear} className="ml-auto text-gray-600 hover:text-gray-800">Clear selection</button>
+        </div>
+    );
+}
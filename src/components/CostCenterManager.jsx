@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { apiFetch } from '../api';
+import { offeredCostCenters, subtreeOf, indentedName } from '../costCenters';
+
+// The cost center tree with everything that can be done to it: add, rename,
+// move under another, archive, merge into another and remove. costCenters is
+// the tree as GET /api/cost-centers lists it; onChanged gets the audit
+// operation id and a message after every change so the page can reload and
+// offer to undo it.
+export default function CostCenterManager({ costCenters, onChanged, onClose }) {
+    const [newName, setNewName] = useState('');
+    const [newParent, setNewParent] = useState('');
+    const [editing, setEditing] = useState(null); // { original, name, parent } while renaming or moving one
+    const [merging, setMerging] = useState(null); // { source, into } while choosing where to merge one
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+
+    const offered = offeredCostCenters(costCenters);
+
+    // Send a change and report it; returns whether it went through
+    const send = async (path, options, message) => {
+        setIsWorking(true);
+        setError('');
+        try {
+            const response = await apiFetch(path, {
+                ...options,
+                headers: { 'Content-Type': 'application/json' },
+            });
+            const result = response.status === 204 ? null : await response.json();
+            if (!response.ok) throw new Error(result?.error || 'Request failed');
+            onChanged(response.headers.get('X-Operation-Id'), message);
+            return true;
+        } catch (err) {
+            console.error('Error changing cost centers:', err);
+            setError(err.message);
+            return false;
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const pathOf = (name) => `/api/cost-centers/${encodeURIComponent(name)}`;
+
+    const handleAdd = async () => {
+        const name = newName.trim();
+        if (!name) return;
+        const body = JSON.stringify({ name, parent: newParent || null });
+        if (await send('/api/cost-centers', { method: 'POST', body }, `Added ${name}.`)) setNewName('');
+    };
+
+    const handleSaveEdit = async () => {
+        const { original, name, parent } = editing;
+        const body = JSON.stringify({ name: name.trim(), parent: parent || null });
+        const message = name.trim() !== original ? `Renamed ${original} to ${name.trim()}.` : `Moved ${original}.`;
+        if (await send(pathOf(original), { method: 'PATCH', body }, message)) setEditing(null);
+    };
+
+    const handleArchive = (costCenter) => send(
+        pathOf(costCenter.name),
+        { method: 'PATCH', body: JSON.stringify({ archived: !costCenter.archived }) },
+        costCenter.archived ? `${costCenter.name} is offered again.` : `Archived ${costCenter.name}; its transactions keep it.`
+    );
+
+    const handleMerge = async () => {
+        const { source, into } = merging;
+        if (!window.confirm(`Move everything from "${source}" to "${into}" and remove "${source}"?`)) return;
+        const body = JSON.stringify({ into });
+        if (await send(`${pathOf(source)}/merge`, { method: 'POST', body }, `Merged ${source} into ${into}.`)) setMerging(null);
+    };
+
+    const handleRemove = (costCenter) => send(pathOf(costCenter.name), { method: 'DELETE' }, `Removed ${costCenter.name}.`);
+
+    // Cost centers a given one can go under or be merged into: anything not
+    // in its own subtree
+    const othersThan = (name, list) => {
+        const own = subtreeOf(costCenters, name);
+        return list.filter(cc => !own.includes(cc.name));
+    };
+
+    const inputClass = 'p-2 border rounded-md bg-gray-100';
+
+    return (
+        <div className="space-y-4 text-sm">
+            <h3 className="text-lg font-bold">Manage Cost Centers</h3>
+            <p className="text-gray-600">
+                Totals for a cost center include the ones under it. Archive a cost center to stop offering it while
+                keeping its transactions; only unused ones can be removed.
+            </p>
+            <div className="flex space-x-2">
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={e => setNewName(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && handleAdd()}
+                    placeholder="New cost center name"
+                    className={`flex-grow ${inputClass}`}
+                />
+                <select value={newParent} onChange={e => setNewParent(e.target.value)} className={inputClass} aria-label="Put it under">
+                    <option value="">Top level</option>
+                    {offered.map(cc => <option key={cc.id} value={cc.name}>{indentedName(cc)}</option>)}
+                </select>
+                <button onClick={handleAdd} disabled={isWorking} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Add</button>
+            </div>
+            {error && <p className="text-red-600">{error}</p>}
+
+            <ul className="space-y-1 max-h-96 overflow-y-auto">
+                {costCenters.length === 0 && <li className="text-gray-500">No cost centers yet.</li>}
+                {costCenters.map(cc => (
+                    <li key={cc.id} className="p-2 bg-gray-100 rounded-md" style={{ marginLeft: `${cc.depth * 1.25}rem` }}>
+                        {editing?.original === cc.name ? (
+                            <div className="flex items-center space-x-2">
+                                <input
+                                    type="text"
+                                    value={editing.name}
+                                    onChange={e => setEditing({ ...editing, name: e.target.value })}
+                                    className="flex-grow p-1 border rounded-md bg-white"
+                                    aria-label="Name"
+                                />
+                                <select value={editing.parent} onChange={e => setEditing({ ...editing, parent: e.target.value })} className="p-1 border rounded-md bg-white" aria-label="Parent">
+                                    <option value="">Top level</option>
+                                    {othersThan(cc.name, costCenters).map(other => <option key={other.id} value={other.name}>{indentedName(other)}</option>)}
+                                </select>
+                                <button onClick={handleSaveEdit} disabled={isWorking} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Save</button>
+                                <button onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                            </div>
+                        ) : merging?.source === cc.name ? (
+                            <div className="flex items-center space-x-2">
+                                <span className="shrink-0">Merge {cc.name} into</span>
+                                <select value={merging.into} onChange={e => setMerging({ ...merging, into: e.target.value })} className="flex-grow p-1 border rounded-md bg-white">
+                                    <option value="">Choose...</option>
+                                    {othersThan(cc.name, costCenters).map(other => <option key={other.id} value={other.name}>{indentedName(other)}</option>)}
+                                </select>
+                                <button onClick={handleMerge} disabled={!merging.into || isWorking} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Merge</button>
+                                <button onClick={() => setMerging(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                            </div>
+                        ) : (
+                            <div className="flex justify-between items-center">
+                                <span className={cc.archived ? 'text-gray-500 italic' : ''}>
+                                    {cc.name}
+                                    {cc.archived && <span className="ml-2 px-2 py-0.5 text-xs not-italic rounded-full bg-gray-200">Archived</span>}
+                                </span>
+                                <span className="flex items-center space-x-3 shrink-0">
+                                    <button onClick={() => { setMerging(null); setEditing({ original: cc.name, name: cc.name, parent: cc.parent || '' }); }} className="text-[#897142] hover:text-[#99804e] font-medium">Edit</button>
+                                    <button onClick={() => { setEditing(null); setMerging({ source: cc.name, into: '' }); }} className="text-[#897142] hover:text-[#99804e] font-medium">Merge</button>
+                                    <button onClick={() => handleArchive(cc)} disabled={isWorking} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">
+                                        {cc.archived ? 'Unarchive' : 'Archive'}
+                                    </button>
+                                    <button onClick={() => handleRemove(cc)} disabled={isWorking} className="text-red-500 hover:text-red-700 font-bold disabled:opacity-50" aria-label={`Remove ${cc.name}`}>X</button>
+                                </span>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <div className="text-right">
+                <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
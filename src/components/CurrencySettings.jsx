@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const EMPTY_RATE = { date: '', from: '', to: '', rate: '' };
+
+const fetchJson = async (path, options) => {
+    const response = await apiFetch(path, options);
+    const result = response.status === 204 ? null : await response.json();
+    if (!response.ok) throw new Error(result?.error || 'Request failed');
+    return result;
+};
+
+const jsonBody = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+// The base currency totals and reports are shown in, the currency of each
+// account, and the exchange rates used to convert between them. Rates are
+// entered one at a time or imported from a CSV with Date, From, To and Rate
+// columns. onBaseCurrencyChange gets the updated user; onChanged lets the
+// page reload its figures after rates change.
+export default function CurrencySettings({ baseCurrency, onBaseCurrencyChange, onChanged, onClose }) {
+    const [newBaseCurrency, setNewBaseCurrency] = useState(baseCurrency);
+    const [accounts, setAccounts] = useState([]);
+    const [rates, setRates] = useState([]);
+    const [newRate, setNewRate] = useState({ ...EMPTY_RATE, to: baseCurrency });
+    const [importResult, setImportResult] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        Promise.all([fetchJson('/api/accounts'), fetchJson('/api/exchange-rates')])
+            .then(([accountsData, ratesData]) => {
+                setAccounts(accountsData);
+                setRates(ratesData);
+            })
+            .catch(err => {
+                console.error(err);
+                alert('Could not load the currency settings.');
+            });
+    }, []);
+
+    // Every change goes through here so failures show in one place
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('Error saving currency settings:', err);
+            setError(err.message);
+        }
+    };
+
+    const handleSaveBaseCurrency = () => run(async () => {
+        onBaseCurrencyChange(await fetchJson('/api/settings', jsonBody('PUT', { baseCurrency: newBaseCurrency })));
+    });
+
+    const handleAccountCurrency = (name, currency) => run(async () => {
+        const account = await fetchJson(`/api/accounts/${encodeURIComponent(name)}`, jsonBody('PUT', { currency }));
+        setAccounts(accounts.map(a => (a.name === name ? account : a)));
+    });
+
+    const handleAddRate = () => run(async () => {
+        setRates(await fetchJson('/api/exchange-rates', jsonBody('POST', { ...newRate, rate: parseFloat(newRate.rate) })));
+        setNewRate({ ...EMPTY_RATE, to: newRate.to });
+        onChanged();
+    });
+
+    const handleRemoveRate = (id) => run(async () => {
+        await fetchJson(`/api/exchange-rates/${id}`, { method: 'DELETE' });
+        setRates(rates.filter(rate => rate.id !== id));
+        onChanged();
+    });
+
+    const handleImportRates = (file) => run(async () => {
+        if (!file) return;
+        const formData = new FormData();
+        formData.append('file', file);
+        const result = await fetchJson('/api/exchange-rates/import', { method: 'POST', body: formData });
+        setImportResult(result);
+        setRates(await fetchJson('/api/exchange-rates'));
+        onChanged();
+    });
+
+    return (
+        <div className="space-y-6 text-sm">
+            <h3 className="text-lg font-bold">Currencies</h3>
+            {error && <p className="text-red-600">{error}</p>}
+
+            <div>
+                <h4 className="font-semibold mb-2">Base currency</h4>
+                <p className="text-gray-500 mb-2">Totals, budgets and reports are shown in this currency.</p>
+                <div className="flex space-x-2">
+                    <input type="text" value={newBaseCurrency} onChange={e => setNewBaseCurrency(e.target.value.toUpperCase())} maxLength={3} className="w-24 p-2 border rounded-md bg-gray-100" />
+                    <button onClick={handleSaveBaseCurrency} disabled={newBaseCurrency === baseCurrency} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Save</button>
+                </div>
+            </div>
+
+            <div>
+                <h4 className="font-semibold mb-2">Accounts</h4>
+                <p className="text-gray-500 mb-2">Imported rows without a currency of their own get their account's.</p>
+                {accounts.length === 0 ? (
+                    <p className="text-gray-500">No accounts yet.</p>
+                ) : (
+                    <ul className="space-y-1 max-h-40 overflow-y-auto">
+                        {accounts.map(account => (
+                            <li key={account.name} className="flex justify-between items-center p-2 bg-gray-100 rounded-md">
+                                <span>{account.name}</span>
+                                <input
+                                    type="text"
+                                    defaultValue={account.currency}
+                                    maxLength={3}
+                                    onBlur={e => {
+                                        const currency = e.target.value.toUpperCase();
+                                        if (currency !== account.currency) handleAccountCurrency(account.name, currency);
+                                    }}
+                                    aria-label={`Currency of ${account.name}`}
+                                    className="w-20 p-1 border rounded-md bg-white uppercase"
+                                />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div>
+                <h4 className="font-semibold mb-2">Exchange rates</h4>
+                <p className="text-gray-500 mb-2">1 unit of the first currency in the second. The latest rate on or before a transaction's date is used.</p>
+                <div className="grid grid-cols-5 gap-2">
+                    <input type="date" value={newRate.date} onChange={e => setNewRate({ ...newRate, date: e.target.value })} className="col-span-2 p-2 border rounded-md bg-gray-100" />
+                    <input type="text" placeholder="From" value={newRate.from} onChange={e => setNewRate({ ...newRate, from: e.target.value.toUpperCase() })} maxLength={3} className="p-2 border rounded-md bg-gray-100" />
+                    <input type="text" placeholder="To" value={newRate.to} onChange={e => setNewRate({ ...newRate, to: e.target.value.toUpperCase() })} maxLength={3} className="p-2 border rounded-md bg-gray-100" />
+                    <input type="number" min="0" step="any" placeholder="Rate" value={newRate.rate} onChange={e => setNewRate({ ...newRate, rate: e.target.value })} className="p-2 border rounded-md bg-gray-100" />
+                </div>
+                <div className="flex justify-between items-center mt-2">
+                    <label className="text-[#897142] hover:text-[#99804e] font-medium cursor-pointer">
+                        Import CSV...
+                        <input type="file" accept=".csv" onChange={e => handleImportRates(e.target.files[0])} className="hidden" />
+                    </label>
+                    <button onClick={handleAddRate} disabled={!newRate.date || !newRate.from || !newRate.to || !newRate.rate} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Add Rate</button>
+                </div>
+                {importResult && (
+                    <div className="mt-2 p-2 bg-gray-50 rounded-md">
+                        <p>{importResult.imported} rates imported.</p>
+                        {importResult.errors.map(message => <p key={message} className="text-xs text-red-600">{message}</p>)}
+                    </div>
+                )}
+                <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+                    {rates.map(rate => (
+                        <li key={rate.id} className="flex justify-between items-center p-2 bg-gray-100 rounded-md">
+                            <span>{rate.date}: 1 {rate.from} = {rate.rate} {rate.to}</span>
+                            <button onClick={() => handleRemoveRate(rate.id)} className="text-red-500 hover:text-red-700 font-bold">X</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            <div className="text-right">
+                <button onClick={onClose} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
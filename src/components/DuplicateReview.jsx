@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+// One side of a pair: the imported row or the transaction it looks like
+const TransactionSummary = ({ label, transaction }) => (
+    <div className="flex-1 p-2 bg-white rounded-md">
+        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+        {transaction ? (
+            <>
+                <p className="font-semibold">{transaction.merchant}</p>
+                <p className="text-gray-600">
+                    {transaction.date} · {transaction.account} · <span className={transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}>{formatMoney(transaction.amount, transaction.currency)}</span>
+                </p>
+                {transaction.costCenter && <p className="text-xs text-gray-500">{transaction.costCenter}</p>}
+            </>
+        ) : (
+            <p className="text-gray-500">Deleted since</p>
+        )}
+    </div>
+);
+
+// Imported rows that look like an existing transaction, side by side with it.
+// Merge treats them as the same transaction, Keep both imports the row after
+// all and Discard drops it. onResolved gets the number still waiting.
+export default function DuplicateReview({ onResolved, onClose }) {
+    const [reviews, setReviews] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [resolvingId, setResolvingId] = useState(null);
+
+    useEffect(() => {
+        apiFetch(`/api/duplicates`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch duplicate reviews');
+                return res.json();
+            })
+            .then(setReviews)
+            .catch(err => {
+                console.error(err);
+                alert('Could not load the duplicate review queue.');
+            })
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    const handleResolve = async (review, action) => {
+        setResolvingId(review.id);
+        try {
+            const response = await apiFetch(`/api/duplicates/${review.id}/resolve`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to resolve');
+
+            const remaining = reviews.filter(r => r.id !== review.id);
+            setReviews(remaining);
+            onResolved(remaining.length);
+        } catch (error) {
+            console.error('Error resolving duplicate:', error);
+            alert(`Could not resolve: ${error.message}`);
+        } finally {
+            setResolvingId(null);
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-bold mb-4">Review Duplicates</h3>
+            {isLoading ? (
+                <p className="text-sm text-gray-500 py-6 text-center">Loading...</p>
+            ) : reviews.length === 0 ? (
+                <p className="text-sm text-gray-500 py-6 text-center">No likely duplicates are waiting for review.</p>
+            ) : (
+                <ul className="space-y-3 text-sm">
+                    {reviews.map(review => (
+                        <li key={review.id} className="p-3 bg-gray-100 rounded-md">
+                            <div className="flex flex-col sm:flex-row gap-3">
+                                <TransactionSummary label="Imported row" transaction={review.incoming} />
+                                <TransactionSummary label="Existing transaction" transaction={review.transaction} />
+                            </div>
+                            <div className="flex justify-between items-center mt-2">
+                                <span className="text-xs text-gray-500">Merchant {Math.round(review.similarity * 100)}% similar</span>
+                                <div className="space-x-3">
+                                    <button onClick={() => handleResolve(review, 'merge')} disabled={resolvingId !== null || !review.transaction} title="They are the same transaction" className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Merge</button>
+                                    <button onClick={() => handleResolve(review, 'keep')} disabled={resolvingId !== null} title="Import the row as a transaction of its own" className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Keep both</button>
+                                    <button onClick={() => handleResolve(review, 'discard')} disabled={resolvingId !== null} className="text-red-500 hover:text-red-700 font-medium disabled:opacity-50">Discard</button>
+                                </div>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="text-right mt-6">
+                <button onClick={onClose} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
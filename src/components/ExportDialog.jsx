@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { apiFetch } from '../api';
+
+const FORMATS = {
+    csv: 'CSV',
+    xlsx: 'Excel (XLSX)',
+    json: 'JSON',
+    qif: 'QIF (Quicken)',
+    ofx: 'OFX',
+};
+
+const DELIMITERS = { comma: 'Comma', semicolon: 'Semicolon', tab: 'Tab' };
+
+// Downloads the transactions matching the table's filters from the server,
+// in the format the user picks. CSV can use a semicolon and a decimal comma
+// for spreadsheets set up that way.
+export default function ExportDialog({ filters, onClose }) {
+    const [format, setFormat] = useState('csv');
+    const [delimiter, setDelimiter] = useState('comma');
+    const [decimalSeparator, setDecimalSeparator] = useState('.');
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        setError('');
+        try {
+            const params = new URLSearchParams({ ...filters, format, ...(format === 'csv' ? { delimiter, decimalSeparator } : {}) });
+            const response = await apiFetch(`/api/export?${params}`);
+            if (!response.ok) {
+                const result = await response.json().catch(() => null);
+                throw new Error(result?.error || 'Export failed');
+            }
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `balanzia_transactions.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            onClose();
+        } catch (err) {
+            console.error('Error exporting transactions:', err);
+            setError(err.message);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const selectClass = 'w-full p-2 border rounded-md bg-gray-100 focus:outline-none focus:ring-2 focus:ring-[#99804e]';
+
+    return (
+        <div className="text-sm">
+            <h3 className="text-lg font-bold mb-2">Export Transactions</h3>
+            <p className="text-gray-500 mb-4">Exports every transaction matching the current filters, not just the loaded rows.</p>
+            <div className="space-y-4">
+                <label className="block">
+                    <span className="font-medium">Format</span>
+                    <select value={format} onChange={e => setFormat(e.target.value)} className={selectClass}>
+                        {Object.entries(FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </label>
+                {format === 'csv' && (
+                    <div className="grid grid-cols-2 gap-4">
+                        <label className="block">
+                            <span className="font-medium">Delimiter</span>
+                            <select value={delimiter} onChange={e => setDelimiter(e.target.value)} className={selectClass}>
+                                {Object.entries(DELIMITERS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        </label>
+                        <label className="block">
+                            <span className="font-medium">Decimal separator</span>
+                            <select value={decimalSeparator} onChange={e => setDecimalSeparator(e.target.value)} className={selectClass}>
+                                <option value=".">Point (1234.56)</option>
+                                <option value=",">Comma (1234,56)</option>
+                            </select>
+                        </label>
+                    </div>
+                )}
+            </div>
+            {error && <p className="mt-4 text-red-600">{error}</p>}
+            <div className="flex justify-end space-x-2 mt-6">
+                <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
+                <button onClick={handleExport} disabled={isExporting} className="px-4 py-2 text-white bg-[#897142] rounded-md hover:bg-[#99804e] disabled:opacity-50">
+                    {isExporting ? 'Exporting...' : 'Export'}
+                </button>
+            </div>
+        </div>
+    );
+}
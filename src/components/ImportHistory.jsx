@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import WatchedFolderLog from './WatchedFolderLog';
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// What is left of an import in the table
+const batchState = (batch) => {
+    if (batch.transactionCount > 0) return `${batch.transactionCount} of ${batch.importedCount} transactions`;
+    return batch.rolledBackAt ? `Rolled back ${new Date(batch.rolledBackAt).toLocaleDateString()}` : 'No transactions left';
+};
+
+// Every confirmed upload with its row counts, and the watched folder's log
+// when there is one. Rolling an import back deletes the transactions that came
+// from it; onChanged lets the page reload after that or a watched-folder run.
+export default function ImportHistory({ onChanged, onClose }) {
+    const [batches, setBatches] = useState([]);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [rollingBackId, setRollingBackId] = useState(null);
+
+    useEffect(() => {
+        apiFetch(`/api/imports`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch import history');
+                return res.json();
+            })
+            .then(setBatches)
+            .catch(err => {
+                console.error(err);
+                alert('Could not load the import history.');
+            });
+    }, [reloadKey]);
+
+    const handleRollback = async (batch) => {
+        if (!window.confirm(`Delete the ${batch.transactionCount} transactions imported from ${batch.fileName}, including any you have edited since?`)) return;
+        setRollingBackId(batch.id);
+        try {
+            const response = await apiFetch(`/api/imports/${batch.id}/rollback`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Rollback failed');
+            setReloadKey(key => key + 1);
+            onChanged();
+        } catch (error) {
+            console.error('Error rolling back import:', error);
+            alert(`Could not roll back the import: ${error.message}`);
+        } finally {
+            setRollingBackId(null);
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-bold mb-4">Import History</h3>
+            {batches.length === 0 ? (
+                <p className="text-sm text-gray-500 py-6 text-center">No files have been imported yet.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                <th className="px-3 py-2">File</th>
+                                <th className="px-3 py-2">Template</th>
+                                <th className="px-3 py-2">Imported</th>
+                                <th className="px-3 py-2">New / Review / Dup. / Invalid</th>
+                                <th className="px-3 py-2">In the table</th>
+                                <th className="px-3 py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {batches.map(batch => (
+                                <tr key={batch.id}>
+                                    <td className="px-3 py-2">
+                                        <div className="font-medium">{batch.fileName}</div>
+                                        <div className="text-xs text-gray-500">{batch.fileType} · {formatSize(batch.fileSize)}</div>
+                                    </td>
+                                    <td className="px-3 py-2">{batch.mappingName || '—'}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">{new Date(batch.createdAt).toLocaleString()}</td>
+                                    <td className="px-3 py-2">
+                                        <span className="text-green-700">{batch.newCount}</span> / <span className="text-yellow-700">{batch.reviewCount}</span> / <span className="text-gray-600">{batch.duplicateCount}</span> / <span className="text-red-600">{batch.invalidCount}</span>
+                                    </td>
+                                    <td className="px-3 py-2">{batchState(batch)}</td>
+                                    <td className="px-3 py-2 text-right">
+                                        {batch.transactionCount > 0 && (
+                                            <button onClick={() => handleRollback(batch)} disabled={rollingBackId !== null} className="text-red-500 hover:text-red-700 font-medium disabled:opacity-50">
+                                                {rollingBackId === batch.id ? 'Rolling back...' : 'Roll back'}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <WatchedFolderLog
+                onImported={() => {
+                    setReloadKey(key => key + 1);
+                    onChanged();
+                }}
+            />
+            <div className="text-right mt-6">
+                <button onClick={onClose} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
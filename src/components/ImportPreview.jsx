@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { formatMoney } from '../currency';
+import { fetchImportRows } from '../importJobs';
+
+const PAGE_SIZE = 100;
+
+const STATUS_STYLES = {
+    new: 'bg-green-100 text-green-800',
+    review: 'bg-yellow-100 text-yellow-800',
+    duplicate: 'bg-gray-200 text-gray-700',
+    invalid: 'bg-red-100 text-red-800',
+};
+
+const formatAmount = (amount) => amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Shows the dry-run result of an upload and lets the user deselect new rows
+// before confirming. Duplicate and invalid rows are listed but never imported;
+// likely duplicates (status 'review') go to the duplicate review queue.
+// Rows are loaded a page at a time, so the selection is kept as the rows that
+// differ from "all new rows" (allNew) or from "none" (!allNew); onConfirm gets
+// { allNew, rowNumbers }.
+export default function ImportPreview({ preview, isImporting, onConfirm, onBack }) {
+    const { jobId, totals, statements = [], currencies = [], previousImports = [] } = preview;
+    // Income and expenses only get a currency symbol when every row shares one
+    const formatTotal = (amount) => (currencies.length === 1 ? formatMoney(amount, currencies[0]) : formatAmount(amount));
+    const [rows, setRows] = useState([]);
+    const [page, setPage] = useState(1);
+    const [selection, setSelection] = useState({ allNew: true, except: new Set() });
+    const pageCount = Math.max(1, Math.ceil(totals.total / PAGE_SIZE));
+
+    useEffect(() => {
+        fetchImportRows(jobId, page, PAGE_SIZE)
+            .then(result => setRows(result.rows))
+            .catch(error => {
+                console.error('Error fetching preview rows:', error);
+                alert(`Could not load the rows: ${error.message}`);
+            });
+    }, [jobId, page]);
+
+    const isSelected = (rowNumber) => selection.allNew !== selection.except.has(rowNumber);
+    const selectedCount = selection.allNew ? totals.new - selection.except.size : selection.except.size;
+
+    const toggleRow = (rowNumber) => {
+        const except = new Set(selection.except);
+        if (except.has(rowNumber)) {
+            except.delete(rowNumber);
+        } else {
+            except.add(rowNumber);
+        }
+        setSelection({ ...selection, except });
+    };
+
+    const allNewSelected = totals.new > 0 && selectedCount === totals.new;
+    const toggleAll = () => {
+        setSelection({ allNew: !allNewSelected, except: new Set() });
+    };
+
+    return (
+        <div className="text-left text-sm">
+            {previousImports.length > 0 && (
+                <div className="mb-4 p-3 rounded-md bg-yellow-50 text-yellow-800">
+                    <span className="mr-1.5">&#9888;</span>
+                    This file was already imported {previousImports.length === 1 ? 'once' : `${previousImports.length} times`}, most recently on{' '}
+                    {new Date(previousImports[0].createdAt).toLocaleString()}
+                    {previousImports[0].transactionCount > 0 ? `; ${previousImports[0].transactionCount} of its transactions are still here` : ', and none of its transactions are left'}.
+                </div>
+            )}
+
+            <div className="flex flex-wrap gap-4 mb-4">
+                <span><strong>{totals.total}</strong> rows</span>
+                <span className="text-green-700"><strong>{totals.new}</strong> new</span>
+                {totals.review > 0 && <span className="text-yellow-700"><strong>{totals.review}</strong> likely duplicate</span>}
+                <span className="text-gray-600"><strong>{totals.duplicate}</strong> duplicate</span>
+                <span className="text-red-600"><strong>{totals.invalid}</strong> invalid</span>
+                <span className="ml-auto">
+                    Income <span className="text-green-600 font-medium">{formatTotal(totals.income)}</span>
+                    {' / '}
+                    Expenses <span className="text-red-600 font-medium">{formatTotal(totals.expenses)}</span>
+                </span>
+            </div>
+
+            {statements.length > 0 && (
+                <div className="mb-4 space-y-1">
+                    {statements.map((statement, i) => (
+                        <div key={i} className="flex flex-wrap items-center gap-4 p-2 bg-gray-50 rounded-md">
+                            <span className="font-semibold">{statement.account || 'Unknown account'} {statement.currency && `(${statement.currency})`}</span>
+                            {statement.openingBalance && <span>Opening {formatAmount(statement.openingBalance.amount)}</span>}
+                            <span>{statement.transactionCount} transactions totalling {formatAmount(statement.transactionTotal)}</span>
+                            {statement.closingBalance && <span>Closing {formatAmount(statement.closingBalance.amount)}</span>}
+                            {statement.difference === 0 && (
+                                <span className="px-2 text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">Balances match</span>
+                            )}
+                            {statement.difference !== null && statement.difference !== 0 && (
+                                <span className="px-2 text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">Off by {formatAmount(statement.difference)}</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="overflow-auto max-h-96 border rounded-md">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50 sticky top-0">
+                        <tr>
+                            <th className="px-3 py-2">
+                                <input type="checkbox" checked={allNewSelected} onChange={toggleAll} disabled={totals.new === 0} />
+                            </th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Merchant</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Center</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {rows.map(row => (
+                            <tr key={row.rowNumber} className={row.status === 'new' ? '' : 'text-gray-400'}>
+                                <td className="px-3 py-2 text-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={row.status === 'new' && isSelected(row.rowNumber)}
+                                        onChange={() => toggleRow(row.rowNumber)}
+                                        disabled={row.status !== 'new'}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">{row.rowNumber}</td>
+                                <td className="px-3 py-2 whitespace-nowrap">{row.date || '—'}</td>
+                                <td className="px-3 py-2">{row.merchant || '—'}</td>
+                                <td className={`px-3 py-2 whitespace-nowrap ${row.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                    {row.amount === null ? '—' : formatAmount(row.amount)}
+                                    {row.currency && <span className="ml-1 text-xs text-gray-500">{row.currency}</span>}
+                                </td>
+                                <td className="px-3 py-2">{row.account}</td>
+                                <td className="px-3 py-2" title={row.ruleName ? `Rule: ${row.ruleName}` : undefined}>
+                                    {row.costCenter || ''}
+                                    {row.suggestionConfidence && <span className="text-xs text-gray-500"> (suggested, {Math.round(row.suggestionConfidence * 100)}%)</span>}
+                                </td>
+                                <td className="px-3 py-2">
+                                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[row.status]}`}>{row.status === 'review' ? 'likely duplicate' : row.status}</span>
+                                    {row.reason && <span className="block text-xs text-gray-500">{row.reason}</span>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {pageCount > 1 && (
+                <div className="flex justify-center items-center mt-2 space-x-3">
+                    <button onClick={() => setPage(page - 1)} disabled={page === 1} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Previous</button>
+                    <span className="text-gray-500">Page {page} of {pageCount}</span>
+                    <button onClick={() => setPage(page + 1)} disabled={page >= pageCount} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Next</button>
+                </div>
+            )}
+
+            <div className="flex justify-between items-center mt-6">
+                <button onClick={onBack} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Back</button>
+                <button
+                    onClick={() => onConfirm({ allNew: selection.allNew, rowNumbers: [...selection.except] })}
+                    disabled={(selectedCount === 0 && totals.review === 0) || isImporting}
+                    className="px-4 py-2 text-sm text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50"
+                >
+                    {isImporting
+                        ? 'Importing...'
+                        : `Import ${selectedCount} Transactions${totals.review > 0 ? `, Queue ${totals.review} for Review` : ''}`}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,30 @@
+const PHASE_LABELS = {
+    uploading: 'Uploading the file...',
+    reading: 'Reading the file...',
+    checking: 'Checking for duplicates...',
+    saving: 'Saving transactions...',
+};
+
+// Rows are checked and saved as the file is read, so every phase counts bytes
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// A progress bar for an import job (see importJobs.js); with no total yet the
+// bar just pulses
+export default function ImportProgress({ progress }) {
+    const { phase, done, total } = progress;
+    const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : null;
+    return (
+        <div className="my-4 text-sm text-left" role="status">
+            <div className="flex justify-between mb-1 text-gray-600">
+                <span>{PHASE_LABELS[phase]}</span>
+                {percent !== null && <span>{formatSize(done)} of {formatSize(total)}</span>}
+            </div>
+            <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+                <div
+                    className={`h-full bg-[#897142] transition-all ${percent === null ? 'w-full animate-pulse' : ''}`}
+                    style={percent === null ? undefined : { width: `${percent}%` }}
+                />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,274 @@
+import { useState } from 'react';
+import { apiFetch } from '../api';
+
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYYMMDD', 'DD/MM/YY', 'MM/DD/YY'];
+const ENCODINGS = ['utf-8', 'utf-16le', 'windows-1252', 'iso-8859-1'];
+const DELIMITERS = [
+    { value: '', label: 'Auto-detect' },
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' },
+];
+
+const EMPTY_CONFIG = {
+    delimiter: '',
+    encoding: 'utf-8',
+    headerRow: 0,
+    dateColumn: '',
+    dateFormat: 'auto',
+    descriptionColumns: [],
+    amountMode: 'single',
+    amountColumn: '',
+    invertSign: false,
+    debitColumn: '',
+    creditColumn: '',
+    decimalSeparator: '.',
+    accountColumn: '',
+    fixedAccount: '',
+    currencyColumn: '',
+    fixedCurrency: '',
+    fileNamePattern: '',
+};
+
+// Builds or edits a mapping template by assigning the headers detected in a
+// sample file to transaction fields.
+export default function MappingEditor({ mapping, onSave, onCancel }) {
+    const [name, setName] = useState(mapping?.name || '');
+    const [config, setConfig] = useState({ ...EMPTY_CONFIG, ...mapping?.config });
+    const [sampleFile, setSampleFile] = useState(null);
+    const [headers, setHeaders] = useState([]);
+    const [sampleRows, setSampleRows] = useState([]);
+    const [error, setError] = useState('');
+
+    const updateConfig = (changes) => setConfig({ ...config, ...changes });
+
+    // Columns offered in the dropdowns: detected headers plus anything already saved
+    const columnOptions = [...new Set([
+        ...headers,
+        config.dateColumn, config.amountColumn, config.debitColumn, config.creditColumn, config.accountColumn,
+        config.currencyColumn, ...config.descriptionColumns,
+    ].filter(Boolean))];
+
+    const detectColumns = async (file, settings = config) => {
+        if (!file) return;
+        setError('');
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('encoding', settings.encoding);
+        formData.append('delimiter', settings.delimiter);
+        formData.append('headerRow', settings.headerRow);
+
+        try {
+            const response = await apiFetch(`/api/mappings/detect`, {
+                method: 'POST',
+                body: formData,
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Could not read sample file.');
+
+            setHeaders(result.headers);
+            setSampleRows(result.sampleRows);
+        } catch (detectError) {
+            console.error('Error detecting columns:', detectError);
+            setError(detectError.message);
+        }
+    };
+
+    const handleSampleSelect = (event) => {
+        const file = event.target.files[0];
+        setSampleFile(file);
+        detectColumns(file);
+    };
+
+    // Re-read the sample whenever a setting that affects parsing changes
+    const updateParseSetting = (changes) => {
+        const next = { ...config, ...changes };
+        setConfig(next);
+        detectColumns(sampleFile, next);
+    };
+
+    const toggleDescriptionColumn = (column) => {
+        const columns = config.descriptionColumns.includes(column)
+            ? config.descriptionColumns.filter(c => c !== column)
+            : [...config.descriptionColumns, column];
+        updateConfig({ descriptionColumns: columns });
+    };
+
+    const handleSave = async () => {
+        setError('');
+        if (!name) {
+            setError('Please give the template a name.');
+            return;
+        }
+        try {
+            const response = await apiFetch(mapping ? `/api/mappings/${mapping.id}` : '/api/mappings', {
+                method: mapping ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, fileType: 'CSV', config }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to save mapping');
+            onSave(result);
+        } catch (saveError) {
+            console.error('Error saving mapping:', saveError);
+            setError(saveError.message);
+        }
+    };
+
+    const columnSelect = (value, onChange, placeholder = 'Select column...') => (
+        <select value={value} onChange={e => onChange(e.target.value)} className="w-full p-2 border rounded-md bg-gray-100">
+            <option value="">{placeholder}</option>
+            {columnOptions.map(column => <option key={column} value={column}>{column}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="space-y-4 text-sm text-left">
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Template name, e.g. Chase Checking"
+                className="w-full p-2 border rounded-md bg-gray-100"
+            />
+
+            <div className="grid grid-cols-3 gap-2">
+                <label className="block">
+                    <span className="text-gray-600">Delimiter</span>
+                    <select value={config.delimiter} onChange={e => updateParseSetting({ delimiter: e.target.value })} className="w-full p-2 border rounded-md bg-gray-100">
+                        {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="text-gray-600">Encoding</span>
+                    <select value={config.encoding} onChange={e => updateParseSetting({ encoding: e.target.value })} className="w-full p-2 border rounded-md bg-gray-100">
+                        {ENCODINGS.map(enc => <option key={enc} value={enc}>{enc}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="text-gray-600">Lines before header</span>
+                    <input type="number" min="0" value={config.headerRow} onChange={e => updateParseSetting({ headerRow: parseInt(e.target.value, 10) || 0 })} className="w-full p-2 border rounded-md bg-gray-100" />
+                </label>
+            </div>
+
+            <label htmlFor="sample-upload" className="w-full cursor-pointer bg-[#897142] text-white text-center px-4 py-2 rounded-md hover:bg-[#99804e] block">
+                {sampleFile ? `Sample: ${sampleFile.name}` : 'Upload Sample File to Detect Columns...'}
+            </label>
+            <input id="sample-upload" type="file" className="hidden" onChange={handleSampleSelect} accept=".csv,.txt" />
+
+            {columnOptions.length > 0 && (
+                <>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            <span className="text-gray-600">Date column</span>
+                            {columnSelect(config.dateColumn, value => updateConfig({ dateColumn: value }))}
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-600">Date format</span>
+                            <select value={config.dateFormat} onChange={e => updateConfig({ dateFormat: e.target.value })} className="w-full p-2 border rounded-md bg-gray-100">
+                                {DATE_FORMATS.map(f => <option key={f} value={f}>{f === 'auto' ? 'Auto-detect' : f}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div>
+                        <span className="text-gray-600">Description column(s)</span>
+                        <div className="flex flex-wrap gap-2 mt-1">
+                            {columnOptions.map(column => (
+                                <label key={column} className="flex items-center space-x-1 px-2 py-1 bg-gray-100 rounded-md">
+                                    <input type="checkbox" checked={config.descriptionColumns.includes(column)} onChange={() => toggleDescriptionColumn(column)} />
+                                    <span>{column}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <div className="flex items-center space-x-4">
+                            <span className="text-gray-600">Amount</span>
+                            <label className="flex items-center space-x-1">
+                                <input type="radio" checked={config.amountMode === 'single'} onChange={() => updateConfig({ amountMode: 'single' })} />
+                                <span>Single signed column</span>
+                            </label>
+                            <label className="flex items-center space-x-1">
+                                <input type="radio" checked={config.amountMode === 'debitCredit'} onChange={() => updateConfig({ amountMode: 'debitCredit' })} />
+                                <span>Separate debit/credit</span>
+                            </label>
+                        </div>
+                        {config.amountMode === 'single' ? (
+                            <div className="grid grid-cols-2 gap-2 items-center">
+                                {columnSelect(config.amountColumn, value => updateConfig({ amountColumn: value }))}
+                                <label className="flex items-center space-x-1">
+                                    <input type="checkbox" checked={config.invertSign} onChange={e => updateConfig({ invertSign: e.target.checked })} />
+                                    <span>Expenses are positive (invert sign)</span>
+                                </label>
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-2 gap-2">
+                                {columnSelect(config.debitColumn, value => updateConfig({ debitColumn: value }), 'Debit (money out)...')}
+                                {columnSelect(config.creditColumn, value => updateConfig({ creditColumn: value }), 'Credit (money in)...')}
+                            </div>
+                        )}
+                        <label className="flex items-center space-x-2">
+                            <span className="text-gray-600">Decimal separator</span>
+                            <select value={config.decimalSeparator} onChange={e => updateConfig({ decimalSeparator: e.target.value })} className="p-1 border rounded-md bg-gray-100">
+                                <option value=".">1,234.56</option>
+                                <option value=",">1.234,56</option>
+                            </select>
+                        </label>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            <span className="text-gray-600">Account column</span>
+                            {columnSelect(config.accountColumn, value => updateConfig({ accountColumn: value }), 'None')}
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-600">Or fixed account</span>
+                            <input type="text" value={config.fixedAccount} onChange={e => updateConfig({ fixedAccount: e.target.value })} placeholder="e.g. Business Checking" className="w-full p-2 border rounded-md bg-gray-100" />
+                        </label>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            <span className="text-gray-600">Currency column</span>
+                            {columnSelect(config.currencyColumn, value => updateConfig({ currencyColumn: value }), 'None (account currency)')}
+                        </label>
+                        <label className="block">
+                            <span className="text-gray-600">Or fixed currency</span>
+                            <input type="text" value={config.fixedCurrency} onChange={e => updateConfig({ fixedCurrency: e.target.value.toUpperCase() })} maxLength={3} placeholder="e.g. EUR" className="w-full p-2 border rounded-md bg-gray-100" />
+                        </label>
+                    </div>
+
+                    <label className="block">
+                        <span className="text-gray-600">File name pattern for the watched folder (* matches anything)</span>
+                        <input type="text" value={config.fileNamePattern} onChange={e => updateConfig({ fileNamePattern: e.target.value })} maxLength={100} placeholder="e.g. chase-*.csv" className="w-full p-2 border rounded-md bg-gray-100" />
+                    </label>
+                </>
+            )}
+
+            {sampleRows.length > 0 && (
+                <div className="overflow-x-auto max-h-40 border rounded-md">
+                    <table className="min-w-full text-xs">
+                        <thead className="bg-gray-50">
+                            <tr>{headers.map(h => <th key={h} className="px-2 py-1 text-left font-medium text-gray-500">{h}</th>)}</tr>
+                        </thead>
+                        <tbody>
+                            {sampleRows.map((row, i) => (
+                                <tr key={i}>{headers.map(h => <td key={h} className="px-2 py-1 whitespace-nowrap">{row[h]}</td>)}</tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-500">{error}</p>}
+
+            <div className="flex justify-end space-x-2">
+                <button onClick={onCancel} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
+                <button onClick={handleSave} className="px-4 py-2 text-sm text-white bg-[#111a39] rounded-md hover:bg-[#0a2152]">Save Template</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import {
+    ResponsiveContainer, LineChart, Line, BarChart, Bar, PieChart, Pie, Cell,
+    XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+} from 'recharts';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+const formatAmount = (amount) => amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatChange = (change) => (change === null ? 'n/a' : `${change > 0 ? '+' : ''}${change}%`);
+
+const PIE_COLORS = ['#111a39', '#897142', '#99804e', '#0a2152', '#c9b27c', '#5a6b8c', '#d9c89a', '#3b4a6b'];
+const TOP_MERCHANTS = 10;
+
+const GRANULARITY_LABELS = { month: 'Monthly', quarter: 'Quarterly', year: 'Yearly' };
+const PERIOD_NAMES = { month: 'Month', quarter: 'Quarter', year: 'Year' };
+
+const fetchJson = async (path, params) => {
+    const response = await apiFetch(`${path}?${new URLSearchParams(params)}`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to load report');
+    return result;
+};
+
+// Charts and a cost center × period pivot built from the server's report
+// endpoints. Everything is aggregated server-side, in the base currency;
+// only totals come over.
+export default function ReportsView() {
+    const year = new Date().getFullYear();
+    const [startDate, setStartDate] = useState(`${year}-01-01`);
+    const [endDate, setEndDate] = useState(`${year}-12-31`);
+    const [granularity, setGranularity] = useState('month');
+    const [compare, setCompare] = useState(true);
+
+    const [overTime, setOverTime] = useState(null);
+    const [byCostCenter, setByCostCenter] = useState(null);
+    const [byAccount, setByAccount] = useState(null);
+    const [byMerchant, setByMerchant] = useState(null);
+    const [pivot, setPivot] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!startDate || !endDate || endDate < startDate) return;
+        const range = { startDate, endDate };
+        const comparison = compare ? { compare: 'true' } : {};
+        setError('');
+        Promise.all([
+            fetchJson('/api/reports', { ...range, ...comparison, groupBy: granularity }),
+            fetchJson('/api/reports', { ...range, ...comparison, groupBy: 'costCenter' }),
+            fetchJson('/api/reports', { ...range, groupBy: 'account' }),
+            fetchJson('/api/reports', { ...range, groupBy: 'merchant' }),
+            fetchJson('/api/reports/pivot', { ...range, granularity }),
+        ])
+            .then(([time, costCenter, account, merchant, pivotData]) => {
+                setOverTime(time);
+                setByCostCenter(costCenter);
+                setByAccount(account);
+                setByMerchant(merchant);
+                setPivot(pivotData);
+            })
+            .catch(err => {
+                console.error('Error loading reports:', err);
+                setError(err.message);
+            });
+    }, [startDate, endDate, granularity, compare]);
+
+    // Charts read better with expenses as positive bars
+    const timeSeries = overTime ? overTime.rows.map(row => ({
+        period: row.key,
+        income: row.income,
+        expenses: -row.expenses,
+        net: row.net,
+        ...(row.previous ? { previousNet: row.previous.net } : {}),
+    })) : [];
+    // Rows include everything under them, so only the top level is charted
+    const costCenterSeries = byCostCenter ? byCostCenter.rows.filter(row => !row.parent && row.expenses < 0).map(row => ({
+        costCenter: row.key,
+        expenses: -row.expenses,
+        ...(row.previous ? { previousExpenses: -row.previous.expenses } : {}),
+    })) : [];
+    const accountSeries = byAccount ? byAccount.rows.filter(row => row.expenses < 0).map(row => ({ name: row.key, value: -row.expenses })) : [];
+
+    const money = (value) => formatMoney(value, overTime?.currency);
+
+    const summaryCards = overTime ? [
+        { label: 'Income', value: overTime.totals.income, previous: overTime.previousTotals?.income, className: 'text-green-600' },
+        { label: 'Expenses', value: overTime.totals.expenses, previous: overTime.previousTotals?.expenses, className: 'text-red-600' },
+        { label: 'Net', value: overTime.totals.net, previous: overTime.previousTotals?.net, className: '' },
+    ] : [];
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-[#fffefa] rounded-lg shadow-md p-6 flex flex-wrap items-center gap-4 text-sm">
+                <h2 className="text-lg font-bold mr-auto">Reports</h2>
+                <div className="flex items-center space-x-2">
+                    <label htmlFor="report-start">From:</label>
+                    <input type="date" id="report-start" value={startDate} onChange={e => setStartDate(e.target.value)} className="p-1 border rounded-md bg-gray-100" />
+                </div>
+                <div className="flex items-center space-x-2">
+                    <label htmlFor="report-end">To:</label>
+                    <input type="date" id="report-end" value={endDate} min={startDate} onChange={e => setEndDate(e.target.value)} className="p-1 border rounded-md bg-gray-100" />
+                </div>
+                <select value={granularity} onChange={e => setGranularity(e.target.value)} className="p-1 border rounded-md bg-gray-100">
+                    {Object.entries(GRANULARITY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <label className="flex items-center space-x-2">
+                    <input type="checkbox" checked={compare} onChange={e => setCompare(e.target.checked)} />
+                    <span>Compare with previous period</span>
+                </label>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            {overTime?.unconverted > 0 && (
+                <p className="text-sm text-yellow-800">
+                    <span className="mr-1.5">&#9888;</span>
+                    {overTime.unconverted} transactions in this period have no exchange rate to {overTime.currency} and are left out.
+                </p>
+            )}
+
+            {overTime && (
+                <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+                    {summaryCards.map(card => (
+                        <div key={card.label} className="p-6 bg-[#fffefa] rounded-lg shadow-md">
+                            <p className="text-sm font-medium text-gray-500">{card.label}</p>
+                            <p className={`text-2xl font-bold ${card.className}`}>{money(card.value)}</p>
+                            {card.previous !== undefined && (
+                                <p className="text-xs text-gray-500">
+                                    Previous period: {money(card.previous)}
+                                    {card.label === 'Net' && ` (${formatChange(overTime.netChange)})`}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="bg-[#fffefa] rounded-lg shadow-md p-6">
+                <h3 className="font-bold mb-4">Income and Expenses Over Time</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={timeSeries}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" />
+                        <YAxis />
+                        <Tooltip formatter={money} />
+                        <Legend />
+                        <Line type="monotone" dataKey="income" name="Income" stroke="#16a34a" />
+                        <Line type="monotone" dataKey="expenses" name="Expenses" stroke="#dc2626" />
+                        <Line type="monotone" dataKey="net" name="Net" stroke="#111a39" strokeWidth={2} />
+                        {compare && <Line type="monotone" dataKey="previousNet" name="Net (previous period)" stroke="#99804e" strokeDasharray="5 5" />}
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                <div className="bg-[#fffefa] rounded-lg shadow-md p-6">
+                    <h3 className="font-bold mb-4">Expenses by Cost Center</h3>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={costCenterSeries}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="costCenter" />
+                            <YAxis />
+                            <Tooltip formatter={money} />
+                            <Legend />
+                            <Bar dataKey="expenses" name="Expenses" fill="#111a39" />
+                            {compare && <Bar dataKey="previousExpenses" name="Previous period" fill="#c9b27c" />}
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+                <div className="bg-[#fffefa] rounded-lg shadow-md p-6">
+                    <h3 className="font-bold mb-4">Expenses by Account</h3>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <PieChart>
+                            <Pie data={accountSeries} dataKey="value" nameKey="name" outerRadius={110} label={({ name }) => name}>
+                                {accountSeries.map((entry, i) => <Cell key={entry.name} fill={PIE_COLORS[i % PIE_COLORS.length]} />)}
+                            </Pie>
+                            <Tooltip formatter={money} />
+                        </PieChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+
+            {byMerchant && (
+                <div className="bg-[#fffefa] rounded-lg shadow-md p-6">
+                    <h3 className="font-bold mb-4">Top Merchants by Expenses</h3>
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                            <tr>
+                                <th className="px-4 py-2">Merchant</th>
+                                <th className="px-4 py-2 text-right">Transactions</th>
+                                <th className="px-4 py-2 text-right">Expenses</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {byMerchant.rows.filter(row => row.expenses < 0).slice(0, TOP_MERCHANTS).map(row => (
+                                <tr key={row.key} className="border-b">
+                                    <td className="px-4 py-2">{row.key}</td>
+                                    <td className="px-4 py-2 text-right">{row.count}</td>
+                                    <td className="px-4 py-2 text-right text-red-600">{money(-row.expenses)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {pivot && (
+                <div className="bg-[#fffefa] rounded-lg shadow-md p-6 overflow-x-auto">
+                    <h3 className="font-bold mb-4">Net by Cost Center and {PERIOD_NAMES[granularity]} ({pivot.currency})</h3>
+                    <table className="w-full text-sm text-right whitespace-nowrap">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                            <tr>
+                                <th className="px-4 py-2 text-left">Cost Center</th>
+                                {pivot.periods.map(period => <th key={period} className="px-4 py-2">{period}</th>)}
+                                <th className="px-4 py-2">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {pivot.rows.map(row => (
+                                <tr key={row.costCenter} className="border-b">
+                                    <td className="px-4 py-2 text-left font-medium" style={{ paddingLeft: `${1 + row.depth * 1.25}rem` }}>{row.costCenter}</td>
+                                    {pivot.periods.map(period => (
+                                        <td key={period} className={`px-4 py-2 ${row.values[period] < 0 ? 'text-red-600' : row.values[period] > 0 ? 'text-green-600' : 'text-gray-400'}`}>
+                                            {row.values[period] === 0 ? '–' : formatAmount(row.values[period])}
+                                        </td>
+                                    ))}
+                                    <td className="px-4 py-2 font-semibold">{formatAmount(row.total)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr className="font-semibold bg-gray-50">
+                                <td className="px-4 py-2 text-left">Total</td>
+                                {pivot.periods.map(period => <td key={period} className="px-4 py-2">{formatAmount(pivot.columnTotals[period])}</td>)}
+                                <td className="px-4 py-2">{formatAmount(Object.values(pivot.columnTotals).reduce((sum, value) => sum + value, 0))}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const EMPTY_RULE = {
+    name: '',
+    cost_center: '',
+    is_active: true,
+    conditions: {
+        merchantContains: '',
+        merchantRegex: '',
+        minAmount: '',
+        maxAmount: '',
+        account: '',
+        sign: '',
+        startDate: '',
+        endDate: '',
+    },
+};
+
+// Drop empty condition fields and turn the amount inputs into numbers
+const cleanConditions = (conditions) => Object.fromEntries(
+    Object.entries(conditions)
+        .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+        .map(([key, value]) => [key, key === 'minAmount' || key === 'maxAmount' ? Number(value) : value])
+);
+
+const describeConditions = (conditions) => {
+    const parts = [];
+    if (conditions.merchantContains) parts.push(`merchant contains "${conditions.merchantContains}"`);
+    if (conditions.merchantRegex) parts.push(`merchant matches /${conditions.merchantRegex}/`);
+    if (conditions.minAmount !== undefined) parts.push(`amount ≥ ${conditions.minAmount}`);
+    if (conditions.maxAmount !== undefined) parts.push(`amount ≤ ${conditions.maxAmount}`);
+    if (conditions.account) parts.push(`account is ${conditions.account}`);
+    if (conditions.sign) parts.push(conditions.sign === 'expense' ? 'is an expense' : 'is income');
+    if (conditions.startDate) parts.push(`on/after ${conditions.startDate}`);
+    if (conditions.endDate) parts.push(`on/before ${conditions.endDate}`);
+    return parts.join(', ');
+};
+
+// Lists, edits and reorders categorization rules, and re-applies them to
+// existing transactions after previewing the changes.
+export default function RulesManager({ costCenters, accounts, onApplied, onClose }) {
+    const [rules, setRules] = useState([]);
+    const [editingRule, setEditingRule] = useState(null);
+    const [formError, setFormError] = useState('');
+
+    const [applyScope, setApplyScope] = useState('uncategorized');
+    const [plannedChanges, setPlannedChanges] = useState(null);
+    const [selectedChanges, setSelectedChanges] = useState(new Set());
+
+    useEffect(() => {
+        apiFetch(`/api/rules`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch rules');
+                return res.json();
+            })
+            .then(setRules)
+            .catch(err => {
+                console.error(err);
+                alert('Could not load rules.');
+            });
+    }, []);
+
+    const updateCondition = (key, value) => {
+        setEditingRule({ ...editingRule, conditions: { ...editingRule.conditions, [key]: value } });
+    };
+
+    const handleSaveRule = async () => {
+        setFormError('');
+        const body = { ...editingRule, conditions: cleanConditions(editingRule.conditions) };
+        try {
+            const response = await apiFetch(editingRule.id ? `/api/rules/${editingRule.id}` : '/api/rules', {
+                method: editingRule.id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to save rule');
+
+            const exists = rules.some(r => r.id === result.id);
+            setRules(exists ? rules.map(r => (r.id === result.id ? result : r)) : [...rules, result]);
+            setEditingRule(null);
+        } catch (error) {
+            console.error('Error saving rule:', error);
+            setFormError(error.message);
+        }
+    };
+
+    const handleRemoveRule = async (id) => {
+        try {
+            const response = await apiFetch(`/api/rules/${id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to remove rule');
+            setRules(rules.filter(r => r.id !== id));
+        } catch (error) {
+            console.error('Error removing rule:', error);
+            alert('Could not remove rule.');
+        }
+    };
+
+    const handleMoveRule = async (index, direction) => {
+        const reordered = [...rules];
+        const [moved] = reordered.splice(index, 1);
+        reordered.splice(index + direction, 0, moved);
+        const originalRules = rules;
+        setRules(reordered);
+
+        try {
+            const response = await apiFetch(`/api/rules/reorder`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids: reordered.map(r => r.id) }),
+            });
+            if (!response.ok) throw new Error('Failed to reorder rules');
+            setRules(await response.json());
+        } catch (error) {
+            console.error('Error reordering rules:', error);
+            alert('Could not save the new order. Reverting.');
+            setRules(originalRules);
+        }
+    };
+
+    const runRules = async (preview, ids) => {
+        const response = await apiFetch(`/api/rules/apply`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ preview, scope: applyScope, ids }),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to apply rules');
+        return result;
+    };
+
+    const handlePreviewChanges = async () => {
+        try {
+            const { changes } = await runRules(true);
+            setPlannedChanges(changes);
+            setSelectedChanges(new Set(changes.map(c => c.id)));
+        } catch (error) {
+            console.error('Error previewing rule changes:', error);
+            alert('Could not preview rule changes.');
+        }
+    };
+
+    const handleApplyChanges = async () => {
+        try {
+            const { updated } = await runRules(false, [...selectedChanges]);
+            alert(`${updated} transactions updated.`);
+            setPlannedChanges(null);
+            onApplied();
+        } catch (error) {
+            console.error('Error applying rules:', error);
+            alert('Could not apply rules.');
+        }
+    };
+
+    const toggleChange = (id) => {
+        const next = new Set(selectedChanges);
+        if (next.has(id)) {
+            next.delete(id);
+        } else {
+            next.add(id);
+        }
+        setSelectedChanges(next);
+    };
+
+    if (editingRule) {
+        const c = editingRule.conditions;
+        return (
+            <div className="space-y-3 text-sm">
+                <h3 className="text-lg font-bold">{editingRule.id ? 'Edit Rule' : 'New Rule'}</h3>
+                <div className="grid grid-cols-2 gap-2">
+                    <input type="text" value={editingRule.name} onChange={e => setEditingRule({ ...editingRule, name: e.target.value })} placeholder="Rule name" className="p-2 border rounded-md bg-gray-100" />
+                    <select value={editingRule.cost_center} onChange={e => setEditingRule({ ...editingRule, cost_center: e.target.value })} className="p-2 border rounded-md bg-gray-100">
+                        <option value="">Assign cost center...</option>
+                        {costCenters.map(cc => <option key={cc} value={cc}>{cc}</option>)}
+                    </select>
+                </div>
+                <p className="font-medium text-gray-600">When all of these match:</p>
+                <div className="grid grid-cols-2 gap-2">
+                    <input type="text" value={c.merchantContains} onChange={e => updateCondition('merchantContains', e.target.value)} placeholder="Merchant contains..." className="p-2 border rounded-md bg-gray-100" />
+                    <input type="text" value={c.merchantRegex} maxLength={200} onChange={e => updateCondition('merchantRegex', e.target.value)} placeholder="Merchant regex, e.g. ^UBER" className="p-2 border rounded-md bg-gray-100" />
+                    <input type="number" step="0.01" value={c.minAmount} onChange={e => updateCondition('minAmount', e.target.value)} placeholder="Min amount" className="p-2 border rounded-md bg-gray-100" />
+                    <input type="number" step="0.01" value={c.maxAmount} onChange={e => updateCondition('maxAmount', e.target.value)} placeholder="Max amount" className="p-2 border rounded-md bg-gray-100" />
+                    <select value={c.account} onChange={e => updateCondition('account', e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                        <option value="">Any account</option>
+                        {accounts.map(acc => <option key={acc} value={acc}>{acc}</option>)}
+                    </select>
+                    <select value={c.sign} onChange={e => updateCondition('sign', e.target.value)} className="p-2 border rounded-md bg-gray-100">
+                        <option value="">Income or expense</option>
+                        <option value="expense">Expenses only</option>
+                        <option value="income">Income only</option>
+                    </select>
+                    <label className="flex items-center space-x-2">
+                        <span>From</span>
+                        <input type="date" value={c.startDate} onChange={e => updateCondition('startDate', e.target.value)} className="flex-grow p-1 border rounded-md bg-gray-100" />
+                    </label>
+                    <label className="flex items-center space-x-2">
+                        <span>To</span>
+                        <input type="date" value={c.endDate} min={c.startDate} onChange={e => updateCondition('endDate', e.target.value)} className="flex-grow p-1 border rounded-md bg-gray-100" />
+                    </label>
+                </div>
+                <label className="flex items-center space-x-2">
+                    <input type="checkbox" checked={editingRule.is_active} onChange={e => setEditingRule({ ...editingRule, is_active: e.target.checked })} />
+                    <span>Active</span>
+                </label>
+                {formError && <p className="text-red-500">{formError}</p>}
+                <div className="flex justify-end space-x-2">
+                    <button onClick={() => setEditingRule(null)} className="px-4 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
+                    <button onClick={handleSaveRule} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152]">Save Rule</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4 text-sm">
+            <h3 className="text-lg font-bold">Manage Rules</h3>
+            <p className="text-gray-600">Rules run in order during import; the first matching rule assigns its cost center. Rules marked in red are skipped.</p>
+            <button onClick={() => { setFormError(''); setEditingRule(EMPTY_RULE); }} className="w-full px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152]">New Rule</button>
+            <ul className="space-y-2 max-h-60 overflow-y-auto">
+                {rules.map((rule, index) => (
+                    <li key={rule.id} className={`flex justify-between items-center p-2 bg-gray-100 rounded-md ${rule.is_active ? '' : 'opacity-50'}`}>
+                        <div>
+                            <span className="font-semibold">{index + 1}. {rule.name}</span>
+                            <span className="text-gray-500 ml-2">{describeConditions(rule.conditions)} → {rule.cost_center}</span>
+                            {rule.problems?.length > 0 && <p className="text-red-500">Not run: {rule.problems.join(' ')} Edit the rule to fix it.</p>}
+                        </div>
+                        <div className="flex items-center space-x-2 shrink-0">
+                            <button onClick={() => handleMoveRule(index, -1)} disabled={index === 0} className="px-1 disabled:opacity-30">&#9650;</button>
+                            <button onClick={() => handleMoveRule(index, 1)} disabled={index === rules.length - 1} className="px-1 disabled:opacity-30">&#9660;</button>
+                            <button onClick={() => { setFormError(''); setEditingRule({ ...rule, conditions: { ...EMPTY_RULE.conditions, ...rule.conditions } }); }} className="text-[#897142] hover:text-[#99804e] font-medium">Edit</button>
+                            <button onClick={() => handleRemoveRule(rule.id)} className="text-red-500 hover:text-red-700 font-bold">X</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="border-t pt-4 space-y-2">
+                <h4 className="font-bold">Re-apply Rules</h4>
+                <div className="flex items-center space-x-2">
+                    <select value={applyScope} onChange={e => { setApplyScope(e.target.value); setPlannedChanges(null); }} className="p-2 border rounded-md bg-gray-100">
+                        <option value="uncategorized">Transactions needing review</option>
+                        <option value="all">All transactions (overrides manual choices)</option>
+                    </select>
+                    <button onClick={handlePreviewChanges} className="px-4 py-2 text-white bg-[#897142] rounded-md hover:bg-[#99804e]">Preview Changes</button>
+                </div>
+                {plannedChanges && (plannedChanges.length === 0 ? (
+                    <p className="text-gray-500">No transactions would change.</p>
+                ) : (
+                    <>
+                        <div className="overflow-auto max-h-60 border rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th></th>
+                                        <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                                        <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">Merchant</th>
+                                        <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                                        <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {plannedChanges.map(change => (
+                                        <tr key={change.id}>
+                                            <td className="px-2 py-1"><input type="checkbox" checked={selectedChanges.has(change.id)} onChange={() => toggleChange(change.id)} /></td>
+                                            <td className="px-2 py-1 whitespace-nowrap">{change.date}</td>
+                                            <td className="px-2 py-1">{change.merchant}</td>
+                                            <td className="px-2 py-1">{change.amount}</td>
+                                            <td className="px-2 py-1">{change.from || 'None'} → <strong>{change.to}</strong> <span className="text-gray-500">({change.ruleName})</span></td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <button onClick={handleApplyChanges} disabled={selectedChanges.size === 0} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">
+                            Apply {selectedChanges.size} Changes
+                        </button>
+                    </>
+                ))}
+            </div>
+
+            <div className="text-right">
+                <button onClick={onClose} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
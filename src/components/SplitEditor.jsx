@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { formatMoney } from '../currency';
+
+const linesFrom = (transaction) => (
+    transaction.splits && transaction.splits.length > 0
+        ? transaction.splits.map(split => (split.percentage !== null
+            ? { costCenter: split.costCenter, mode: 'percentage', value: String(split.percentage) }
+            : { costCenter: split.costCenter, mode: 'amount', value: String(Math.abs(split.amount)) }))
+        : [
+            { costCenter: transaction.costCenter || '', mode: 'percentage', value: '50' },
+            { costCenter: '', mode: 'percentage', value: '50' },
+        ]
+);
+
+// Divides a transaction across several cost centers by amount or percentage.
+// Saving is only possible once the lines add up to the full amount; the
+// server re-checks this and resolves percentages to exact amounts.
+export default function SplitEditor({ transaction, costCenters, onSave, onRemove, onCancel }) {
+    const [lines, setLines] = useState(() => linesFrom(transaction));
+    const total = Math.abs(transaction.amount);
+
+    const updateLine = (index, changes) => setLines(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+    const lineAmount = (line) => {
+        const value = parseFloat(line.value) || 0;
+        return line.mode === 'percentage' ? total * value / 100 : value;
+    };
+    const remaining = Math.round((total - lines.reduce((sum, line) => sum + lineAmount(line), 0)) * 100) / 100;
+    const isValid = remaining === 0 && lines.length >= 2 && lines.every(line => line.costCenter && parseFloat(line.value) > 0);
+
+    const handleSave = () => {
+        onSave(lines.map(line => (line.mode === 'percentage'
+            ? { costCenter: line.costCenter, percentage: parseFloat(line.value) }
+            : { costCenter: line.costCenter, amount: parseFloat(line.value) })));
+    };
+
+    return (
+        <div className="space-y-4 text-sm">
+            <h3 className="text-lg font-bold">Split Transaction</h3>
+            <p className="text-gray-600">
+                {transaction.merchant} on {new Date(transaction.date).toLocaleDateString()}: <strong>{formatMoney(total, transaction.currency)}</strong>
+            </p>
+
+            <div className="space-y-2">
+                {lines.map((line, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                        <select value={line.costCenter} onChange={e => updateLine(index, { costCenter: e.target.value })} className="flex-grow p-2 border rounded-md bg-gray-100">
+                            <option value="">Select cost center...</option>
+                            {costCenters.map(cc => <option key={cc} value={cc}>{cc}</option>)}
+                        </select>
+                        <input type="number" min="0" step="0.01" value={line.value} onChange={e => updateLine(index, { value: e.target.value })} className="w-28 p-2 border rounded-md bg-gray-100" />
+                        <select value={line.mode} onChange={e => updateLine(index, { mode: e.target.value })} className="p-2 border rounded-md bg-gray-100">
+                            <option value="percentage">%</option>
+                            <option value="amount">$</option>
+                        </select>
+                        <span className="w-20 text-right text-gray-500">{formatMoney(lineAmount(line), transaction.currency)}</span>
+                        <button onClick={() => setLines(lines.filter((_, i) => i !== index))} disabled={lines.length <= 2} className="text-red-500 hover:text-red-700 font-bold disabled:opacity-30">X</button>
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex justify-between items-center">
+                <button onClick={() => setLines([...lines, { costCenter: '', mode: 'amount', value: String(Math.max(remaining, 0)) }])} className="text-[#897142] hover:text-[#99804e] font-medium">+ Add line</button>
+                <span className={remaining === 0 ? 'text-green-600' : 'text-red-600'}>
+                    {remaining === 0 ? 'Fully allocated' : `${formatMoney(remaining, transaction.currency)} ${remaining > 0 ? 'unallocated' : 'over-allocated'}`}
+                </span>
+            </div>
+
+            <div className="flex justify-between">
+                {transaction.splits && transaction.splits.length > 0 ? (
+                    <button onClick={onRemove} className="px-4 py-2 text-red-600 bg-red-50 rounded-md hover:bg-red-100">Remove Split</button>
+                ) : <span />}
+                <div className="space-x-2">
+                    <button onClick={onCancel} className="px-4 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Cancel</button>
+                    <button onClick={handleSave} disabled={!isValid} className="px-4 py-2 text-white bg-[#111a39] rounded-md hover:bg-[#0a2152] disabled:opacity-50">Save Split</button>
+                </div>
+            </div>
+        </div>
+    );
+}
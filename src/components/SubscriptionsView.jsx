@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+const CADENCE_LABELS = { weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+
+const STATUS_STYLES = {
+    active: 'bg-green-100 text-green-800',
+    missed: 'bg-red-100 text-red-800',
+    ended: 'bg-gray-200 text-gray-700',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const describeAlert = (alert, currency) => (alert.type === 'missed'
+    ? `No charge around ${formatDate(alert.date)}`
+    : `${formatMoney(Math.abs(alert.amount), currency)} on ${formatDate(alert.date)}, usually ${formatMoney(Math.abs(alert.typical), currency)}`);
+
+// Recurring payments and income the server found in the transaction history,
+// with what each costs a year. Series that have stopped are hidden unless
+// asked for.
+export default function SubscriptionsView() {
+    const [data, setData] = useState(null);
+    const [showEnded, setShowEnded] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiFetch(`/api/subscriptions`)
+            .then(async res => {
+                const result = await res.json();
+                if (!res.ok) throw new Error(result.error || 'Failed to load subscriptions');
+                return result;
+            })
+            .then(setData)
+            .catch(err => {
+                console.error('Error loading subscriptions:', err);
+                setError(err.message);
+            });
+    }, []);
+
+    if (error) return <p className="text-sm text-red-600">{error}</p>;
+    if (!data) return <p className="text-center text-gray-500">Loading subscriptions...</p>;
+
+    const series = data.series.filter(item => showEnded || item.status !== 'ended');
+    const payments = data.series.filter(item => item.status !== 'ended' && item.annualizedAmount < 0);
+    const flagged = series.filter(item => item.alerts.length > 0 && item.status !== 'ended').length;
+
+    return (
+        <div className="space-y-8">
+            <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+                <div className="p-6 bg-[#fffefa] rounded-lg shadow-md">
+                    <p className="text-sm font-medium text-gray-500">Recurring payments</p>
+                    <p className="text-2xl font-bold">{payments.length}</p>
+                </div>
+                <div className="p-6 bg-[#fffefa] rounded-lg shadow-md">
+                    <p className="text-sm font-medium text-gray-500">Cost per year</p>
+                    <p className="text-2xl font-bold text-red-600">{formatMoney(Math.abs(data.annualizedCost), data.currency)}</p>
+                </div>
+                <div className="p-6 bg-[#fffefa] rounded-lg shadow-md">
+                    <p className="text-sm font-medium text-gray-500">Needing attention</p>
+                    <p className={`text-2xl font-bold ${flagged > 0 ? 'text-yellow-700' : ''}`}>{flagged}</p>
+                </div>
+            </div>
+
+            <div className="bg-[#fffefa] rounded-lg shadow-md p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-bold">Subscriptions</h2>
+                    <label className="flex items-center space-x-2 text-sm">
+                        <input type="checkbox" checked={showEnded} onChange={e => setShowEnded(e.target.checked)} />
+                        <span>Show ended</span>
+                    </label>
+                </div>
+                {series.length === 0 ? (
+                    <p className="text-sm text-gray-500 py-6 text-center">No recurring payments found yet. A series needs a few charges at a regular interval.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    <th className="px-4 py-2">Merchant</th>
+                                    <th className="px-4 py-2">Cadence</th>
+                                    <th className="px-4 py-2 text-right">Average</th>
+                                    <th className="px-4 py-2">Last charge</th>
+                                    <th className="px-4 py-2">Next expected</th>
+                                    <th className="px-4 py-2 text-right">Per year</th>
+                                    <th className="px-4 py-2">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {series.map(item => (
+                                    <tr key={item.id} className="align-top">
+                                        <td className="px-4 py-2">
+                                            <div className="font-medium">{item.merchant}</div>
+                                            <div className="text-xs text-gray-500">{item.account} · {item.count} charges since {formatDate(item.firstDate)}</div>
+                                            {item.status !== 'ended' && item.alerts.map(alert => (
+                                                <div key={`${alert.type}-${alert.date}`} className={`text-xs ${alert.type === 'missed' ? 'text-red-600' : 'text-yellow-700'}`}>
+                                                    <span className="mr-1">&#9888;</span>{describeAlert(alert, item.currency)}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td className="px-4 py-2">{CADENCE_LABELS[item.cadence]}</td>
+                                        <td className={`px-4 py-2 text-right ${item.averageAmount > 0 ? 'text-green-600' : 'text-red-600'}`}>{formatMoney(item.averageAmount, item.currency)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(item.lastDate)} · {formatMoney(item.lastAmount, item.currency)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.nextExpectedDate ? formatDate(item.nextExpectedDate) : '—'}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap">
+                                            {formatMoney(item.annualizedAmount, item.currency)}
+                                            {item.currency !== data.currency && (
+                                                <span className="block text-xs text-gray-500">
+                                                    {item.annualizedBaseAmount === null ? `No ${item.currency} rate` : `≈ ${formatMoney(item.annualizedBaseAmount, data.currency)}`}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-2">
+                                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[item.status]}`}>{item.status}</span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+const fetchJson = async (path, options) => {
+    const response = await apiFetch(path, options);
+    const result = response.status === 204 ? null : await response.json();
+    if (!response.ok) throw new Error(result?.error || 'Request failed');
+    return { result, operationId: response.headers.get('X-Operation-Id') };
+};
+
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// A receipt file, fetched with the session (the file route needs it) and
+// shown as a thumbnail for images or a link for PDFs
+const ReceiptPreview = ({ receipt }) => {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        let objectUrl = null;
+        apiFetch(`/api/receipts/${receipt.id}/file`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to load receipt');
+                return res.blob();
+            })
+            .then(blob => {
+                objectUrl = URL.createObjectURL(blob);
+                setUrl(objectUrl);
+            })
+            .catch(err => console.error(err));
+        return () => {
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [receipt.id]);
+
+    if (!url) return <span className="text-gray-500">{receipt.fileName}</span>;
+    return (
+        <a href={url} target="_blank" rel="noreferrer" className="flex items-center space-x-2 text-[#897142] hover:text-[#99804e]">
+            {receipt.contentType.startsWith('image/')
+                ? <img src={url} alt={receipt.fileName} className="h-12 w-12 object-cover rounded" />
+                : <span className="h-12 w-12 flex items-center justify-center rounded bg-gray-100 text-xs font-bold">PDF</span>}
+            <span className="truncate">{receipt.fileName}</span>
+        </a>
+    );
+};
+
+// Everything about one transaction in a panel at the side of the page: its
+// details, notes, tags and receipts. knownTags are offered while typing a tag.
+// onUpdated gets the changed transaction (with the audit operation id when
+// there is one) so the table can show it.
+export default function TransactionDrawer({ transaction, knownTags, onUpdated, onClose }) {
+    const [notes, setNotes] = useState(transaction.notes || '');
+    const [tags, setTags] = useState(transaction.tags);
+    const [newTag, setNewTag] = useState('');
+    const [receipts, setReceipts] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchJson(`/api/transactions/${transaction.id}/receipts`)
+            .then(({ result }) => setReceipts(result))
+            .catch(err => {
+                console.error('Error loading receipts:', err);
+                setError(err.message);
+            });
+    }, [transaction.id]);
+
+    const isDirty = notes !== (transaction.notes || '') || tags.join('\n') !== transaction.tags.join('\n');
+
+    const addTag = () => {
+        const tag = newTag.trim();
+        if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) setTags([...tags, tag]);
+        setNewTag('');
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError('');
+        try {
+            const { result, operationId } = await fetchJson(`/api/transactions/${transaction.id}/details`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ notes, tags }),
+            });
+            setNotes(result.notes || '');
+            setTags(result.tags);
+            onUpdated(result, operationId);
+        } catch (err) {
+            console.error('Error saving notes and tags:', err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleUpload = async (file) => {
+        if (!file) return;
+        setIsUploading(true);
+        setError('');
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            const { result } = await fetchJson(`/api/transactions/${transaction.id}/receipts`, { method: 'POST', body: formData });
+            const updated = [...receipts, result];
+            setReceipts(updated);
+            onUpdated({ ...transaction, receiptCount: updated.length });
+        } catch (err) {
+            console.error('Error attaching receipt:', err);
+            setError(err.message);
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleRemoveReceipt = async (receipt) => {
+        if (!window.confirm(`Remove the receipt "${receipt.fileName}"?`)) return;
+        setError('');
+        try {
+            await fetchJson(`/api/receipts/${receipt.id}`, { method: 'DELETE' });
+            const updated = receipts.filter(r => r.id !== receipt.id);
+            setReceipts(updated);
+            onUpdated({ ...transaction, receiptCount: updated.length });
+        } catch (err) {
+            console.error('Error removing receipt:', err);
+            setError(err.message);
+        }
+    };
+
+    const allocation = transaction.splits.length > 0
+        ? transaction.splits.map(split => `${split.costCenter} ${formatMoney(Math.abs(split.amount), transaction.currency)}`).join(', ')
+        : transaction.costCenter || 'None';
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+            <aside className="w-full max-w-md h-full bg-white shadow-xl p-6 overflow-y-auto text-sm" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 className="text-lg font-bold">{transaction.merchant}</h3>
+                        <p className="text-gray-500">{new Date(transaction.date).toLocaleDateString()} · {transaction.account}</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-xl leading-none" aria-label="Close">&times;</button>
+                </div>
+
+                <dl className="grid grid-cols-3 gap-y-2 mb-6">
+                    <dt className="text-gray-500">Amount</dt>
+                    <dd className={`col-span-2 font-medium ${transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>{formatMoney(transaction.amount, transaction.currency)}</dd>
+                    <dt className="text-gray-500">Cost center</dt>
+                    <dd className="col-span-2">{allocation}</dd>
+                    <dt className="text-gray-500">Status</dt>
+                    <dd className="col-span-2">
+                        {transaction.status}
+                        {transaction.transfer && ' · Transfer'}
+                        {transaction.reconciliationId && ' · Reconciled'}
+                    </dd>
+                </dl>
+
+                <label className="block font-medium mb-1" htmlFor="transaction-notes">Notes</label>
+                <textarea
+                    id="transaction-notes"
+                    value={notes}
+                    onChange={e => setNotes(e.target.value)}
+                    rows={4}
+                    maxLength={2000}
+                    className="w-full p-2 border rounded-md bg-gray-100 focus:outline-none focus:ring-2 focus:ring-[#99804e]"
+                />
+
+                <p className="font-medium mt-4 mb-1">Tags</p>
+                <div className="flex flex-wrap gap-1 mb-2">
+                    {tags.length === 0 && <span className="text-gray-500">No tags</span>}
+                    {tags.map(tag => (
+                        <span key={tag} className="px-2 py-0.5 rounded-full bg-[#f3e7c5] flex items-center">
+                            {tag}
+                            <button onClick={() => setTags(tags.filter(t => t !== tag))} className="ml-1 text-gray-600 hover:text-red-600" aria-label={`Remove tag ${tag}`}>&times;</button>
+                        </span>
+                    ))}
+                </div>
+                <div className="flex space-x-2">
+                    <input
+                        type="text"
+                        value={newTag}
+                        onChange={e => setNewTag(e.target.value)}
+                        onKeyDown={e => {
+                            if (e.key === 'Enter') {
+                                e.preventDefault();
+                                addTag();
+                            }
+                        }}
+                        list="known-tags"
+                        maxLength={40}
+                        placeholder="Add a tag"
+                        className="flex-grow p-2 border rounded-md bg-gray-100 focus:outline-none focus:ring-2 focus:ring-[#99804e]"
+                    />
+                    <datalist id="known-tags">
+                        {knownTags.filter(tag => !tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+                    </datalist>
+                    <button onClick={addTag} className="px-3 py-2 bg-gray-200 rounded-md hover:bg-gray-300">Add</button>
+                </div>
+
+                <div className="text-right mt-4">
+                    <button onClick={handleSave} disabled={!isDirty || isSaving} className="px-4 py-2 text-white bg-[#897142] rounded-md hover:bg-[#99804e] disabled:opacity-50">
+                        {isSaving ? 'Saving...' : 'Save notes and tags'}
+                    </button>
+                </div>
+
+                <div className="flex justify-between items-center mt-6 mb-2">
+                    <p className="font-medium">Receipts</p>
+                    <label className={`text-[#897142] hover:text-[#99804e] font-medium cursor-pointer ${isUploading ? 'opacity-50' : ''}`}>
+                        {isUploading ? 'Uploading...' : 'Attach receipt'}
+                        <input
+                            type="file"
+                            accept="image/*,application/pdf"
+                            className="hidden"
+                            disabled={isUploading}
+                            onChange={e => {
+                                handleUpload(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                        />
+                    </label>
+                </div>
+                {receipts.length === 0 ? (
+                    <p className="text-gray-500">No receipt attached.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {receipts.map(receipt => (
+                            <li key={receipt.id} className="flex justify-between items-center gap-2">
+                                <ReceiptPreview receipt={receipt} />
+                                <span className="flex items-center space-x-2 shrink-0">
+                                    <span className="text-xs text-gray-500">{formatSize(receipt.fileSize)}</span>
+                                    <button onClick={() => handleRemoveReceipt(receipt)} className="text-red-500 hover:text-red-700">Remove</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {error && <p className="mt-4 text-red-600">{error}</p>}
+            </aside>
+        </div>
+    );
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { describeEntry, undoOperation } from '../audit';
+
+// Every logged change to one transaction, newest first. Undo reverts only
+// this transaction's part of the operation, even for a bulk edit.
+export default function TransactionHistory({ transaction, onUndone, onClose }) {
+    const [entries, setEntries] = useState([]);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [isUndoing, setIsUndoing] = useState(false);
+
+    useEffect(() => {
+        apiFetch(`/api/history/transaction/${transaction.id}`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch history');
+                return res.json();
+            })
+            .then(setEntries)
+            .catch(err => {
+                console.error(err);
+                alert('Could not load the history.');
+            });
+    }, [transaction.id, reloadKey]);
+
+    const handleUndo = async (entry) => {
+        setIsUndoing(true);
+        try {
+            await undoOperation(entry.operationId, { entityType: 'transaction', entityId: transaction.id });
+            setReloadKey(key => key + 1);
+            onUndone();
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            alert(`Could not undo: ${error.message}`);
+        } finally {
+            setIsUndoing(false);
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-bold mb-1">History</h3>
+            <p className="text-sm text-gray-500 mb-4">{transaction.merchant} · {new Date(transaction.date).toLocaleDateString()}</p>
+            {entries.length === 0 ? (
+                <p className="text-sm text-gray-500 py-6 text-center">No changes have been logged for this transaction.</p>
+            ) : (
+                <ul className="space-y-2 max-h-96 overflow-y-auto">
+                    {entries.map((entry, index) => (
+                        <li key={entry.id} className="flex justify-between items-start p-3 bg-gray-100 rounded-md text-sm">
+                            <div>
+                                <p className="font-semibold">{entry.operation.source}</p>
+                                <p className="text-xs text-gray-500">{entry.operation.actorEmail || 'deleted user'} · {new Date(entry.operation.createdAt).toLocaleString()}</p>
+                                <p className="mt-1 text-gray-700">{describeEntry(entry)}</p>
+                            </div>
+                            {/* Earlier changes can't be undone while a later one is still in place */}
+                            {index === 0 && entry.after && (
+                                <button onClick={() => handleUndo(entry)} disabled={isUndoing} className="ml-4 text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">
+                                    {isUndoing ? 'Undoing...' : 'Undo'}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="text-right mt-6">
+                <button onClick={onClose} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatMoney } from '../currency';
+
+// One side of a transfer
+const TransferSide = ({ label, transaction }) => (
+    <div className="flex-1">
+        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label} {transaction.account}</p>
+        <p>{transaction.merchant}</p>
+        <p className="text-gray-600">
+            {new Date(transaction.date).toLocaleDateString()} · <span className={transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}>{formatMoney(transaction.amount, transaction.currency)}</span>
+        </p>
+    </div>
+);
+
+// Pairs of transactions linked as money moved between the user's own
+// accounts. Suggested pairs can be confirmed or unlinked; an unlinked pair
+// is never suggested again. Two transactions are linked by hand by ticking
+// them in the table. onChanged lets the page reload its totals.
+export default function TransfersManager({ onChanged, onClose }) {
+    const [pairs, setPairs] = useState([]);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        apiFetch(`/api/transfers`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch transfers');
+                return res.json();
+            })
+            .then(setPairs)
+            .catch(err => {
+                console.error(err);
+                alert('Could not load the transfers.');
+            });
+    }, [reloadKey]);
+
+    // Runs one request, then reloads the list and the page
+    const run = async (path, method, describe) => {
+        setIsWorking(true);
+        try {
+            const response = await apiFetch(path, { method });
+            const result = response.status === 204 ? null : await response.json();
+            if (!response.ok) throw new Error(result?.error || 'Request failed');
+            setMessage(describe ? describe(result) : '');
+            setReloadKey(key => key + 1);
+            onChanged();
+        } catch (error) {
+            console.error('Error updating transfers:', error);
+            alert(`Could not update the transfers: ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const suggestedCount = pairs.filter(pair => pair.status === 'suggested').length;
+
+    return (
+        <div className="text-sm">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-bold">Transfers</h3>
+                <button
+                    onClick={() => run('/api/transfers/detect', 'POST', result => `${result.found} new transfer pairs found.`)}
+                    disabled={isWorking}
+                    className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50"
+                >
+                    Find transfers
+                </button>
+            </div>
+            <p className="text-gray-500 mb-4">
+                Transfers between your accounts are left out of income, expenses, budgets and reports.
+                {suggestedCount > 0 && ` ${suggestedCount} were paired automatically and are waiting for confirmation.`}
+            </p>
+            {message && <p className="mb-4 text-green-700">{message}</p>}
+            {pairs.length === 0 ? (
+                <p className="text-gray-500 py-6 text-center">No transfers are linked. Tick two transactions in the table to link them by hand.</p>
+            ) : (
+                <ul className="space-y-3">
+                    {pairs.map(pair => (
+                        <li key={pair.out.id} className="p-3 bg-gray-100 rounded-md">
+                            <div className="flex flex-col sm:flex-row gap-3">
+                                <TransferSide label="From" transaction={pair.out} />
+                                <TransferSide label="To" transaction={pair.in} />
+                            </div>
+                            <div className="flex justify-between items-center mt-2">
+                                <span className={`px-2 text-xs leading-5 font-semibold rounded-full ${pair.status === 'confirmed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>{pair.status}</span>
+                                <div className="space-x-3">
+                                    {pair.status === 'suggested' && (
+                                        <button onClick={() => run(`/api/transfers/${pair.out.id}/confirm`, 'POST')} disabled={isWorking} className="text-[#897142] hover:text-[#99804e] font-medium disabled:opacity-50">Confirm</button>
+                                    )}
+                                    <button onClick={() => run(`/api/transfers/${pair.out.id}`, 'DELETE')} disabled={isWorking} className="text-red-500 hover:text-red-700 font-medium disabled:opacity-50">Unlink</button>
+                                </div>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="text-right mt-6">
+                <button onClick={onClose} className="px-4 py-2 text-sm bg-gray-200 rounded-md hover:bg-gray-300">Close</button>
+            </div>
+        </div>
+    );
+}
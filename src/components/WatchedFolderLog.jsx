@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const MATCHED_BY = {
+    'file name': 'by file name',
+    'columns': 'by its columns',
+    'format': 'from the file format',
+    'default columns': 'default columns',
+};
+
+// What a run did, e.g. "2 imported, 1 failed"
+const runSummary = (run) => {
+    if (run.files.length === 0) return 'No files waiting';
+    const failed = run.files.filter(file => file.outcome === 'failed').length;
+    return [`${run.files.length - failed} imported`, failed > 0 && `${failed} failed`].filter(Boolean).join(', ');
+};
+
+// The log of the server's watched-folder import, for the user it imports for;
+// renders nothing for everyone else. onImported lets the page reload after a
+// run started here.
+export default function WatchedFolderLog({ onImported }) {
+    const [folder, setFolder] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [isRunning, setIsRunning] = useState(false);
+
+    useEffect(() => {
+        apiFetch(`/api/watched-folder`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch the watched folder log');
+                return res.json();
+            })
+            .then(setFolder)
+            .catch(err => console.error(err));
+    }, [reloadKey]);
+
+    const handleRun = async () => {
+        setIsRunning(true);
+        try {
+            const response = await apiFetch(`/api/watched-folder/run`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Run failed');
+            setReloadKey(key => key + 1);
+            if (result.files.some(file => file.outcome === 'imported')) onImported();
+        } catch (error) {
+            console.error('Error running the watched folder import:', error);
+            alert(`Could not check the watched folder: ${error.message}`);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    if (!folder?.enabled) return null;
+
+    return (
+        <div className="mt-8">
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="text-lg font-bold">Watched Folder</h3>
+                <button onClick={handleRun} disabled={isRunning} className="px-4 py-2 text-sm text-white bg-[#897142] rounded-md hover:bg-[#99804e] disabled:opacity-50">
+                    {isRunning ? 'Checking...' : 'Check Now'}
+                </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Statement files put in <code className="px-1 bg-gray-100 rounded">{folder.path}</code> are imported every {folder.intervalSeconds} seconds,
+                then moved to its processed or failed folder. Give a mapping template a file name pattern to pick it for matching files.
+            </p>
+            {folder.runs.length === 0 ? (
+                <p className="text-sm text-gray-500 py-6 text-center">No files have been picked up yet.</p>
+            ) : (
+                <ul className="space-y-3 text-sm">
+                    {folder.runs.map(run => (
+                        <li key={run.id} className="border rounded-md">
+                            <div className="flex justify-between px-3 py-2 bg-gray-50">
+                                <span className="font-medium">{new Date(run.startedAt).toLocaleString()}</span>
+                                <span className="text-gray-600">{run.triggeredBy === 'user' ? 'Checked by hand' : 'Scheduled'} · {runSummary(run)}</span>
+                            </div>
+                            {run.files.length > 0 && (
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <tbody className="divide-y divide-gray-200">
+                                        {run.files.map(file => (
+                                            <tr key={file.fileName}>
+                                                <td className="px-3 py-2">
+                                                    <div className="font-medium">{file.fileName}</div>
+                                                    {file.movedTo && <div className="text-xs text-gray-500">Moved to {file.movedTo}</div>}
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    {file.matchedBy ? `${file.mappingName || 'No template'} (${MATCHED_BY[file.matchedBy]})` : '—'}
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    {file.outcome === 'imported' ? (
+                                                        <span className="text-green-700">
+                                                            {file.imported} new
+                                                            {file.queuedForReview > 0 && `, ${file.queuedForReview} for review`}
+                                                            {file.duplicates > 0 && `, ${file.duplicates} already imported`}
+                                                            {file.invalid > 0 && `, ${file.invalid} unreadable`}
+                                                        </span>
+                                                    ) : (
+                                                        <span className="text-red-600">Failed</span>
+                                                    )}
+                                                    {file.error && <div className="text-xs text-red-600">{file.error}</div>}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,27 @@
+// GET /api/cost-centers lists the cost center tree in order (parents before
+// their children), each cost center with its depth.
+
+// The cost centers offered for new assignments: neither archived nor under
+// an archived one
+export const offeredCostCenters = (costCenters) => {
+    const hidden = new Set();
+    return costCenters.filter(cc => {
+        if (cc.archived || hidden.has(cc.parent)) {
+            hidden.add(cc.name);
+            return false;
+        }
+        return true;
+    });
+};
+
+// The names of a cost center and of everything under it
+export const subtreeOf = (costCenters, name) => {
+    const index = costCenters.findIndex(cc => cc.name === name);
+    if (index === -1) return [];
+    const end = costCenters.findIndex((cc, i) => i > index && cc.depth <= costCenters[index].depth);
+    return costCenters.slice(index, end === -1 ? undefined : end).map(cc => cc.name);
+};
+
+// A cost center's name indented by its depth with no-break spaces, since
+// dropdown options collapse ordinary ones
+export const indentedName = (costCenter) => `${'\u00A0\u00A0\u00A0'.repeat(costCenter.depth)}${costCenter.name}`;
@@ -0,0 +1,7 @@
+// The base currency of users who haven't chosen one
+export const DEFAULT_CURRENCY = 'USD';
+
+// Amounts with their currency's symbol, e.g. formatMoney(-12.5, 'EUR') → '-€12.50'
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => (
+    amount.toLocaleString('en-US', { style: 'currency', currency })
+);
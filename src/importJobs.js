@@ -0,0 +1,37 @@
+import { apiFetch } from './api';
+
+const POLL_INTERVAL_MS = 500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Upload a statement and follow its import job to the end ---
+// POST /api/upload answers with a job id at once; the job is polled until it
+// is done. onProgress gets { phase, done, total } along the way, with phase
+// 'uploading' until the server has the whole file. Resolves with the job's
+// result (the preview, or the import summary) and its jobId, and rejects if it
+// failed.
+export const uploadStatement = async (formData, onProgress) => {
+    onProgress({ phase: 'uploading', done: 0, total: 0 });
+    const response = await apiFetch(`/api/upload`, { method: 'POST', body: formData });
+    const started = await response.json();
+    if (!response.ok) throw new Error(started.message || 'File upload failed on the server.');
+
+    for (;;) {
+        await wait(POLL_INTERVAL_MS);
+        const jobResponse = await apiFetch(`/api/upload/jobs/${started.jobId}`);
+        const job = await jobResponse.json();
+        if (!jobResponse.ok) throw new Error(job.error || 'Lost track of the import.');
+        if (job.status === 'done') return { ...job.result, jobId: job.id };
+        if (job.status === 'failed') throw new Error(job.error);
+        onProgress({ phase: job.phase, done: job.done, total: job.total });
+    }
+};
+
+// --- One page of the rows a finished preview found ---
+// Resolves with { rows, page, pageSize, total }.
+export const fetchImportRows = async (jobId, page, pageSize) => {
+    const response = await apiFetch(`/api/upload/jobs/${jobId}/rows?page=${page}&pageSize=${pageSize}`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Could not load the rows.');
+    return result;
+};